@@ -0,0 +1,363 @@
+/**
+ * Account View Logic
+ * Handles signing in and creating an account, and managing saved addresses and preferences
+ */
+
+(function() {
+    registerView('/account', {
+        template: 'account-view',
+        title: 'My Account',
+        
+        /**
+         * Show the account, or the sign in forms for guests
+         */
+        mount: function() {
+            // Set up event listeners
+            setupEventListeners();
+            
+            if (getCurrentCustomer()) {
+                showAccountDetails();
+            } else {
+                showAccountAuth();
+            }
+        }
+    });
+    
+    /**
+     * Get the page to go to after signing in
+     * Only pages of the store are allowed (e.g. "checkout.html"), never other sites
+     * @returns {string|null} Page from the "next" URL parameter, or null to stay on the account page
+     */
+    function getNextPage() {
+        const nextPage = getRouteParams().get('next');
+        return nextPage && /^[a-z-]+\.html$/.test(nextPage) ? nextPage : null;
+    }
+    
+    /**
+     * Show the sign in and create account forms
+     */
+    function showAccountAuth() {
+        document.getElementById('account-details').style.display = 'none';
+        document.getElementById('account-auth').style.display = 'grid';
+    }
+    
+    /**
+     * Show the signed in customer's profile, saved addresses and preferences
+     */
+    function showAccountDetails() {
+        const customer = getCurrentCustomer();
+        
+        document.getElementById('account-auth').style.display = 'none';
+        document.getElementById('account-details').style.display = 'block';
+        
+        document.getElementById('account-summary').textContent = t('account.summary', {
+            name: customer.name,
+            email: customer.email,
+            date: new Date(customer.createdAt).toLocaleDateString(getLocale())
+        });
+        
+        loadAddresses();
+        loadPreferences();
+    }
+    
+    /**
+     * Continue after signing in or creating an account
+     */
+    function handleSignedIn() {
+        const nextPage = getNextPage();
+        
+        if (nextPage) {
+            navigateTo(nextPage);
+            return;
+        }
+        
+        updateCartBadge();
+        updateWishlistBadge();
+        updateAccountNav();
+        showAccountDetails();
+    }
+    
+    /**
+     * Handle sign in form submission
+     * @param {Event} event - Form submit event
+     * @returns {Promise} Resolves once the account (or an error) is shown
+     */
+    async function handleSignInSubmit(event) {
+        event.preventDefault();
+        
+        const submitBtn = document.getElementById('signin-submit-btn');
+        showError('signin-error', '');
+        submitBtn.disabled = true;
+        
+        try {
+            await signInCustomer(
+                document.getElementById('signin-email').value,
+                document.getElementById('signin-password').value
+            );
+            document.getElementById('signin-form').reset();
+            handleSignedIn();
+        } catch (error) {
+            showError('signin-error', error.message);
+        } finally {
+            submitBtn.disabled = false;
+        }
+    }
+    
+    /**
+     * Handle create account form submission
+     * @param {Event} event - Form submit event
+     * @returns {Promise} Resolves once the account (or an error) is shown
+     */
+    async function handleSignUpSubmit(event) {
+        event.preventDefault();
+        
+        const submitBtn = document.getElementById('signup-submit-btn');
+        showError('signup-error', '');
+        submitBtn.disabled = true;
+        
+        try {
+            await registerCustomer({
+                name: document.getElementById('signup-name').value,
+                email: document.getElementById('signup-email').value,
+                password: document.getElementById('signup-password').value
+            });
+            document.getElementById('signup-form').reset();
+            handleSignedIn();
+        } catch (error) {
+            // Show why the account can't be created (email taken, short password, ...)
+            showError('signup-error', error.message);
+        } finally {
+            submitBtn.disabled = false;
+        }
+    }
+    
+    /**
+     * Log out and go back to the sign in forms
+     */
+    function handleLogout() {
+        signOutCustomer();
+        updateCartBadge();
+        updateWishlistBadge();
+        updateAccountNav();
+        showAccountAuth();
+    }
+    
+    /**
+     * Load and display the customer's saved addresses
+     */
+    function loadAddresses() {
+        const customer = getCurrentCustomer();
+        const addressesContainer = document.getElementById('account-addresses');
+        
+        // Clear existing content
+        addressesContainer.innerHTML = '';
+        
+        if (customer.addresses.length === 0) {
+            const emptyMessage = document.createElement('p');
+            emptyMessage.className = 'form-hint';
+            emptyMessage.textContent = t('account.noAddresses');
+            addressesContainer.appendChild(emptyMessage);
+            return;
+        }
+        
+        customer.addresses.forEach(address => {
+            addressesContainer.appendChild(createAddressItem(address));
+        });
+    }
+    
+    /**
+     * Create a saved address element with default and delete actions
+     * @param {Object} address - Saved address
+     * @returns {HTMLElement} Address item element
+     */
+    function createAddressItem(address) {
+        const item = document.createElement('div');
+        item.className = 'account-address-item';
+        
+        // Create address text
+        const addressText = document.createElement('address');
+        addressText.className = 'order-address';
+        [
+            address.fullName,
+            address.address,
+            [address.city, address.state, address.postalCode].filter(part => part).join(', '),
+            address.country,
+            address.phone
+        ].forEach((line, index) => {
+            if (index > 0) {
+                addressText.appendChild(document.createElement('br'));
+            }
+            addressText.appendChild(document.createTextNode(line));
+        });
+        
+        // Create actions container
+        const actions = document.createElement('div');
+        actions.className = 'admin-actions';
+        
+        if (address.isDefault) {
+            const defaultLabel = document.createElement('span');
+            defaultLabel.className = 'account-default-label';
+            defaultLabel.textContent = t('account.defaultAddress');
+            actions.appendChild(defaultLabel);
+        } else {
+            const defaultBtn = document.createElement('button');
+            defaultBtn.type = 'button';
+            defaultBtn.className = 'btn btn-small';
+            defaultBtn.textContent = t('account.makeDefault');
+            defaultBtn.onclick = function() {
+                setDefaultCustomerAddress(address.id);
+                loadAddresses();
+            };
+            actions.appendChild(defaultBtn);
+        }
+        
+        const deleteBtn = document.createElement('button');
+        deleteBtn.type = 'button';
+        deleteBtn.className = 'btn btn-danger btn-small';
+        deleteBtn.textContent = t('common.delete');
+        deleteBtn.onclick = async function() {
+            const confirmed = await showConfirmDialog(t('account.deleteAddressConfirm'), {
+                title: t('account.deleteAddressTitle'),
+                confirmLabel: t('common.delete'),
+                danger: true
+            });
+            if (confirmed) {
+                deleteCustomerAddress(address.id);
+                loadAddresses();
+            }
+        };
+        actions.appendChild(deleteBtn);
+        
+        // Assemble the item
+        item.appendChild(addressText);
+        item.appendChild(actions);
+        
+        return item;
+    }
+    
+    /**
+     * Handle add address form submission
+     * @param {Event} event - Form submit event
+     */
+    function handleAddressSubmit(event) {
+        event.preventDefault();
+        
+        // Clear previous error messages
+        clearErrorMessages();
+        
+        const address = {
+            fullName: document.getElementById('address-name').value.trim(),
+            phone: document.getElementById('address-phone').value.trim(),
+            address: document.getElementById('address-street').value.trim(),
+            city: document.getElementById('address-city').value.trim(),
+            state: document.getElementById('address-state').value.trim(),
+            postalCode: document.getElementById('address-postal-code').value.trim(),
+            country: document.getElementById('address-country').value.trim()
+        };
+        
+        // Validate form fields (the same rules as checkout)
+        let isValid = true;
+        
+        if (!address.fullName) {
+            showError('address-name-error', t('form.nameRequired'));
+            isValid = false;
+        }
+        
+        if (address.phone.replace(/\D/g, '').length < 7) {
+            showError('address-phone-error', t('form.invalidPhone'));
+            isValid = false;
+        }
+        
+        if (!address.address) {
+            showError('address-street-error', t('form.streetRequired'));
+            isValid = false;
+        }
+        
+        if (!address.city) {
+            showError('address-city-error', t('form.cityRequired'));
+            isValid = false;
+        }
+        
+        if (!address.postalCode) {
+            showError('address-postal-code-error', t('form.postalCodeRequired'));
+            isValid = false;
+        }
+        
+        if (!address.country) {
+            showError('address-country-error', t('form.countryRequired'));
+            isValid = false;
+        }
+        
+        if (!isValid) {
+            return;
+        }
+        
+        try {
+            addCustomerAddress(address);
+            document.getElementById('address-form').reset();
+            loadAddresses();
+        } catch (error) {
+            console.error('Error saving address:', error);
+            showToast(t('account.saveAddressFailed', { message: error.message }), 'error');
+        }
+    }
+    
+    /**
+     * Fill the preferences form with the shipping regions and methods and the customer's choices
+     */
+    function loadPreferences() {
+        const preferences = getCustomerPreferences();
+        const regionSelect = document.getElementById('preference-region');
+        const shippingSelect = document.getElementById('preference-shipping');
+        
+        regionSelect.innerHTML = '';
+        TAX_REGIONS.forEach(region => {
+            const option = document.createElement('option');
+            option.value = region.id;
+            option.textContent = getTaxRegionName(region);
+            regionSelect.appendChild(option);
+        });
+        
+        shippingSelect.innerHTML = '';
+        SHIPPING_METHODS.forEach(method => {
+            const option = document.createElement('option');
+            option.value = method.id;
+            option.textContent = getShippingMethodName(method);
+            shippingSelect.appendChild(option);
+        });
+        
+        regionSelect.value = preferences.regionId || TAX_REGIONS[0].id;
+        shippingSelect.value = preferences.shippingMethodId || SHIPPING_METHODS[0].id;
+        document.getElementById('preferences-message').textContent = '';
+    }
+    
+    /**
+     * Handle preferences form submission
+     * @param {Event} event - Form submit event
+     */
+    function handlePreferencesSubmit(event) {
+        event.preventDefault();
+        
+        try {
+            updateCustomerPreferences({
+                regionId: document.getElementById('preference-region').value,
+                shippingMethodId: document.getElementById('preference-shipping').value
+            });
+            document.getElementById('preferences-message').textContent = t('account.preferencesSaved');
+        } catch (error) {
+            console.error('Error saving preferences:', error);
+            showToast(t('account.savePreferencesFailed', { message: error.message }), 'error');
+        }
+    }
+    
+    /**
+     * Set up all event listeners for the account view
+     */
+    function setupEventListeners() {
+        document.getElementById('signin-form').addEventListener('submit', handleSignInSubmit);
+        document.getElementById('signup-form').addEventListener('submit', handleSignUpSubmit);
+        document.getElementById('account-logout-btn').addEventListener('click', handleLogout);
+        document.getElementById('address-form').addEventListener('submit', handleAddressSubmit);
+        document.getElementById('preferences-form').addEventListener('submit', handlePreferencesSubmit);
+    }
+})();
@@ -0,0 +1,357 @@
+/**
+ * Customer Accounts Module
+ * Handles customer sign-up and sign-in, saved addresses and preferences,
+ * and the account link in the navigation
+ *
+ * Data that belongs to a shopper (like the cart and wishlist) is kept per account: see getAccountStorageKey()
+ * Passwords are hashed the same way as staff passwords (see hashPassword() in admin-auth.js)
+ */
+
+// LocalStorage keys for customer accounts and the signed in customer
+const CUSTOMERS_STORAGE_KEY = 'ecommerce_customers';
+const CUSTOMER_SESSION_STORAGE_KEY = 'ecommerce_customer_session';
+
+/**
+ * Get all customer accounts from LocalStorage
+ * @returns {Array} Array of accounts {id, name, email, salt, passwordHash, addresses, preferences, createdAt}
+ */
+function getCustomers() {
+    try {
+        const customersJson = localStorage.getItem(CUSTOMERS_STORAGE_KEY);
+        
+        if (!customersJson) {
+            return [];
+        }
+        
+        return parseStoredJson(CUSTOMERS_STORAGE_KEY, customersJson) || [];
+    } catch (error) {
+        console.error('Error getting customers:', error);
+        return [];
+    }
+}
+
+/**
+ * Save all customer accounts to LocalStorage
+ * @param {Array} customers - Array of accounts
+ */
+function saveCustomers(customers) {
+    writeLocalStorage(CUSTOMERS_STORAGE_KEY, JSON.stringify(customers));
+}
+
+/**
+ * Get a customer account by email address (case-insensitive)
+ * @param {string} email - The email address
+ * @returns {Object|null} The account or null if not found
+ */
+function getCustomerByEmail(email) {
+    const normalizedEmail = (email || '').trim().toLowerCase();
+    return getCustomers().find(customer => customer.email === normalizedEmail) || null;
+}
+
+/**
+ * Get the account details that are safe to pass around (no password details)
+ * @param {Object} customer - Stored account
+ * @returns {Object} Account {id, name, email, addresses, preferences, createdAt}
+ */
+function toPublicCustomer(customer) {
+    return {
+        id: customer.id,
+        name: customer.name,
+        email: customer.email,
+        addresses: customer.addresses || [],
+        preferences: customer.preferences || {},
+        createdAt: customer.createdAt
+    };
+}
+
+/**
+ * Get the ID of the signed in customer
+ * @returns {string|null} Account ID, or null when shopping as a guest
+ */
+function getCurrentCustomerId() {
+    try {
+        const session = JSON.parse(localStorage.getItem(CUSTOMER_SESSION_STORAGE_KEY));
+        return session ? session.customerId : null;
+    } catch (error) {
+        console.error('Error getting customer session:', error);
+        return null;
+    }
+}
+
+/**
+ * Get the signed in customer
+ * @returns {Object|null} Account (see toPublicCustomer()), or null when shopping as a guest
+ */
+function getCurrentCustomer() {
+    const customerId = getCurrentCustomerId();
+    const customer = customerId ? getCustomers().find(customer => customer.id === customerId) : null;
+    return customer ? toPublicCustomer(customer) : null;
+}
+
+/**
+ * Get the storage key for data that belongs to the shopper
+ * Guests use the key as it is; signed in customers get their own copy
+ * (e.g. "ecommerce_cart" becomes "ecommerce_cart_3f9a1c2b7d4e")
+ * @param {string} baseKey - Storage key used for guests
+ * @returns {string} Storage key for the current shopper
+ */
+function getAccountStorageKey(baseKey) {
+    const customerId = getCurrentCustomerId();
+    return customerId ? `${baseKey}_${customerId}` : baseKey;
+}
+
+/**
+ * Start a session for a customer and move the guest cart and wishlist into their account
+ * @param {Object} customer - Stored account
+ * @returns {Promise<Object>} The account (see toPublicCustomer())
+ */
+async function startCustomerSession(customer) {
+    writeLocalStorage(CUSTOMER_SESSION_STORAGE_KEY, JSON.stringify({ customerId: customer.id }));
+    
+    // The customer is signed in either way; anything that can't be merged now stays with the guest
+    try {
+        await mergeGuestCart();
+        await mergeGuestWishlist();
+    } catch (error) {
+        console.error('Error merging guest cart:', error);
+    }
+    
+    return toPublicCustomer(customer);
+}
+
+/**
+ * Create a customer account and sign in to it
+ * @param {Object} details - Account details {name, email, password}
+ * @returns {Promise<Object>} The new account (see toPublicCustomer())
+ * @throws {Error} With a message to show if the details aren't valid
+ */
+async function registerCustomer(details) {
+    const name = (details.name || '').trim();
+    const email = (details.email || '').trim().toLowerCase();
+    
+    if (!name) {
+        throw new Error(t('form.enterName'));
+    }
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+        throw new Error(t('form.invalidEmail'));
+    }
+    if (getCustomerByEmail(email)) {
+        throw new Error(t('account.emailTaken'));
+    }
+    if ((details.password || '').length < MIN_PASSWORD_LENGTH) {
+        throw new Error(t('account.passwordTooShort', { min: MIN_PASSWORD_LENGTH }));
+    }
+    
+    try {
+        const salt = generatePasswordSalt();
+        const customer = {
+            id: bytesToHex(crypto.getRandomValues(new Uint8Array(6))),
+            name: name,
+            email: email,
+            salt: salt,
+            passwordHash: await hashPassword(details.password, salt),
+            addresses: [],
+            preferences: {},
+            createdAt: new Date().toISOString()
+        };
+        
+        const customers = getCustomers();
+        customers.push(customer);
+        saveCustomers(customers);
+        
+        return await startCustomerSession(customer);
+    } catch (error) {
+        console.error('Error registering customer:', error);
+        throw error;
+    }
+}
+
+/**
+ * Sign in to a customer account
+ * Items in the guest cart are added to the account's cart
+ * @param {string} email - The email address
+ * @param {string} password - The password
+ * @returns {Promise<Object>} The account (see toPublicCustomer())
+ * @throws {Error} If the email or password is wrong
+ */
+async function signInCustomer(email, password) {
+    const customer = getCustomerByEmail(email);
+    
+    // Hash even for unknown emails so both cases take about the same time
+    const salt = customer ? customer.salt : generatePasswordSalt();
+    const passwordHash = await hashPassword(password || '', salt);
+    
+    if (!customer || passwordHash !== customer.passwordHash) {
+        throw new Error(t('account.wrongPassword'));
+    }
+    
+    return startCustomerSession(customer);
+}
+
+/**
+ * Sign out of the customer account
+ * The account's cart stays in the account; the shopper continues with an empty guest cart
+ */
+function signOutCustomer() {
+    localStorage.removeItem(CUSTOMER_SESSION_STORAGE_KEY);
+}
+
+/**
+ * Change the signed in customer's stored account
+ * @param {Function} change - Called with the stored account to modify it
+ * @returns {Object} The updated account (see toPublicCustomer())
+ * @throws {Error} If nobody is signed in
+ */
+function updateCurrentCustomer(change) {
+    const customerId = getCurrentCustomerId();
+    const customers = getCustomers();
+    const customer = customers.find(customer => customer.id === customerId);
+    
+    if (!customer) {
+        throw new Error(t('account.signInFirst'));
+    }
+    
+    customer.addresses = customer.addresses || [];
+    customer.preferences = customer.preferences || {};
+    change(customer);
+    saveCustomers(customers);
+    
+    return toPublicCustomer(customer);
+}
+
+/**
+ * Check whether two addresses are the same (ignoring case and extra spaces)
+ * @param {Object} a - First address
+ * @param {Object} b - Second address
+ * @returns {boolean} True if they match
+ */
+function isSameAddress(a, b) {
+    return ['fullName', 'phone', 'address', 'city', 'state', 'postalCode', 'country']
+        .every(field => (a[field] || '').trim().toLowerCase() === (b[field] || '').trim().toLowerCase());
+}
+
+/**
+ * Save an address to the signed in customer's account
+ * The first address saved becomes the default. Saving an address that already exists does nothing
+ * @param {Object} address - Address {fullName, phone, address, city, state, postalCode, country}
+ * @returns {Object} The saved address (with its ID)
+ */
+function addCustomerAddress(address) {
+    let savedAddress = null;
+    
+    updateCurrentCustomer(customer => {
+        savedAddress = customer.addresses.find(existing => isSameAddress(existing, address));
+        
+        if (!savedAddress) {
+            savedAddress = {
+                id: bytesToHex(crypto.getRandomValues(new Uint8Array(4))),
+                fullName: (address.fullName || '').trim(),
+                phone: (address.phone || '').trim(),
+                address: (address.address || '').trim(),
+                city: (address.city || '').trim(),
+                state: (address.state || '').trim(),
+                postalCode: (address.postalCode || '').trim(),
+                country: (address.country || '').trim(),
+                isDefault: customer.addresses.length === 0
+            };
+            customer.addresses.push(savedAddress);
+        }
+    });
+    
+    return savedAddress;
+}
+
+/**
+ * Delete a saved address from the signed in customer's account
+ * If it was the default, the next address becomes the default
+ * @param {string} addressId - The address ID
+ */
+function deleteCustomerAddress(addressId) {
+    updateCurrentCustomer(customer => {
+        customer.addresses = customer.addresses.filter(address => address.id !== addressId);
+        
+        if (customer.addresses.length > 0 && !customer.addresses.some(address => address.isDefault)) {
+            customer.addresses[0].isDefault = true;
+        }
+    });
+}
+
+/**
+ * Make a saved address the one checkout fills in automatically
+ * @param {string} addressId - The address ID
+ */
+function setDefaultCustomerAddress(addressId) {
+    updateCurrentCustomer(customer => {
+        customer.addresses.forEach(address => {
+            address.isDefault = address.id === addressId;
+        });
+    });
+}
+
+/**
+ * Get the signed in customer's default address
+ * @returns {Object|null} The address, or null if there is none (or nobody is signed in)
+ */
+function getDefaultCustomerAddress() {
+    const customer = getCurrentCustomer();
+    return customer ? customer.addresses.find(address => address.isDefault) || null : null;
+}
+
+/**
+ * Get the signed in customer's preferences
+ * @returns {Object} Preferences {regionId, shippingMethodId} (empty for guests)
+ */
+function getCustomerPreferences() {
+    const customer = getCurrentCustomer();
+    return customer ? customer.preferences : {};
+}
+
+/**
+ * Save the signed in customer's preferences
+ * @param {Object} preferences - Preferences to change {regionId, shippingMethodId}
+ * @returns {Object} The saved preferences
+ */
+function updateCustomerPreferences(preferences) {
+    if (preferences.regionId && !TAX_REGIONS.some(region => region.id === preferences.regionId)) {
+        throw new Error(t('account.chooseRegion'));
+    }
+    if (preferences.shippingMethodId && !SHIPPING_METHODS.some(method => method.id === preferences.shippingMethodId)) {
+        throw new Error(t('account.chooseShippingMethod'));
+    }
+    
+    return updateCurrentCustomer(customer => {
+        customer.preferences = { ...customer.preferences, ...preferences };
+    }).preferences;
+}
+
+/**
+ * Update the account item in the navigation
+ * Shows a "Sign In" link for guests, or the customer's name and a "Log Out" button
+ */
+function updateAccountNav() {
+    const accountNav = document.getElementById('account-nav');
+    if (!accountNav) {
+        return;
+    }
+    
+    const customer = getCurrentCustomer();
+    accountNav.innerHTML = '';
+    
+    const accountLink = document.createElement('a');
+    accountLink.href = 'account.html';
+    accountLink.className = 'account-link';
+    accountLink.textContent = customer ? `👤 ${customer.name}` : t('nav.signIn');
+    accountNav.appendChild(accountLink);
+    
+    if (customer) {
+        const logoutBtn = document.createElement('button');
+        logoutBtn.type = 'button';
+        logoutBtn.className = 'nav-logout-btn';
+        logoutBtn.textContent = t('nav.logOut');
+        logoutBtn.onclick = function() {
+            signOutCustomer();
+            window.location.reload();
+        };
+        accountNav.appendChild(logoutBtn);
+    }
+}
@@ -0,0 +1,320 @@
+/**
+ * Admin Audit Log Logic
+ * Handles the product history modal (with revert) and the activity feed in the admin panel (admins only)
+ */
+
+(function() {
+    // The admin view (admin.js), through which the panel's sections reach each other
+    const adminView = getView('/admin');
+    
+    // How many activity entries are shown at first, and how many more each "Show more" adds
+    const ACTIVITY_PAGE_SIZE = 25;
+    
+    // Number of activity entries currently shown
+    let activityLimit = ACTIVITY_PAGE_SIZE;
+    
+    // Product whose history is open ({id, name}, or null when the modal is closed)
+    let currentHistoryProduct = null;
+    
+    // How each action is shown
+    const AUDIT_ACTION_LABELS = {
+        create: 'Created',
+        update: 'Edited',
+        delete: 'Moved to trash',
+        restore: 'Restored',
+        purge: 'Deleted forever',
+        revert: 'Reverted'
+    };
+    
+    /**
+     * Format a field value for a diff (long values are shortened)
+     * @param {*} value - The value (undefined when the field wasn't set)
+     * @returns {string} Text to show
+     */
+    function formatAuditValue(value) {
+        if (value === undefined || value === null || value === '') {
+            return '(empty)';
+        }
+        
+        const text = typeof value === 'string' ? value : JSON.stringify(value);
+        return text.length > 80 ? `${text.slice(0, 77)}...` : text;
+    }
+    
+    /**
+     * Describe what happened in an entry, e.g. "Edited (import)"
+     * @param {Object} entry - Audit log entry
+     * @returns {string} Description
+     */
+    function describeAuditAction(entry) {
+        const label = AUDIT_ACTION_LABELS[entry.action] || entry.action;
+        
+        if (entry.source === 'import') {
+            return `${label} (import)`;
+        }
+        if (entry.source === 'category-rename') {
+            return `${label} (category renamed)`;
+        }
+        if (entry.action === 'revert') {
+            const revertedEntry = getAuditEntry(entry.revertedEntryId);
+            return revertedEntry
+                ? `${label} to before the change of ${new Date(revertedEntry.timestamp).toLocaleString()}`
+                : label;
+        }
+        
+        return label;
+    }
+    
+    /**
+     * Create the field-by-field list of changes of an entry
+     * @param {Array} changes - Array of {field, oldValue, newValue}
+     * @param {boolean} isNew - True for new products (only the new values are shown)
+     * @returns {HTMLElement} List element
+     */
+    function createAuditChangesList(changes, isNew) {
+        const list = document.createElement('ul');
+        list.className = 'audit-changes';
+        
+        changes.forEach(change => {
+            const item = document.createElement('li');
+            
+            const field = document.createElement('span');
+            field.className = 'audit-field';
+            field.textContent = `${change.field}: `;
+            item.appendChild(field);
+            
+            if (!isNew) {
+                const oldValue = document.createElement('del');
+                oldValue.textContent = formatAuditValue(change.oldValue);
+                item.appendChild(oldValue);
+                item.appendChild(document.createTextNode(' → '));
+            }
+            
+            const newValue = document.createElement('ins');
+            newValue.textContent = formatAuditValue(change.newValue);
+            item.appendChild(newValue);
+            
+            list.appendChild(item);
+        });
+        
+        return list;
+    }
+    
+    /**
+     * Create an audit log entry element (for the activity feed and the history modal)
+     * @param {Object} entry - Audit log entry
+     * @param {Object} options - {showProduct: link to the product's history, canRevert: show the revert button}
+     * @returns {HTMLElement} Entry element
+     */
+    function createAuditEntryElement(entry, options) {
+        const item = document.createElement('div');
+        item.className = 'audit-entry';
+        
+        // Create date, actor and action
+        const header = document.createElement('div');
+        header.className = 'audit-entry-header';
+        
+        const action = document.createElement('span');
+        action.className = `audit-action audit-action-${entry.action}`;
+        action.textContent = describeAuditAction(entry);
+        
+        const meta = document.createElement('span');
+        meta.className = 'audit-meta';
+        meta.textContent = `${new Date(entry.timestamp).toLocaleString()} · ${entry.actor || 'unknown'}`;
+        
+        header.appendChild(action);
+        
+        // Product name opens its history
+        if (options.showProduct) {
+            const productLink = document.createElement('button');
+            productLink.type = 'button';
+            productLink.className = 'audit-product-link';
+            productLink.textContent = entry.productName;
+            productLink.onclick = function() {
+                showProductHistory(entry.productId, entry.productName);
+            };
+            header.appendChild(productLink);
+        }
+        
+        header.appendChild(meta);
+        item.appendChild(header);
+        
+        // Create the diff
+        if (entry.changes.length > 0) {
+            item.appendChild(createAuditChangesList(entry.changes, entry.action === 'create'));
+        }
+        
+        // Edits can be reverted to the version before them
+        if (options.canRevert && ['update', 'revert'].includes(entry.action)) {
+            const revertBtn = document.createElement('button');
+            revertBtn.type = 'button';
+            revertBtn.className = 'btn btn-small';
+            revertBtn.textContent = 'Revert to before this change';
+            revertBtn.onclick = function() {
+                handleRevertProduct(entry);
+            };
+            adminView.applyRoleToButton(revertBtn, 'admin');
+            item.appendChild(revertBtn);
+        }
+        
+        return item;
+    }
+    
+    /**
+     * Show the history of a product in the history modal
+     * @param {number} productId - The ID of the product
+     * @param {string} productName - Its name (for the title)
+     * @returns {Promise} Resolves once the history is shown
+     */
+    async function showProductHistory(productId, productName) {
+        const history = getProductHistory(productId);
+        const historyList = document.getElementById('history-list');
+        
+        // Only products in the catalog can be reverted (trashed ones must be restored first)
+        const isInCatalog = Boolean(await getProductById(productId));
+        
+        currentHistoryProduct = { id: productId, name: productName };
+        document.getElementById('history-modal-title').textContent = `History: ${productName}`;
+        
+        // Clear existing content
+        historyList.innerHTML = '';
+        
+        if (history.length === 0) {
+            historyList.innerHTML = '<div class="no-products">No changes have been recorded for this product yet.</div>';
+        }
+        
+        history.forEach(entry => {
+            historyList.appendChild(createAuditEntryElement(entry, { showProduct: false, canRevert: isInCatalog }));
+        });
+        
+        // Only trap focus when the modal opens, not when an open history is refreshed
+        const modal = document.getElementById('history-modal');
+        if (!modal.classList.contains('active')) {
+            modal.classList.add('active');
+            trapDialogFocus(modal, closeHistoryModal);
+        }
+    }
+    
+    /**
+     * Handle reverting a product to the version before a change
+     * @param {Object} entry - The "update" or "revert" entry
+     * @returns {Promise} Resolves once the lists are reloaded
+     */
+    async function handleRevertProduct(entry) {
+        const confirmed = await showConfirmDialog(`Revert "${entry.productName}" to how it was before the change of ${new Date(entry.timestamp).toLocaleString()}? Later changes are undone too.`, {
+            title: 'Revert product',
+            confirmLabel: 'Revert'
+        });
+        if (!confirmed) {
+            return;
+        }
+        
+        try {
+            const product = await revertProduct(entry.id);
+            await adminView.loadProductsForEdit();
+            await adminView.loadCategoriesForEdit();
+            loadActivityFeed();
+            await showProductHistory(product.id, product.name);
+            showToast(`"${product.name}" was reverted.`, 'success');
+        } catch (error) {
+            console.error('Error reverting product:', error);
+            showToast(`Failed to revert product. ${error.message}`, 'error');
+        }
+    }
+    
+    /**
+     * Close the history modal
+     */
+    function closeHistoryModal() {
+        const modal = document.getElementById('history-modal');
+        modal.classList.remove('active');
+        releaseDialogFocus(modal);
+        currentHistoryProduct = null;
+    }
+    
+    /**
+     * Show the activity feed, filtered by the chosen action and dates
+     */
+    function loadActivityFeed() {
+        const activityList = document.getElementById('admin-activity-list');
+        const moreBtn = document.getElementById('activity-more-btn');
+        
+        // Clear existing content
+        activityList.innerHTML = '';
+        moreBtn.style.display = 'none';
+        
+        // Only admins see the activity feed
+        if (!hasAdminRole('admin')) {
+            return;
+        }
+        
+        const entries = filterAuditLog({
+            action: document.getElementById('activity-action-filter').value,
+            from: document.getElementById('activity-from').value,
+            to: document.getElementById('activity-to').value
+        });
+        
+        // If nothing matches, show message
+        if (entries.length === 0) {
+            activityList.innerHTML = '<div class="no-products">No activity found.</div>';
+            return;
+        }
+        
+        entries.slice(0, activityLimit).forEach(entry => {
+            activityList.appendChild(createAuditEntryElement(entry, { showProduct: true, canRevert: false }));
+        });
+        
+        if (entries.length > activityLimit) {
+            moreBtn.style.display = 'inline-block';
+            moreBtn.textContent = `Show more (${entries.length - activityLimit} older)`;
+        }
+    }
+    
+    /**
+     * Show the activity from the start again after the filters change
+     */
+    function handleActivityFilterChange() {
+        activityLimit = ACTIVITY_PAGE_SIZE;
+        loadActivityFeed();
+    }
+    
+    /**
+     * Refresh the open history modal (e.g. after the product changed in another tab)
+     * @returns {Promise} Resolves once the history is shown
+     */
+    async function refreshProductHistory() {
+        if (currentHistoryProduct) {
+            await showProductHistory(currentHistoryProduct.id, currentHistoryProduct.name);
+        }
+    }
+    
+    /**
+     * Set up event listeners for the history modal and the activity feed
+     */
+    function setupAuditEventListeners() {
+        document.getElementById('activity-action-filter').addEventListener('change', handleActivityFilterChange);
+        document.getElementById('activity-from').addEventListener('change', handleActivityFilterChange);
+        document.getElementById('activity-to').addEventListener('change', handleActivityFilterChange);
+        document.getElementById('activity-more-btn').addEventListener('click', function() {
+            activityLimit += ACTIVITY_PAGE_SIZE;
+            loadActivityFeed();
+        });
+        
+        document.getElementById('close-history-modal').addEventListener('click', closeHistoryModal);
+        
+        // Close modal when clicking outside of it
+        const modal = document.getElementById('history-modal');
+        modal.addEventListener('click', function(event) {
+            if (event.target === modal) {
+                closeHistoryModal();
+            }
+        });
+    }
+    
+    // Used by admin.js and the panel's other sections
+    Object.assign(adminView, {
+        showProductHistory: showProductHistory,
+        loadActivityFeed: loadActivityFeed,
+        refreshProductHistory: refreshProductHistory,
+        setupAuditEventListeners: setupAuditEventListeners
+    });
+})();
@@ -0,0 +1,315 @@
+/**
+ * Admin Authentication Module
+ * Handles staff accounts, password hashing, login sessions and roles for the admin panel
+ *
+ * Roles, from least to most access:
+ *   viewer - can see products and discount codes
+ *   editor - can also add, edit and import
+ *   admin  - can also delete and manage staff accounts
+ */
+
+// LocalStorage keys for staff accounts and the current login session
+const ADMIN_USERS_STORAGE_KEY = 'ecommerce_admin_users';
+const ADMIN_SESSION_STORAGE_KEY = 'ecommerce_admin_session';
+
+// Roles from least to most access
+const ADMIN_ROLES = ['viewer', 'editor', 'admin'];
+
+// Sessions end after this long without any admin activity (30 minutes)
+const ADMIN_SESSION_DURATION_MS = 30 * 60 * 1000;
+
+// PBKDF2 iterations used to hash passwords
+const PASSWORD_HASH_ITERATIONS = 100000;
+
+// Shortest password accepted for a staff account
+const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * Convert bytes to a hex string
+ * @param {Uint8Array} bytes - Bytes to convert
+ * @returns {string} Hex string
+ */
+function bytesToHex(bytes) {
+    return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Generate a random salt for hashing a password
+ * @returns {string} 16 random bytes as hex
+ */
+function generatePasswordSalt() {
+    return bytesToHex(crypto.getRandomValues(new Uint8Array(16)));
+}
+
+/**
+ * Hash a password with PBKDF2-SHA-256
+ * @param {string} password - The password
+ * @param {string} salt - The account's salt
+ * @returns {Promise<string>} The hash as hex
+ */
+async function hashPassword(password, salt) {
+    const encoder = new TextEncoder();
+    const key = await crypto.subtle.importKey('raw', encoder.encode(password), 'PBKDF2', false, ['deriveBits']);
+    const bits = await crypto.subtle.deriveBits(
+        { name: 'PBKDF2', salt: encoder.encode(salt), iterations: PASSWORD_HASH_ITERATIONS, hash: 'SHA-256' },
+        key,
+        256
+    );
+    
+    return bytesToHex(new Uint8Array(bits));
+}
+
+/**
+ * Get all staff accounts from LocalStorage
+ * @returns {Array} Array of accounts {username, role, salt, passwordHash, createdAt}
+ */
+function getAdminUsers() {
+    try {
+        const usersJson = localStorage.getItem(ADMIN_USERS_STORAGE_KEY);
+        
+        if (!usersJson) {
+            return [];
+        }
+        
+        return parseStoredJson(ADMIN_USERS_STORAGE_KEY, usersJson) || [];
+    } catch (error) {
+        console.error('Error getting admin users:', error);
+        return [];
+    }
+}
+
+/**
+ * Get a staff account by username (case-insensitive)
+ * @param {string} username - The username
+ * @returns {Object|null} The account or null if not found
+ */
+function getAdminUser(username) {
+    const normalizedUsername = (username || '').trim().toLowerCase();
+    return getAdminUsers().find(user => user.username.toLowerCase() === normalizedUsername) || null;
+}
+
+/**
+ * Check whether any staff account exists yet
+ * Until one does, the login screen offers to create the first admin account
+ * @returns {boolean} True if at least one account exists
+ */
+function hasAdminUsers() {
+    return getAdminUsers().length > 0;
+}
+
+/**
+ * Save all staff accounts to LocalStorage
+ * @param {Array} users - Array of accounts
+ */
+function saveAdminUsers(users) {
+    writeLocalStorage(ADMIN_USERS_STORAGE_KEY, JSON.stringify(users));
+}
+
+/**
+ * Create a staff account
+ * Only admins may create accounts, except for the very first one (which is always an admin)
+ * @param {Object} account - Account details {username, password, role}
+ * @returns {Promise<Object>} The new account (without password details)
+ * @throws {Error} With a message to show if the details aren't valid
+ */
+async function createAdminUser(account) {
+    const isFirstUser = !hasAdminUsers();
+    if (!isFirstUser) {
+        requireAdminRole('admin', 'add staff accounts');
+    }
+    
+    const username = (account.username || '').trim();
+    const role = isFirstUser ? 'admin' : account.role;
+    
+    if (!/^[A-Za-z0-9._-]{3,30}$/.test(username)) {
+        throw new Error('Usernames must be 3 to 30 letters, numbers, dots, dashes or underscores');
+    }
+    if (getAdminUser(username)) {
+        throw new Error(`The username "${username}" is already taken`);
+    }
+    if ((account.password || '').length < MIN_PASSWORD_LENGTH) {
+        throw new Error(`Passwords must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+    if (!ADMIN_ROLES.includes(role)) {
+        throw new Error('Please choose a role');
+    }
+    
+    try {
+        const salt = generatePasswordSalt();
+        const user = {
+            username: username,
+            role: role,
+            salt: salt,
+            passwordHash: await hashPassword(account.password, salt),
+            createdAt: new Date().toISOString()
+        };
+        
+        const users = getAdminUsers();
+        users.push(user);
+        saveAdminUsers(users);
+        
+        return { username: user.username, role: user.role, createdAt: user.createdAt };
+    } catch (error) {
+        console.error('Error creating admin user:', error);
+        throw error;
+    }
+}
+
+/**
+ * Change the role of a staff account
+ * @param {string} username - The username
+ * @param {string} role - The new role
+ * @throws {Error} If not allowed (e.g. it would leave the store without an admin)
+ */
+function updateAdminUserRole(username, role) {
+    requireAdminRole('admin', 'change staff roles');
+    
+    if (!ADMIN_ROLES.includes(role)) {
+        throw new Error('Please choose a role');
+    }
+    
+    const users = getAdminUsers();
+    const user = users.find(user => user.username.toLowerCase() === username.toLowerCase());
+    if (!user) {
+        throw new Error(`No staff account called "${username}"`);
+    }
+    
+    // Someone must always be able to manage the staff accounts
+    const otherAdmins = users.filter(other => other !== user && other.role === 'admin');
+    if (user.role === 'admin' && role !== 'admin' && otherAdmins.length === 0) {
+        throw new Error('The store needs at least one admin');
+    }
+    
+    user.role = role;
+    saveAdminUsers(users);
+}
+
+/**
+ * Delete a staff account
+ * @param {string} username - The username
+ * @throws {Error} If not allowed (e.g. deleting your own account)
+ */
+function deleteAdminUser(username) {
+    const session = requireAdminRole('admin', 'delete staff accounts');
+    
+    if (session.username.toLowerCase() === username.toLowerCase()) {
+        throw new Error('You can\'t delete your own account');
+    }
+    
+    const users = getAdminUsers();
+    saveAdminUsers(users.filter(user => user.username.toLowerCase() !== username.toLowerCase()));
+}
+
+/**
+ * Put back a deleted staff account as it was (used to undo a delete in the admin panel)
+ * @param {Object} user - The deleted account {username, salt, passwordHash, role, createdAt}
+ * @throws {Error} If not allowed, or an account with the same username was added in the meantime
+ */
+function restoreAdminUser(user) {
+    requireAdminRole('admin', 'restore staff accounts');
+    
+    if (getAdminUser(user.username)) {
+        throw new Error(`An account named "${user.username}" already exists`);
+    }
+    
+    saveAdminUsers([...getAdminUsers(), user]);
+}
+
+/**
+ * Log in to the admin panel
+ * @param {string} username - The username
+ * @param {string} password - The password
+ * @returns {Promise<Object>} The new session (see getAdminSession())
+ * @throws {Error} If the username or password is wrong
+ */
+async function loginAdmin(username, password) {
+    const user = getAdminUser(username);
+    
+    // Hash even for unknown users so both cases take about the same time
+    const salt = user ? user.salt : generatePasswordSalt();
+    const passwordHash = await hashPassword(password || '', salt);
+    
+    if (!user || passwordHash !== user.passwordHash) {
+        throw new Error('Incorrect username or password');
+    }
+    
+    saveAdminSession(user.username);
+    return getAdminSession();
+}
+
+/**
+ * Log out of the admin panel
+ */
+function logoutAdmin() {
+    localStorage.removeItem(ADMIN_SESSION_STORAGE_KEY);
+}
+
+/**
+ * Save a session for a user that lasts ADMIN_SESSION_DURATION_MS from now
+ * @param {string} username - The username
+ */
+function saveAdminSession(username) {
+    writeLocalStorage(ADMIN_SESSION_STORAGE_KEY, JSON.stringify({
+        username: username,
+        expiresAt: Date.now() + ADMIN_SESSION_DURATION_MS
+    }));
+}
+
+/**
+ * Get the current login session
+ * The role is read from the account, so role changes and deleted accounts apply straight away
+ * @returns {Object|null} Session {username, role, expiresAt}, or null if not logged in or expired
+ */
+function getAdminSession() {
+    try {
+        const session = JSON.parse(localStorage.getItem(ADMIN_SESSION_STORAGE_KEY));
+        const user = session ? getAdminUser(session.username) : null;
+        
+        if (!user || !(session.expiresAt > Date.now())) {
+            logoutAdmin();
+            return null;
+        }
+        
+        return {
+            username: user.username,
+            role: user.role,
+            expiresAt: session.expiresAt
+        };
+    } catch (error) {
+        console.error('Error getting admin session:', error);
+        return null;
+    }
+}
+
+/**
+ * Check whether the logged in user has a role (or a role with more access)
+ * @param {string} role - "viewer", "editor" or "admin"
+ * @returns {boolean} True if the user has the role
+ */
+function hasAdminRole(role) {
+    const session = getAdminSession();
+    return !!session && ADMIN_ROLES.indexOf(session.role) >= ADMIN_ROLES.indexOf(role);
+}
+
+/**
+ * Make sure the logged in user has a role before changing admin data
+ * Also extends the session, since the user is active
+ * @param {string} role - "viewer", "editor" or "admin"
+ * @param {string} action - What the user is trying to do, for the error message (e.g. "delete products")
+ * @returns {Object} The session
+ * @throws {Error} If nobody is logged in or the user's role doesn't allow it
+ */
+function requireAdminRole(role, action) {
+    const session = getAdminSession();
+    
+    if (!session) {
+        throw new Error(`Please log in to the admin panel to ${action}`);
+    }
+    
+    if (!hasAdminRole(role)) {
+        throw new Error(`Your role (${session.role}) can't ${action}`);
+    }
+    
+    saveAdminSession(session.username);
+    return session;
+}
@@ -0,0 +1,347 @@
+/**
+ * Admin Categories Logic
+ * Handles managing categories in the admin panel: add, edit (rename, move), reorder, delete
+ */
+
+(function() {
+    // The admin view (admin.js), through which the panel's sections reach each other
+    const adminView = getView('/admin');
+    
+    // ID of the category being edited (null when adding a new one)
+    let currentEditCategoryId = null;
+    
+    /**
+     * Load all categories and display them in the admin panel, subcategories under their parents
+     * @returns {Promise} Resolves once the categories are shown
+     */
+    async function loadCategoriesForEdit() {
+        const categories = getCategoryTree();
+        const counts = getCategoryCounts(await getAllProducts());
+        const categoriesList = document.getElementById('admin-categories-list');
+        
+        // Clear existing content
+        categoriesList.innerHTML = '';
+        
+        // If no categories, show message
+        if (categories.length === 0) {
+            categoriesList.innerHTML = '<div class="no-products">No categories yet. Add your first category!</div>';
+            return;
+        }
+        
+        categories.forEach(category => {
+            const siblings = categories.filter(sibling => sibling.parentId === category.parentId);
+            categoriesList.appendChild(createAdminCategoryItem(category, counts[category.name] || 0, siblings));
+        });
+    }
+    
+    /**
+     * Create an admin category item element (for the category list)
+     * @param {Object} category - Category object (from getCategoryTree())
+     * @param {number} productCount - Number of products in the category
+     * @param {Array} siblings - The category and the other subcategories of its parent, in order
+     * @returns {HTMLElement} Category item element
+     */
+    function createAdminCategoryItem(category, productCount, siblings) {
+        const item = document.createElement('div');
+        item.className = 'admin-category-item';
+        
+        // Create name (indented under its parent) and description
+        const details = document.createElement('div');
+        details.style.paddingLeft = `${category.depth * 1.5}rem`;
+        
+        const name = document.createElement('div');
+        name.className = 'admin-product-name';
+        name.textContent = category.depth > 0 ? `↳ ${category.name}` : category.name;
+        details.appendChild(name);
+        
+        if (category.description) {
+            const description = document.createElement('div');
+            description.className = 'admin-product-category';
+            description.textContent = category.description;
+            details.appendChild(description);
+        }
+        
+        // Create slug
+        const slug = document.createElement('div');
+        slug.className = 'admin-category-slug';
+        slug.textContent = category.slug;
+        
+        // Create product count
+        const count = document.createElement('div');
+        count.className = 'admin-product-stock';
+        count.textContent = `${productCount} product${productCount === 1 ? '' : 's'}`;
+        
+        // Create actions container
+        const actions = document.createElement('div');
+        actions.className = 'admin-actions';
+        
+        const position = siblings.findIndex(sibling => sibling.id === category.id);
+        
+        const upBtn = document.createElement('button');
+        upBtn.className = 'btn btn-small';
+        upBtn.textContent = '↑';
+        upBtn.title = 'Move up';
+        upBtn.disabled = position === 0;
+        upBtn.onclick = function() {
+            handleMoveCategory(category.id, -1);
+        };
+        adminView.applyRoleToButton(upBtn, 'editor');
+        
+        const downBtn = document.createElement('button');
+        downBtn.className = 'btn btn-small';
+        downBtn.textContent = '↓';
+        downBtn.title = 'Move down';
+        downBtn.disabled = position === siblings.length - 1;
+        downBtn.onclick = function() {
+            handleMoveCategory(category.id, 1);
+        };
+        adminView.applyRoleToButton(downBtn, 'editor');
+        
+        const editBtn = document.createElement('button');
+        editBtn.className = 'btn btn-primary btn-small';
+        editBtn.textContent = 'Edit';
+        editBtn.onclick = function() {
+            showEditCategoryForm(category.id);
+        };
+        adminView.applyRoleToButton(editBtn, 'editor');
+        
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'btn btn-danger btn-small';
+        deleteBtn.textContent = 'Delete';
+        deleteBtn.onclick = function() {
+            handleDeleteCategory(category.id);
+        };
+        adminView.applyRoleToButton(deleteBtn, 'admin');
+        
+        actions.appendChild(upBtn);
+        actions.appendChild(downBtn);
+        actions.appendChild(editBtn);
+        actions.appendChild(deleteBtn);
+        
+        // Assemble the item
+        item.appendChild(details);
+        item.appendChild(slug);
+        item.appendChild(count);
+        item.appendChild(actions);
+        
+        return item;
+    }
+    
+    /**
+     * Show the slug that will be used when the slug field is left empty
+     */
+    function updateCategorySlugPlaceholder() {
+        document.getElementById('category-slug').placeholder =
+            slugifyCategoryName(document.getElementById('category-name').value) || 'e.g. home-and-garden';
+    }
+    
+    /**
+     * Show the add category form (reset form and open modal)
+     */
+    function showAddCategoryForm() {
+        currentEditCategoryId = null;
+        
+        document.getElementById('category-modal-title').textContent = 'Add Category';
+        document.getElementById('category-form').reset();
+        populateCategorySelect(document.getElementById('category-parent'), 'None (top-level category)', { valueField: 'id' });
+        updateCategorySlugPlaceholder();
+        clearErrorMessages();
+        
+        openCategoryModal();
+    }
+    
+    /**
+     * Show the edit category form (populate with category data)
+     * @param {number} id - The ID of the category to edit
+     */
+    function showEditCategoryForm(id) {
+        const category = getCategoryById(id);
+        
+        if (!category) {
+            showToast('Category not found.', 'error');
+            return;
+        }
+        
+        currentEditCategoryId = id;
+        
+        document.getElementById('category-modal-title').textContent = 'Edit Category';
+        document.getElementById('category-form').reset();
+        
+        // A category can't be moved under itself or its own subcategories
+        populateCategorySelect(document.getElementById('category-parent'), 'None (top-level category)', {
+            valueField: 'id',
+            excludeId: id
+        });
+        
+        // Populate form fields with category data
+        document.getElementById('category-name').value = category.name;
+        document.getElementById('category-slug').value = category.slug;
+        document.getElementById('category-parent').value = category.parentId === null ? '' : category.parentId;
+        document.getElementById('category-description').value = category.description || '';
+        
+        updateCategorySlugPlaceholder();
+        clearErrorMessages();
+        
+        openCategoryModal();
+    }
+    
+    /**
+     * Show the category modal, keeping keyboard focus inside it until it closes
+     */
+    function openCategoryModal() {
+        const modal = document.getElementById('category-modal');
+        modal.classList.add('active');
+        trapDialogFocus(modal, closeCategoryModal);
+    }
+    
+    /**
+     * Handle category form submission (add or update category)
+     * @param {Event} event - Form submit event
+     * @returns {Promise} Resolves once the category is saved (or the errors are shown)
+     */
+    async function handleCategoryFormSubmit(event) {
+        event.preventDefault();
+        
+        // Clear previous error messages
+        clearErrorMessages();
+        
+        // Get form values
+        const parentValue = document.getElementById('category-parent').value;
+        const categoryData = {
+            name: document.getElementById('category-name').value.trim(),
+            slug: document.getElementById('category-slug').value.trim().toLowerCase(),
+            description: document.getElementById('category-description').value.trim(),
+            parentId: parentValue === '' ? null : Number(parentValue)
+        };
+        
+        // Validate form fields
+        const errors = validateCategoryFields(categoryData, currentEditCategoryId);
+        showError('category-name-error', errors.name || '');
+        showError('category-slug-error', errors.slug || '');
+        showError('category-parent-error', errors.parentId || '');
+        showError('category-description-error', errors.description || '');
+        
+        if (Object.keys(errors).length > 0) {
+            return;
+        }
+        
+        try {
+            if (currentEditCategoryId !== null) {
+                // Renaming also renames the category on its products and discount codes
+                // (and so does renaming it back with "Undo")
+                const categoryId = currentEditCategoryId;
+                const previousCategory = getCategoryById(categoryId);
+                await updateCategory(categoryId, categoryData);
+                showUndoToast(`The category "${categoryData.name}" was updated.`, async function() {
+                    await updateCategory(categoryId, previousCategory);
+                    await loadCategoriesForEdit();
+                    await adminView.loadProductsForEdit();
+                    adminView.loadDiscountsForEdit();
+                    adminView.loadActivityFeed();
+                });
+            } else {
+                addCategory(categoryData);
+                showToast(`The category "${categoryData.name}" was added.`, 'success');
+            }
+            
+            closeCategoryModal();
+            await loadCategoriesForEdit();
+            await adminView.loadProductsForEdit();
+            adminView.loadDiscountsForEdit();
+            adminView.loadActivityFeed(); // Renamed categories are logged on each product
+        } catch (error) {
+            console.error('Error saving category:', error);
+            showToast(`Failed to save category. ${error.message}`, 'error');
+        }
+    }
+    
+    /**
+     * Handle moving a category up or down among its siblings
+     * @param {number} id - The ID of the category
+     * @param {number} direction - -1 to move up, 1 to move down
+     * @returns {Promise} Resolves once the list is reloaded
+     */
+    async function handleMoveCategory(id, direction) {
+        try {
+            moveCategory(id, direction);
+            await loadCategoriesForEdit();
+        } catch (error) {
+            console.error('Error moving category:', error);
+            showToast(`Failed to move category. ${error.message}`, 'error');
+        }
+    }
+    
+    /**
+     * Handle category deletion
+     * @param {number} id - The ID of the category to delete
+     * @returns {Promise} Resolves once the list is reloaded
+     */
+    async function handleDeleteCategory(id) {
+        const category = getCategoryById(id);
+        
+        if (!category) {
+            return;
+        }
+        
+        const confirmed = await showConfirmDialog(`Are you sure you want to delete the category "${category.name}"? Its subcategories will move up a level.`, {
+            title: 'Delete category',
+            confirmLabel: 'Delete',
+            danger: true
+        });
+        if (!confirmed) {
+            return;
+        }
+        
+        try {
+            // Remember its subcategories so "Undo" can move them back under it
+            const childIds = getChildCategories(getCategories(), id).map(child => child.id);
+            await deleteCategory(id);
+            await loadCategoriesForEdit();
+            showUndoToast(`The category "${category.name}" was deleted.`, async function() {
+                restoreCategory(category, childIds);
+                await loadCategoriesForEdit();
+            });
+        } catch (error) {
+            // e.g. the category still has products
+            console.error('Error deleting category:', error);
+            showToast(`Failed to delete category. ${error.message}`, 'error');
+        }
+    }
+    
+    /**
+     * Close the category modal
+     */
+    function closeCategoryModal() {
+        const modal = document.getElementById('category-modal');
+        modal.classList.remove('active');
+        releaseDialogFocus(modal);
+        document.getElementById('category-form').reset();
+        currentEditCategoryId = null;
+        clearErrorMessages();
+    }
+    
+    /**
+     * Set up event listeners for the categories section
+     */
+    function setupCategoryEventListeners() {
+        document.getElementById('add-category-btn').addEventListener('click', showAddCategoryForm);
+        document.getElementById('category-form').addEventListener('submit', handleCategoryFormSubmit);
+        document.getElementById('category-name').addEventListener('input', updateCategorySlugPlaceholder);
+        document.getElementById('close-category-modal').addEventListener('click', closeCategoryModal);
+        document.getElementById('cancel-category-btn').addEventListener('click', closeCategoryModal);
+        
+        // Close modal when clicking outside of it
+        const modal = document.getElementById('category-modal');
+        modal.addEventListener('click', function(event) {
+            if (event.target === modal) {
+                closeCategoryModal();
+            }
+        });
+    }
+    
+    // Used by admin.js and the panel's other sections
+    Object.assign(adminView, {
+        loadCategoriesForEdit: loadCategoriesForEdit,
+        setupCategoryEventListeners: setupCategoryEventListeners
+    });
+})();
@@ -0,0 +1,252 @@
+/**
+ * Admin Currencies Logic
+ * Handles managing the currencies shoppers can choose and their exchange rates: add, edit, delete
+ */
+
+(function() {
+    // The admin view (admin.js), through which the panel's sections reach each other
+    const adminView = getView('/admin');
+    
+    // Code of the currency being edited (null when adding a new one)
+    let currentEditCurrencyCode = null;
+    
+    /**
+     * Load all currencies and display them in the admin panel
+     */
+    function loadCurrenciesForEdit() {
+        const currenciesList = document.getElementById('admin-currencies-list');
+        
+        // Clear existing content
+        currenciesList.innerHTML = '';
+        
+        getCurrencies().forEach(currency => {
+            currenciesList.appendChild(createAdminCurrencyItem(currency));
+        });
+    }
+    
+    /**
+     * Create an admin currency item element (for the currency list)
+     * @param {Object} currency - Currency {code, rate}
+     * @returns {HTMLElement} Currency item element
+     */
+    function createAdminCurrencyItem(currency) {
+        const item = document.createElement('div');
+        item.className = 'admin-currency-item';
+        
+        // Create code
+        const code = document.createElement('div');
+        code.className = 'admin-discount-code';
+        code.textContent = currency.code;
+        
+        // Create exchange rate (e.g. "1 USD = 0.92 EUR")
+        const rate = document.createElement('div');
+        rate.textContent = currency.code === BASE_CURRENCY
+            ? 'Base currency (prices are entered in it)'
+            : `1 ${BASE_CURRENCY} = ${currency.rate} ${currency.code} · ${formatMoney(100, BASE_CURRENCY)} is shown as ${formatMoney(convertAmount(100, currency), currency.code)}`;
+        
+        // Create actions container
+        const actions = document.createElement('div');
+        actions.className = 'admin-actions';
+        
+        // The base currency can't be changed or deleted
+        if (currency.code !== BASE_CURRENCY) {
+            const editBtn = document.createElement('button');
+            editBtn.className = 'btn btn-primary btn-small';
+            editBtn.textContent = 'Edit';
+            editBtn.onclick = function() {
+                showEditCurrencyForm(currency.code);
+            };
+            adminView.applyRoleToButton(editBtn, 'admin');
+            
+            const deleteBtn = document.createElement('button');
+            deleteBtn.className = 'btn btn-danger btn-small';
+            deleteBtn.textContent = 'Delete';
+            deleteBtn.onclick = function() {
+                handleDeleteCurrency(currency.code);
+            };
+            adminView.applyRoleToButton(deleteBtn, 'admin');
+            
+            actions.appendChild(editBtn);
+            actions.appendChild(deleteBtn);
+        }
+        
+        // Assemble the item
+        item.appendChild(code);
+        item.appendChild(rate);
+        item.appendChild(actions);
+        
+        return item;
+    }
+    
+    /**
+     * Show the add currency form (empty form)
+     */
+    function showAddCurrencyForm() {
+        currentEditCurrencyCode = null;
+        
+        document.getElementById('currency-modal-title').textContent = 'Add Currency';
+        document.getElementById('currency-form').reset();
+        document.getElementById('currency-code-field').disabled = false;
+        clearErrorMessages();
+        
+        openCurrencyModal();
+    }
+    
+    /**
+     * Show the edit currency form (only the exchange rate can change)
+     * @param {string} code - The code of the currency to edit
+     */
+    function showEditCurrencyForm(code) {
+        const currency = getCurrencyByCode(code);
+        
+        if (!currency) {
+            showToast('Currency not found.', 'error');
+            return;
+        }
+        
+        currentEditCurrencyCode = currency.code;
+        
+        document.getElementById('currency-modal-title').textContent = 'Edit Exchange Rate';
+        document.getElementById('currency-form').reset();
+        document.getElementById('currency-code-field').value = currency.code;
+        document.getElementById('currency-code-field').disabled = true;
+        document.getElementById('currency-rate').value = currency.rate;
+        clearErrorMessages();
+        
+        openCurrencyModal();
+    }
+    
+    /**
+     * Show the currency modal, keeping keyboard focus inside it until it closes
+     */
+    function openCurrencyModal() {
+        const modal = document.getElementById('currency-modal');
+        modal.classList.add('active');
+        trapDialogFocus(modal, closeCurrencyModal);
+    }
+    
+    /**
+     * Handle currency form submission (add a currency or change its rate)
+     * @param {Event} event - Form submit event
+     */
+    function handleCurrencyFormSubmit(event) {
+        event.preventDefault();
+        
+        // Clear previous error messages
+        clearErrorMessages();
+        
+        // Get form values
+        const code = document.getElementById('currency-code-field').value.trim().toUpperCase();
+        const rateInput = document.getElementById('currency-rate').value.trim();
+        const rate = Number(rateInput);
+        
+        // Validate form fields
+        let isValid = true;
+        
+        if (!currentEditCurrencyCode) {
+            if (!isSupportedCurrency(code)) {
+                showError('currency-code-error', 'Please enter a 3-letter currency code (e.g. EUR)');
+                isValid = false;
+            } else if (getCurrencyByCode(code)) {
+                showError('currency-code-error', 'This currency already exists');
+                isValid = false;
+            }
+        }
+        
+        if (rateInput === '' || isNaN(rate) || rate <= 0) {
+            showError('currency-rate-error', 'Please enter a rate greater than 0');
+            isValid = false;
+        }
+        
+        // If validation fails, stop submission
+        if (!isValid) {
+            return;
+        }
+        
+        try {
+            if (currentEditCurrencyCode) {
+                // Keep the old rate for "Undo"
+                const previousRate = getCurrencyByCode(currentEditCurrencyCode).rate;
+                updateCurrencyRate(currentEditCurrencyCode, rate);
+                showUndoToast(`The rate of ${currentEditCurrencyCode} was updated.`, function() {
+                    updateCurrencyRate(code, previousRate);
+                    loadCurrenciesForEdit();
+                });
+            } else {
+                addCurrency({ code: code, rate: rate });
+                showToast(`Shoppers can now choose ${code}.`, 'success');
+            }
+            
+            closeCurrencyModal();
+            loadCurrenciesForEdit();
+        } catch (error) {
+            console.error('Error saving currency:', error);
+            showToast(`Failed to save currency. ${error.message}`, 'error');
+        }
+    }
+    
+    /**
+     * Handle currency deletion
+     * @param {string} code - The code of the currency to delete
+     * @returns {Promise} Resolves once the list is reloaded
+     */
+    async function handleDeleteCurrency(code) {
+        const confirmed = await showConfirmDialog(`Are you sure you want to delete ${code}? Shoppers who chose it will see prices in ${BASE_CURRENCY}. Past orders keep the currency they were placed in.`, {
+            title: 'Delete currency',
+            confirmLabel: 'Delete',
+            danger: true
+        });
+        if (!confirmed) {
+            return;
+        }
+        
+        try {
+            const currency = getCurrencyByCode(code);
+            deleteCurrency(code);
+            loadCurrenciesForEdit();
+            showUndoToast(`${code} was deleted.`, function() {
+                addCurrency(currency);
+                loadCurrenciesForEdit();
+            });
+        } catch (error) {
+            console.error('Error deleting currency:', error);
+            showToast(`Failed to delete currency. ${error.message}`, 'error');
+        }
+    }
+    
+    /**
+     * Close the currency modal
+     */
+    function closeCurrencyModal() {
+        const modal = document.getElementById('currency-modal');
+        modal.classList.remove('active');
+        releaseDialogFocus(modal);
+        document.getElementById('currency-form').reset();
+        currentEditCurrencyCode = null;
+        clearErrorMessages();
+    }
+    
+    /**
+     * Set up event listeners for the currencies section
+     */
+    function setupCurrencyEventListeners() {
+        document.getElementById('add-currency-btn').addEventListener('click', showAddCurrencyForm);
+        document.getElementById('currency-form').addEventListener('submit', handleCurrencyFormSubmit);
+        document.getElementById('close-currency-modal').addEventListener('click', closeCurrencyModal);
+        document.getElementById('cancel-currency-btn').addEventListener('click', closeCurrencyModal);
+        
+        // Close modal when clicking outside of it
+        const modal = document.getElementById('currency-modal');
+        modal.addEventListener('click', function(event) {
+            if (event.target === modal) {
+                closeCurrencyModal();
+            }
+        });
+    }
+    
+    // Used by admin.js and the panel's other sections
+    Object.assign(adminView, {
+        loadCurrenciesForEdit: loadCurrenciesForEdit,
+        setupCurrencyEventListeners: setupCurrencyEventListeners
+    });
+})();
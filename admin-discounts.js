@@ -0,0 +1,349 @@
+/**
+ * Admin Discount Codes Logic
+ * Handles managing discount codes in the admin panel: add, edit, delete
+ */
+
+(function() {
+    // The admin view (admin.js), through which the panel's sections reach each other
+    const adminView = getView('/admin');
+    
+    // Code of the discount being edited (null when adding a new one)
+    let currentEditDiscountCode = null;
+    
+    /**
+     * Load all discount codes and display them in the admin panel
+     */
+    function loadDiscountsForEdit() {
+        const discounts = getAllDiscounts();
+        const discountsList = document.getElementById('admin-discounts-list');
+        
+        // Clear existing content
+        discountsList.innerHTML = '';
+        
+        // If no discounts, show message
+        if (discounts.length === 0) {
+            discountsList.innerHTML = '<div class="no-products">No discount codes yet. Add your first code!</div>';
+            return;
+        }
+        
+        discounts.forEach(discount => {
+            discountsList.appendChild(createAdminDiscountItem(discount));
+        });
+    }
+    
+    /**
+     * Create an admin discount item element (for the discount list)
+     * @param {Object} discount - Discount object
+     * @returns {HTMLElement} Discount item element
+     */
+    function createAdminDiscountItem(discount) {
+        const item = document.createElement('div');
+        item.className = 'admin-discount-item';
+        
+        // Create code
+        const code = document.createElement('div');
+        code.className = 'admin-discount-code';
+        code.textContent = discount.code;
+        
+        // Create description
+        const description = document.createElement('div');
+        description.textContent = describeDiscount(discount);
+        
+        // Create usage count
+        const usage = document.createElement('div');
+        usage.className = 'admin-product-stock';
+        usage.textContent = typeof discount.usageLimit === 'number'
+            ? `Used ${discount.timesUsed} / ${discount.usageLimit}`
+            : `Used ${discount.timesUsed}`;
+        
+        // Create expiry / status
+        const status = document.createElement('div');
+        status.className = 'admin-product-stock';
+        const problem = getDiscountProblem(discount);
+        if (problem) {
+            status.textContent = isDiscountExpired(discount) ? 'Expired' : 'Used up';
+            status.classList.add('out-of-stock');
+        } else {
+            status.textContent = discount.expiresAt ? `Expires ${discount.expiresAt}` : 'No expiry';
+        }
+        
+        // Create actions container
+        const actions = document.createElement('div');
+        actions.className = 'admin-actions';
+        
+        const editBtn = document.createElement('button');
+        editBtn.className = 'btn btn-primary btn-small';
+        editBtn.textContent = 'Edit';
+        editBtn.onclick = function() {
+            showEditDiscountForm(discount.code);
+        };
+        adminView.applyRoleToButton(editBtn, 'editor');
+        
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'btn btn-danger btn-small';
+        deleteBtn.textContent = 'Delete';
+        deleteBtn.onclick = function() {
+            handleDeleteDiscount(discount.code);
+        };
+        adminView.applyRoleToButton(deleteBtn, 'admin');
+        
+        actions.appendChild(editBtn);
+        actions.appendChild(deleteBtn);
+        
+        // Assemble the item
+        item.appendChild(code);
+        item.appendChild(description);
+        item.appendChild(usage);
+        item.appendChild(status);
+        item.appendChild(actions);
+        
+        return item;
+    }
+    
+    /**
+     * Fill the discount category dropdown with the store categories
+     */
+    function populateDiscountCategories() {
+        populateCategorySelect(document.getElementById('discount-category'), 'All products');
+    }
+    
+    /**
+     * Show only the form fields that apply to the selected discount type
+     */
+    function updateDiscountFieldVisibility() {
+        const type = document.getElementById('discount-type').value;
+        
+        document.getElementById('discount-value-group').style.display =
+            type === 'percentage' || type === 'fixed' ? 'block' : 'none';
+        document.getElementById('discount-buy-get-group').style.display =
+            type === 'buy-x-get-y' ? 'block' : 'none';
+        document.getElementById('discount-category-group').style.display =
+            type === 'free-shipping' ? 'none' : 'block';
+        
+        document.getElementById('discount-value-label').textContent =
+            type === 'percentage' ? 'Percent Off (%) *' : 'Amount Off ($) *';
+    }
+    
+    /**
+     * Show the add discount form (reset form and open modal)
+     */
+    function showAddDiscountForm() {
+        currentEditDiscountCode = null;
+        
+        document.getElementById('discount-modal-title').textContent = 'Add Discount Code';
+        document.getElementById('discount-form').reset();
+        populateDiscountCategories();
+        updateDiscountFieldVisibility();
+        clearErrorMessages();
+        
+        openDiscountModal();
+    }
+    
+    /**
+     * Show the edit discount form (populate with discount data)
+     * @param {string} code - The code of the discount to edit
+     */
+    function showEditDiscountForm(code) {
+        const discount = getDiscountByCode(code);
+        
+        if (!discount) {
+            showToast('Discount code not found.', 'error');
+            return;
+        }
+        
+        currentEditDiscountCode = discount.code;
+        
+        document.getElementById('discount-modal-title').textContent = 'Edit Discount Code';
+        document.getElementById('discount-form').reset();
+        populateDiscountCategories();
+        
+        // Populate form fields with discount data
+        document.getElementById('discount-code-field').value = discount.code;
+        document.getElementById('discount-type').value = discount.type;
+        document.getElementById('discount-value').value = typeof discount.value === 'number' ? discount.value : '';
+        document.getElementById('discount-buy-quantity').value = discount.buyQuantity || '';
+        document.getElementById('discount-get-quantity').value = discount.getQuantity || '';
+        document.getElementById('discount-category').value = discount.category || '';
+        document.getElementById('discount-expires').value = discount.expiresAt || '';
+        document.getElementById('discount-usage-limit').value = typeof discount.usageLimit === 'number' ? discount.usageLimit : '';
+        
+        updateDiscountFieldVisibility();
+        clearErrorMessages();
+        
+        openDiscountModal();
+    }
+    
+    /**
+     * Show the discount modal, keeping keyboard focus inside it until it closes
+     */
+    function openDiscountModal() {
+        const modal = document.getElementById('discount-modal');
+        modal.classList.add('active');
+        trapDialogFocus(modal, closeDiscountModal);
+    }
+    
+    /**
+     * Handle discount form submission (add or update discount)
+     * @param {Event} event - Form submit event
+     */
+    function handleDiscountFormSubmit(event) {
+        event.preventDefault();
+        
+        // Clear previous error messages
+        clearErrorMessages();
+        
+        // Get form values
+        const code = normalizeDiscountCode(document.getElementById('discount-code-field').value);
+        const type = document.getElementById('discount-type').value;
+        const valueInput = document.getElementById('discount-value').value.trim();
+        const value = Number(valueInput);
+        const buyQuantity = Number(document.getElementById('discount-buy-quantity').value);
+        const getQuantity = Number(document.getElementById('discount-get-quantity').value);
+        const category = document.getElementById('discount-category').value;
+        const expiresAt = document.getElementById('discount-expires').value;
+        const usageLimitInput = document.getElementById('discount-usage-limit').value.trim();
+        const usageLimit = Number(usageLimitInput);
+        
+        // Validate form fields
+        let isValid = true;
+        
+        if (!/^[A-Z0-9_-]+$/.test(code)) {
+            showError('discount-code-error', 'Use letters, numbers, dashes or underscores only');
+            isValid = false;
+        } else if (code !== currentEditDiscountCode && getDiscountByCode(code)) {
+            showError('discount-code-error', 'This code already exists');
+            isValid = false;
+        }
+        
+        if (type === 'percentage' && (valueInput === '' || isNaN(value) || value <= 0 || value > 100)) {
+            showError('discount-value-error', 'Please enter a percentage between 1 and 100');
+            isValid = false;
+        }
+        
+        if (type === 'fixed' && (valueInput === '' || isNaN(value) || value <= 0)) {
+            showError('discount-value-error', 'Please enter an amount greater than 0');
+            isValid = false;
+        }
+        
+        if (type === 'buy-x-get-y' && (!Number.isInteger(buyQuantity) || buyQuantity < 1 ||
+            !Number.isInteger(getQuantity) || getQuantity < 1)) {
+            showError('discount-buy-get-error', 'Please enter whole numbers of 1 or more');
+            isValid = false;
+        }
+        
+        if (usageLimitInput !== '' && (!Number.isInteger(usageLimit) || usageLimit < 1)) {
+            showError('discount-usage-limit-error', 'Please enter a whole number of 1 or more, or leave empty');
+            isValid = false;
+        }
+        
+        // If validation fails, stop submission
+        if (!isValid) {
+            return;
+        }
+        
+        // Create discount object with only the fields its type uses
+        const discountData = {
+            code: code,
+            type: type,
+            category: type === 'free-shipping' ? '' : category,
+            expiresAt: expiresAt || null,
+            usageLimit: usageLimitInput === '' ? null : usageLimit
+        };
+        
+        if (type === 'percentage' || type === 'fixed') {
+            discountData.value = value;
+        }
+        
+        if (type === 'buy-x-get-y') {
+            discountData.buyQuantity = buyQuantity;
+            discountData.getQuantity = getQuantity;
+        }
+        
+        try {
+            if (currentEditDiscountCode) {
+                // Keep the old version for "Undo"
+                const previousDiscount = getDiscountByCode(currentEditDiscountCode);
+                updateDiscount(currentEditDiscountCode, discountData);
+                showUndoToast(`The code "${code}" was updated.`, function() {
+                    updateDiscount(code, previousDiscount);
+                    loadDiscountsForEdit();
+                });
+            } else {
+                addDiscount(discountData);
+                showToast(`The code "${code}" was added.`, 'success');
+            }
+            
+            closeDiscountModal();
+            loadDiscountsForEdit();
+        } catch (error) {
+            console.error('Error saving discount:', error);
+            showToast(`Failed to save discount code. ${error.message}`, 'error');
+        }
+    }
+    
+    /**
+     * Handle discount deletion
+     * @param {string} code - The code of the discount to delete
+     * @returns {Promise} Resolves once the list is reloaded
+     */
+    async function handleDeleteDiscount(code) {
+        const confirmed = await showConfirmDialog(`Are you sure you want to delete the code "${code}"? Shoppers will no longer be able to use it.`, {
+            title: 'Delete discount code',
+            confirmLabel: 'Delete',
+            danger: true
+        });
+        if (!confirmed) {
+            return;
+        }
+        
+        try {
+            const discount = getDiscountByCode(code);
+            deleteDiscount(code);
+            loadDiscountsForEdit();
+            showUndoToast(`The code "${code}" was deleted.`, function() {
+                restoreDiscount(discount);
+                loadDiscountsForEdit();
+            });
+        } catch (error) {
+            console.error('Error deleting discount:', error);
+            showToast(`Failed to delete discount code. ${error.message}`, 'error');
+        }
+    }
+    
+    /**
+     * Close the discount modal
+     */
+    function closeDiscountModal() {
+        const modal = document.getElementById('discount-modal');
+        modal.classList.remove('active');
+        releaseDialogFocus(modal);
+        document.getElementById('discount-form').reset();
+        currentEditDiscountCode = null;
+        clearErrorMessages();
+    }
+    
+    /**
+     * Set up event listeners for the discount codes section
+     */
+    function setupDiscountEventListeners() {
+        document.getElementById('add-discount-btn').addEventListener('click', showAddDiscountForm);
+        document.getElementById('discount-form').addEventListener('submit', handleDiscountFormSubmit);
+        document.getElementById('discount-type').addEventListener('change', updateDiscountFieldVisibility);
+        document.getElementById('close-discount-modal').addEventListener('click', closeDiscountModal);
+        document.getElementById('cancel-discount-btn').addEventListener('click', closeDiscountModal);
+        
+        // Close modal when clicking outside of it
+        const modal = document.getElementById('discount-modal');
+        modal.addEventListener('click', function(event) {
+            if (event.target === modal) {
+                closeDiscountModal();
+            }
+        });
+    }
+    
+    // Used by admin.js and the panel's other sections
+    Object.assign(adminView, {
+        loadDiscountsForEdit: loadDiscountsForEdit,
+        setupDiscountEventListeners: setupDiscountEventListeners
+    });
+})();
@@ -0,0 +1,228 @@
+/**
+ * Admin Product Images Logic
+ * Handles the images of the product being added or edited: upload (file picker or drag and drop),
+ * image URLs, choosing the primary image and removing images
+ */
+
+(function() {
+    // The admin view (admin.js), through which the panel's sections reach each other
+    const adminView = getView('/admin');
+    
+    // Images of the product in the modal (URLs, in the order they were added) and its primary image
+    let productImages = [];
+    let primaryProductImage = '';
+    
+    // Images uploaded since the modal was opened (deleted again if the product isn't saved)
+    let pendingImageUploads = new Set();
+    
+    /**
+     * Show a product's images in the modal
+     * @param {Array} images - Image URLs
+     * @param {string} primaryImage - The primary image (the first one if empty)
+     */
+    function setProductImages(images, primaryImage) {
+        productImages = [...images];
+        primaryProductImage = primaryImage || productImages[0] || '';
+        pendingImageUploads = new Set();
+        renderProductImages();
+    }
+    
+    /**
+     * Get the image fields to save on the product
+     * @returns {Object} Fields {image, images}: the primary image and every image
+     */
+    function getProductImageFields() {
+        return {
+            image: primaryProductImage,
+            images: [...productImages]
+        };
+    }
+    
+    /**
+     * Show the images in the modal, each with "Primary" and "Remove" buttons
+     */
+    function renderProductImages() {
+        const imageList = document.getElementById('product-image-list');
+        
+        // Clear existing content
+        imageList.innerHTML = '';
+        
+        productImages.forEach(src => {
+            const isPrimary = src === primaryProductImage;
+            
+            const item = document.createElement('div');
+            item.className = isPrimary ? 'product-image-item primary' : 'product-image-item';
+            
+            const image = document.createElement('img');
+            setImageSource(image, src);
+            image.alt = isPrimary ? 'Primary image' : 'Product image';
+            
+            const primaryBtn = document.createElement('button');
+            primaryBtn.type = 'button';
+            primaryBtn.className = 'btn btn-small';
+            primaryBtn.textContent = isPrimary ? '★ Primary' : 'Make primary';
+            primaryBtn.disabled = isPrimary;
+            primaryBtn.onclick = function() {
+                primaryProductImage = src;
+                renderProductImages();
+            };
+            
+            const removeBtn = document.createElement('button');
+            removeBtn.type = 'button';
+            removeBtn.className = 'btn btn-danger btn-small';
+            removeBtn.textContent = 'Remove';
+            removeBtn.onclick = function() {
+                removeProductImage(src);
+            };
+            
+            item.appendChild(image);
+            item.appendChild(primaryBtn);
+            item.appendChild(removeBtn);
+            imageList.appendChild(item);
+        });
+    }
+    
+    /**
+     * Add an image to the product in the modal (the first image becomes the primary one)
+     * @param {string} src - Image URL
+     */
+    function addProductImage(src) {
+        if (!productImages.includes(src)) {
+            productImages.push(src);
+        }
+        if (!primaryProductImage) {
+            primaryProductImage = src;
+        }
+        
+        renderProductImages();
+    }
+    
+    /**
+     * Remove an image from the product in the modal
+     * Images uploaded since the modal was opened are deleted right away; saved images are kept,
+     * because past orders may still show them
+     * @param {string} src - Image URL
+     */
+    function removeProductImage(src) {
+        productImages = productImages.filter(image => image !== src);
+        
+        if (primaryProductImage === src) {
+            primaryProductImage = productImages[0] || '';
+        }
+        
+        if (pendingImageUploads.has(src)) {
+            pendingImageUploads.delete(src);
+            deleteUploadedImage(src).catch(() => {});
+        }
+        
+        renderProductImages();
+    }
+    
+    /**
+     * Resize and store picked or dropped image files, then add them to the product
+     * @param {FileList|Array} files - The image files
+     * @returns {Promise} Resolves once every file is handled (errors are shown under the images)
+     */
+    async function handleImageFiles(files) {
+        const dropZone = document.getElementById('image-drop-zone');
+        const errors = [];
+        
+        showError('image-error', '');
+        dropZone.classList.add('uploading');
+        
+        for (const file of Array.from(files)) {
+            try {
+                const src = await saveUploadedImage(file);
+                pendingImageUploads.add(src);
+                addProductImage(src);
+            } catch (error) {
+                errors.push(error.message);
+            }
+        }
+        
+        dropZone.classList.remove('uploading');
+        showError('image-error', errors.join(' '));
+    }
+    
+    /**
+     * Add the image URL typed in the modal
+     */
+    function handleAddImageUrl() {
+        const urlInput = document.getElementById('product-image-url');
+        const url = urlInput.value.trim();
+        
+        if (!url) {
+            return;
+        }
+        
+        if (!urlInput.checkValidity()) {
+            showError('image-error', 'Please enter a valid image URL');
+            return;
+        }
+        
+        showError('image-error', '');
+        addProductImage(url);
+        urlInput.value = '';
+    }
+    
+    /**
+     * Keep the images uploaded since the modal was opened (called once the product is saved)
+     */
+    function keepPendingImageUploads() {
+        pendingImageUploads = new Set();
+    }
+    
+    /**
+     * Delete the images uploaded since the modal was opened (called when the modal closes without saving)
+     */
+    function discardPendingImageUploads() {
+        pendingImageUploads.forEach(src => {
+            deleteUploadedImage(src).catch(() => {});
+        });
+        pendingImageUploads = new Set();
+    }
+    
+    /**
+     * Set up event listeners for the product images (file picker, drag and drop, image URL)
+     */
+    function setupImageEventListeners() {
+        const fileInput = document.getElementById('product-image-files');
+        fileInput.addEventListener('change', async function() {
+            await handleImageFiles(fileInput.files);
+            fileInput.value = '';
+        });
+        
+        // Drag and drop onto the drop zone
+        const dropZone = document.getElementById('image-drop-zone');
+        dropZone.addEventListener('dragover', function(event) {
+            event.preventDefault();
+            dropZone.classList.add('drag-over');
+        });
+        dropZone.addEventListener('dragleave', function() {
+            dropZone.classList.remove('drag-over');
+        });
+        dropZone.addEventListener('drop', function(event) {
+            event.preventDefault();
+            dropZone.classList.remove('drag-over');
+            handleImageFiles(event.dataTransfer.files);
+        });
+        
+        // Add an image URL with the button or Enter (without submitting the product form)
+        document.getElementById('add-image-url-btn').addEventListener('click', handleAddImageUrl);
+        document.getElementById('product-image-url').addEventListener('keydown', function(event) {
+            if (event.key === 'Enter') {
+                event.preventDefault();
+                handleAddImageUrl();
+            }
+        });
+    }
+    
+    // Used by admin.js and the panel's other sections
+    Object.assign(adminView, {
+        setProductImages: setProductImages,
+        getProductImageFields: getProductImageFields,
+        keepPendingImageUploads: keepPendingImageUploads,
+        discardPendingImageUploads: discardPendingImageUploads,
+        setupImageEventListeners: setupImageEventListeners
+    });
+})();
@@ -0,0 +1,184 @@
+/**
+ * Admin Review Moderation Logic
+ * Handles the review moderation queue in the admin panel: approve, hide, delete
+ */
+
+(function() {
+    // The admin view (admin.js), through which the panel's sections reach each other
+    const adminView = getView('/admin');
+    
+    /**
+     * Load the reviews with the selected status and display them in the admin panel
+     * @returns {Promise} Resolves once the reviews are shown
+     */
+    async function loadReviewsForModeration() {
+        const status = document.getElementById('review-status-filter').value;
+        const reviews = getReviewsByStatus(status);
+        const products = new Map((await getAllProducts()).map(product => [product.id, product]));
+        const reviewsList = document.getElementById('admin-reviews-list');
+        
+        // Clear existing content
+        reviewsList.innerHTML = '';
+        
+        // If no reviews, show message
+        if (reviews.length === 0) {
+            reviewsList.innerHTML = status === 'pending'
+                ? '<div class="no-products">No reviews are waiting for moderation.</div>'
+                : '<div class="no-products">No reviews found.</div>';
+            return;
+        }
+        
+        reviews.forEach(review => {
+            reviewsList.appendChild(createAdminReviewItem(review, products.get(review.productId)));
+        });
+    }
+    
+    /**
+     * Create an admin review item element (for the moderation list)
+     * @param {Object} review - Review object
+     * @param {Object} product - The reviewed product (undefined if it no longer exists)
+     * @returns {HTMLElement} Review item element
+     */
+    function createAdminReviewItem(review, product) {
+        const item = document.createElement('div');
+        item.className = 'admin-review-item';
+        
+        // Create product name, rating, author and date
+        const details = document.createElement('div');
+        
+        const productName = document.createElement('a');
+        productName.className = 'admin-product-name';
+        productName.textContent = product ? product.name : `Product #${review.productId}`;
+        if (product) {
+            productName.href = getProductUrl(product.id);
+        }
+        details.appendChild(productName);
+        details.appendChild(createStarRating(review.rating));
+        
+        const author = document.createElement('div');
+        author.className = 'admin-product-stock';
+        author.textContent = `${review.author} · ${new Date(review.createdAt).toLocaleDateString()}`;
+        details.appendChild(author);
+        
+        // Create review text
+        const text = document.createElement('p');
+        text.className = 'review-text';
+        text.textContent = review.text;
+        
+        // Create status
+        const status = document.createElement('div');
+        status.className = `admin-review-status review-status-${review.status}`;
+        status.textContent = review.status.charAt(0).toUpperCase() + review.status.slice(1);
+        
+        // Create actions container
+        const actions = document.createElement('div');
+        actions.className = 'admin-actions';
+        
+        if (review.status !== 'approved') {
+            const approveBtn = document.createElement('button');
+            approveBtn.className = 'btn btn-primary btn-small';
+            approveBtn.textContent = 'Approve';
+            approveBtn.onclick = function() {
+                handleReviewStatusChange(review.id, 'approved');
+            };
+            adminView.applyRoleToButton(approveBtn, 'editor');
+            actions.appendChild(approveBtn);
+        }
+        
+        if (review.status !== 'hidden') {
+            const hideBtn = document.createElement('button');
+            hideBtn.className = 'btn btn-small';
+            hideBtn.textContent = 'Hide';
+            hideBtn.onclick = function() {
+                handleReviewStatusChange(review.id, 'hidden');
+            };
+            adminView.applyRoleToButton(hideBtn, 'editor');
+            actions.appendChild(hideBtn);
+        }
+        
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'btn btn-danger btn-small';
+        deleteBtn.textContent = 'Delete';
+        deleteBtn.onclick = function() {
+            handleDeleteReview(review.id);
+        };
+        adminView.applyRoleToButton(deleteBtn, 'admin');
+        actions.appendChild(deleteBtn);
+        
+        // Assemble the item
+        item.appendChild(details);
+        item.appendChild(text);
+        item.appendChild(status);
+        item.appendChild(actions);
+        
+        return item;
+    }
+    
+    /**
+     * Handle approving or hiding a review
+     * @param {number} id - The ID of the review
+     * @param {string} status - "approved" or "hidden"
+     * @returns {Promise} Resolves once the list is reloaded
+     */
+    async function handleReviewStatusChange(id, status) {
+        const review = getAllReviews().find(review => review.id === id);
+        
+        try {
+            setReviewStatus(id, status);
+            await loadReviewsForModeration();
+            
+            if (review) {
+                showUndoToast(`The review by ${review.author} was ${status === 'approved' ? 'approved' : 'hidden'}.`, async function() {
+                    setReviewStatus(id, review.status);
+                    await loadReviewsForModeration();
+                });
+            }
+        } catch (error) {
+            console.error('Error updating review:', error);
+            showToast(`Failed to update review. ${error.message}`, 'error');
+        }
+    }
+    
+    /**
+     * Handle review deletion
+     * @param {number} id - The ID of the review to delete
+     * @returns {Promise} Resolves once the list is reloaded
+     */
+    async function handleDeleteReview(id) {
+        const confirmed = await showConfirmDialog('Are you sure you want to delete this review?', {
+            title: 'Delete review',
+            confirmLabel: 'Delete',
+            danger: true
+        });
+        if (!confirmed) {
+            return;
+        }
+        
+        const review = getAllReviews().find(review => review.id === id);
+        
+        try {
+            deleteReview(id);
+            await loadReviewsForModeration();
+            showUndoToast(`The review by ${review.author} was deleted.`, async function() {
+                restoreReview(review);
+                await loadReviewsForModeration();
+            });
+        } catch (error) {
+            console.error('Error deleting review:', error);
+            showToast(`Failed to delete review. ${error.message}`, 'error');
+        }
+    }
+    
+    /**
+     * Set up event listeners for the review moderation section
+     */
+    function setupReviewEventListeners() {
+        document.getElementById('review-status-filter').addEventListener('change', loadReviewsForModeration);
+    }
+    
+    // Used by admin.js and the panel's other sections
+    Object.assign(adminView, {
+        loadReviewsForModeration: loadReviewsForModeration,
+        setupReviewEventListeners: setupReviewEventListeners
+    });
+})();
@@ -0,0 +1,212 @@
+/**
+ * Admin Trash Logic
+ * Handles the trash bin in the admin panel: deleted products can be restored or purged (admins only)
+ */
+
+(function() {
+    // The admin view (admin.js), through which the panel's sections reach each other
+    const adminView = getView('/admin');
+    
+    /**
+     * Load the trashed products and display them in the admin panel
+     * @returns {Promise} Resolves once the trash is shown
+     */
+    async function loadTrashForEdit() {
+        const trashList = document.getElementById('admin-trash-list');
+        const emptyTrashBtn = document.getElementById('empty-trash-btn');
+        
+        // Clear existing content
+        trashList.innerHTML = '';
+        
+        // Only admins see the trash
+        if (!hasAdminRole('admin')) {
+            return;
+        }
+        
+        const trash = await getTrashedProducts();
+        emptyTrashBtn.disabled = trash.length === 0;
+        
+        // If the trash is empty, show message
+        if (trash.length === 0) {
+            trashList.innerHTML = '<div class="no-products">The trash is empty. Deleted products show up here.</div>';
+            return;
+        }
+        
+        trash.forEach(product => {
+            trashList.appendChild(createAdminTrashItem(product));
+        });
+    }
+    
+    /**
+     * Create an admin trash item element (for the trash list)
+     * @param {Object} product - Trashed product (with deletedAt and deletedBy)
+     * @returns {HTMLElement} Trash item element
+     */
+    function createAdminTrashItem(product) {
+        const item = document.createElement('div');
+        item.className = 'admin-product-item admin-trash-item';
+        
+        // Create product image
+        const image = document.createElement('img');
+        setImageSource(image, product.image);
+        image.alt = product.name;
+        image.className = 'admin-product-image';
+        
+        // Create product name (with SKU)
+        const name = document.createElement('div');
+        name.className = 'admin-product-name';
+        name.textContent = product.name;
+        
+        if (product.sku) {
+            const sku = document.createElement('div');
+            sku.className = 'admin-product-sku';
+            sku.textContent = `SKU: ${product.sku}`;
+            name.appendChild(sku);
+        }
+        
+        // Create price
+        const price = document.createElement('div');
+        price.className = 'admin-product-price';
+        price.textContent = formatMoney(product.price, BASE_CURRENCY);
+        
+        // Create when and by whom it was deleted
+        const deleted = document.createElement('div');
+        deleted.className = 'admin-product-stock';
+        deleted.textContent = product.deletedBy
+            ? `Deleted ${new Date(product.deletedAt).toLocaleString()} by ${product.deletedBy}`
+            : `Deleted ${new Date(product.deletedAt).toLocaleString()}`;
+        
+        // Create product category
+        const category = document.createElement('div');
+        category.className = 'admin-product-category';
+        category.textContent = product.category;
+        
+        // Create actions container
+        const actions = document.createElement('div');
+        actions.className = 'admin-actions';
+        
+        const restoreBtn = document.createElement('button');
+        restoreBtn.className = 'btn btn-primary btn-small';
+        restoreBtn.textContent = 'Restore';
+        restoreBtn.onclick = function() {
+            handleRestoreProduct(product.id);
+        };
+        
+        const purgeBtn = document.createElement('button');
+        purgeBtn.className = 'btn btn-danger btn-small';
+        purgeBtn.textContent = 'Delete Forever';
+        purgeBtn.onclick = function() {
+            handlePurgeProduct(product);
+        };
+        
+        const historyBtn = document.createElement('button');
+        historyBtn.className = 'btn btn-small';
+        historyBtn.textContent = 'History';
+        historyBtn.onclick = function() {
+            adminView.showProductHistory(product.id, product.name);
+        };
+        
+        actions.appendChild(restoreBtn);
+        actions.appendChild(historyBtn);
+        actions.appendChild(purgeBtn);
+        
+        // Assemble the item
+        item.appendChild(image);
+        item.appendChild(name);
+        item.appendChild(price);
+        item.appendChild(deleted);
+        item.appendChild(category);
+        item.appendChild(actions);
+        
+        return item;
+    }
+    
+    /**
+     * Handle restoring a product from the trash
+     * @param {number} id - The ID of the trashed product
+     * @returns {Promise} Resolves once the lists are reloaded
+     */
+    async function handleRestoreProduct(id) {
+        try {
+            const product = await restoreProduct(id);
+            await adminView.reloadProductLists();
+            
+            // Its category may have been deleted while it was in the trash
+            if (product && !getCategoryByName(product.category)) {
+                showToast(`"${product.name}" was restored, but its category "${product.category}" no longer exists. Edit the product to choose a new one.`, 'info', {
+                    duration: 0
+                });
+            } else if (product) {
+                showToast(`"${product.name}" was restored.`, 'success');
+            }
+        } catch (error) {
+            // e.g. another product has taken its SKU
+            console.error('Error restoring product:', error);
+            showToast(`Failed to restore product. ${error.message}`, 'error');
+        }
+    }
+    
+    /**
+     * Handle permanently deleting a product from the trash
+     * @param {Object} product - The trashed product
+     * @returns {Promise} Resolves once the lists are reloaded
+     */
+    async function handlePurgeProduct(product) {
+        const confirmed = await showConfirmDialog(`Are you sure you want to delete "${product.name}" forever? Its reviews are deleted too. This action cannot be undone.`, {
+            title: 'Delete forever',
+            confirmLabel: 'Delete forever',
+            danger: true
+        });
+        if (!confirmed) {
+            return;
+        }
+        
+        try {
+            await purgeProducts([product.id]);
+            await loadTrashForEdit();
+            await adminView.loadReviewsForModeration(); // The product's reviews were deleted with it
+            adminView.loadActivityFeed();
+        } catch (error) {
+            console.error('Error purging product:', error);
+            showToast(`Failed to delete product. ${error.message}`, 'error');
+        }
+    }
+    
+    /**
+     * Handle emptying the whole trash
+     * @returns {Promise} Resolves once the lists are reloaded
+     */
+    async function handleEmptyTrash() {
+        const confirmed = await showConfirmDialog('Are you sure you want to delete every product in the trash forever? Their reviews are deleted too. This action cannot be undone.', {
+            title: 'Empty trash',
+            confirmLabel: 'Empty trash',
+            danger: true
+        });
+        if (!confirmed) {
+            return;
+        }
+        
+        try {
+            await purgeProducts(null);
+            await loadTrashForEdit();
+            await adminView.loadReviewsForModeration();
+            adminView.loadActivityFeed();
+        } catch (error) {
+            console.error('Error emptying trash:', error);
+            showToast(`Failed to empty the trash. ${error.message}`, 'error');
+        }
+    }
+    
+    /**
+     * Set up event listeners for the trash section
+     */
+    function setupTrashEventListeners() {
+        document.getElementById('empty-trash-btn').addEventListener('click', handleEmptyTrash);
+    }
+    
+    // Used by admin.js and the panel's other sections
+    Object.assign(adminView, {
+        loadTrashForEdit: loadTrashForEdit,
+        setupTrashEventListeners: setupTrashEventListeners
+    });
+})();
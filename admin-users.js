@@ -0,0 +1,345 @@
+/**
+ * Admin Login and Staff Accounts Logic
+ * Handles the login screen, the signed-in user bar, role-based buttons and managing staff accounts
+ */
+
+(function() {
+    // The admin view (admin.js), through which the panel's sections reach each other
+    const adminView = getView('/admin');
+    
+    // How often to check whether the login session has expired (30 seconds)
+    const SESSION_CHECK_INTERVAL_MS = 30 * 1000;
+    
+    // Timer that checks for an expired session while the panel is open
+    let sessionWatchTimer = null;
+    
+    /**
+     * Show the login screen instead of the admin panel
+     * Offers to create the first admin account when no staff accounts exist yet
+     * @param {string} message - Message to show above the form (optional)
+     */
+    function showLoginScreen(message) {
+        const isFirstUser = !hasAdminUsers();
+        
+        stopSessionWatch();
+        
+        // Close any open dialogs (and the "Undo" toast) so nothing can be saved without logging in again
+        document.querySelectorAll('.modal.active').forEach(modal => {
+            modal.classList.remove('active');
+            releaseDialogFocus(modal, false);
+        });
+        hideUndoToast();
+        
+        document.getElementById('admin-panel').style.display = 'none';
+        document.getElementById('admin-login').style.display = 'block';
+        
+        document.getElementById('login-title').textContent = isFirstUser ? 'Create Admin Account' : 'Admin Login';
+        document.getElementById('login-hint').textContent = isFirstUser
+            ? 'No staff accounts exist yet. Choose a username and password (at least 8 characters) for the first admin account.'
+            : (message || '');
+        document.getElementById('login-submit-btn').textContent = isFirstUser ? 'Create Account' : 'Log In';
+        document.getElementById('login-password').autocomplete = isFirstUser ? 'new-password' : 'current-password';
+        document.getElementById('login-form').reset();
+        showError('login-error', '');
+    }
+    
+    /**
+     * Handle login form submission (or creating the first admin account)
+     * @param {Event} event - Form submit event
+     * @returns {Promise} Resolves once the panel (or an error) is shown
+     */
+    async function handleLoginSubmit(event) {
+        event.preventDefault();
+        
+        const username = document.getElementById('login-username').value.trim();
+        const password = document.getElementById('login-password').value;
+        const submitBtn = document.getElementById('login-submit-btn');
+        
+        showError('login-error', '');
+        submitBtn.disabled = true;
+        
+        try {
+            if (!hasAdminUsers()) {
+                await createAdminUser({ username: username, password: password });
+            }
+            
+            await loginAdmin(username, password);
+            document.getElementById('login-form').reset();
+            await adminView.showAdminPanel();
+        } catch (error) {
+            // Show why logging in failed (wrong password, invalid new account, ...)
+            showError('login-error', error.message);
+        } finally {
+            submitBtn.disabled = false;
+        }
+    }
+    
+    /**
+     * Log out and go back to the login screen
+     */
+    function handleLogout() {
+        logoutAdmin();
+        showLoginScreen('You have been logged out.');
+    }
+    
+    /**
+     * Show who is logged in and their role
+     */
+    function showSessionDetails() {
+        const session = getAdminSession();
+        document.getElementById('admin-session-user').textContent = session
+            ? `Signed in as ${session.username} (${session.role})`
+            : '';
+    }
+    
+    /**
+     * Disable a button if the logged in user doesn't have a role
+     * @param {HTMLElement} button - The button
+     * @param {string} role - Role the button's action needs ("editor" or "admin")
+     */
+    function applyRoleToButton(button, role) {
+        if (!hasAdminRole(role)) {
+            button.disabled = true;
+            button.title = `Requires the ${role} role`;
+        }
+    }
+    
+    /**
+     * Enable or disable the panel's buttons for the logged in user's role
+     */
+    function applyRoleToPanel() {
+        ['import-btn', 'add-product-btn', 'add-category-btn', 'add-discount-btn'].forEach(buttonId => {
+            const button = document.getElementById(buttonId);
+            button.disabled = false;
+            button.title = '';
+            applyRoleToButton(button, 'editor');
+        });
+        
+        // Only admins change which currencies are offered
+        const addCurrencyBtn = document.getElementById('add-currency-btn');
+        addCurrencyBtn.disabled = false;
+        addCurrencyBtn.title = '';
+        applyRoleToButton(addCurrencyBtn, 'admin');
+        
+        // Only admins manage staff accounts and the trash, and see the activity feed
+        document.getElementById('admin-users-section').style.display = hasAdminRole('admin') ? 'block' : 'none';
+        document.getElementById('admin-trash-section').style.display = hasAdminRole('admin') ? 'block' : 'none';
+        document.getElementById('admin-activity-section').style.display = hasAdminRole('admin') ? 'block' : 'none';
+    }
+    
+    /**
+     * Start checking for an expired session, going back to the login screen when it ends
+     */
+    function startSessionWatch() {
+        stopSessionWatch();
+        
+        sessionWatchTimer = setInterval(function() {
+            if (!getAdminSession()) {
+                showLoginScreen('Your session has expired. Please log in again.');
+            }
+        }, SESSION_CHECK_INTERVAL_MS);
+    }
+    
+    /**
+     * Stop checking for an expired session
+     */
+    function stopSessionWatch() {
+        if (sessionWatchTimer) {
+            clearInterval(sessionWatchTimer);
+            sessionWatchTimer = null;
+        }
+    }
+    
+    /**
+     * Load all staff accounts and display them (admins only)
+     */
+    function loadAdminUsers() {
+        const usersList = document.getElementById('admin-users-list');
+        usersList.innerHTML = '';
+        
+        if (!hasAdminRole('admin')) {
+            return;
+        }
+        
+        const session = getAdminSession();
+        getAdminUsers().forEach(user => {
+            usersList.appendChild(createAdminUserItem(user, session));
+        });
+    }
+    
+    /**
+     * Create a staff account item element (for the staff list)
+     * @param {Object} user - Staff account
+     * @param {Object} session - The current session (your own account can't be changed or deleted)
+     * @returns {HTMLElement} Staff account item element
+     */
+    function createAdminUserItem(user, session) {
+        const isCurrentUser = user.username.toLowerCase() === session.username.toLowerCase();
+        
+        const item = document.createElement('div');
+        item.className = 'admin-user-item';
+        
+        // Create username
+        const name = document.createElement('div');
+        name.className = 'admin-product-name';
+        name.textContent = isCurrentUser ? `${user.username} (you)` : user.username;
+        
+        // Create role dropdown
+        const roleSelect = document.createElement('select');
+        roleSelect.setAttribute('aria-label', `Role of ${user.username}`);
+        ADMIN_ROLES.forEach(role => {
+            const option = document.createElement('option');
+            option.value = role;
+            option.textContent = role.charAt(0).toUpperCase() + role.slice(1);
+            roleSelect.appendChild(option);
+        });
+        roleSelect.value = user.role;
+        roleSelect.disabled = isCurrentUser;
+        roleSelect.onchange = function() {
+            try {
+                updateAdminUserRole(user.username, roleSelect.value);
+                showUndoToast(`${user.username}'s role was changed to ${roleSelect.value}.`, function() {
+                    updateAdminUserRole(user.username, user.role);
+                    loadAdminUsers();
+                });
+            } catch (error) {
+                console.error('Error changing role:', error);
+                showToast(`Failed to change the role. ${error.message}`, 'error');
+            }
+            loadAdminUsers();
+        };
+        
+        // Create date added
+        const created = document.createElement('div');
+        created.className = 'admin-product-stock';
+        created.textContent = `Added ${new Date(user.createdAt).toLocaleDateString()}`;
+        
+        // Create actions container
+        const actions = document.createElement('div');
+        actions.className = 'admin-actions';
+        
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'btn btn-danger btn-small';
+        deleteBtn.textContent = 'Delete';
+        deleteBtn.disabled = isCurrentUser;
+        deleteBtn.onclick = function() {
+            handleDeleteAdminUser(user.username);
+        };
+        
+        actions.appendChild(deleteBtn);
+        
+        // Assemble the item
+        item.appendChild(name);
+        item.appendChild(roleSelect);
+        item.appendChild(created);
+        item.appendChild(actions);
+        
+        return item;
+    }
+    
+    /**
+     * Handle staff account deletion
+     * @param {string} username - The username of the account to delete
+     */
+    async function handleDeleteAdminUser(username) {
+        const confirmed = await showConfirmDialog(`Are you sure you want to delete the account "${username}"? They will no longer be able to log in.`, {
+            title: 'Delete staff account',
+            confirmLabel: 'Delete',
+            danger: true
+        });
+        if (!confirmed) {
+            return;
+        }
+        
+        try {
+            const user = getAdminUser(username);
+            deleteAdminUser(username);
+            loadAdminUsers();
+            showUndoToast(`The account "${username}" was deleted.`, function() {
+                restoreAdminUser(user);
+                loadAdminUsers();
+            });
+        } catch (error) {
+            console.error('Error deleting staff account:', error);
+            showToast(`Failed to delete the account. ${error.message}`, 'error');
+        }
+    }
+    
+    /**
+     * Show the add staff account form
+     */
+    function showAddUserForm() {
+        document.getElementById('user-form').reset();
+        showError('user-form-error', '');
+        
+        const modal = document.getElementById('user-modal');
+        modal.classList.add('active');
+        trapDialogFocus(modal, closeUserModal);
+    }
+    
+    /**
+     * Handle add staff account form submission
+     * @param {Event} event - Form submit event
+     * @returns {Promise} Resolves once the account is saved (or an error is shown)
+     */
+    async function handleUserFormSubmit(event) {
+        event.preventDefault();
+        
+        try {
+            await createAdminUser({
+                username: document.getElementById('user-username').value,
+                password: document.getElementById('user-password').value,
+                role: document.getElementById('user-role').value
+            });
+            
+            closeUserModal();
+            loadAdminUsers();
+        } catch (error) {
+            // Show why the account can't be created (username taken, short password, ...)
+            showError('user-form-error', error.message);
+        }
+    }
+    
+    /**
+     * Close the staff account modal
+     */
+    function closeUserModal() {
+        const modal = document.getElementById('user-modal');
+        modal.classList.remove('active');
+        releaseDialogFocus(modal);
+        document.getElementById('user-form').reset();
+        showError('user-form-error', '');
+    }
+    
+    /**
+     * Set up event listeners for the login screen and the staff accounts section
+     */
+    function setupAdminUserEventListeners() {
+        document.getElementById('login-form').addEventListener('submit', handleLoginSubmit);
+        document.getElementById('logout-btn').addEventListener('click', handleLogout);
+        document.getElementById('add-user-btn').addEventListener('click', showAddUserForm);
+        document.getElementById('user-form').addEventListener('submit', handleUserFormSubmit);
+        document.getElementById('close-user-modal').addEventListener('click', closeUserModal);
+        document.getElementById('cancel-user-btn').addEventListener('click', closeUserModal);
+        
+        // Close modal when clicking outside of it
+        const modal = document.getElementById('user-modal');
+        modal.addEventListener('click', function(event) {
+            if (event.target === modal) {
+                closeUserModal();
+            }
+        });
+    }
+    
+    // Used by admin.js and the panel's other sections
+    Object.assign(adminView, {
+        showLoginScreen: showLoginScreen,
+        showSessionDetails: showSessionDetails,
+        applyRoleToButton: applyRoleToButton,
+        applyRoleToPanel: applyRoleToPanel,
+        startSessionWatch: startSessionWatch,
+        stopSessionWatch: stopSessionWatch,
+        loadAdminUsers: loadAdminUsers,
+        setupAdminUserEventListeners: setupAdminUserEventListeners
+    });
+})();
@@ -1,329 +1,1081 @@
-/**
- * Admin Panel Logic
- * Handles product management: add, edit, delete operations
- */
-
-// Track whether we're in edit mode or add mode
-let isEditMode = false;
-let currentEditId = null;
-
-// Initialize admin panel when page loads
-document.addEventListener('DOMContentLoaded', function() {
-    // Initialize products if empty
-    initializeProducts();
-    
-    // Load and display products
-    loadProductsForEdit();
-    
-    // Update cart badge
-    updateCartBadge();
-    
-    // Set up event listeners
-    setupEventListeners();
-});
-
-/**
- * Load all products and display them in the admin panel
- */
-function loadProductsForEdit() {
-    const products = getAllProducts();
-    const adminProductsList = document.getElementById('admin-products-list');
-    
-    // Clear existing content
-    adminProductsList.innerHTML = '';
-    
-    // If no products, show message
-    if (products.length === 0) {
-        adminProductsList.innerHTML = '<div class="no-products">No products found. Add your first product!</div>';
-        return;
-    }
-    
-    // Create and append product items
-    products.forEach(product => {
-        const productItem = createAdminProductItem(product);
-        adminProductsList.appendChild(productItem);
-    });
-}
-
-/**
- * Create an admin product item element (for the product list)
- * @param {Object} product - Product object
- * @returns {HTMLElement} Product item element
- */
-function createAdminProductItem(product) {
-    // Create container
-    const item = document.createElement('div');
-    item.className = 'admin-product-item';
-    
-    // Create product image
-    const image = document.createElement('img');
-    image.src = product.image || 'https://via.placeholder.com/400';
-    image.alt = product.name;
-    image.className = 'admin-product-image';
-    image.onerror = function() {
-        this.src = 'https://via.placeholder.com/400';
-    };
-    
-    // Create product name
-    const name = document.createElement('div');
-    name.className = 'admin-product-name';
-    name.textContent = product.name;
-    
-    // Create product price
-    const price = document.createElement('div');
-    price.className = 'admin-product-price';
-    price.textContent = `$${product.price.toFixed(2)}`;
-    
-    // Create product category
-    const category = document.createElement('div');
-    category.className = 'admin-product-category';
-    category.textContent = product.category;
-    
-    // Create actions container
-    const actions = document.createElement('div');
-    actions.className = 'admin-actions';
-    
-    // Create Edit button
-    const editBtn = document.createElement('button');
-    editBtn.className = 'btn btn-primary btn-small';
-    editBtn.textContent = 'Edit';
-    editBtn.onclick = function() {
-        showEditForm(product.id);
-    };
-    
-    // Create Delete button
-    const deleteBtn = document.createElement('button');
-    deleteBtn.className = 'btn btn-danger btn-small';
-    deleteBtn.textContent = 'Delete';
-    deleteBtn.onclick = function() {
-        handleDeleteProduct(product.id);
-    };
-    
-    // Assemble the item
-    actions.appendChild(editBtn);
-    actions.appendChild(deleteBtn);
-    
-    item.appendChild(image);
-    item.appendChild(name);
-    item.appendChild(price);
-    item.appendChild(category);
-    item.appendChild(actions);
-    
-    return item;
-}
-
-/**
- * Show the add product form (reset form and open modal)
- */
-function showAddForm() {
-    isEditMode = false;
-    currentEditId = null;
-    
-    // Set modal title
-    document.getElementById('modal-title').textContent = 'Add New Product';
-    
-    // Reset form
-    document.getElementById('product-form').reset();
-    document.getElementById('product-id').value = '';
-    
-    // Clear error messages
-    clearErrorMessages();
-    
-    // Show modal
-    document.getElementById('product-modal').classList.add('active');
-}
-
-/**
- * Show the edit product form (populate with product data)
- * @param {number} productId - The ID of the product to edit
- */
-function showEditForm(productId) {
-    const product = getProductById(productId);
-    
-    if (!product) {
-        alert('Product not found!');
-        return;
-    }
-    
-    isEditMode = true;
-    currentEditId = productId;
-    
-    // Set modal title
-    document.getElementById('modal-title').textContent = 'Edit Product';
-    
-    // Populate form fields with product data
-    document.getElementById('product-id').value = product.id;
-    document.getElementById('product-name').value = product.name;
-    document.getElementById('product-price').value = product.price;
-    document.getElementById('product-category').value = product.category;
-    document.getElementById('product-image').value = product.image;
-    document.getElementById('product-description').value = product.description || '';
-    
-    // Clear error messages
-    clearErrorMessages();
-    
-    // Show modal
-    document.getElementById('product-modal').classList.add('active');
-}
-
-/**
- * Handle form submission (add or update product)
- * @param {Event} event - Form submit event
- */
-function handleFormSubmit(event) {
-    event.preventDefault();
-    
-    // Clear previous error messages
-    clearErrorMessages();
-    
-    // Get form values
-    const name = document.getElementById('product-name').value.trim();
-    const price = parseFloat(document.getElementById('product-price').value);
-    const category = document.getElementById('product-category').value;
-    const image = document.getElementById('product-image').value.trim();
-    const description = document.getElementById('product-description').value.trim();
-    
-    // Validate form fields
-    let isValid = true;
-    
-    if (!name) {
-        showError('name-error', 'Product name is required');
-        isValid = false;
-    }
-    
-    if (isNaN(price) || price <= 0) {
-        showError('price-error', 'Please enter a valid price greater than 0');
-        isValid = false;
-    }
-    
-    if (!category) {
-        showError('category-error', 'Please select a category');
-        isValid = false;
-    }
-    
-    if (!image) {
-        showError('image-error', 'Image URL is required');
-        isValid = false;
-    }
-    
-    // If validation fails, stop submission
-    if (!isValid) {
-        return;
-    }
-    
-    // Create product object
-    const productData = {
-        name: name,
-        price: price,
-        category: category,
-        image: image,
-        description: description
-    };
-    
-    try {
-        if (isEditMode) {
-            // Update existing product
-            updateProduct(currentEditId, productData);
-            alert('Product updated successfully!');
-        } else {
-            // Add new product
-            addProduct(productData);
-            alert('Product added successfully!');
-        }
-        
-        // Close modal
-        closeModal();
-        
-        // Reload products list
-        loadProductsForEdit();
-        
-    } catch (error) {
-        console.error('Error saving product:', error);
-        alert('Failed to save product. Please try again.');
-    }
-}
-
-/**
- * Handle product deletion
- * @param {number} productId - The ID of the product to delete
- */
-function handleDeleteProduct(productId) {
-    // Confirm deletion
-    const product = getProductById(productId);
-    const confirmMessage = `Are you sure you want to delete "${product.name}"? This action cannot be undone.`;
-    
-    if (!confirm(confirmMessage)) {
-        return;
-    }
-    
-    try {
-        deleteProduct(productId);
-        alert('Product deleted successfully!');
-        loadProductsForEdit();
-    } catch (error) {
-        console.error('Error deleting product:', error);
-        alert('Failed to delete product. Please try again.');
-    }
-}
-
-/**
- * Close the modal
- */
-function closeModal() {
-    document.getElementById('product-modal').classList.remove('active');
-    document.getElementById('product-form').reset();
-    clearErrorMessages();
-}
-
-/**
- * Show error message for a form field
- * @param {string} errorId - The ID of the error message element
- * @param {string} message - The error message to display
- */
-function showError(errorId, message) {
-    const errorElement = document.getElementById(errorId);
-    if (errorElement) {
-        errorElement.textContent = message;
-    }
-}
-
-/**
- * Clear all error messages
- */
-function clearErrorMessages() {
-    const errorElements = document.querySelectorAll('.error-message');
-    errorElements.forEach(element => {
-        element.textContent = '';
-    });
-}
-
-/**
- * Set up all event listeners for the admin panel
- */
-function setupEventListeners() {
-    // Add product button
-    const addProductBtn = document.getElementById('add-product-btn');
-    addProductBtn.addEventListener('click', showAddForm);
-    
-    // Form submission
-    const productForm = document.getElementById('product-form');
-    productForm.addEventListener('submit', handleFormSubmit);
-    
-    // Close modal button
-    const closeModalBtn = document.getElementById('close-modal');
-    closeModalBtn.addEventListener('click', closeModal);
-    
-    // Cancel button
-    const cancelBtn = document.getElementById('cancel-btn');
-    cancelBtn.addEventListener('click', closeModal);
-    
-    // Close modal when clicking outside of it
-    const modal = document.getElementById('product-modal');
-    modal.addEventListener('click', function(event) {
-        // If clicked on the modal backdrop (not the modal content)
-        if (event.target === modal) {
-            closeModal();
-        }
-    });
-}
-
+/**
+ * Admin Panel Logic
+ * Handles product management: add, edit, delete, import and export operations
+ */
+
+(function() {
+    // Track whether we're in edit mode or add mode
+    let isEditMode = false;
+    let currentEditId = null;
+    
+    // Current page of the product list and how many products each page shows
+    let currentPage = 1;
+    let pageSize = DEFAULT_PAGE_SIZE;
+    
+    // File being imported ({columns, records} from parseImportFile()) and its validated rows
+    let importFile = null;
+    let importPreview = [];
+    
+    // Stops refreshing the lists on changes from other tabs (see onDataChanged())
+    let stopDataSync = null;
+    
+    // The panel's sections (admin-*.js, loaded after this file) add the functions they share to this view
+    const adminView = registerView('/admin', {
+        template: 'admin-view',
+        title: 'Admin Panel',
+        
+        /**
+         * Show the admin panel, or the login screen if no one is logged in
+         * @returns {Promise} Resolves once the panel or login screen is shown
+         */
+        mount: async function() {
+            // Set up event listeners
+            setupEventListeners();
+            adminView.setupCategoryEventListeners();
+            adminView.setupImageEventListeners();
+            adminView.setupDiscountEventListeners();
+            adminView.setupCurrencyEventListeners();
+            adminView.setupReviewEventListeners();
+            adminView.setupAdminUserEventListeners();
+            adminView.setupTrashEventListeners();
+            adminView.setupAuditEventListeners();
+            
+            // Refresh the lists when another tab changes products, categories, codes, reviews or staff accounts
+            stopDataSync = onDataChanged(handleAdminDataChanged);
+            
+            // Staff must log in before the panel is shown
+            if (getAdminSession()) {
+                await showAdminPanel();
+            } else {
+                adminView.showLoginScreen();
+            }
+        },
+        
+        /**
+         * Stop everything that would change the panel once another view is shown
+         */
+        unmount: function() {
+            if (stopDataSync) {
+                stopDataSync();
+            }
+            adminView.stopSessionWatch();
+            hideUndoToast();
+            adminView.discardPendingImageUploads();
+        },
+        
+        // Used by the panel's other sections (admin-users.js, admin-categories.js, ...)
+        showAdminPanel: showAdminPanel,
+        loadProductsForEdit: loadProductsForEdit,
+        reloadProductLists: reloadProductLists
+    });
+    
+    /**
+     * Show the admin panel for the logged in user and load its data
+     * @returns {Promise} Resolves once the products are shown
+     */
+    async function showAdminPanel() {
+        document.getElementById('admin-login').style.display = 'none';
+        document.getElementById('admin-panel').style.display = 'block';
+        
+        // Show who is logged in and what their role allows
+        adminView.showSessionDetails();
+        adminView.applyRoleToPanel();
+        adminView.startSessionWatch();
+        
+        // Restore page and page size from the URL
+        const params = getRouteParams();
+        currentPage = getPositiveIntParam(params, 'page', 1);
+        pageSize = getPageSizeParam(params);
+        populatePageSizeSelect(document.getElementById('page-size'), pageSize);
+        
+        // Load and display products and categories
+        await loadProductsForEdit();
+        await adminView.loadCategoriesForEdit();
+        
+        // Display discount codes
+        adminView.loadDiscountsForEdit();
+        
+        // Load the currencies shoppers can choose
+        adminView.loadCurrenciesForEdit();
+        
+        // Load the reviews waiting for moderation
+        await adminView.loadReviewsForModeration();
+        
+        // Load staff accounts, the trash and the activity feed (admins only)
+        adminView.loadAdminUsers();
+        await adminView.loadTrashForEdit();
+        adminView.loadActivityFeed();
+    }
+    
+    /**
+     * Re-render the admin lists when their data changes in another tab
+     * Only the lists are re-rendered, so anything typed into an open modal is kept
+     * @param {Set} changedKeys - Storage keys that changed (see onDataChanged())
+     * @returns {Promise} Resolves once the lists are re-rendered
+     */
+    async function handleAdminDataChanged(changedKeys) {
+        // The panel is hidden until someone logs in
+        if (!getAdminSession()) {
+            return;
+        }
+        
+        // A role change in another tab applies to every list's buttons straight away
+        const rolesChanged = wasDataChanged(changedKeys, ADMIN_USERS_STORAGE_KEY);
+        if (rolesChanged) {
+            adminView.applyRoleToPanel();
+            adminView.loadAdminUsers();
+        }
+        
+        if (rolesChanged || wasDataChanged(changedKeys, PRODUCTS_STORAGE_KEY)) {
+            await loadProductsForEdit();
+        }
+        if (rolesChanged || wasDataChanged(changedKeys, CATEGORIES_STORAGE_KEY, PRODUCTS_STORAGE_KEY)) {
+            await adminView.loadCategoriesForEdit();
+        }
+        if (rolesChanged || wasDataChanged(changedKeys, DISCOUNTS_STORAGE_KEY)) {
+            adminView.loadDiscountsForEdit();
+        }
+        if (rolesChanged || wasDataChanged(changedKeys, CURRENCIES_STORAGE_KEY)) {
+            adminView.loadCurrenciesForEdit();
+        }
+        if (rolesChanged || wasDataChanged(changedKeys, REVIEWS_STORAGE_KEY, PRODUCTS_STORAGE_KEY)) {
+            await adminView.loadReviewsForModeration();
+        }
+        if (rolesChanged || wasDataChanged(changedKeys, PRODUCT_TRASH_STORAGE_KEY)) {
+            await adminView.loadTrashForEdit();
+        }
+        if (rolesChanged || wasDataChanged(changedKeys, AUDIT_LOG_STORAGE_KEY)) {
+            adminView.loadActivityFeed();
+            await adminView.refreshProductHistory();
+        }
+    }
+    
+    /**
+     * Load all products and display the current page of them in the admin panel
+     * @returns {Promise} Resolves once the products are shown
+     */
+    async function loadProductsForEdit() {
+        const products = await getAllProducts();
+        const adminProductsList = document.getElementById('admin-products-list');
+        const paginationContainer = document.getElementById('pagination-container');
+        const resultsCount = document.getElementById('results-count');
+        
+        // Clear existing content
+        adminProductsList.innerHTML = '';
+        paginationContainer.innerHTML = '';
+        resultsCount.textContent = '';
+        
+        // If no products, show message
+        if (products.length === 0) {
+            adminProductsList.innerHTML = '<div class="no-products">No products found. Add your first product!</div>';
+            return;
+        }
+        
+        // Only render the current page of products
+        const pageInfo = paginate(products, currentPage, pageSize);
+        currentPage = pageInfo.page;
+        updatePageInUrl();
+        
+        resultsCount.textContent = `Showing ${pageInfo.start + 1}–${pageInfo.end} of ${pageInfo.totalItems} products`;
+        
+        // Create product items off-screen, then add them in one go
+        const fragment = document.createDocumentFragment();
+        pageInfo.items.forEach(product => {
+            const productItem = createAdminProductItem(product);
+            fragment.appendChild(productItem);
+        });
+        adminProductsList.appendChild(fragment);
+        
+        // Add page controls
+        paginationContainer.appendChild(
+            createPaginationControls(pageInfo.page, pageInfo.totalPages, handlePageChange)
+        );
+    }
+    
+    /**
+     * Keep the current page and page size in the URL (index.html#/admin?page=2&size=24)
+     */
+    function updatePageInUrl() {
+        const params = new URLSearchParams();
+        
+        if (currentPage > 1) {
+            params.set('page', currentPage);
+        }
+        if (pageSize !== DEFAULT_PAGE_SIZE) {
+            params.set('size', pageSize);
+        }
+        
+        replaceRouteParams(params);
+    }
+    
+    /**
+     * Handle a click on a page button
+     * @param {number} page - The page to show
+     */
+    async function handlePageChange(page) {
+        currentPage = page;
+        await loadProductsForEdit();
+        window.scrollTo(0, 0);
+    }
+    
+    /**
+     * Handle a change of the "per page" dropdown
+     */
+    function handlePageSizeChange() {
+        pageSize = parseInt(document.getElementById('page-size').value) || DEFAULT_PAGE_SIZE;
+        currentPage = 1;
+        loadProductsForEdit();
+    }
+    
+    /**
+     * Create an admin product item element (for the product list)
+     * @param {Object} product - Product object
+     * @returns {HTMLElement} Product item element
+     */
+    function createAdminProductItem(product) {
+        // Create container
+        const item = document.createElement('div');
+        item.className = 'admin-product-item';
+        
+        // Create product image
+        const image = document.createElement('img');
+        setImageSource(image, product.image);
+        image.alt = product.name;
+        image.className = 'admin-product-image';
+        
+        // Create product name
+        const name = document.createElement('div');
+        name.className = 'admin-product-name';
+        name.textContent = product.name;
+        
+        // Show the SKU when the product has one
+        if (product.sku) {
+            const sku = document.createElement('div');
+            sku.className = 'admin-product-sku';
+            sku.textContent = `SKU: ${product.sku}`;
+            name.appendChild(sku);
+        }
+        
+        // Show how many variants the product has
+        if (hasVariants(product)) {
+            const variantCount = document.createElement('div');
+            variantCount.className = 'admin-product-variants';
+            variantCount.textContent = `${product.variants.length} variants`;
+            name.appendChild(variantCount);
+        }
+        
+        // Create product price
+        const price = document.createElement('div');
+        price.className = 'admin-product-price';
+        price.textContent = formatMoney(product.price, BASE_CURRENCY);
+        
+        // Create product stock
+        const stock = document.createElement('div');
+        stock.className = 'admin-product-stock';
+        if (isOutOfStock(product)) {
+            stock.textContent = 'Out of stock';
+            stock.classList.add('out-of-stock');
+        } else if (typeof product.stock === 'number') {
+            stock.textContent = `${product.stock} in stock`;
+            if (isLowStock(product)) {
+                stock.classList.add('low-stock');
+            }
+        } else {
+            stock.textContent = 'Stock not tracked';
+        }
+        
+        // Create product category
+        const category = document.createElement('div');
+        category.className = 'admin-product-category';
+        category.textContent = product.category;
+        
+        // Create actions container
+        const actions = document.createElement('div');
+        actions.className = 'admin-actions';
+        
+        // Create Edit button (editors and admins)
+        const editBtn = document.createElement('button');
+        editBtn.className = 'btn btn-primary btn-small';
+        editBtn.textContent = 'Edit';
+        editBtn.onclick = function() {
+            showEditForm(product.id);
+        };
+        adminView.applyRoleToButton(editBtn, 'editor');
+        
+        // Create Delete button (admins only)
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'btn btn-danger btn-small';
+        deleteBtn.textContent = 'Delete';
+        deleteBtn.onclick = function() {
+            handleDeleteProduct(product.id);
+        };
+        adminView.applyRoleToButton(deleteBtn, 'admin');
+        
+        // Create History button (admins only)
+        const historyBtn = document.createElement('button');
+        historyBtn.className = 'btn btn-small';
+        historyBtn.textContent = 'History';
+        historyBtn.onclick = function() {
+            adminView.showProductHistory(product.id, product.name);
+        };
+        adminView.applyRoleToButton(historyBtn, 'admin');
+        
+        // Assemble the item
+        actions.appendChild(editBtn);
+        actions.appendChild(historyBtn);
+        actions.appendChild(deleteBtn);
+        
+        item.appendChild(image);
+        item.appendChild(name);
+        item.appendChild(price);
+        item.appendChild(stock);
+        item.appendChild(category);
+        item.appendChild(actions);
+        
+        return item;
+    }
+    
+    /**
+     * Show the add product form (reset form and open modal)
+     */
+    function showAddForm() {
+        isEditMode = false;
+        currentEditId = null;
+        
+        // Set modal title
+        document.getElementById('modal-title').textContent = 'Add New Product';
+        
+        // Reset form
+        document.getElementById('product-form').reset();
+        document.getElementById('product-id').value = '';
+        populateCategorySelect(document.getElementById('product-category'), 'Select a category');
+        
+        // Start without any images or variant options
+        adminView.setProductImages([], '');
+        setVariantOptions([], []);
+        
+        // Clear error messages
+        clearErrorMessages();
+        
+        // Show modal
+        openProductModal();
+    }
+    
+    /**
+     * Show the edit product form (populate with product data)
+     * @param {number} productId - The ID of the product to edit
+     */
+    async function showEditForm(productId) {
+        const product = await getProductById(productId);
+        
+        if (!product) {
+            showToast('Product not found.', 'error');
+            return;
+        }
+        
+        isEditMode = true;
+        currentEditId = productId;
+        
+        // Set modal title
+        document.getElementById('modal-title').textContent = 'Edit Product';
+        
+        // Populate form fields with product data
+        populateCategorySelect(document.getElementById('product-category'), 'Select a category');
+        document.getElementById('product-id').value = product.id;
+        document.getElementById('product-name').value = product.name;
+        document.getElementById('product-sku').value = product.sku || '';
+        document.getElementById('product-price').value = product.price;
+        document.getElementById('product-stock').value = typeof product.stock === 'number' ? product.stock : '';
+        document.getElementById('product-weight').value = typeof product.weight === 'number' ? product.weight : '';
+        document.getElementById('product-category').value = product.category;
+        document.getElementById('product-description').value = product.description || '';
+        
+        // Show the product's images with its primary image marked
+        adminView.setProductImages(getProductImages(product), product.image);
+        
+        // Populate variant options and per-variant overrides
+        setVariantOptions(product.options || [], product.variants || []);
+        
+        // Clear error messages
+        clearErrorMessages();
+        
+        // Show modal
+        openProductModal();
+    }
+    
+    /**
+     * Show the product modal, keeping keyboard focus inside it until it closes
+     */
+    function openProductModal() {
+        const modal = document.getElementById('product-modal');
+        modal.classList.add('active');
+        trapDialogFocus(modal, closeModal);
+    }
+    
+    /**
+     * Handle form submission (add or update product)
+     * @param {Event} event - Form submit event
+     */
+    async function handleFormSubmit(event) {
+        event.preventDefault();
+        
+        // Clear previous error messages
+        clearErrorMessages();
+        
+        // Get form values
+        const fields = {
+            sku: document.getElementById('product-sku').value.trim(),
+            name: document.getElementById('product-name').value.trim(),
+            price: document.getElementById('product-price').value.trim(),
+            stock: document.getElementById('product-stock').value.trim(),
+            weight: document.getElementById('product-weight').value.trim(),
+            category: document.getElementById('product-category').value,
+            image: adminView.getProductImageFields().image
+        };
+        const description = document.getElementById('product-description').value.trim();
+        
+        // Validate form fields (each error is shown under its field, e.g. "price-error")
+        const products = await getAllProducts();
+        const fieldErrors = validateProductFields(fields, isEditMode ? currentEditId : null, products);
+        let isValid = Object.keys(fieldErrors).length === 0;
+        
+        Object.keys(fieldErrors).forEach(field => {
+            showError(`${field}-error`, fieldErrors[field]);
+        });
+        
+        // Validate variant options and overrides
+        const options = readVariantOptions();
+        const optionsError = validateVariantOptions(options);
+        if (optionsError) {
+            showError('options-error', optionsError);
+            isValid = false;
+        }
+        
+        const variantRows = readVariantRows();
+        const variantsError = validateVariantRows(variantRows);
+        if (variantsError) {
+            showError('variants-error', variantsError);
+            isValid = false;
+        }
+        
+        // If validation fails, stop submission
+        if (!isValid) {
+            return;
+        }
+        
+        // Create product object
+        const productData = {
+            name: fields.name,
+            price: Number(fields.price),
+            stock: Number(fields.stock),
+            category: fields.category,
+            image: fields.image,
+            images: adminView.getProductImageFields().images,
+            description: description
+        };
+        
+        // Only products with a SKU store one
+        if (fields.sku) {
+            productData.sku = fields.sku;
+        }
+        
+        // Products without a weight use the default shipping weight
+        if (fields.weight) {
+            productData.weight = Number(fields.weight);
+        }
+        
+        // Only products with options get variants
+        if (options.length > 0) {
+            productData.options = options;
+            productData.variants = buildVariantsFromRows(options, variantRows);
+        }
+        
+        try {
+            if (isEditMode) {
+                // Update existing product, keeping the old version for "Undo"
+                const productId = currentEditId;
+                const previousProduct = products.find(product => product.id === productId);
+                await updateProduct(productId, productData);
+                showUndoToast(`"${productData.name}" was updated.`, async function() {
+                    await updateProduct(productId, previousProduct);
+                    await loadProductsForEdit();
+                    await adminView.loadCategoriesForEdit();
+                    adminView.loadActivityFeed();
+                });
+            } else {
+                // Add new product
+                await addProduct(productData);
+                showToast(`"${productData.name}" was added.`, 'success');
+            }
+            
+            // The uploaded images now belong to the product
+            adminView.keepPendingImageUploads();
+            
+            // Close modal
+            closeModal();
+            
+            // Reload products list, the product counts per category and the activity feed
+            await loadProductsForEdit();
+            await adminView.loadCategoriesForEdit();
+            adminView.loadActivityFeed();
+            
+        } catch (error) {
+            console.error('Error saving product:', error);
+            
+            // A full storage is already shown in a notice (with a backup download)
+            if (!isQuotaExceededError(error)) {
+                showToast(`Failed to save product. ${error.message}`, 'error');
+            }
+        }
+    }
+    
+    /**
+     * Handle product deletion
+     * @param {number} productId - The ID of the product to delete
+     */
+    async function handleDeleteProduct(productId) {
+        const product = await getProductById(productId);
+        
+        // It may have been deleted in another tab since the list was shown
+        if (!product) {
+            showToast('This product no longer exists. It may have been deleted in another tab.', 'error');
+            await reloadProductLists();
+            return;
+        }
+        
+        // Confirm deletion
+        const confirmMessage = `Are you sure you want to delete "${product.name}"? It will be moved to the trash.`;
+        
+        if (!await showConfirmDialog(confirmMessage, { title: 'Delete product', confirmLabel: 'Delete', danger: true })) {
+            return;
+        }
+        
+        try {
+            await deleteProduct(productId);
+            await reloadProductLists();
+            showUndoToast(`"${product.name}" was moved to the trash.`, async function() {
+                await restoreProduct(productId);
+                await reloadProductLists();
+            });
+        } catch (error) {
+            console.error('Error deleting product:', error);
+            showToast(`Failed to delete product. ${error.message}`, 'error');
+        }
+    }
+    
+    /**
+     * Fill the variant option rows and variant list in the form
+     * @param {Array} options - Option definitions [{name, values}]
+     * @param {Array} variants - Existing variants (for their overrides)
+     */
+    function setVariantOptions(options, variants) {
+        const optionsContainer = document.getElementById('variant-options');
+        optionsContainer.innerHTML = '';
+        
+        options.forEach(option => {
+            optionsContainer.appendChild(createOptionRow(option));
+        });
+        
+        renderVariantList(generateVariants(options, variants));
+    }
+    
+    /**
+     * Create an option row (option name and comma-separated values)
+     * @param {Object} option - Option definition {name, values} (optional)
+     * @returns {HTMLElement} Option row element
+     */
+    function createOptionRow(option) {
+        const row = document.createElement('div');
+        row.className = 'variant-option-row';
+        
+        // Create option name input
+        const nameInput = document.createElement('input');
+        nameInput.type = 'text';
+        nameInput.className = 'variant-option-name';
+        nameInput.placeholder = 'Option (e.g. Size)';
+        nameInput.value = option ? option.name : '';
+        
+        // Create option values input
+        const valuesInput = document.createElement('input');
+        valuesInput.type = 'text';
+        valuesInput.className = 'variant-option-values';
+        valuesInput.placeholder = 'Values (e.g. S, M, L)';
+        valuesInput.value = option ? option.values.join(', ') : '';
+        
+        // Create remove button
+        const removeBtn = document.createElement('button');
+        removeBtn.type = 'button';
+        removeBtn.className = 'remove-item-btn';
+        removeBtn.textContent = '×';
+        removeBtn.title = 'Remove option';
+        removeBtn.onclick = function() {
+            row.remove();
+            refreshVariantList();
+        };
+        
+        // Rebuild the variant list when the options change
+        nameInput.addEventListener('change', refreshVariantList);
+        valuesInput.addEventListener('change', refreshVariantList);
+        
+        row.appendChild(nameInput);
+        row.appendChild(valuesInput);
+        row.appendChild(removeBtn);
+        
+        return row;
+    }
+    
+    /**
+     * Read option definitions from the option rows
+     * Rows with neither a name nor values are ignored
+     * @returns {Array} Option definitions [{name, values}]
+     */
+    function readVariantOptions() {
+        const rows = document.querySelectorAll('#variant-options .variant-option-row');
+        const options = [];
+        
+        rows.forEach(row => {
+            const name = row.querySelector('.variant-option-name').value.trim();
+            const values = row.querySelector('.variant-option-values').value
+                .split(',')
+                .map(value => value.trim())
+                .filter(value => value);
+            
+            if (name || values.length > 0) {
+                options.push({ name: name, values: values });
+            }
+        });
+        
+        return options;
+    }
+    
+    /**
+     * Read the override inputs from the variant list
+     * @returns {Array} Array of {id, price, image, stock} with raw input strings
+     */
+    function readVariantRows() {
+        const rows = document.querySelectorAll('#variant-list .variant-row');
+        
+        return Array.from(rows).map(row => ({
+            id: row.dataset.variantId,
+            price: row.querySelector('.variant-price').value.trim(),
+            image: row.querySelector('.variant-image').value.trim(),
+            stock: row.querySelector('.variant-stock').value.trim()
+        }));
+    }
+    
+    /**
+     * Turn variant rows into variants, keeping only the overrides that were filled in
+     * @param {Array} options - Option definitions [{name, values}]
+     * @param {Array} rows - Rows from readVariantRows()
+     * @returns {Array} Variants {id, options, price?, image?, stock?}
+     */
+    function buildVariantsFromRows(options, rows) {
+        return generateVariants(options).map(variant => {
+            const row = rows.find(row => row.id === variant.id);
+            
+            if (row && row.price !== '') {
+                variant.price = Number(row.price);
+            }
+            if (row && row.image !== '') {
+                variant.image = row.image;
+            }
+            if (row && row.stock !== '') {
+                variant.stock = Number(row.stock);
+            }
+            
+            return variant;
+        });
+    }
+    
+    /**
+     * Rebuild the variant list from the current option rows
+     * Overrides already typed in are kept for variants that still exist
+     */
+    function refreshVariantList() {
+        const options = readVariantOptions();
+        
+        // Invalid options can't be combined into variants yet
+        if (validateVariantOptions(options)) {
+            renderVariantList([]);
+            return;
+        }
+        
+        const currentVariants = buildVariantsFromRows(options, readVariantRows());
+        renderVariantList(generateVariants(options, currentVariants));
+    }
+    
+    /**
+     * Render the variant list with override inputs for each variant
+     * @param {Array} variants - Variants to show
+     */
+    function renderVariantList(variants) {
+        const variantList = document.getElementById('variant-list');
+        variantList.innerHTML = '';
+        
+        // Hide the section when the product has no variants
+        document.getElementById('variants-group').style.display = variants.length > 0 ? 'block' : 'none';
+        
+        variants.forEach(variant => {
+            const row = document.createElement('div');
+            row.className = 'variant-row';
+            row.dataset.variantId = variant.id;
+            
+            const label = document.createElement('div');
+            label.className = 'variant-label';
+            label.textContent = variant.id;
+            
+            const priceInput = document.createElement('input');
+            priceInput.type = 'number';
+            priceInput.step = '0.01';
+            priceInput.min = '0';
+            priceInput.className = 'variant-price';
+            priceInput.placeholder = 'Price';
+            priceInput.value = typeof variant.price === 'number' ? variant.price : '';
+            
+            const imageInput = document.createElement('input');
+            imageInput.type = 'url';
+            imageInput.className = 'variant-image';
+            imageInput.placeholder = 'Image URL';
+            imageInput.value = variant.image || '';
+            
+            const stockInput = document.createElement('input');
+            stockInput.type = 'number';
+            stockInput.step = '1';
+            stockInput.min = '0';
+            stockInput.className = 'variant-stock';
+            stockInput.placeholder = 'Stock';
+            stockInput.value = typeof variant.stock === 'number' ? variant.stock : '';
+            
+            row.appendChild(label);
+            row.appendChild(priceInput);
+            row.appendChild(imageInput);
+            row.appendChild(stockInput);
+            
+            variantList.appendChild(row);
+        });
+    }
+    
+    /**
+     * Show the import form (reset file, column mapping and preview)
+     */
+    function showImportForm() {
+        importFile = null;
+        importPreview = [];
+        
+        document.getElementById('import-file').value = '';
+        document.getElementById('import-mapping-group').style.display = 'none';
+        document.getElementById('import-preview-group').style.display = 'none';
+        document.getElementById('confirm-import-btn').disabled = true;
+        clearErrorMessages();
+        
+        const modal = document.getElementById('import-modal');
+        modal.classList.add('active');
+        trapDialogFocus(modal, closeImportModal);
+    }
+    
+    /**
+     * Close the import modal
+     */
+    function closeImportModal() {
+        const modal = document.getElementById('import-modal');
+        modal.classList.remove('active');
+        releaseDialogFocus(modal);
+        importFile = null;
+        importPreview = [];
+    }
+    
+    /**
+     * Handle a file being chosen for import (read it and show the column mapping)
+     * @param {Event} event - File input change event
+     */
+    function handleImportFileChange(event) {
+        const file = event.target.files[0];
+        
+        clearErrorMessages();
+        importFile = null;
+        document.getElementById('import-mapping-group').style.display = 'none';
+        document.getElementById('import-preview-group').style.display = 'none';
+        document.getElementById('confirm-import-btn').disabled = true;
+        
+        if (!file) {
+            return;
+        }
+        
+        const reader = new FileReader();
+        
+        reader.onload = function() {
+            try {
+                importFile = parseImportFile(file.name, reader.result);
+            } catch (error) {
+                console.error('Error reading import file:', error);
+                showError('import-file-error', error.message);
+                return;
+            }
+            
+            if (importFile.records.length === 0) {
+                showError('import-file-error', 'The file doesn\'t contain any products.');
+                importFile = null;
+                return;
+            }
+            
+            renderImportMapping(guessColumnMapping(importFile.columns));
+            refreshImportPreview();
+        };
+        
+        reader.onerror = function() {
+            console.error('Error reading import file:', reader.error);
+            showError('import-file-error', 'The file could not be read. Please try again.');
+        };
+        
+        reader.readAsText(file);
+    }
+    
+    /**
+     * Render a dropdown for each file column to choose the product field it holds
+     * @param {Object} mapping - Map of column name to product field ('' to ignore the column)
+     */
+    function renderImportMapping(mapping) {
+        const mappingContainer = document.getElementById('import-mapping');
+        mappingContainer.innerHTML = '';
+        
+        Object.keys(mapping).forEach(column => {
+            const row = document.createElement('label');
+            row.className = 'import-mapping-row';
+            
+            const columnName = document.createElement('span');
+            columnName.className = 'import-column-name';
+            columnName.textContent = column;
+            
+            const select = document.createElement('select');
+            select.dataset.column = column;
+            
+            const ignoreOption = document.createElement('option');
+            ignoreOption.value = '';
+            ignoreOption.textContent = 'Ignore this column';
+            select.appendChild(ignoreOption);
+            
+            PRODUCT_IMPORT_FIELDS.forEach(field => {
+                const option = document.createElement('option');
+                option.value = field.field;
+                option.textContent = field.label;
+                select.appendChild(option);
+            });
+            
+            select.value = mapping[column];
+            select.addEventListener('change', refreshImportPreview);
+            
+            row.appendChild(columnName);
+            row.appendChild(select);
+            mappingContainer.appendChild(row);
+        });
+        
+        document.getElementById('import-mapping-group').style.display = 'block';
+    }
+    
+    /**
+     * Read the column mapping chosen in the import form
+     * @returns {Object} Map of column name to product field
+     */
+    function readImportMapping() {
+        const mapping = {};
+        
+        document.querySelectorAll('#import-mapping select').forEach(select => {
+            mapping[select.dataset.column] = select.value;
+        });
+        
+        return mapping;
+    }
+    
+    /**
+     * Validate the file with the current mapping and mode, then show the preview
+     * @returns {Promise} Resolves once the preview is shown
+     */
+    async function refreshImportPreview() {
+        if (!importFile) {
+            return;
+        }
+        
+        const mapping = readImportMapping();
+        const mode = document.querySelector('input[name="import-mode"]:checked').value;
+        
+        // Two columns can't fill the same field
+        const mappedFields = Object.values(mapping).filter(field => field);
+        if (new Set(mappedFields).size !== mappedFields.length) {
+            showError('import-mapping-error', 'Each product field can only be chosen for one column');
+            document.getElementById('import-preview-group').style.display = 'none';
+            document.getElementById('confirm-import-btn').disabled = true;
+            return;
+        }
+        showError('import-mapping-error', '');
+        
+        // Keep the records in case the modal is closed while the catalog loads
+        const records = importFile.records;
+        const products = await getAllProducts();
+        importPreview = buildImportPreview(records, mapping, mode, products);
+        renderImportPreview(importPreview);
+    }
+    
+    /**
+     * Render the import preview: a summary and one table row per record with its errors
+     * @param {Array} rows - Rows from buildImportPreview()
+     */
+    function renderImportPreview(rows) {
+        const validRows = rows.filter(row => row.errors.length === 0);
+        const updateCount = validRows.filter(row => row.action === 'update').length;
+        const invalidCount = rows.length - validRows.length;
+        
+        // Summarise what will happen
+        let summary = `${validRows.length} of ${rows.length} rows ready: ${validRows.length - updateCount} new, ${updateCount} updated.`;
+        if (invalidCount > 0) {
+            summary += ` ${invalidCount} row(s) with errors will be skipped.`;
+        }
+        document.getElementById('import-summary').textContent = summary;
+        
+        // Create preview table
+        const table = document.createElement('table');
+        table.className = 'import-preview-table';
+        
+        const headerRow = table.createTHead().insertRow();
+        ['Row', 'Action', 'SKU', 'Name', 'Price', 'Stock', 'Category', 'Errors'].forEach(heading => {
+            const cell = document.createElement('th');
+            cell.textContent = heading;
+            headerRow.appendChild(cell);
+        });
+        
+        const body = table.createTBody();
+        rows.forEach(row => {
+            const tableRow = body.insertRow();
+            const hasErrors = row.errors.length > 0;
+            tableRow.className = hasErrors ? 'import-row-invalid' : '';
+            
+            const cells = [
+                row.rowNumber,
+                hasErrors ? 'Skip' : (row.action === 'update' ? 'Update' : 'Create'),
+                row.product.sku || '',
+                row.product.name,
+                isNaN(row.product.price) ? '' : formatMoney(row.product.price, BASE_CURRENCY),
+                isNaN(row.product.stock) ? '' : row.product.stock,
+                row.product.category,
+                row.errors.join('; ')
+            ];
+            
+            cells.forEach(value => {
+                tableRow.insertCell().textContent = value;
+            });
+        });
+        
+        const preview = document.getElementById('import-preview');
+        preview.innerHTML = '';
+        preview.appendChild(table);
+        
+        document.getElementById('import-preview-group').style.display = 'block';
+        document.getElementById('confirm-import-btn').disabled = validRows.length === 0;
+    }
+    
+    /**
+     * Save the valid rows of the import preview
+     * @returns {Promise} Resolves once the import is saved
+     */
+    async function handleImportConfirm() {
+        try {
+            const counts = await applyImport(importPreview);
+            showToast(`Import complete: ${counts.added} added, ${counts.updated} updated, ${counts.skipped} skipped.`, 'success');
+            
+            closeImportModal();
+            await loadProductsForEdit();
+            await adminView.loadCategoriesForEdit();
+            adminView.loadActivityFeed();
+        } catch (error) {
+            console.error('Error importing products:', error);
+            showToast(`Failed to import products. ${error.message}`, 'error');
+        }
+    }
+    
+    /**
+     * Reload the lists that change when products are deleted or restored (products, category counts, trash, activity)
+     * @returns {Promise} Resolves once the lists are shown
+     */
+    async function reloadProductLists() {
+        await loadProductsForEdit();
+        await adminView.loadCategoriesForEdit();
+        await adminView.loadTrashForEdit();
+        adminView.loadActivityFeed();
+    }
+    
+    /**
+     * Close the modal
+     */
+    function closeModal() {
+        const modal = document.getElementById('product-modal');
+        modal.classList.remove('active');
+        releaseDialogFocus(modal);
+        document.getElementById('product-form').reset();
+        adminView.discardPendingImageUploads();
+        clearErrorMessages();
+    }
+    
+    /**
+     * Set up all event listeners for the admin panel
+     */
+    function setupEventListeners() {
+        // Add product button
+        const addProductBtn = document.getElementById('add-product-btn');
+        addProductBtn.addEventListener('click', showAddForm);
+        
+        // Form submission
+        const productForm = document.getElementById('product-form');
+        productForm.addEventListener('submit', handleFormSubmit);
+        
+        // Close modal button
+        const closeModalBtn = document.getElementById('close-modal');
+        closeModalBtn.addEventListener('click', closeModal);
+        
+        // Import and export buttons
+        document.getElementById('import-btn').addEventListener('click', showImportForm);
+        document.getElementById('export-csv-btn').addEventListener('click', function() {
+            exportProducts('csv');
+        });
+        document.getElementById('export-json-btn').addEventListener('click', function() {
+            exportProducts('json');
+        });
+        
+        // Import modal
+        document.getElementById('import-file').addEventListener('change', handleImportFileChange);
+        document.querySelectorAll('input[name="import-mode"]').forEach(radio => {
+            radio.addEventListener('change', refreshImportPreview);
+        });
+        document.getElementById('confirm-import-btn').addEventListener('click', handleImportConfirm);
+        document.getElementById('cancel-import-btn').addEventListener('click', closeImportModal);
+        document.getElementById('close-import-modal').addEventListener('click', closeImportModal);
+        
+        const importModal = document.getElementById('import-modal');
+        importModal.addEventListener('click', function(event) {
+            if (event.target === importModal) {
+                closeImportModal();
+            }
+        });
+        
+        // Page size dropdown
+        const pageSizeSelect = document.getElementById('page-size');
+        pageSizeSelect.addEventListener('change', handlePageSizeChange);
+        
+        // Add variant option button
+        const addOptionBtn = document.getElementById('add-option-btn');
+        addOptionBtn.addEventListener('click', function() {
+            document.getElementById('variant-options').appendChild(createOptionRow());
+        });
+        
+        // Cancel button
+        const cancelBtn = document.getElementById('cancel-btn');
+        cancelBtn.addEventListener('click', closeModal);
+        
+        // Close modal when clicking outside of it
+        const modal = document.getElementById('product-modal');
+        modal.addEventListener('click', function(event) {
+            // If clicked on the modal backdrop (not the modal content)
+            if (event.target === modal) {
+                closeModal();
+            }
+        });
+    }
+})();
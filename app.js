@@ -0,0 +1,27 @@
+/**
+ * App Shell Logic
+ * Starts the store: prepares the data and navigation shared by every view once, then shows the
+ * view for the URL (see router.js)
+ */
+
+// Start the store when the page loads
+document.addEventListener('DOMContentLoaded', async function() {
+    // Show the page in the shopper's language, with the language and currency pickers
+    initializeLocale();
+    
+    // Initialize sample products, categories and discount codes if storage is empty
+    await initializeProducts();
+    await initializeCategories();
+    initializeDiscounts();
+    
+    // Update cart and wishlist badges and account link
+    updateCartBadge();
+    updateWishlistBadge();
+    updateAccountNav();
+    
+    // Keep them up to date when another tab changes the cart, wishlist or account
+    syncNavigation();
+    
+    // Show the view for the URL
+    await startRouter();
+});
@@ -0,0 +1,180 @@
+/**
+ * Audit Log Module
+ * Keeps an append-only record of product changes made in the admin panel: when, who, what and how
+ *
+ * Every entry holds a field-by-field diff and the product as it was after the change, so the
+ * version before any change can be rebuilt (see getProductVersionBefore()). Entries are never
+ * changed or removed. Stock taken by orders isn't logged; the orders themselves record it.
+ */
+
+// LocalStorage key for storing the audit log
+const AUDIT_LOG_STORAGE_KEY = 'ecommerce_audit_log';
+
+// Things that can happen to a product
+const AUDIT_ACTIONS = ['create', 'update', 'delete', 'restore', 'purge', 'revert'];
+
+// Actions that change a product's fields (and so have a diff and an earlier version)
+const AUDIT_EDIT_ACTIONS = ['create', 'update', 'revert'];
+
+// Fields that never change, so they're left out of diffs
+const AUDIT_IGNORED_FIELDS = ['id', 'createdAt'];
+
+/**
+ * Get the whole audit log from LocalStorage, oldest entry first
+ * @returns {Array} Array of entries {id, timestamp, actor, action, productId, productName, changes, snapshot, ...details}
+ */
+function getAuditLog() {
+    try {
+        const logJson = localStorage.getItem(AUDIT_LOG_STORAGE_KEY);
+        
+        if (!logJson) {
+            return [];
+        }
+        
+        return parseStoredJson(AUDIT_LOG_STORAGE_KEY, logJson) || [];
+    } catch (error) {
+        console.error('Error getting audit log:', error);
+        return [];
+    }
+}
+
+/**
+ * Compare two versions of a product field by field
+ * @param {Object} before - The product before the change ({} for a new product)
+ * @param {Object} after - The product after the change
+ * @returns {Array} Array of {field, oldValue, newValue} for every field that differs (a missing value is undefined)
+ */
+function diffProducts(before, after) {
+    const fields = [...new Set([...Object.keys(after), ...Object.keys(before)])]
+        .filter(field => !AUDIT_IGNORED_FIELDS.includes(field));
+    
+    return fields
+        .filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+        .map(field => ({
+            field: field,
+            oldValue: before[field],
+            newValue: after[field]
+        }));
+}
+
+/**
+ * Create an audit log entry for a product change (without saving it)
+ * @param {string} action - One of AUDIT_ACTIONS
+ * @param {Object} product - The product after the change (or as it was deleted)
+ * @param {Object|null} previousProduct - The product before an edit (null for new products and other actions)
+ * @param {Object} details - Extra fields to keep, e.g. {source: "import"} (optional)
+ * @returns {Object} The entry
+ */
+function createAuditEntry(action, product, previousProduct, details) {
+    const session = getAdminSession();
+    
+    return {
+        ...details,
+        id: Date.now(),
+        timestamp: new Date().toISOString(),
+        actor: session ? session.username : null,
+        action: action,
+        productId: product.id,
+        productName: product.name,
+        changes: AUDIT_EDIT_ACTIONS.includes(action) ? diffProducts(previousProduct || {}, product) : [],
+        snapshot: product
+    };
+}
+
+/**
+ * Add entries to the end of the audit log
+ * Edits that didn't change anything are left out. A failed write is logged but not thrown,
+ * because the product change it records has already been saved
+ * @param {Array} entries - Entries from createAuditEntry()
+ */
+function appendAuditEntries(entries) {
+    const newEntries = entries.filter(entry => entry.action !== 'update' || entry.changes.length > 0);
+    
+    if (newEntries.length === 0) {
+        return;
+    }
+    
+    try {
+        const log = getAuditLog();
+        
+        // Keep IDs unique and increasing when entries are added in the same millisecond
+        let nextId = Math.max(Date.now(), ...log.slice(-1).map(entry => entry.id + 1));
+        newEntries.forEach(entry => {
+            entry.id = nextId++;
+            log.push(entry);
+        });
+        
+        writeLocalStorage(AUDIT_LOG_STORAGE_KEY, JSON.stringify(log));
+    } catch (error) {
+        console.error('Error writing audit log:', error);
+    }
+}
+
+/**
+ * Record a single product change in the audit log
+ * @param {string} action - One of AUDIT_ACTIONS
+ * @param {Object} product - The product after the change (or as it was deleted)
+ * @param {Object|null} previousProduct - The product before an edit (optional)
+ * @param {Object} details - Extra fields to keep (optional)
+ */
+function recordProductChange(action, product, previousProduct, details) {
+    appendAuditEntries([createAuditEntry(action, product, previousProduct || null, details)]);
+}
+
+/**
+ * Get the audit log entry with an ID
+ * @param {number} id - The entry ID
+ * @returns {Object|null} The entry or null if not found
+ */
+function getAuditEntry(id) {
+    return getAuditLog().find(entry => entry.id === id) || null;
+}
+
+/**
+ * Get every logged change of a product, newest first
+ * @param {number} productId - The ID of the product
+ * @returns {Array} Array of entries
+ */
+function getProductHistory(productId) {
+    return getAuditLog()
+        .filter(entry => entry.productId === productId)
+        .reverse();
+}
+
+/**
+ * Filter the audit log, newest first
+ * @param {Object} filters - {action, from, to}: an action (empty for all) and dates as "YYYY-MM-DD" (empty for no limit)
+ * @returns {Array} Array of entries
+ */
+function filterAuditLog(filters) {
+    // Dates are whole days in the local time zone, both ends included
+    const from = filters.from ? new Date(`${filters.from}T00:00:00`).getTime() : -Infinity;
+    const to = filters.to ? new Date(`${filters.to}T00:00:00`).getTime() + 24 * 60 * 60 * 1000 : Infinity;
+    
+    return getAuditLog()
+        .filter(entry => !filters.action || entry.action === filters.action)
+        .filter(entry => {
+            const time = Date.parse(entry.timestamp);
+            return time >= from && time < to;
+        })
+        .reverse();
+}
+
+/**
+ * Rebuild a product as it was just before a logged edit
+ * @param {Object} entry - An "update" or "revert" entry
+ * @returns {Object} The earlier version of the product
+ */
+function getProductVersionBefore(entry) {
+    const version = { ...entry.snapshot };
+    
+    entry.changes.forEach(change => {
+        if (change.oldValue === undefined) {
+            delete version[change.field];
+        } else {
+            version[change.field] = change.oldValue;
+        }
+    });
+    
+    return version;
+}
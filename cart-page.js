@@ -1,212 +1,560 @@
-/**
- * Cart Page Logic
- * Handles displaying cart items, updating quantities, and calculating totals
- */
-
-// Initialize cart page when page loads
-document.addEventListener('DOMContentLoaded', function() {
-    // Update cart badge
-    updateCartBadge();
-    
-    // Load and display cart items
-    loadCart();
-});
-
-/**
- * Load and display all items in the cart
- */
-function loadCart() {
-    const cart = getCart();
-    const cartContainer = document.getElementById('cart-container');
-    
-    // Clear existing content
-    cartContainer.innerHTML = '';
-    
-    // If cart is empty, show empty cart message
-    if (cart.length === 0) {
-        cartContainer.innerHTML = `
-            <div class="empty-cart">
-                <div class="empty-cart-icon">🛒</div>
-                <h2>Your cart is empty</h2>
-                <p>Start shopping to add items to your cart!</p>
-                <a href="index.html" class="btn btn-primary" style="margin-top: 1rem; display: inline-block;">Browse Products</a>
-            </div>
-        `;
-        return;
-    }
-    
-    // Create cart items container
-    const cartItems = document.createElement('div');
-    cartItems.className = 'cart-items';
-    
-    // Create and append each cart item
-    cart.forEach(cartItem => {
-        const product = getProductById(cartItem.productId);
-        
-        // Skip if product not found (product might have been deleted)
-        if (!product) {
-            return;
-        }
-        
-        const itemElement = createCartItemElement(cartItem, product);
-        cartItems.appendChild(itemElement);
-    });
-    
-    // Create cart summary
-    const cartSummary = createCartSummary();
-    
-    // Assemble cart container
-    cartContainer.appendChild(cartItems);
-    cartContainer.appendChild(cartSummary);
-}
-
-/**
- * Create a cart item element
- * @param {Object} cartItem - Cart item object {productId, quantity}
- * @param {Object} product - Product object
- * @returns {HTMLElement} Cart item element
- */
-function createCartItemElement(cartItem, product) {
-    // Create container
-    const item = document.createElement('div');
-    item.className = 'cart-item';
-    item.id = `cart-item-${cartItem.productId}`;
-    
-    // Calculate subtotal
-    const subtotal = product.price * cartItem.quantity;
-    
-    // Create product image
-    const image = document.createElement('img');
-    image.src = product.image || 'https://via.placeholder.com/400';
-    image.alt = product.name;
-    image.className = 'cart-item-image';
-    image.onerror = function() {
-        this.src = 'https://via.placeholder.com/400';
-    };
-    
-    // Create product name container
-    const nameContainer = document.createElement('div');
-    nameContainer.className = 'cart-item-details';
-    
-    const name = document.createElement('div');
-    name.className = 'cart-item-name';
-    name.textContent = product.name;
-    
-    const category = document.createElement('div');
-    category.className = 'cart-item-category';
-    category.textContent = product.category;
-    category.style.color = 'var(--text-light)';
-    category.style.fontSize = '0.875rem';
-    category.style.marginTop = '0.25rem';
-    
-    nameContainer.appendChild(name);
-    nameContainer.appendChild(category);
-    
-    // Create product price
-    const price = document.createElement('div');
-    price.className = 'cart-item-price';
-    price.textContent = `$${product.price.toFixed(2)}`;
-    
-    // Create quantity input
-    const quantityContainer = document.createElement('div');
-    const quantityInput = document.createElement('input');
-    quantityInput.type = 'number';
-    quantityInput.className = 'quantity-input';
-    quantityInput.value = cartItem.quantity;
-    quantityInput.min = '1';
-    quantityInput.onchange = function() {
-        const newQuantity = parseInt(quantityInput.value);
-        if (newQuantity >= 1) {
-            updateCartQuantity(cartItem.productId, newQuantity);
-            loadCart(); // Reload cart to update totals
-        } else {
-            quantityInput.value = cartItem.quantity; // Revert invalid input
-        }
-    };
-    quantityContainer.appendChild(quantityInput);
-    
-    // Create subtotal
-    const subtotalElement = document.createElement('div');
-    subtotalElement.className = 'cart-item-subtotal';
-    subtotalElement.style.fontWeight = 'bold';
-    subtotalElement.textContent = `$${subtotal.toFixed(2)}`;
-    
-    // Create remove button
-    const removeBtn = document.createElement('button');
-    removeBtn.className = 'remove-item-btn';
-    removeBtn.textContent = '×';
-    removeBtn.title = 'Remove item';
-    removeBtn.onclick = function() {
-        if (confirm(`Remove "${product.name}" from cart?`)) {
-            removeFromCart(cartItem.productId);
-            loadCart(); // Reload cart after removal
-            updateCartBadge();
-        }
-    };
-    
-    // Assemble the item
-    item.appendChild(image);
-    item.appendChild(nameContainer);
-    item.appendChild(price);
-    item.appendChild(quantityContainer);
-    item.appendChild(subtotalElement);
-    item.appendChild(removeBtn);
-    
-    return item;
-}
-
-/**
- * Create cart summary element (total and action buttons)
- * @returns {HTMLElement} Cart summary element
- */
-function createCartSummary() {
-    const summary = document.createElement('div');
-    summary.className = 'cart-summary';
-    
-    // Calculate total
-    const total = calculateCartTotal();
-    
-    // Create total display
-    const totalContainer = document.createElement('div');
-    totalContainer.innerHTML = `
-        <span style="font-size: 1.25rem; margin-right: 1rem;">Total:</span>
-        <span class="cart-total">$${total.toFixed(2)}</span>
-    `;
-    
-    // Create action buttons container
-    const actions = document.createElement('div');
-    actions.className = 'cart-actions';
-    
-    // Create Clear Cart button
-    const clearBtn = document.createElement('button');
-    clearBtn.className = 'btn btn-danger';
-    clearBtn.textContent = 'Clear Cart';
-    clearBtn.onclick = function() {
-        if (confirm('Are you sure you want to clear your entire cart?')) {
-            clearCart();
-            loadCart();
-            updateCartBadge();
-        }
-    };
-    
-    // Create Checkout button
-    const checkoutBtn = document.createElement('button');
-    checkoutBtn.className = 'btn btn-success';
-    checkoutBtn.textContent = 'Checkout';
-    checkoutBtn.onclick = function() {
-        // For demo purposes, just show an alert
-        // In a real application, this would redirect to a payment page
-        alert(`Thank you! Your order total is $${total.toFixed(2)}.\n\nThis is a demo. In a real application, you would be redirected to the payment page.`);
-    };
-    
-    // Assemble actions
-    actions.appendChild(clearBtn);
-    actions.appendChild(checkoutBtn);
-    
-    // Assemble summary
-    summary.appendChild(totalContainer);
-    summary.appendChild(actions);
-    
-    return summary;
-}
-
+/**
+ * Cart View Logic
+ * Handles displaying cart items, updating quantities, and calculating totals
+ */
+
+(function() {
+    // Stops reloading the cart on changes from other tabs (see onDataChanged())
+    let stopDataSync = null;
+    
+    registerView('/cart', {
+        template: 'cart-view',
+        title: 'Shopping Cart',
+        
+        /**
+         * Show the cart
+         * @returns {Promise} Resolves once the cart is shown
+         */
+        mount: async function() {
+            // Reload the cart when it changes in another tab
+            stopDataSync = onDataChanged(handleCartDataChanged);
+            
+            // Load and display cart items
+            await loadCart();
+        },
+        
+        /**
+         * Stop reloading the cart once another view is shown
+         */
+        unmount: function() {
+            stopDataSync();
+        }
+    });
+    
+    /**
+     * Reload the cart when it, or the prices, codes and shipping choices behind its totals, change in another tab
+     * @param {Set} changedKeys - Storage keys that changed (see onDataChanged())
+     */
+    function handleCartDataChanged(changedKeys) {
+        const cartKeys = [
+            getCartStorageKey(),
+            getAccountStorageKey(APPLIED_DISCOUNTS_STORAGE_KEY),
+            getAccountStorageKey(CART_OPTIONS_STORAGE_KEY),
+            PRODUCTS_STORAGE_KEY,
+            PRODUCT_TRASH_STORAGE_KEY,
+            DISCOUNTS_STORAGE_KEY,
+            CUSTOMER_SESSION_STORAGE_KEY,
+            CURRENCIES_STORAGE_KEY
+        ];
+        
+        if (wasDataChanged(changedKeys, ...cartKeys)) {
+            loadCart();
+        }
+    }
+    
+    /**
+     * Load and display all items in the cart
+     * @returns {Promise} Resolves once the cart is shown
+     */
+    async function loadCart() {
+        const { cart, products, trashedProducts } = await getCartWithProducts();
+        const cartContainer = document.getElementById('cart-container');
+        
+        // Load prices, totals and stock problems before touching the page
+        const [items, totals, stockIssues] = await Promise.all([
+            getCartPricedItems(),
+            calculateCartTotals(),
+            getCartStockIssues()
+        ]);
+        
+        // Clear existing content
+        cartContainer.innerHTML = '';
+        
+        // If cart is empty, show empty cart message
+        if (cart.length === 0) {
+            cartContainer.innerHTML = `
+                <div class="empty-cart">
+                    <div class="empty-cart-icon">🛒</div>
+                    <h2>${t('cart.emptyTitle')}</h2>
+                    <p>${t('cart.emptyText')}</p>
+                    <a href="index.html" class="btn btn-primary" style="margin-top: 1rem; display: inline-block;">${t('common.browseProducts')}</a>
+                </div>
+            `;
+            return;
+        }
+        
+        // Create cart items container
+        const cartItems = document.createElement('div');
+        cartItems.className = 'cart-items';
+        
+        // Create and append each cart item
+        cart.forEach(cartItem => {
+            const product = products.get(cartItem.productId);
+            
+            // Deleted products stay in the cart, shown as unavailable, until the customer removes them
+            if (!product) {
+                cartItems.appendChild(createUnavailableCartItemElement(cartItem, trashedProducts.get(cartItem.productId)));
+                return;
+            }
+            
+            const itemElement = createCartItemElement(cartItem, product, stockIssues);
+            cartItems.appendChild(itemElement);
+        });
+        
+        // Create cart summary
+        const cartSummary = createCartSummary(items, totals, stockIssues);
+        
+        // Assemble cart container
+        cartContainer.appendChild(cartItems);
+        cartContainer.appendChild(cartSummary);
+    }
+    
+    /**
+     * Create a cart item element
+     * @param {Object} cartItem - Cart item object {productId, variantId, quantity}
+     * @param {Object} product - Product object
+     * @param {Array} stockIssues - Stock problems in the cart (from getCartStockIssues())
+     * @returns {HTMLElement} Cart item element
+     */
+    function createCartItemElement(cartItem, product, stockIssues) {
+        // Create container
+        const item = document.createElement('div');
+        item.className = 'cart-item';
+        item.id = cartItem.variantId
+            ? `cart-item-${cartItem.productId}-${cartItem.variantId.replace(/\W+/g, '-')}`
+            : `cart-item-${cartItem.productId}`;
+        
+        // Variant price and image override the product's own values
+        const details = getVariantDetails(product, cartItem.variantId);
+        
+        // Calculate subtotal in the display currency (rounded per line, so the lines add up to the cart subtotal)
+        const subtotal = convertLineSubtotal(details.price, cartItem.quantity);
+        
+        // Create product image
+        const image = document.createElement('img');
+        setImageSource(image, details.image);
+        image.alt = product.name;
+        image.className = 'cart-item-image';
+        
+        // Create product name container
+        const nameContainer = document.createElement('div');
+        nameContainer.className = 'cart-item-details';
+        
+        const name = document.createElement('div');
+        name.className = 'cart-item-name';
+        name.textContent = product.name;
+        
+        const category = document.createElement('div');
+        category.className = 'cart-item-category';
+        category.textContent = product.category;
+        category.style.color = 'var(--text-light)';
+        category.style.fontSize = '0.875rem';
+        category.style.marginTop = '0.25rem';
+        
+        nameContainer.appendChild(name);
+        
+        // Show the selected variant (e.g. "M / Black")
+        if (details.label) {
+            const variant = document.createElement('div');
+            variant.className = 'cart-item-variant';
+            variant.textContent = details.label;
+            nameContainer.appendChild(variant);
+        }
+        
+        nameContainer.appendChild(category);
+        
+        // Warn if there isn't enough stock left for this line
+        const stock = getProductStock(product, cartItem.variantId);
+        const hasStockIssue = stockIssues.some(
+            issue => isSameCartLine(issue, cartItem.productId, cartItem.variantId)
+        );
+        if (hasStockIssue) {
+            const stockWarning = document.createElement('div');
+            stockWarning.className = 'cart-item-stock-warning';
+            stockWarning.textContent = stock === 0
+                ? t('stock.outOfStock')
+                : t('cart.onlyLeftInStock', { count: stock });
+            nameContainer.appendChild(stockWarning);
+        }
+        
+        // Create "Move to wishlist" action (saves the item for later and takes it out of the cart)
+        const moveToWishlistBtn = document.createElement('button');
+        moveToWishlistBtn.type = 'button';
+        moveToWishlistBtn.className = 'move-to-wishlist-btn';
+        moveToWishlistBtn.textContent = t('cart.moveToWishlist');
+        moveToWishlistBtn.onclick = async function() {
+            moveToWishlistBtn.disabled = true;
+            try {
+                // Also updates the cart and wishlist badges
+                await moveCartItemToWishlist(cartItem.productId, cartItem.variantId);
+            } catch (error) {
+                console.error('Error moving item to wishlist:', error);
+                showToast(t('cart.moveToWishlistFailed', { name: product.name, message: error.message }), 'error');
+            }
+            loadCart(); // Reload cart after the move
+        };
+        nameContainer.appendChild(moveToWishlistBtn);
+        
+        // Create product price
+        const price = document.createElement('div');
+        price.className = 'cart-item-price';
+        price.textContent = formatPrice(details.price);
+        
+        // Create quantity input
+        const quantityContainer = document.createElement('div');
+        const quantityInput = document.createElement('input');
+        quantityInput.type = 'number';
+        quantityInput.className = 'quantity-input';
+        quantityInput.value = cartItem.quantity;
+        quantityInput.min = '1';
+        if (stock !== Infinity) {
+            quantityInput.max = String(Math.max(1, stock));
+        }
+        quantityInput.onchange = async function() {
+            const newQuantity = parseInt(quantityInput.value);
+            if (newQuantity >= 1) {
+                try {
+                    const savedQuantity = await updateCartQuantity(cartItem.productId, newQuantity, cartItem.variantId);
+                    if (savedQuantity < newQuantity) {
+                        showToast(t('cart.notEnoughStock', { requested: newQuantity, name: product.name, saved: savedQuantity }), 'info');
+                    }
+                } catch (error) {
+                    console.error('Error updating cart quantity:', error);
+                    showToast(t('cart.updateQuantityFailed', { name: product.name, message: error.message }), 'error');
+                }
+                loadCart(); // Reload cart to update totals
+            } else {
+                quantityInput.value = cartItem.quantity; // Revert invalid input
+            }
+        };
+        quantityContainer.appendChild(quantityInput);
+        
+        // Create subtotal
+        const subtotalElement = document.createElement('div');
+        subtotalElement.className = 'cart-item-subtotal';
+        subtotalElement.style.fontWeight = 'bold';
+        subtotalElement.textContent = formatMoney(subtotal);
+        
+        // Create remove button
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'remove-item-btn';
+        removeBtn.textContent = '×';
+        removeBtn.title = t('cart.removeItem');
+        removeBtn.setAttribute('aria-label', t('cart.removeItemLabel', { name: product.name }));
+        removeBtn.onclick = async function() {
+            const confirmed = await showConfirmDialog(t('cart.removeConfirm', { name: product.name }), {
+                title: t('cart.removeItem'),
+                confirmLabel: t('common.remove'),
+                danger: true
+            });
+            if (confirmed) {
+                try {
+                    // removeFromCart() also updates the cart badge
+                    await removeFromCart(cartItem.productId, cartItem.variantId);
+                } catch (error) {
+                    console.error('Error removing item from cart:', error);
+                    showToast(t('cart.removeFailed', { name: product.name, message: error.message }), 'error');
+                }
+                loadCart(); // Reload cart after removal
+            }
+        };
+        
+        // Assemble the item
+        item.appendChild(image);
+        item.appendChild(nameContainer);
+        item.appendChild(price);
+        item.appendChild(quantityContainer);
+        item.appendChild(subtotalElement);
+        item.appendChild(removeBtn);
+        
+        return item;
+    }
+    
+    /**
+     * Create a cart item element for a product that is no longer sold
+     * @param {Object} cartItem - Cart item object {productId, variantId, quantity}
+     * @param {Object} trashedProduct - The deleted product (undefined if it was purged from the trash)
+     * @returns {HTMLElement} Cart item element (with only a remove button)
+     */
+    function createUnavailableCartItemElement(cartItem, trashedProduct) {
+        const name = trashedProduct ? trashedProduct.name : t('cart.unavailableProduct');
+        
+        // Create container
+        const item = document.createElement('div');
+        item.className = 'cart-item cart-item-unavailable';
+        
+        // Create product image
+        const image = document.createElement('img');
+        setImageSource(image, trashedProduct ? getVariantDetails(trashedProduct, cartItem.variantId).image : '');
+        image.alt = name;
+        image.className = 'cart-item-image';
+        
+        // Create product name and notice
+        const nameContainer = document.createElement('div');
+        nameContainer.className = 'cart-item-details';
+        
+        const nameElement = document.createElement('div');
+        nameElement.className = 'cart-item-name';
+        nameElement.textContent = cartItem.variantId ? `${name} (${cartItem.variantId})` : name;
+        nameContainer.appendChild(nameElement);
+        
+        const notice = document.createElement('div');
+        notice.className = 'cart-item-stock-warning';
+        notice.textContent = t('cart.noLongerAvailable');
+        nameContainer.appendChild(notice);
+        
+        // Create quantity (it can't be changed)
+        const quantity = document.createElement('div');
+        quantity.textContent = t('cart.quantity', { quantity: cartItem.quantity });
+        
+        // Create remove button
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'remove-item-btn';
+        removeBtn.textContent = '×';
+        removeBtn.title = t('cart.removeItem');
+        removeBtn.setAttribute('aria-label', t('cart.removeItemLabel', { name: name }));
+        removeBtn.onclick = async function() {
+            try {
+                // removeFromCart() also updates the cart badge
+                await removeFromCart(cartItem.productId, cartItem.variantId);
+            } catch (error) {
+                console.error('Error removing item from cart:', error);
+                showToast(t('cart.removeFailed', { name: name, message: error.message }), 'error');
+            }
+            loadCart(); // Reload cart after removal
+        };
+        
+        // Assemble the item (no price or subtotal)
+        item.appendChild(image);
+        item.appendChild(nameContainer);
+        item.appendChild(document.createElement('div'));
+        item.appendChild(quantity);
+        item.appendChild(document.createElement('div'));
+        item.appendChild(removeBtn);
+        
+        return item;
+    }
+    
+    /**
+     * Create cart summary element (discount code entry, shipping options, totals and action buttons)
+     * @param {Array} items - Priced cart items (from getCartPricedItems())
+     * @param {Object} totals - Cart totals (from calculateCartTotals())
+     * @param {Array} stockIssues - Stock problems in the cart (from getCartStockIssues())
+     * @returns {HTMLElement} Cart summary element
+     */
+    function createCartSummary(items, totals, stockIssues) {
+        const summary = document.createElement('div');
+        summary.className = 'cart-summary';
+        
+        // Create subtotal, discount lines and total display (in the shopper's currency)
+        const totalContainer = createTotalsBreakdown(convertOrderTotals(totals, items));
+        
+        // Let shoppers remove an applied code
+        totalContainer.querySelectorAll('.totals-discount').forEach(row => {
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'remove-discount-btn';
+            removeBtn.textContent = '×';
+            removeBtn.title = t('cart.removeCode', { code: row.dataset.code });
+            removeBtn.setAttribute('aria-label', removeBtn.title);
+            removeBtn.onclick = function() {
+                removeDiscountCode(row.dataset.code);
+                loadCart();
+            };
+            row.querySelector('.totals-label').appendChild(removeBtn);
+        });
+        
+        // Create discount code form
+        const discountForm = createDiscountCodeForm(items);
+        
+        // Create shipping region and method choice
+        const shippingOptions = createShippingOptions(items);
+        
+        // Create action buttons container
+        const actions = document.createElement('div');
+        actions.className = 'cart-actions';
+        
+        // Create Clear Cart button
+        const clearBtn = document.createElement('button');
+        clearBtn.className = 'btn btn-danger';
+        clearBtn.textContent = t('cart.clear');
+        clearBtn.onclick = async function() {
+            const confirmed = await showConfirmDialog(t('cart.clearConfirm'), {
+                title: t('cart.clearTitle'),
+                confirmLabel: t('cart.clearTitle'),
+                danger: true
+            });
+            if (confirmed) {
+                try {
+                    // clearCart() also updates the cart badge
+                    await clearCart();
+                    clearAppliedDiscountCodes();
+                } catch (error) {
+                    console.error('Error clearing cart:', error);
+                    showToast(t('cart.clearFailed', { message: error.message }), 'error');
+                }
+                loadCart();
+            }
+        };
+        
+        // Create Checkout button
+        const checkoutBtn = document.createElement('button');
+        checkoutBtn.className = 'btn btn-success';
+        checkoutBtn.textContent = t('cart.checkout');
+        
+        // Block checkout until quantities fit the available stock
+        if (stockIssues.length > 0) {
+            checkoutBtn.disabled = true;
+            checkoutBtn.title = t('cart.checkoutBlocked');
+        }
+        checkoutBtn.onclick = function() {
+            // Go to the multi-step checkout (shipping, review, confirmation)
+            navigateTo('checkout.html');
+        };
+        
+        // Assemble actions
+        actions.appendChild(clearBtn);
+        actions.appendChild(checkoutBtn);
+        
+        // Assemble summary
+        summary.appendChild(discountForm);
+        summary.appendChild(shippingOptions);
+        summary.appendChild(totalContainer);
+        summary.appendChild(actions);
+        
+        return summary;
+    }
+    
+    /**
+     * Create the shipping region dropdown and shipping method choices
+     * Each method shows what it would cost for the current cart
+     * @param {Array} items - Priced cart items (from getCartPricedItems())
+     * @returns {HTMLElement} Shipping options element
+     */
+    function createShippingOptions(items) {
+        const cartOptions = getCartOptions();
+        const discounts = calculateDiscounts(items);
+        
+        const container = document.createElement('div');
+        container.className = 'shipping-options';
+        
+        // Create region dropdown (decides the tax rate)
+        const regionLabel = document.createElement('label');
+        regionLabel.htmlFor = 'shipping-region';
+        regionLabel.textContent = t('cart.shipTo');
+        
+        const regionSelect = document.createElement('select');
+        regionSelect.id = 'shipping-region';
+        TAX_REGIONS.forEach(region => {
+            const option = document.createElement('option');
+            option.value = region.id;
+            option.textContent = getTaxRegionName(region);
+            regionSelect.appendChild(option);
+        });
+        regionSelect.value = getTaxRegion(cartOptions.regionId).id;
+        regionSelect.onchange = function() {
+            saveCartOptions({ regionId: regionSelect.value });
+            loadCart();
+        };
+        
+        container.appendChild(regionLabel);
+        container.appendChild(regionSelect);
+        
+        // Create a radio button for each shipping method
+        const methods = document.createElement('fieldset');
+        methods.className = 'shipping-methods';
+        
+        const legend = document.createElement('legend');
+        legend.textContent = t('cart.shippingMethod');
+        methods.appendChild(legend);
+        
+        SHIPPING_METHODS.forEach(method => {
+            const cost = calculateOrderTotals(items, {
+                discounts: discounts,
+                regionId: cartOptions.regionId,
+                shippingMethodId: method.id
+            }).shipping.amount;
+            
+            const label = document.createElement('label');
+            label.className = 'shipping-method';
+            
+            const radio = document.createElement('input');
+            radio.type = 'radio';
+            radio.name = 'shipping-method';
+            radio.value = method.id;
+            radio.checked = method.id === getShippingMethod(cartOptions.shippingMethodId).id;
+            radio.onchange = function() {
+                saveCartOptions({ shippingMethodId: method.id });
+                loadCart();
+            };
+            
+            const name = document.createElement('span');
+            name.textContent = getShippingMethodName(method);
+            
+            // Explain "free over" thresholds next to the price
+            const price = document.createElement('span');
+            price.className = 'shipping-method-price';
+            price.textContent = cost > 0 ? formatPrice(cost) : t('totals.free');
+            if (method.type === 'free-over' && cost > 0) {
+                price.textContent += ` ${t('cart.freeOver', { amount: formatPrice(method.threshold) })}`;
+            }
+            
+            label.appendChild(radio);
+            label.appendChild(name);
+            label.appendChild(price);
+            methods.appendChild(label);
+        });
+        
+        container.appendChild(methods);
+        
+        return container;
+    }
+    
+    /**
+     * Create the discount code entry form
+     * @param {Array} items - Priced cart items the code is checked against
+     * @returns {HTMLElement} Discount code form element
+     */
+    function createDiscountCodeForm(items) {
+        const form = document.createElement('form');
+        form.className = 'discount-form';
+        
+        const label = document.createElement('label');
+        label.htmlFor = 'discount-code';
+        label.textContent = t('cart.discountCode');
+        
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.id = 'discount-code';
+        input.className = 'discount-code-input';
+        input.placeholder = t('cart.enterCode');
+        input.autocomplete = 'off';
+        
+        const applyBtn = document.createElement('button');
+        applyBtn.type = 'submit';
+        applyBtn.className = 'btn btn-primary';
+        applyBtn.textContent = t('cart.apply');
+        
+        const message = document.createElement('p');
+        message.className = 'error-message discount-message';
+        message.setAttribute('role', 'alert');
+        
+        form.addEventListener('submit', function(event) {
+            event.preventDefault();
+            
+            try {
+                applyDiscountCode(input.value, items);
+                loadCart();
+            } catch (error) {
+                // Show why the code can't be used (unknown, expired, not applicable, ...)
+                message.textContent = error.message;
+            }
+        });
+        
+        form.appendChild(label);
+        form.appendChild(input);
+        form.appendChild(applyBtn);
+        form.appendChild(message);
+        
+        return form;
+    }
+})();
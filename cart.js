@@ -1,163 +1,504 @@
-/**
- * Shopping Cart Management Module
- * Handles all cart operations using LocalStorage
- */
-
-// LocalStorage key for storing cart items
-const CART_STORAGE_KEY = 'ecommerce_cart';
-
-/**
- * Get all items from the cart
- * @returns {Array} Array of cart items {productId, quantity}
- */
-function getCart() {
-    try {
-        const cartJson = localStorage.getItem(CART_STORAGE_KEY);
-        
-        if (!cartJson) {
-            return [];
-        }
-        
-        return JSON.parse(cartJson);
-    } catch (error) {
-        console.error('Error getting cart:', error);
-        return [];
-    }
-}
-
-/**
- * Add a product to the cart
- * If product already exists, increase quantity by 1
- * @param {number} productId - The ID of the product to add
- */
-function addToCart(productId) {
-    try {
-        const cart = getCart();
-        
-        // Check if product already exists in cart
-        const existingItem = cart.find(item => item.productId === productId);
-        
-        if (existingItem) {
-            // If product exists, increase quantity
-            existingItem.quantity += 1;
-        } else {
-            // If product doesn't exist, add new item with quantity 1
-            cart.push({
-                productId: productId,
-                quantity: 1
-            });
-        }
-        
-        // Save updated cart to LocalStorage
-        localStorage.setItem(CART_STORAGE_KEY, JSON.stringify(cart));
-        
-        // Update cart badge in navigation
-        updateCartBadge();
-    } catch (error) {
-        console.error('Error adding to cart:', error);
-        throw error;
-    }
-}
-
-/**
- * Update the quantity of a product in the cart
- * @param {number} productId - The ID of the product
- * @param {number} quantity - New quantity (must be at least 1)
- */
-function updateCartQuantity(productId, quantity) {
-    try {
-        // Validate quantity
-        if (quantity < 1) {
-            quantity = 1;
-        }
-        
-        const cart = getCart();
-        const item = cart.find(item => item.productId === productId);
-        
-        if (item) {
-            item.quantity = parseInt(quantity);
-            localStorage.setItem(CART_STORAGE_KEY, JSON.stringify(cart));
-            updateCartBadge();
-        }
-    } catch (error) {
-        console.error('Error updating cart quantity:', error);
-        throw error;
-    }
-}
-
-/**
- * Remove a product from the cart
- * @param {number} productId - The ID of the product to remove
- */
-function removeFromCart(productId) {
-    try {
-        const cart = getCart();
-        const filteredCart = cart.filter(item => item.productId !== productId);
-        
-        localStorage.setItem(CART_STORAGE_KEY, JSON.stringify(filteredCart));
-        updateCartBadge();
-    } catch (error) {
-        console.error('Error removing from cart:', error);
-        throw error;
-    }
-}
-
-/**
- * Clear all items from the cart
- */
-function clearCart() {
-    try {
-        localStorage.removeItem(CART_STORAGE_KEY);
-        updateCartBadge();
-    } catch (error) {
-        console.error('Error clearing cart:', error);
-        throw error;
-    }
-}
-
-/**
- * Get the total number of items in the cart
- * @returns {number} Total quantity of all items
- */
-function getCartItemCount() {
-    const cart = getCart();
-    return cart.reduce((total, item) => total + item.quantity, 0);
-}
-
-/**
- * Update the cart badge in navigation
- * Shows total number of items in cart
- */
-function updateCartBadge() {
-    const cartBadge = document.getElementById('cart-badge');
-    if (cartBadge) {
-        const itemCount = getCartItemCount();
-        cartBadge.textContent = itemCount;
-        
-        // Hide badge if cart is empty
-        if (itemCount === 0) {
-            cartBadge.style.display = 'none';
-        } else {
-            cartBadge.style.display = 'inline-flex';
-        }
-    }
-}
-
-/**
- * Calculate the total price of all items in the cart
- * @returns {number} Total price
- */
-function calculateCartTotal() {
-    const cart = getCart();
-    let total = 0;
-    
-    cart.forEach(item => {
-        const product = getProductById(item.productId);
-        if (product) {
-            total += product.price * item.quantity;
-        }
-    });
-    
-    return total;
-}
-
+/**
+ * Shopping Cart Management Module
+ * Handles all cart operations
+ * Reading and writing the cart is async and goes through the storage adapter (see storage.js)
+ * Every read and write is checked against the cart item schema (see schema.js)
+ * Guests share one cart per browser; signed in customers have their own (see accounts.js)
+ */
+
+// Storage key for storing cart items (the guest cart)
+const CART_STORAGE_KEY = 'ecommerce_cart';
+
+/**
+ * Get the storage key of the current shopper's cart
+ * @returns {string} The guest cart key, or the signed in customer's cart key
+ */
+function getCartStorageKey() {
+    return getAccountStorageKey(CART_STORAGE_KEY);
+}
+
+/**
+ * Get all items from the cart
+ * @returns {Promise<Array>} Array of cart items {productId, variantId, quantity}
+ */
+async function getCart() {
+    try {
+        return await loadRecords(getCartStorageKey(), 'cart');
+    } catch (error) {
+        console.error('Error getting cart:', error);
+        return [];
+    }
+}
+
+/**
+ * Load the cart for a change that saves it back
+ * Unlike getCart(), read errors are thrown so a failed read never empties the stored cart
+ * @returns {Promise<Array>} Array of cart items
+ */
+async function loadCartForUpdate() {
+    return loadRecords(getCartStorageKey(), 'cart');
+}
+
+/**
+ * Replace all cart items
+ * @param {Array} cart - Array of cart items
+ * @returns {Promise} Resolves once the cart is saved
+ * @throws {Error} If a cart item is malformed (nothing is saved)
+ */
+async function saveCart(cart) {
+    await saveRecords(getCartStorageKey(), 'cart', cart);
+}
+
+/**
+ * Get the cart items together with the current products
+ * Loads the catalog once so callers don't look up every product separately
+ * Products deleted by staff are in trashedProducts, so the cart can still show what they were
+ * @returns {Promise<Object>} {cart, products, trashedProducts} (both Maps of product ID to product)
+ */
+async function getCartWithProducts() {
+    const [cart, products, trashedProducts] = await Promise.all([getCart(), getAllProducts(), getTrashedProducts()]);
+    
+    return {
+        cart: cart,
+        products: new Map(products.map(product => [product.id, product])),
+        trashedProducts: new Map(trashedProducts.map(product => [product.id, product]))
+    };
+}
+
+/**
+ * Check whether a cart item is the line for a product and variant
+ * Cart lines are keyed by product ID plus variant ID (null for products without variants)
+ * @param {Object} item - Cart item {productId, variantId, quantity}
+ * @param {number} productId - The ID of the product
+ * @param {string|null} variantId - The variant ID (optional)
+ * @returns {boolean} True if the item matches
+ */
+function isSameCartLine(item, productId, variantId) {
+    return item.productId === productId && (item.variantId || null) === (variantId || null);
+}
+
+/**
+ * Get the quantity of a product (or variant) currently in the cart
+ * @param {number} productId - The ID of the product
+ * @param {string|null} variantId - The variant ID (optional)
+ * @returns {Promise<number>} Quantity in cart (0 if not in cart)
+ */
+async function getCartQuantity(productId, variantId) {
+    const cart = await getCart();
+    const item = cart.find(item => isSameCartLine(item, productId, variantId));
+    return item ? item.quantity : 0;
+}
+
+/**
+ * Get the quantity in the cart that draws on the same stock as a product or variant
+ * Variants without their own stock share the product's stock with each other
+ * @param {Array} cart - Cart items
+ * @param {Object} product - Product object
+ * @param {string|null} variantId - The variant ID (optional)
+ * @returns {number} Total quantity using the same stock
+ */
+function getQuantityInStockPool(cart, product, variantId) {
+    const hasOwnStock = variantHasOwnStock(product, variantId);
+    
+    return cart
+        .filter(item => item.productId === product.id)
+        .filter(item => hasOwnStock
+            ? isSameCartLine(item, product.id, variantId)
+            : !variantHasOwnStock(product, item.variantId))
+        .reduce((total, item) => total + item.quantity, 0);
+}
+
+/**
+ * Add a product to the cart
+ * If product already exists, increase its quantity
+ * Nothing is added if the new quantity would be more than the available stock
+ * @param {number} productId - The ID of the product to add
+ * @param {string|null} variantId - The variant ID (defaults to the first available variant)
+ * @param {number} quantity - How many to add (defaults to 1)
+ * @returns {Promise<boolean>} True if the item was added, false if the product no longer exists or not enough stock is available
+ */
+async function addToCart(productId, variantId, quantity = 1) {
+    try {
+        const cart = await loadCartForUpdate();
+        const product = await getProductById(productId);
+        
+        // Deleted products (including those in the trash) can't be bought
+        if (!product) {
+            return false;
+        }
+        
+        // Products with variants are always added as a specific variant
+        if (hasVariants(product)) {
+            variantId = variantId || getDefaultVariantId(product);
+            if (!getProductVariant(product, variantId)) {
+                return false;
+            }
+        } else {
+            variantId = null;
+        }
+        
+        // Check if product already exists in cart
+        const existingItem = cart.find(item => isSameCartLine(item, productId, variantId));
+        
+        // Don't add more than is in stock
+        if (getQuantityInStockPool(cart, product, variantId) + quantity > getProductStock(product, variantId)) {
+            return false;
+        }
+        
+        if (existingItem) {
+            // If product exists, increase quantity
+            existingItem.quantity += quantity;
+        } else {
+            // If product doesn't exist, add new item
+            cart.push({
+                productId: productId,
+                variantId: variantId,
+                quantity: quantity
+            });
+        }
+        
+        // Save updated cart to storage
+        await saveCart(cart);
+        
+        // Update cart badge in navigation
+        await updateCartBadge();
+        
+        return true;
+    } catch (error) {
+        console.error('Error adding to cart:', error);
+        throw error;
+    }
+}
+
+/**
+ * Update the quantity of a product in the cart
+ * @param {number} productId - The ID of the product
+ * @param {number} quantity - New quantity (must be at least 1, capped at available stock)
+ * @param {string|null} variantId - The variant ID (optional)
+ * @returns {Promise<number>} The quantity actually saved (0 if the item is not in the cart)
+ */
+async function updateCartQuantity(productId, quantity, variantId) {
+    try {
+        const cart = await loadCartForUpdate();
+        const item = cart.find(item => isSameCartLine(item, productId, variantId));
+        
+        if (!item) {
+            return 0;
+        }
+        
+        // Cap quantity at the stock left after other lines sharing the same stock
+        const product = await getProductById(productId);
+        if (product) {
+            const otherQuantity = getQuantityInStockPool(cart, product, variantId) - item.quantity;
+            const available = getProductStock(product, variantId) - otherQuantity;
+            if (quantity > available) {
+                quantity = available;
+            }
+        }
+        
+        // Validate quantity
+        if (quantity < 1) {
+            quantity = 1;
+        }
+        
+        item.quantity = parseInt(quantity);
+        await saveCart(cart);
+        await updateCartBadge();
+        
+        return item.quantity;
+    } catch (error) {
+        console.error('Error updating cart quantity:', error);
+        throw error;
+    }
+}
+
+/**
+ * Remove a product from the cart
+ * @param {number} productId - The ID of the product to remove
+ * @param {string|null} variantId - The variant ID (optional)
+ * @returns {Promise} Resolves once the cart is saved
+ */
+async function removeFromCart(productId, variantId) {
+    try {
+        const cart = await loadCartForUpdate();
+        const filteredCart = cart.filter(item => !isSameCartLine(item, productId, variantId));
+        
+        await saveCart(filteredCart);
+        await updateCartBadge();
+    } catch (error) {
+        console.error('Error removing from cart:', error);
+        throw error;
+    }
+}
+
+/**
+ * Clear all items from the cart
+ * @returns {Promise} Resolves once the cart is cleared
+ */
+async function clearCart() {
+    try {
+        await getStorage().remove(getCartStorageKey());
+        await updateCartBadge();
+    } catch (error) {
+        console.error('Error clearing cart:', error);
+        throw error;
+    }
+}
+
+/**
+ * Move the guest cart into the signed in customer's cart
+ * Called after signing in. Lines for the same product (and variant) have their quantities
+ * added together; quantities over the available stock are flagged in the cart as usual
+ * @returns {Promise} Resolves once the guest cart is merged and emptied
+ */
+async function mergeGuestCart() {
+    if (getCartStorageKey() === CART_STORAGE_KEY) {
+        return;
+    }
+    
+    try {
+        const guestCart = await loadRecords(CART_STORAGE_KEY, 'cart');
+        if (guestCart.length === 0) {
+            return;
+        }
+        
+        const cart = await loadCartForUpdate();
+        guestCart.forEach(guestItem => {
+            const existingItem = cart.find(item => isSameCartLine(item, guestItem.productId, guestItem.variantId));
+            
+            if (existingItem) {
+                existingItem.quantity += guestItem.quantity;
+            } else {
+                cart.push({
+                    productId: guestItem.productId,
+                    variantId: guestItem.variantId || null,
+                    quantity: guestItem.quantity
+                });
+            }
+        });
+        
+        // Save the merged cart before emptying the guest cart so nothing is lost if saving fails
+        await saveCart(cart);
+        await getStorage().remove(CART_STORAGE_KEY);
+    } catch (error) {
+        console.error('Error merging guest cart:', error);
+        throw error;
+    }
+}
+
+/**
+ * Get the total number of items in the cart
+ * @returns {Promise<number>} Total quantity of all items
+ */
+async function getCartItemCount() {
+    const cart = await getCart();
+    return cart.reduce((total, item) => total + item.quantity, 0);
+}
+
+/**
+ * Update the cart badge in navigation
+ * Shows total number of items in cart
+ * @returns {Promise} Resolves once the badge is updated
+ */
+async function updateCartBadge() {
+    const cartBadge = document.getElementById('cart-badge');
+    if (cartBadge) {
+        const itemCount = await getCartItemCount();
+        cartBadge.textContent = itemCount;
+        
+        // Hide badge if cart is empty
+        if (itemCount === 0) {
+            cartBadge.style.display = 'none';
+        } else {
+            cartBadge.style.display = 'inline-flex';
+        }
+    }
+}
+
+/**
+ * Round an amount of money to whole cents
+ * @param {number} amount - Amount in dollars
+ * @returns {number} Rounded amount
+ */
+function roundToCents(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Calculate the total price of all items in the cart, before discounts
+ * @returns {Promise<number>} Total price
+ */
+async function calculateCartTotal() {
+    const { cart, products } = await getCartWithProducts();
+    let total = 0;
+    
+    cart.forEach(item => {
+        const product = products.get(item.productId);
+        if (product) {
+            total += getVariantDetails(product, item.variantId).price * item.quantity;
+        }
+    });
+    
+    return total;
+}
+
+/**
+ * Get the cart items with their current prices
+ * @returns {Promise<Array>} Array of {productId, variantId, category, price, quantity, subtotal, weight}
+ */
+async function getCartPricedItems() {
+    const { cart, products } = await getCartWithProducts();
+    const items = [];
+    
+    cart.forEach(item => {
+        const product = products.get(item.productId);
+        
+        // Skip if product not found (product might have been deleted)
+        if (!product) {
+            return;
+        }
+        
+        const price = getVariantDetails(product, item.variantId).price;
+        items.push({
+            productId: item.productId,
+            variantId: item.variantId || null,
+            category: product.category,
+            price: price,
+            quantity: item.quantity,
+            subtotal: price * item.quantity,
+            weight: getProductWeight(product)
+        });
+    });
+    
+    return items;
+}
+
+/**
+ * Calculate the cart subtotal, discounts, shipping, tax and total
+ * Uses the discount codes applied to the cart (see discounts.js) and the
+ * shipping region and method chosen in the cart (see pricing.js)
+ * @returns {Promise<Object>} Totals (see calculateOrderTotals())
+ */
+async function calculateCartTotals() {
+    const items = await getCartPricedItems();
+    const cartOptions = getCartOptions();
+    
+    return calculateOrderTotals(items, {
+        discounts: calculateDiscounts(items),
+        regionId: cartOptions.regionId,
+        shippingMethodId: cartOptions.shippingMethodId
+    });
+}
+
+/**
+ * Create an element listing subtotal, discount lines, shipping, tax and total
+ * Shared by the cart summary, checkout review and order details
+ * Orders placed before discounts, shipping and tax existed only have a total
+ * @param {Object} totals - Totals {subtotal, discounts, shipping, tax, total, currency} (converted with convertOrderTotals(), see currency.js)
+ * @returns {HTMLElement} Totals breakdown element
+ */
+function createTotalsBreakdown(totals) {
+    const currency = totals.currency || BASE_CURRENCY;
+    
+    const breakdown = document.createElement('div');
+    breakdown.className = 'totals-breakdown';
+    
+    /**
+     * Add a label / amount row to the breakdown
+     * @param {string} label - Row label
+     * @param {string} amount - Formatted amount
+     * @param {string} className - Extra class for the row (optional)
+     * @returns {HTMLElement} The row element
+     */
+    function addRow(label, amount, className) {
+        const row = document.createElement('div');
+        row.className = className ? `totals-row ${className}` : 'totals-row';
+        
+        const labelElement = document.createElement('span');
+        labelElement.className = 'totals-label';
+        labelElement.textContent = label;
+        
+        const amountElement = document.createElement('span');
+        amountElement.className = 'totals-amount';
+        amountElement.textContent = amount;
+        
+        row.appendChild(labelElement);
+        row.appendChild(amountElement);
+        breakdown.appendChild(row);
+        
+        return row;
+    }
+    
+    const discounts = totals.discounts || [];
+    
+    // Only show a subtotal when something is added to or taken off it
+    if (typeof totals.subtotal === 'number' && (discounts.length > 0 || totals.shipping || totals.tax)) {
+        addRow(t('totals.subtotal'), formatMoney(totals.subtotal, currency));
+    }
+    
+    discounts.forEach(line => {
+        const row = addRow(
+            `${line.code} · ${line.label}`,
+            line.amount > 0 ? formatMoney(-line.amount, currency) : t('totals.applied'),
+            'totals-discount'
+        );
+        row.dataset.code = line.code;
+    });
+    
+    if (totals.shipping) {
+        addRow(
+            t('totals.shipping', { name: getShippingMethodName(totals.shipping) }),
+            totals.shipping.amount > 0 ? formatMoney(totals.shipping.amount, currency) : t('totals.free')
+        );
+    }
+    
+    if (totals.tax) {
+        addRow(t('totals.tax', { name: getTaxRegionName(totals.tax) }), formatMoney(totals.tax.amount, currency));
+    }
+    
+    addRow(t('totals.total'), formatMoney(totals.total, currency), 'totals-grand-total');
+    
+    return breakdown;
+}
+
+/**
+ * Find cart items whose quantity is more than the available stock, or whose product was deleted
+ * @returns {Promise<Array>} Array of {productId, variantId, name, quantity, stock, unavailable} for each problem item
+ */
+async function getCartStockIssues() {
+    const { cart, products, trashedProducts } = await getCartWithProducts();
+    const issues = [];
+    
+    cart.forEach(item => {
+        const product = products.get(item.productId);
+        
+        // Deleted products can't be ordered at all
+        if (!product) {
+            const trashedProduct = trashedProducts.get(item.productId);
+            issues.push({
+                productId: item.productId,
+                variantId: item.variantId || null,
+                name: trashedProduct ? trashedProduct.name : t('cart.unavailableProduct'),
+                quantity: item.quantity,
+                stock: 0,
+                unavailable: true
+            });
+            return;
+        }
+        
+        const stock = getProductStock(product, item.variantId);
+        if (getQuantityInStockPool(cart, product, item.variantId) > stock) {
+            const label = getVariantDetails(product, item.variantId).label;
+            issues.push({
+                productId: item.productId,
+                variantId: item.variantId || null,
+                name: label ? `${product.name} (${label})` : product.name,
+                quantity: item.quantity,
+                stock: stock,
+                unavailable: false
+            });
+        }
+    });
+    
+    return issues;
+}
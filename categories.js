@@ -0,0 +1,553 @@
+/**
+ * Categories Module
+ * Handles the store's categories: create, rename, delete, reorder and nest them
+ *
+ * Products refer to their category by name (product.category), so renaming a category
+ * renames it on every product (and discount code) that uses it.
+ * Categories are kept in LocalStorage, like discount codes.
+ */
+
+// LocalStorage key for storing categories
+const CATEGORIES_STORAGE_KEY = 'ecommerce_categories';
+
+// Categories the store starts with (numbered in this order; tax rules refer to them by ID, see TAX_REGIONS)
+const DEFAULT_CATEGORIES = [
+    { name: 'Electronics', description: 'Headphones, gadgets and accessories' },
+    { name: 'Clothing', description: 'T-shirts, jackets and everyday wear' },
+    { name: 'Books', description: 'Fiction, non-fiction and guides' },
+    { name: 'Home & Garden', description: 'Furniture, decor and outdoor living' },
+    { name: 'Sports', description: 'Equipment and clothing for staying active' },
+    { name: 'Toys', description: 'Games and toys for all ages' }
+];
+
+// Longest category name and description accepted
+const MAX_CATEGORY_NAME_LENGTH = 50;
+const MAX_CATEGORY_DESCRIPTION_LENGTH = 300;
+
+/**
+ * Initialize categories the first time the store is opened
+ * Starts with the default categories plus any other category the products already use
+ * @returns {Promise<Array>} The stored categories
+ */
+async function initializeCategories() {
+    if (localStorage.getItem(CATEGORIES_STORAGE_KEY)) {
+        return getCategories();
+    }
+    
+    const productCategories = await getAllCategories();
+    const names = DEFAULT_CATEGORIES.map(category => category.name);
+    const createdAt = new Date().toISOString();
+    
+    const categories = [
+        ...DEFAULT_CATEGORIES,
+        ...productCategories
+            .filter(name => name && !names.includes(name))
+            .map(name => ({ name: name, description: '' }))
+    ].map((category, index) => ({
+        id: index + 1,
+        name: category.name,
+        slug: slugifyCategoryName(category.name),
+        description: category.description,
+        parentId: null,
+        position: index,
+        createdAt: createdAt
+    }));
+    
+    try {
+        saveCategories(categories);
+    } catch (error) {
+        console.error('Error initializing categories:', error);
+    }
+    
+    return categories;
+}
+
+/**
+ * Get all categories from LocalStorage (in no particular order; see getCategoryTree())
+ * @returns {Array} Array of categories {id, name, slug, description, parentId, position, createdAt}
+ */
+function getCategories() {
+    try {
+        const categoriesJson = localStorage.getItem(CATEGORIES_STORAGE_KEY);
+        
+        if (!categoriesJson) {
+            return [];
+        }
+        
+        return parseStoredJson(CATEGORIES_STORAGE_KEY, categoriesJson) || [];
+    } catch (error) {
+        console.error('Error getting categories:', error);
+        return [];
+    }
+}
+
+/**
+ * Save all categories to LocalStorage
+ * @param {Array} categories - Array of categories
+ */
+function saveCategories(categories) {
+    writeLocalStorage(CATEGORIES_STORAGE_KEY, JSON.stringify(categories));
+}
+
+/**
+ * Turn a category name into a URL slug (e.g. "Home & Garden" becomes "home-and-garden")
+ * @param {string} name - Category name
+ * @returns {string} Slug of lower-case letters, digits and dashes
+ */
+function slugifyCategoryName(name) {
+    return (name || '')
+        .toLowerCase()
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/&/g, ' and ')
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Get a single category by its ID
+ * @param {number} id - The category ID
+ * @returns {Object|null} The category or null if not found
+ */
+function getCategoryById(id) {
+    return getCategories().find(category => category.id === id) || null;
+}
+
+/**
+ * Get a single category by its name (case-insensitive)
+ * @param {string} name - The category name
+ * @returns {Object|null} The category or null if not found
+ */
+function getCategoryByName(name) {
+    const normalizedName = (name || '').trim().toLowerCase();
+    return getCategories().find(category => category.name.toLowerCase() === normalizedName) || null;
+}
+
+/**
+ * Get a single category by its slug
+ * @param {string} slug - The category slug
+ * @returns {Object|null} The category or null if not found
+ */
+function getCategoryBySlug(slug) {
+    return getCategories().find(category => category.slug === slug) || null;
+}
+
+/**
+ * Get the subcategories of a category, in their display order
+ * @param {Array} categories - All categories
+ * @param {number|null} parentId - The parent category ID (null for top-level categories)
+ * @returns {Array} Array of categories
+ */
+function getChildCategories(categories, parentId) {
+    return categories
+        .filter(category => category.parentId === parentId)
+        .sort((a, b) => a.position - b.position);
+}
+
+/**
+ * Get every category in display order, each followed by its subcategories
+ * @returns {Array} Array of categories with their nesting depth {..., depth} (0 for top-level categories)
+ */
+function getCategoryTree() {
+    const categories = getCategories();
+    const tree = [];
+    
+    /**
+     * Add the subcategories of a category (and theirs) to the tree
+     * @param {number|null} parentId - The parent category ID
+     * @param {number} depth - Nesting depth of the subcategories
+     */
+    function addChildren(parentId, depth) {
+        getChildCategories(categories, parentId).forEach(category => {
+            tree.push({ ...category, depth: depth });
+            addChildren(category.id, depth + 1);
+        });
+    }
+    
+    addChildren(null, 0);
+    return tree;
+}
+
+/**
+ * Get the names of all categories in display order
+ * @returns {Array} Array of category names
+ */
+function getCategoryNames() {
+    return getCategoryTree().map(category => category.name);
+}
+
+/**
+ * Get the IDs of a category's subcategories, their subcategories and so on
+ * @param {Array} categories - All categories
+ * @param {number} id - The category ID
+ * @returns {Array} Array of category IDs (not including the category itself)
+ */
+function getDescendantCategoryIds(categories, id) {
+    return getChildCategories(categories, id)
+        .flatMap(child => [child.id, ...getDescendantCategoryIds(categories, child.id)]);
+}
+
+/**
+ * Add the subcategories of some categories to them
+ * Used so that filtering by a category also shows the products of its subcategories
+ * @param {Array} names - Category names
+ * @returns {Array} The names plus the names of all their subcategories
+ */
+function includeSubcategories(names) {
+    const categories = getCategories();
+    const result = new Set(names);
+    
+    names.forEach(name => {
+        const category = categories.find(category => category.name === name);
+        if (category) {
+            getDescendantCategoryIds(categories, category.id).forEach(id => {
+                result.add(categories.find(category => category.id === id).name);
+            });
+        }
+    });
+    
+    return [...result];
+}
+
+/**
+ * Get a category and its parents, top-level category first (for breadcrumbs)
+ * @param {string} name - The category name
+ * @returns {Array} Array of categories (empty if the category doesn't exist)
+ */
+function getCategoryPath(name) {
+    const categories = getCategories();
+    const path = [];
+    let category = categories.find(category => category.name === name);
+    
+    while (category && !path.includes(category)) {
+        path.unshift(category);
+        category = categories.find(parent => parent.id === category.parentId);
+    }
+    
+    return path;
+}
+
+/**
+ * Get the shareable URL of the product listing filtered to a category
+ * Uses the category's slug (e.g. "index.html?category=home-and-garden")
+ * @param {string} name - The category name
+ * @returns {string} Product listing URL
+ */
+function getCategoryUrl(name) {
+    const category = getCategoryByName(name);
+    return `index.html?category=${encodeURIComponent(category ? category.slug : name)}`;
+}
+
+/**
+ * Validate category form fields
+ * @param {Object} fields - Field values {name, slug, description, parentId}
+ * @param {number|null} categoryId - ID of the category being edited (null when adding)
+ * @returns {Object} Error messages keyed by field (empty when valid)
+ */
+function validateCategoryFields(fields, categoryId) {
+    const categories = getCategories().filter(category => category.id !== categoryId);
+    const name = (fields.name || '').trim();
+    const slug = (fields.slug || '').trim() || slugifyCategoryName(name);
+    const errors = {};
+    
+    if (!name) {
+        errors.name = 'Please enter a category name';
+    } else if (name.length > MAX_CATEGORY_NAME_LENGTH) {
+        errors.name = `Category names can be at most ${MAX_CATEGORY_NAME_LENGTH} characters`;
+    } else if (categories.some(category => category.name.toLowerCase() === name.toLowerCase())) {
+        errors.name = `There is already a category called "${name}"`;
+    }
+    
+    if (!/^[a-z0-9]+(-[a-z0-9]+)*$/.test(slug)) {
+        errors.slug = 'Slugs can only use lower-case letters, digits and dashes (e.g. "home-and-garden")';
+    } else if (categories.some(category => category.slug === slug)) {
+        errors.slug = `The slug "${slug}" is already used by another category`;
+    }
+    
+    if ((fields.description || '').length > MAX_CATEGORY_DESCRIPTION_LENGTH) {
+        errors.description = `Descriptions can be at most ${MAX_CATEGORY_DESCRIPTION_LENGTH} characters`;
+    }
+    
+    // A category can't be moved under itself or one of its own subcategories
+    if (fields.parentId !== null && fields.parentId !== undefined) {
+        const descendantIds = categoryId === null ? [] : getDescendantCategoryIds(getCategories(), categoryId);
+        
+        if (!categories.some(category => category.id === fields.parentId)) {
+            errors.parentId = 'Please choose an existing parent category';
+        } else if (descendantIds.includes(fields.parentId)) {
+            errors.parentId = 'A category can\'t be moved into one of its own subcategories';
+        }
+    }
+    
+    return errors;
+}
+
+/**
+ * Throw the first validation error of some category fields, if there is one
+ * @param {Object} fields - Field values {name, slug, description, parentId}
+ * @param {number|null} categoryId - ID of the category being edited (null when adding)
+ */
+function assertValidCategory(fields, categoryId) {
+    const errors = validateCategoryFields(fields, categoryId);
+    const messages = Object.values(errors);
+    
+    if (messages.length > 0) {
+        throw new Error(messages[0]);
+    }
+}
+
+/**
+ * Number the subcategories of a parent 0, 1, 2... in their current order
+ * @param {Array} categories - All categories (changed in place)
+ * @param {number|null} parentId - The parent category ID
+ */
+function renumberCategories(categories, parentId) {
+    getChildCategories(categories, parentId).forEach((category, index) => {
+        category.position = index;
+    });
+}
+
+/**
+ * Add a new category (at the end of its parent's subcategories)
+ * Requires the "editor" role (see admin-auth.js)
+ * @param {Object} category - Category data {name, slug, description, parentId}
+ * @returns {Object} The added category
+ */
+function addCategory(category) {
+    requireAdminRole('editor', 'add categories');
+    assertValidCategory(category, null);
+    
+    try {
+        const categories = getCategories();
+        const parentId = category.parentId === undefined ? null : category.parentId;
+        const name = category.name.trim();
+        
+        const newCategory = {
+            id: Math.max(0, ...categories.map(existing => existing.id)) + 1,
+            name: name,
+            slug: (category.slug || '').trim() || slugifyCategoryName(name),
+            description: (category.description || '').trim(),
+            parentId: parentId,
+            position: getChildCategories(categories, parentId).length,
+            createdAt: new Date().toISOString()
+        };
+        
+        categories.push(newCategory);
+        saveCategories(categories);
+        
+        return newCategory;
+    } catch (error) {
+        console.error('Error adding category:', error);
+        throw error;
+    }
+}
+
+/**
+ * Update an existing category
+ * Renaming it renames the category of every product and discount code that uses it
+ * Requires the "editor" role (see admin-auth.js)
+ * @param {number} id - The category ID
+ * @param {Object} updatedCategory - Updated category data {name, slug, description, parentId}
+ * @returns {Promise<Object|null>} The updated category or null if not found
+ */
+async function updateCategory(id, updatedCategory) {
+    requireAdminRole('editor', 'edit categories');
+    assertValidCategory(updatedCategory, id);
+    
+    try {
+        const existingCategory = getCategoryById(id);
+        if (!existingCategory) {
+            return null;
+        }
+        
+        const name = updatedCategory.name.trim();
+        const parentId = updatedCategory.parentId === undefined ? null : updatedCategory.parentId;
+        
+        // Rename the products first: if that fails, nothing has been renamed
+        if (name !== existingCategory.name) {
+            await renameProductCategory(existingCategory.name, name);
+            renameDiscountCategory(existingCategory.name, name);
+        }
+        
+        // Read again, since renaming the products may have taken a while
+        const categories = getCategories();
+        const category = categories.find(category => category.id === id);
+        const oldParentId = category.parentId;
+        
+        category.name = name;
+        category.slug = (updatedCategory.slug || '').trim() || slugifyCategoryName(name);
+        category.description = (updatedCategory.description || '').trim();
+        
+        // A category moved to another parent goes to the end of its new parent's subcategories
+        if (parentId !== oldParentId) {
+            category.position = getChildCategories(categories, parentId).length;
+            category.parentId = parentId;
+            renumberCategories(categories, oldParentId);
+        }
+        
+        saveCategories(categories);
+        
+        return category;
+    } catch (error) {
+        console.error('Error updating category:', error);
+        throw error;
+    }
+}
+
+/**
+ * Delete a category
+ * Its subcategories move up to its parent. Categories that still have products can't be deleted,
+ * including products in the trash (restoring them would bring back a category that no longer exists)
+ * Requires the "admin" role (see admin-auth.js)
+ * @param {number} id - The category ID
+ * @returns {Promise<boolean>} True if the category was deleted, false if not found
+ * @throws {Error} If products (or trashed products) are still in the category
+ */
+async function deleteCategory(id) {
+    requireAdminRole('admin', 'delete categories');
+    
+    const category = getCategoryById(id);
+    if (!category) {
+        return false;
+    }
+    
+    const productCount = (await getProductsByCategory(category.name)).length;
+    if (productCount > 0) {
+        throw new Error(`Move the ${productCount} product${productCount === 1 ? '' : 's'} in "${category.name}" to another category first`);
+    }
+    
+    const trashedCount = (await getTrashedProducts()).filter(product => product.category === category.name).length;
+    if (trashedCount > 0) {
+        throw new Error(`${trashedCount} product${trashedCount === 1 ? ' in the trash is' : 's in the trash are'} still in "${category.name}". Restore and move ${trashedCount === 1 ? 'it' : 'them'}, or delete ${trashedCount === 1 ? 'it' : 'them'} permanently first`);
+    }
+    
+    try {
+        const categories = getCategories().filter(existing => existing.id !== id);
+        
+        // Subcategories take the deleted category's place, after its siblings
+        const siblingCount = getChildCategories(categories, category.parentId).length;
+        getChildCategories(categories, id).forEach((child, index) => {
+            child.parentId = category.parentId;
+            child.position = siblingCount + index;
+        });
+        renumberCategories(categories, category.parentId);
+        
+        saveCategories(categories);
+        return true;
+    } catch (error) {
+        console.error('Error deleting category:', error);
+        throw error;
+    }
+}
+
+/**
+ * Put back a deleted category at its old place, with its old subcategories under it again
+ * Used to undo a delete in the admin panel
+ * Requires the "admin" role (see admin-auth.js)
+ * @param {Object} category - The deleted category
+ * @param {Array} childIds - IDs of the subcategories it had
+ * @returns {Object} The restored category
+ * @throws {Error} If its name or slug was taken (or its parent deleted) in the meantime
+ */
+function restoreCategory(category, childIds) {
+    requireAdminRole('admin', 'restore categories');
+    assertValidCategory(category, category.id);
+    
+    try {
+        const categories = getCategories();
+        
+        // Its ID may have been given to a category added since
+        const restoredCategory = { ...category };
+        if (categories.some(existing => existing.id === category.id)) {
+            restoredCategory.id = Math.max(...categories.map(existing => existing.id)) + 1;
+        }
+        
+        // Make room at its old position, then move its subcategories back under it
+        getChildCategories(categories, category.parentId).forEach(sibling => {
+            if (sibling.position >= category.position) {
+                sibling.position++;
+            }
+        });
+        categories.push(restoredCategory);
+        categories
+            .filter(existing => childIds.includes(existing.id))
+            .forEach(child => {
+                child.parentId = restoredCategory.id;
+            });
+        renumberCategories(categories, category.parentId);
+        renumberCategories(categories, restoredCategory.id);
+        
+        saveCategories(categories);
+        return restoredCategory;
+    } catch (error) {
+        console.error('Error restoring category:', error);
+        throw error;
+    }
+}
+
+/**
+ * Move a category up or down among its sibling categories
+ * Requires the "editor" role (see admin-auth.js)
+ * @param {number} id - The category ID
+ * @param {number} direction - -1 to move up, 1 to move down
+ * @returns {boolean} True if the category moved, false if it was already first / last (or not found)
+ */
+function moveCategory(id, direction) {
+    requireAdminRole('editor', 'reorder categories');
+    
+    try {
+        const categories = getCategories();
+        const category = categories.find(category => category.id === id);
+        
+        if (!category) {
+            return false;
+        }
+        
+        const siblings = getChildCategories(categories, category.parentId);
+        const index = siblings.indexOf(category);
+        const neighbour = siblings[index + direction];
+        
+        if (!neighbour) {
+            return false;
+        }
+        
+        // Swap places with the neighbouring category
+        category.position = index + direction;
+        neighbour.position = index;
+        
+        saveCategories(categories);
+        return true;
+    } catch (error) {
+        console.error('Error moving category:', error);
+        throw error;
+    }
+}
+
+/**
+ * Fill a dropdown with the categories, subcategories indented under their parents
+ * @param {HTMLSelectElement} select - The dropdown
+ * @param {string} emptyLabel - Label of the first, empty option (e.g. "Select a category")
+ * @param {Object} options - {valueField: "name" or "id" (default "name"), excludeId: category to leave out with its subcategories}
+ */
+function populateCategorySelect(select, emptyLabel, options = {}) {
+    const valueField = options.valueField || 'name';
+    const excludedIds = options.excludeId
+        ? [options.excludeId, ...getDescendantCategoryIds(getCategories(), options.excludeId)]
+        : [];
+    
+    select.innerHTML = '';
+    
+    const emptyOption = document.createElement('option');
+    emptyOption.value = '';
+    emptyOption.textContent = emptyLabel;
+    select.appendChild(emptyOption);
+    
+    getCategoryTree()
+        .filter(category => !excludedIds.includes(category.id))
+        .forEach(category => {
+            const option = document.createElement('option');
+            option.value = category[valueField];
+            option.textContent = `${'\u00A0\u00A0\u00A0'.repeat(category.depth)}${category.name}`;
+            select.appendChild(option);
+        });
+}
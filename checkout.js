@@ -0,0 +1,361 @@
+/**
+ * Checkout View Logic
+ * Handles the multi-step checkout: shipping details, order review and confirmation
+ */
+
+(function() {
+    // Details entered in the shipping step, kept until the order is placed
+    let checkoutDetails = null;
+    
+    registerView('/checkout', {
+        template: 'checkout-view',
+        title: 'Checkout',
+        
+        /**
+         * Start a new checkout at the shipping step
+         * @returns {Promise} Resolves once the shipping step is shown
+         */
+        mount: async function() {
+            checkoutDetails = null;
+            
+            // Nothing to check out if the cart is empty
+            if ((await createOrderItemsFromCart()).length === 0) {
+                showEmptyCheckout();
+                return;
+            }
+            
+            // Start at the shipping step, filled in from the customer's account if signed in
+            showStep('shipping');
+            setupSavedAddresses();
+            
+            // Set up event listeners
+            setupEventListeners();
+        }
+    });
+    
+    /**
+     * Show one checkout step and hide the others
+     * @param {string} step - The step to show ("shipping", "review" or "confirmation")
+     */
+    function showStep(step) {
+        document.getElementById('shipping-step').style.display = step === 'shipping' ? 'block' : 'none';
+        document.getElementById('review-step').style.display = step === 'review' ? 'block' : 'none';
+        document.getElementById('confirmation-step').style.display = step === 'confirmation' ? 'block' : 'none';
+        
+        // Highlight the current step in the step indicator
+        const stepItems = document.querySelectorAll('#checkout-steps li');
+        stepItems.forEach(item => {
+            item.classList.toggle('active', item.dataset.step === step);
+        });
+        
+        window.scrollTo(0, 0);
+    }
+    
+    /**
+     * Show a message when there is nothing in the cart to check out
+     */
+    function showEmptyCheckout() {
+        document.getElementById('checkout-steps').style.display = 'none';
+        document.getElementById('shipping-step').innerHTML = `
+            <div class="empty-cart">
+                <div class="empty-cart-icon">🛒</div>
+                <h2>${t('cart.emptyTitle')}</h2>
+                <p>${t('checkout.emptyText')}</p>
+                <a href="index.html" class="btn btn-primary" style="margin-top: 1rem; display: inline-block;">${t('common.browseProducts')}</a>
+            </div>
+        `;
+    }
+    
+    /**
+     * Fill in the shipping step from the signed in customer's account
+     * Offers their saved addresses (starting with the default one); guests get a link to sign in
+     */
+    function setupSavedAddresses() {
+        const customer = getCurrentCustomer();
+        
+        if (!customer) {
+            document.getElementById('checkout-account-hint').style.display = 'block';
+            return;
+        }
+        
+        document.getElementById('checkout-name').value = customer.name;
+        document.getElementById('checkout-email').value = customer.email;
+        document.getElementById('save-address-group').style.display = 'block';
+        
+        if (customer.addresses.length === 0) {
+            return;
+        }
+        
+        // Create one option per saved address, plus one for typing a new address
+        const select = document.getElementById('saved-address-select');
+        select.innerHTML = '';
+        
+        customer.addresses.forEach(address => {
+            const option = document.createElement('option');
+            option.value = address.id;
+            option.textContent = `${address.fullName}, ${address.address}, ${address.city}`;
+            select.appendChild(option);
+        });
+        
+        const newOption = document.createElement('option');
+        newOption.value = '';
+        newOption.textContent = t('checkout.newAddress');
+        select.appendChild(newOption);
+        
+        select.onchange = function() {
+            const address = customer.addresses.find(address => address.id === select.value);
+            fillShippingAddress(address || null);
+        };
+        
+        const defaultAddress = customer.addresses.find(address => address.isDefault) || customer.addresses[0];
+        select.value = defaultAddress.id;
+        fillShippingAddress(defaultAddress);
+        document.getElementById('saved-addresses').style.display = 'block';
+    }
+    
+    /**
+     * Fill in (or clear) the shipping address fields
+     * @param {Object|null} address - Saved address, or null to clear the fields for a new address
+     */
+    function fillShippingAddress(address) {
+        const fields = {
+            'checkout-name': 'fullName',
+            'checkout-phone': 'phone',
+            'checkout-address': 'address',
+            'checkout-city': 'city',
+            'checkout-state': 'state',
+            'checkout-postal-code': 'postalCode',
+            'checkout-country': 'country'
+        };
+        
+        Object.entries(fields).forEach(([inputId, field]) => {
+            // Keep the account name when starting a new address
+            if (!address && inputId === 'checkout-name') {
+                return;
+            }
+            document.getElementById(inputId).value = address ? address[field] : '';
+        });
+        
+        // A saved address doesn't need saving again
+        document.getElementById('save-address-group').style.display = address ? 'none' : 'block';
+        document.getElementById('checkout-save-address').checked = false;
+    }
+    
+    /**
+     * Handle shipping form submission (validate and go to the review step)
+     * @param {Event} event - Form submit event
+     */
+    async function handleShippingSubmit(event) {
+        event.preventDefault();
+        
+        // Clear previous error messages
+        clearErrorMessages();
+        
+        // Get form values
+        const customer = {
+            fullName: document.getElementById('checkout-name').value.trim(),
+            email: document.getElementById('checkout-email').value.trim(),
+            phone: document.getElementById('checkout-phone').value.trim()
+        };
+        
+        const shippingAddress = {
+            address: document.getElementById('checkout-address').value.trim(),
+            city: document.getElementById('checkout-city').value.trim(),
+            state: document.getElementById('checkout-state').value.trim(),
+            postalCode: document.getElementById('checkout-postal-code').value.trim(),
+            country: document.getElementById('checkout-country').value.trim()
+        };
+        
+        // Validate form fields
+        let isValid = true;
+        
+        if (!customer.fullName) {
+            showError('checkout-name-error', t('form.nameRequired'));
+            isValid = false;
+        }
+        
+        if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(customer.email)) {
+            showError('checkout-email-error', t('form.invalidEmail'));
+            isValid = false;
+        }
+        
+        if (customer.phone.replace(/\D/g, '').length < 7) {
+            showError('checkout-phone-error', t('form.invalidPhone'));
+            isValid = false;
+        }
+        
+        if (!shippingAddress.address) {
+            showError('checkout-address-error', t('form.streetRequired'));
+            isValid = false;
+        }
+        
+        if (!shippingAddress.city) {
+            showError('checkout-city-error', t('form.cityRequired'));
+            isValid = false;
+        }
+        
+        if (!shippingAddress.postalCode) {
+            showError('checkout-postal-code-error', t('form.postalCodeRequired'));
+            isValid = false;
+        }
+        
+        if (!shippingAddress.country) {
+            showError('checkout-country-error', t('form.countryRequired'));
+            isValid = false;
+        }
+        
+        // If validation fails, stay on the shipping step
+        if (!isValid) {
+            return;
+        }
+        
+        // Save the address to the customer's account if they asked to
+        if (document.getElementById('checkout-save-address').checked && getCurrentCustomer()) {
+            try {
+                addCustomerAddress({ fullName: customer.fullName, phone: customer.phone, ...shippingAddress });
+            } catch (error) {
+                // Not being able to save the address shouldn't stop the order
+                console.error('Error saving address:', error);
+            }
+        }
+        
+        checkoutDetails = {
+            customer: customer,
+            shippingAddress: shippingAddress
+        };
+        
+        await renderReview();
+        showStep('review');
+    }
+    
+    /**
+     * Render the review step (items, address, discounts and total)
+     * @returns {Promise} Resolves once the review is shown
+     */
+    async function renderReview() {
+        const reviewStep = document.getElementById('review-step');
+        const [items, totals] = await Promise.all([createOrderItemsFromCart(), calculateCartTotals()]);
+        
+        // Clear existing content
+        reviewStep.innerHTML = '';
+        
+        // Create items list
+        const itemsTitle = document.createElement('h2');
+        itemsTitle.className = 'checkout-section-title';
+        itemsTitle.textContent = t('checkout.orderItems');
+        
+        const itemsList = createOrderItemsList(items);
+        
+        // Create shipping details
+        const shippingTitle = document.createElement('h2');
+        shippingTitle.className = 'checkout-section-title';
+        shippingTitle.textContent = t('checkout.shipTo');
+        
+        const shippingDetails = createAddressBlock(checkoutDetails.customer, checkoutDetails.shippingAddress);
+        
+        // Create subtotal, discounts and total display
+        const totalContainer = document.createElement('div');
+        totalContainer.className = 'order-total-row';
+        totalContainer.appendChild(createTotalsBreakdown(convertOrderTotals(totals, items)));
+        
+        // Create action buttons
+        const actions = document.createElement('div');
+        actions.className = 'form-actions';
+        
+        const backBtn = document.createElement('button');
+        backBtn.type = 'button';
+        backBtn.className = 'btn';
+        backBtn.textContent = t('checkout.editShipping');
+        backBtn.onclick = function() {
+            showStep('shipping');
+        };
+        
+        const placeOrderBtn = document.createElement('button');
+        placeOrderBtn.type = 'button';
+        placeOrderBtn.className = 'btn btn-success';
+        placeOrderBtn.textContent = t('checkout.placeOrder');
+        placeOrderBtn.onclick = function() {
+            placeOrderBtn.disabled = true;
+            handlePlaceOrder();
+        };
+        
+        actions.appendChild(backBtn);
+        actions.appendChild(placeOrderBtn);
+        
+        // Assemble review step
+        reviewStep.appendChild(itemsTitle);
+        reviewStep.appendChild(itemsList);
+        reviewStep.appendChild(shippingTitle);
+        reviewStep.appendChild(shippingDetails);
+        reviewStep.appendChild(totalContainer);
+        reviewStep.appendChild(actions);
+    }
+    
+    /**
+     * Place the order and show the confirmation step
+     * @returns {Promise} Resolves once the confirmation (or the review again) is shown
+     */
+    async function handlePlaceOrder() {
+        try {
+            const order = await placeOrder(checkoutDetails.customer, checkoutDetails.shippingAddress);
+            checkoutDetails = null;
+            
+            renderConfirmation(order);
+            showStep('confirmation');
+        } catch (error) {
+            console.error('Error placing order:', error);
+            
+            // The order was placed but not everything after it was saved: confirm it so it isn't placed twice
+            if (error.order) {
+                checkoutDetails = null;
+                renderConfirmation(error.order);
+                showStep('confirmation');
+                showToast(error.message, 'error');
+                return;
+            }
+            
+            showToast(t('checkout.placeOrderFailed', { message: error.message }), 'error');
+            await renderReview();
+        }
+    }
+    
+    /**
+     * Render the confirmation step for a placed order
+     * @param {Object} order - The placed order
+     */
+    function renderConfirmation(order) {
+        const confirmationStep = document.getElementById('confirmation-step');
+        
+        confirmationStep.innerHTML = `
+            <div class="order-confirmation">
+                <div class="empty-cart-icon">✅</div>
+                <h2>${t('checkout.thanks')}</h2>
+                <p>${t('checkout.orderNumberIs')} <strong class="order-number"></strong>.</p>
+                <p>${t('checkout.confirmationSentTo')} <strong class="order-email"></strong>.</p>
+                <p class="order-confirmation-total"></p>
+                <div class="cart-actions order-confirmation-actions">
+                    <a class="btn btn-primary" id="view-order-link">${t('checkout.viewOrder')}</a>
+                    <a href="index.html" class="btn">${t('checkout.continueShopping')}</a>
+                </div>
+            </div>
+        `;
+        
+        // Fill in user-entered values as text to avoid injecting markup
+        confirmationStep.querySelector('.order-number').textContent = order.orderNumber;
+        confirmationStep.querySelector('.order-email').textContent = order.customer.email;
+        confirmationStep.querySelector('.order-confirmation-total').textContent = t('checkout.itemsAndTotal', {
+            count: order.itemCount,
+            total: formatMoney(getOrderTotals(order).total, getOrderCurrency(order).code)
+        });
+        document.getElementById('view-order-link').href = `orders.html?order=${encodeURIComponent(order.orderNumber)}`;
+    }
+    
+    /**
+     * Set up all event listeners for the checkout view
+     */
+    function setupEventListeners() {
+        // Shipping form submission
+        const shippingForm = document.getElementById('shipping-form');
+        shippingForm.addEventListener('submit', handleShippingSubmit);
+    }
+})();
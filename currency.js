@@ -0,0 +1,320 @@
+/**
+ * Currency Module
+ * Handles the currencies shoppers can see prices in, their exchange rates, and formatting money
+ *
+ * Prices, totals and orders are always stored in the base currency. Amounts are only converted
+ * when they are shown, and every converted amount is rounded to the currency's smallest unit
+ * (cents, or whole yen). Cart and order totals add up the converted lines (see
+ * convertOrderTotals()), so the lines a shopper sees always add up to the total they see.
+ */
+
+// Currency that prices are entered and stored in
+const BASE_CURRENCY = 'USD';
+
+// LocalStorage key for the currencies shoppers can choose from and their exchange rates
+const CURRENCIES_STORAGE_KEY = 'ecommerce_currencies';
+
+// LocalStorage key for the currency the shopper chose to see prices in
+const DISPLAY_CURRENCY_STORAGE_KEY = 'ecommerce_display_currency';
+
+// Currencies offered until an admin changes them (rate = units per 1 of the base currency)
+const DEFAULT_CURRENCIES = [
+    { code: 'USD', rate: 1 },
+    { code: 'EUR', rate: 0.92 },
+    { code: 'GBP', rate: 0.79 },
+    { code: 'JPY', rate: 150 }
+];
+
+/**
+ * Check whether the browser knows a currency code (so it can be formatted)
+ * @param {string} code - ISO 4217 code (e.g. "EUR")
+ * @returns {boolean} True if the code is a supported currency
+ */
+function isSupportedCurrency(code) {
+    if (!/^[A-Z]{3}$/.test(code)) {
+        return false;
+    }
+    
+    try {
+        new Intl.NumberFormat('en', { style: 'currency', currency: code });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Get the currencies shoppers can choose from, the base currency first
+ * @returns {Array} Array of currencies {code, rate}
+ */
+function getCurrencies() {
+    let currencies = DEFAULT_CURRENCIES;
+    
+    try {
+        const currenciesJson = localStorage.getItem(CURRENCIES_STORAGE_KEY);
+        
+        if (currenciesJson) {
+            currencies = parseStoredJson(CURRENCIES_STORAGE_KEY, currenciesJson) || DEFAULT_CURRENCIES;
+        }
+    } catch (error) {
+        console.error('Error getting currencies:', error);
+    }
+    
+    // The base currency is always offered, at a rate of 1
+    const others = currencies.filter(currency =>
+        currency.code !== BASE_CURRENCY &&
+        isSupportedCurrency(currency.code) &&
+        currency.rate > 0
+    );
+    
+    return [{ code: BASE_CURRENCY, rate: 1 }, ...others];
+}
+
+/**
+ * Get a currency by its code
+ * @param {string} code - The currency code
+ * @returns {Object|null} The currency {code, rate} or null if it isn't offered
+ */
+function getCurrencyByCode(code) {
+    return getCurrencies().find(currency => currency.code === code) || null;
+}
+
+/**
+ * Save the currency list
+ * @param {Array} currencies - Array of currencies {code, rate}
+ */
+function saveCurrencies(currencies) {
+    writeLocalStorage(CURRENCIES_STORAGE_KEY, JSON.stringify(currencies));
+}
+
+/**
+ * Check a currency entered in the admin panel
+ * @param {Object} currency - Currency {code, rate}
+ * @throws {Error} If the code isn't a known currency or the rate isn't a positive number
+ */
+function validateCurrency(currency) {
+    if (!isSupportedCurrency(currency.code)) {
+        throw new Error(`"${currency.code}" is not a known currency code`);
+    }
+    
+    if (typeof currency.rate !== 'number' || !(currency.rate > 0)) {
+        throw new Error('The exchange rate must be a number greater than 0');
+    }
+}
+
+/**
+ * Add a currency shoppers can choose
+ * Requires the "admin" role (see admin-auth.js)
+ * @param {Object} currency - Currency {code, rate}
+ * @returns {Object} The added currency
+ */
+function addCurrency(currency) {
+    requireAdminRole('admin', 'add currencies');
+    validateCurrency(currency);
+    
+    if (getCurrencyByCode(currency.code)) {
+        throw new Error(`The currency "${currency.code}" already exists`);
+    }
+    
+    try {
+        const newCurrency = { code: currency.code, rate: currency.rate };
+        saveCurrencies([...getCurrencies(), newCurrency]);
+        
+        return newCurrency;
+    } catch (error) {
+        console.error('Error adding currency:', error);
+        throw error;
+    }
+}
+
+/**
+ * Change the exchange rate of a currency
+ * Requires the "admin" role (see admin-auth.js)
+ * @param {string} code - The currency code
+ * @param {number} rate - Units of the currency per 1 of the base currency
+ * @returns {Object|null} The updated currency or null if not found
+ */
+function updateCurrencyRate(code, rate) {
+    requireAdminRole('admin', 'change exchange rates');
+    
+    if (code === BASE_CURRENCY) {
+        throw new Error('The rate of the base currency is always 1');
+    }
+    validateCurrency({ code, rate });
+    
+    try {
+        const currencies = getCurrencies();
+        const currency = currencies.find(currency => currency.code === code);
+        
+        if (!currency) {
+            return null;
+        }
+        
+        currency.rate = rate;
+        saveCurrencies(currencies);
+        
+        return currency;
+    } catch (error) {
+        console.error('Error updating currency:', error);
+        throw error;
+    }
+}
+
+/**
+ * Stop offering a currency (shoppers who chose it see the base currency again)
+ * Requires the "admin" role (see admin-auth.js)
+ * @param {string} code - The currency code
+ * @returns {boolean} True if the currency was deleted, false if not found
+ */
+function deleteCurrency(code) {
+    requireAdminRole('admin', 'delete currencies');
+    
+    if (code === BASE_CURRENCY) {
+        throw new Error('The base currency can\'t be deleted');
+    }
+    
+    try {
+        const currencies = getCurrencies();
+        const filteredCurrencies = currencies.filter(currency => currency.code !== code);
+        
+        if (filteredCurrencies.length === currencies.length) {
+            return false;
+        }
+        
+        saveCurrencies(filteredCurrencies);
+        
+        return true;
+    } catch (error) {
+        console.error('Error deleting currency:', error);
+        throw error;
+    }
+}
+
+/**
+ * Get the currency the shopper sees prices in
+ * @returns {Object} The currency {code, rate} (the base currency if none was chosen, or it's no longer offered)
+ */
+function getDisplayCurrency() {
+    let code = null;
+    
+    try {
+        code = localStorage.getItem(DISPLAY_CURRENCY_STORAGE_KEY);
+    } catch (error) {
+        console.error('Error getting display currency:', error);
+    }
+    
+    return getCurrencyByCode(code) || getCurrencyByCode(BASE_CURRENCY);
+}
+
+/**
+ * Choose the currency the shopper sees prices in
+ * @param {string} code - The currency code
+ */
+function setDisplayCurrency(code) {
+    if (!getCurrencyByCode(code)) {
+        throw new Error(`The currency "${code}" is not offered`);
+    }
+    
+    writeLocalStorage(DISPLAY_CURRENCY_STORAGE_KEY, code);
+}
+
+/**
+ * Get how many decimal places a currency uses (e.g. 2 for EUR, 0 for JPY)
+ * @param {string} code - The currency code
+ * @returns {number} Number of decimal places
+ */
+function getCurrencyDecimals(code) {
+    return new Intl.NumberFormat('en', { style: 'currency', currency: code }).resolvedOptions().maximumFractionDigits;
+}
+
+/**
+ * Round an amount to a currency's smallest unit
+ * @param {number} amount - Amount in the currency
+ * @param {string} code - The currency code
+ * @returns {number} Rounded amount
+ */
+function roundToCurrency(amount, code) {
+    const factor = Math.pow(10, getCurrencyDecimals(code));
+    return Math.round(amount * factor) / factor;
+}
+
+/**
+ * Convert an amount from the base currency
+ * @param {number} amount - Amount in the base currency
+ * @param {Object} currency - Currency to convert to {code, rate} (defaults to the display currency)
+ * @returns {number} Converted amount, rounded to the currency's smallest unit
+ */
+function convertAmount(amount, currency = getDisplayCurrency()) {
+    return roundToCurrency(amount * currency.rate, currency.code);
+}
+
+/**
+ * Convert the subtotal of a line (unit price × quantity) from the base currency
+ * The unit price is converted and rounded first, so the subtotal is exactly what the shopper sees times the quantity
+ * @param {number} price - Unit price in the base currency
+ * @param {number} quantity - Quantity
+ * @param {Object} currency - Currency to convert to {code, rate} (defaults to the display currency)
+ * @returns {number} Converted subtotal
+ */
+function convertLineSubtotal(price, quantity, currency = getDisplayCurrency()) {
+    return roundToCurrency(convertAmount(price, currency) * quantity, currency.code);
+}
+
+/**
+ * Convert cart or order totals from the base currency
+ * Every line, discount, shipping and tax amount is converted and rounded on its own, and the
+ * subtotal and total are added up from them, so the breakdown always adds up
+ * @param {Object} totals - Totals in the base currency (see calculateOrderTotals())
+ * @param {Array} items - The priced lines the totals are for {price, quantity}
+ * @param {Object} currency - Currency to convert to {code, rate} (defaults to the display currency)
+ * @returns {Object} Converted totals (same fields) with a currency field holding the currency code
+ */
+function convertOrderTotals(totals, items, currency = getDisplayCurrency()) {
+    // Orders placed before discounts, shipping and tax existed only have a total
+    if (typeof totals.subtotal !== 'number') {
+        return { total: convertAmount(totals.total, currency), currency: currency.code };
+    }
+    
+    const subtotal = roundToCurrency(
+        items.reduce((total, item) => total + convertLineSubtotal(item.price, item.quantity, currency), 0),
+        currency.code
+    );
+    const discounts = (totals.discounts || []).map(line => ({ ...line, amount: convertAmount(line.amount, currency) }));
+    const discountTotal = roundToCurrency(discounts.reduce((total, line) => total + line.amount, 0), currency.code);
+    const shipping = totals.shipping ? { ...totals.shipping, amount: convertAmount(totals.shipping.amount, currency) } : null;
+    const tax = totals.tax ? { ...totals.tax, amount: convertAmount(totals.tax.amount, currency) } : null;
+    
+    return {
+        ...totals,
+        subtotal: subtotal,
+        discounts: discounts,
+        discountTotal: discountTotal,
+        shipping: shipping,
+        tax: tax,
+        total: roundToCurrency(
+            Math.max(0, subtotal - discountTotal) + (shipping ? shipping.amount : 0) + (tax ? tax.amount : 0),
+            currency.code
+        ),
+        currency: currency.code
+    };
+}
+
+/**
+ * Format an amount of money for the current language (e.g. "$1,234.50" or "1.234,50 €")
+ * @param {number} amount - Amount, already in the currency
+ * @param {string} code - The currency code (defaults to the display currency)
+ * @returns {string} Formatted amount
+ */
+function formatMoney(amount, code = getDisplayCurrency().code) {
+    return new Intl.NumberFormat(getLocale(), { style: 'currency', currency: code }).format(amount);
+}
+
+/**
+ * Convert a base currency price to the display currency and format it
+ * @param {number} amount - Amount in the base currency
+ * @returns {string} Formatted amount in the display currency
+ */
+function formatPrice(amount) {
+    const currency = getDisplayCurrency();
+    return formatMoney(convertAmount(amount, currency), currency.code);
+}
@@ -0,0 +1,479 @@
+/**
+ * Discount Codes Module
+ * Handles admin-managed discount codes and applying them to the cart using LocalStorage
+ */
+
+// LocalStorage key for storing discount code definitions
+const DISCOUNTS_STORAGE_KEY = 'ecommerce_discounts';
+
+// LocalStorage key for the codes the shopper has applied to their cart (per account, see getAccountStorageKey())
+const APPLIED_DISCOUNTS_STORAGE_KEY = 'ecommerce_applied_discounts';
+
+/**
+ * Initialize discount codes with sample data the first time the store is opened
+ * Unlike products, an empty list is kept (the admin may have deleted every code)
+ */
+function initializeDiscounts() {
+    if (localStorage.getItem(DISCOUNTS_STORAGE_KEY) !== null) {
+        return;
+    }
+    
+    const createdAt = new Date().toISOString();
+    const sampleDiscounts = [
+        { code: 'WELCOME10', type: 'percentage', value: 10, category: '', usageLimit: null },
+        { code: 'SAVE5', type: 'fixed', value: 5, category: '', usageLimit: 100 },
+        { code: 'FREESHIP', type: 'free-shipping', category: '', usageLimit: null },
+        { code: 'BOOKS3FOR2', type: 'buy-x-get-y', buyQuantity: 2, getQuantity: 1, category: 'Books', usageLimit: null },
+        { code: 'CLOTHING15', type: 'percentage', value: 15, category: 'Clothing', usageLimit: 50 }
+    ].map(discount => ({
+        expiresAt: null,
+        timesUsed: 0,
+        createdAt: createdAt,
+        ...discount
+    }));
+    
+    try {
+        writeLocalStorage(DISCOUNTS_STORAGE_KEY, JSON.stringify(sampleDiscounts));
+    } catch (error) {
+        console.error('Error initializing discounts:', error);
+    }
+}
+
+/**
+ * Get all discount codes from LocalStorage
+ * @returns {Array} Array of discount objects
+ */
+function getAllDiscounts() {
+    try {
+        const discountsJson = localStorage.getItem(DISCOUNTS_STORAGE_KEY);
+        
+        if (!discountsJson) {
+            return [];
+        }
+        
+        return parseStoredJson(DISCOUNTS_STORAGE_KEY, discountsJson) || [];
+    } catch (error) {
+        console.error('Error getting discounts:', error);
+        return [];
+    }
+}
+
+/**
+ * Normalize a discount code as typed by a shopper or admin
+ * Codes are case-insensitive and stored in upper case
+ * @param {string} code - The code as typed
+ * @returns {string} Trimmed, upper-case code
+ */
+function normalizeDiscountCode(code) {
+    return (code || '').trim().toUpperCase();
+}
+
+/**
+ * Get a single discount by its code
+ * @param {string} code - The discount code (any case)
+ * @returns {Object|null} The discount object or null if not found
+ */
+function getDiscountByCode(code) {
+    const normalizedCode = normalizeDiscountCode(code);
+    return getAllDiscounts().find(discount => discount.code === normalizedCode) || null;
+}
+
+/**
+ * Add a new discount code
+ * Requires the "editor" role (see admin-auth.js)
+ * @param {Object} discount - Discount data {code, type, value, buyQuantity, getQuantity, category, expiresAt, usageLimit}
+ * @returns {Object} The added discount
+ */
+function addDiscount(discount) {
+    requireAdminRole('editor', 'add discount codes');
+    
+    try {
+        const discounts = getAllDiscounts();
+        
+        const newDiscount = {
+            ...discount,
+            code: normalizeDiscountCode(discount.code),
+            timesUsed: 0,
+            createdAt: new Date().toISOString()
+        };
+        
+        discounts.push(newDiscount);
+        writeLocalStorage(DISCOUNTS_STORAGE_KEY, JSON.stringify(discounts));
+        
+        return newDiscount;
+    } catch (error) {
+        console.error('Error adding discount:', error);
+        throw error;
+    }
+}
+
+/**
+ * Update an existing discount code
+ * Requires the "editor" role (see admin-auth.js)
+ * @param {string} code - The current code of the discount to update
+ * @param {Object} updatedDiscount - Updated discount data (the code itself may change)
+ * @returns {Object|null} The updated discount or null if not found
+ */
+function updateDiscount(code, updatedDiscount) {
+    requireAdminRole('editor', 'edit discount codes');
+    
+    try {
+        const discounts = getAllDiscounts();
+        const discountIndex = discounts.findIndex(discount => discount.code === normalizeDiscountCode(code));
+        
+        if (discountIndex === -1) {
+            return null;
+        }
+        
+        // Keep the usage count and creation date
+        discounts[discountIndex] = {
+            ...updatedDiscount,
+            code: normalizeDiscountCode(updatedDiscount.code),
+            timesUsed: discounts[discountIndex].timesUsed,
+            createdAt: discounts[discountIndex].createdAt
+        };
+        
+        writeLocalStorage(DISCOUNTS_STORAGE_KEY, JSON.stringify(discounts));
+        
+        return discounts[discountIndex];
+    } catch (error) {
+        console.error('Error updating discount:', error);
+        throw error;
+    }
+}
+
+/**
+ * Delete a discount code
+ * Requires the "admin" role (see admin-auth.js)
+ * @param {string} code - The code to delete
+ * @returns {boolean} True if the discount was deleted, false if not found
+ */
+function deleteDiscount(code) {
+    requireAdminRole('admin', 'delete discount codes');
+    
+    try {
+        const discounts = getAllDiscounts();
+        const filteredDiscounts = discounts.filter(discount => discount.code !== normalizeDiscountCode(code));
+        
+        if (filteredDiscounts.length === discounts.length) {
+            return false;
+        }
+        
+        writeLocalStorage(DISCOUNTS_STORAGE_KEY, JSON.stringify(filteredDiscounts));
+        
+        return true;
+    } catch (error) {
+        console.error('Error deleting discount:', error);
+        throw error;
+    }
+}
+
+/**
+ * Put back a deleted discount code as it was, usage count included (used to undo a delete in the admin panel)
+ * Requires the "admin" role (see admin-auth.js)
+ * @param {Object} discount - The deleted discount
+ * @throws {Error} If a discount with the same code was added in the meantime
+ */
+function restoreDiscount(discount) {
+    requireAdminRole('admin', 'restore discount codes');
+    
+    if (getDiscountByCode(discount.code)) {
+        throw new Error(`The code "${discount.code}" already exists`);
+    }
+    
+    try {
+        const discounts = getAllDiscounts();
+        discounts.push(discount);
+        writeLocalStorage(DISCOUNTS_STORAGE_KEY, JSON.stringify(discounts));
+    } catch (error) {
+        console.error('Error restoring discount:', error);
+        throw error;
+    }
+}
+
+/**
+ * Move discount codes limited to a category to the renamed category (see updateCategory() in categories.js)
+ * Requires the "editor" role (see admin-auth.js)
+ * @param {string} oldName - The category's old name
+ * @param {string} newName - The category's new name
+ */
+function renameDiscountCategory(oldName, newName) {
+    requireAdminRole('editor', 'edit discount codes');
+    
+    try {
+        const discounts = getAllDiscounts();
+        discounts
+            .filter(discount => discount.category === oldName)
+            .forEach(discount => {
+                discount.category = newName;
+            });
+            
+        writeLocalStorage(DISCOUNTS_STORAGE_KEY, JSON.stringify(discounts));
+    } catch (error) {
+        console.error('Error renaming discount category:', error);
+        throw error;
+    }
+}
+
+/**
+ * Check whether a discount has expired
+ * Codes stay valid until the end of their expiry date
+ * @param {Object} discount - Discount object
+ * @returns {boolean} True if the expiry date has passed
+ */
+function isDiscountExpired(discount) {
+    if (!discount.expiresAt) {
+        return false;
+    }
+    
+    return new Date() > new Date(`${discount.expiresAt}T23:59:59.999`);
+}
+
+/**
+ * Check whether a discount has been used as many times as allowed
+ * @param {Object} discount - Discount object
+ * @returns {boolean} True if the usage limit is reached
+ */
+function isDiscountUsedUp(discount) {
+    return typeof discount.usageLimit === 'number' && discount.timesUsed >= discount.usageLimit;
+}
+
+/**
+ * Get the reason a discount can't be used right now
+ * @param {Object} discount - Discount object
+ * @returns {string} Error message, or an empty string if the code can be used
+ */
+function getDiscountProblem(discount) {
+    if (isDiscountExpired(discount)) {
+        return t('discount.expired', { code: discount.code });
+    }
+    
+    if (isDiscountUsedUp(discount)) {
+        return t('discount.unavailable', { code: discount.code });
+    }
+    
+    return '';
+}
+
+/**
+ * Describe what a discount gives, e.g. "10% off (Books)" or "Buy 2 get 1 free"
+ * @param {Object} discount - Discount object
+ * @returns {string} Short description in the shopper's language
+ */
+function describeDiscount(discount) {
+    let description;
+    
+    switch (discount.type) {
+        case 'percentage':
+            description = t('discount.percentOff', { value: discount.value });
+            break;
+        case 'fixed':
+            // Fixed amounts are set in the base currency (see currency.js)
+            description = t('discount.amountOff', { amount: formatMoney(discount.value, BASE_CURRENCY) });
+            break;
+        case 'free-shipping':
+            return t('discount.freeShipping');
+        case 'buy-x-get-y':
+            description = t('discount.buyXGetY', { buy: discount.buyQuantity, get: discount.getQuantity });
+            break;
+        default:
+            description = t('discount.generic');
+    }
+    
+    return discount.category ? t('discount.forCategory', { description: description, category: discount.category }) : description;
+}
+
+/**
+ * Calculate how much a discount takes off a list of items
+ * @param {Object} discount - Discount object
+ * @param {Array} items - Priced items {category, price, quantity, subtotal}
+ * @returns {number} Discount amount (0 if no items qualify)
+ */
+function calculateDiscountAmount(discount, items) {
+    // Category discounts only apply to items in that category
+    const eligibleItems = discount.category
+        ? items.filter(item => item.category === discount.category)
+        : items;
+    const eligibleSubtotal = eligibleItems.reduce((total, item) => total + item.subtotal, 0);
+    
+    let amount = 0;
+    
+    switch (discount.type) {
+        case 'percentage':
+            amount = eligibleSubtotal * discount.value / 100;
+            break;
+        case 'fixed':
+            amount = Math.min(discount.value, eligibleSubtotal);
+            break;
+        case 'buy-x-get-y': {
+            // List every unit from most to least expensive, then in each group of
+            // (buy + get) units the cheapest "get" units are free
+            const unitPrices = [];
+            eligibleItems.forEach(item => {
+                for (let i = 0; i < item.quantity; i++) {
+                    unitPrices.push(item.price);
+                }
+            });
+            unitPrices.sort((a, b) => b - a);
+            
+            const groupSize = discount.buyQuantity + discount.getQuantity;
+            unitPrices.forEach((price, index) => {
+                if (index % groupSize >= discount.buyQuantity) {
+                    amount += price;
+                }
+            });
+            break;
+        }
+    }
+    
+    return roundToCents(amount);
+}
+
+/**
+ * Get the codes applied to the cart
+ * @returns {Array} Array of discount codes, in the order they were applied
+ */
+function getAppliedDiscountCodes() {
+    try {
+        const codesKey = getAccountStorageKey(APPLIED_DISCOUNTS_STORAGE_KEY);
+        const codesJson = localStorage.getItem(codesKey);
+        
+        if (!codesJson) {
+            return [];
+        }
+        
+        return parseStoredJson(codesKey, codesJson) || [];
+    } catch (error) {
+        console.error('Error getting applied discount codes:', error);
+        return [];
+    }
+}
+
+/**
+ * Apply a discount code to the cart
+ * @param {string} code - The code entered by the shopper
+ * @param {Array} items - Priced cart items {category, price, quantity, subtotal}
+ * @returns {Object} The applied discount
+ * @throws {Error} With a message for the shopper if the code can't be applied
+ */
+function applyDiscountCode(code, items) {
+    const normalizedCode = normalizeDiscountCode(code);
+    
+    if (!normalizedCode) {
+        throw new Error(t('discount.enterCode'));
+    }
+    
+    const discount = getDiscountByCode(normalizedCode);
+    if (!discount) {
+        throw new Error(t('discount.invalid', { code: normalizedCode }));
+    }
+    
+    const appliedCodes = getAppliedDiscountCodes();
+    if (appliedCodes.includes(discount.code)) {
+        throw new Error(t('discount.alreadyApplied', { code: discount.code }));
+    }
+    
+    const problem = getDiscountProblem(discount);
+    if (problem) {
+        throw new Error(problem);
+    }
+    
+    if (discount.type !== 'free-shipping' && calculateDiscountAmount(discount, items) === 0) {
+        throw new Error(t('discount.noMatchingItems', { code: discount.code }));
+    }
+    
+    try {
+        appliedCodes.push(discount.code);
+        writeLocalStorage(getAccountStorageKey(APPLIED_DISCOUNTS_STORAGE_KEY), JSON.stringify(appliedCodes));
+        return discount;
+    } catch (error) {
+        console.error('Error applying discount code:', error);
+        throw error;
+    }
+}
+
+/**
+ * Remove a discount code from the cart
+ * @param {string} code - The code to remove
+ */
+function removeDiscountCode(code) {
+    try {
+        const appliedCodes = getAppliedDiscountCodes().filter(appliedCode => appliedCode !== code);
+        writeLocalStorage(getAccountStorageKey(APPLIED_DISCOUNTS_STORAGE_KEY), JSON.stringify(appliedCodes));
+    } catch (error) {
+        console.error('Error removing discount code:', error);
+        throw error;
+    }
+}
+
+/**
+ * Remove all discount codes from the cart
+ */
+function clearAppliedDiscountCodes() {
+    try {
+        localStorage.removeItem(getAccountStorageKey(APPLIED_DISCOUNTS_STORAGE_KEY));
+    } catch (error) {
+        console.error('Error clearing discount codes:', error);
+        throw error;
+    }
+}
+
+/**
+ * Calculate the discount lines for the codes applied to the cart
+ * Codes that have expired or been used up since they were applied are left out.
+ * Discounts are applied in order and never take the total below zero
+ * @param {Array} items - Priced cart items {category, price, quantity, subtotal}
+ * @returns {Object} Discounts {lines: [{code, label, amount}], freeShipping}
+ */
+function calculateDiscounts(items) {
+    let remaining = items.reduce((total, item) => total + item.subtotal, 0);
+    let freeShipping = false;
+    const lines = [];
+    
+    getAppliedDiscountCodes().forEach(code => {
+        const discount = getDiscountByCode(code);
+        
+        if (!discount || getDiscountProblem(discount)) {
+            return;
+        }
+        
+        if (discount.type === 'free-shipping') {
+            freeShipping = true;
+        }
+        
+        const amount = Math.min(calculateDiscountAmount(discount, items), remaining);
+        remaining -= amount;
+        
+        lines.push({
+            code: discount.code,
+            label: describeDiscount(discount),
+            amount: roundToCents(amount)
+        });
+    });
+    
+    return {
+        lines: lines,
+        freeShipping: freeShipping
+    };
+}
+
+/**
+ * Count one use of each discount code (called when an order is placed)
+ * @param {Array} codes - Codes used by the order
+ */
+function recordDiscountUsage(codes) {
+    try {
+        const discounts = getAllDiscounts();
+        
+        discounts.forEach(discount => {
+            if (codes.includes(discount.code)) {
+                discount.timesUsed = (discount.timesUsed || 0) + 1;
+            }
+        });
+        
+        writeLocalStorage(DISCOUNTS_STORAGE_KEY, JSON.stringify(discounts));
+    } catch (error) {
+        console.error('Error recording discount usage:', error);
+        throw error;
+    }
+}
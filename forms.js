@@ -0,0 +1,26 @@
+/**
+ * Forms Module
+ * Shows and clears the error messages next to form fields (used by the checkout, account and admin forms)
+ */
+
+/**
+ * Show error message for a form field
+ * @param {string} errorId - The ID of the error message element
+ * @param {string} message - The error message to display
+ */
+function showError(errorId, message) {
+    const errorElement = document.getElementById(errorId);
+    if (errorElement) {
+        errorElement.textContent = message;
+    }
+}
+
+/**
+ * Clear all error messages
+ */
+function clearErrorMessages() {
+    const errorElements = document.querySelectorAll('.error-message');
+    errorElements.forEach(element => {
+        element.textContent = '';
+    });
+}
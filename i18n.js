@@ -0,0 +1,963 @@
+/**
+ * Internationalisation Module
+ * Handles the shopper's language: translation catalogs, translating page text and the
+ * language and currency pickers in the navigation
+ *
+ * Text in the page markup is translated through data attributes (see applyTranslations()),
+ * text built by scripts through t(). Keys missing from a catalog fall back to English.
+ */
+
+// LocalStorage key for the language the shopper chose
+const LOCALE_STORAGE_KEY = 'ecommerce_locale';
+
+// Language used when the shopper hasn't chosen one and the browser's language isn't offered
+const DEFAULT_LOCALE = 'en';
+
+// Languages shoppers can choose, each named in its own language
+const SUPPORTED_LOCALES = [
+    { code: 'en', name: 'English' },
+    { code: 'es', name: 'Español' },
+    { code: 'de', name: 'Deutsch' }
+];
+
+// Translation catalogs per language
+// "{name}" is replaced by the parameter of that name; an object holds plural forms (picked by the "count" parameter)
+const TRANSLATIONS = {
+    en: {
+        'nav.home': 'Home',
+        'nav.orders': 'My Orders',
+        'nav.admin': 'Admin',
+        'nav.signIn': 'Sign In',
+        'nav.logOut': 'Log Out',
+        'nav.wishlist': 'Wishlist',
+        'nav.cart': 'Cart',
+        'nav.language': 'Language',
+        'nav.currency': 'Currency',
+        'footer.copyright': '© 2024 E-Commerce Store. All rights reserved.',
+        'common.browseProducts': 'Browse Products',
+        'common.cancel': 'Cancel',
+        'common.remove': 'Remove',
+        'common.delete': 'Delete',
+        'common.dismiss': 'Dismiss notification',
+        'common.pageFailed': 'Failed to show this page. Please try again.',
+        'listing.title': 'Our Products',
+        'listing.search': 'Search products...',
+        'listing.minPrice': 'Min',
+        'listing.maxPrice': 'Max',
+        'listing.minPriceLabel': 'Minimum price',
+        'listing.maxPriceLabel': 'Maximum price',
+        'listing.sortLabel': 'Sort products',
+        'listing.sortBestMatch': 'Sort: Best Match',
+        'listing.sortPriceAsc': 'Price: Low to High',
+        'listing.sortPriceDesc': 'Price: High to Low',
+        'listing.sortNameAsc': 'Name: A to Z',
+        'listing.sortNewest': 'Newest',
+        'listing.sortRating': 'Top Rated',
+        'listing.ratingLabel': 'Filter by rating',
+        'listing.anyRating': 'Any Rating',
+        'listing.ratingAndUp': '{stars} & up',
+        'listing.clearFilters': 'Clear Filters',
+        'listing.categories': 'Categories',
+        'listing.noProducts': 'No products found. Try adjusting your search or filters.',
+        'listing.showing': 'Showing {start}–{end} of {total} products',
+        'listing.count': { one: '{count} product', other: '{count} products' },
+        'listing.pageSizeLabel': 'Products per page',
+        'listing.pageSize': '{size} per page',
+        'pagination.label': 'Pagination',
+        'pagination.previous': '‹ Prev',
+        'pagination.next': 'Next ›',
+        'product.addToCart': 'Add to Cart',
+        'product.outOfStockButton': 'Out of Stock',
+        'product.added': 'Added!',
+        'product.noMoreStock': 'No more in stock',
+        'product.saveToWishlist': 'Save to wishlist',
+        'product.removeFromWishlist': 'Remove from wishlist',
+        'product.wishlistFailed': 'Failed to update your wishlist. {message}',
+        'product.addToCartFailed': 'Failed to add to cart. {message}',
+        'product.notFoundTitle': 'Product not found',
+        'product.notFoundText': 'This product may have been removed from the store.',
+        'product.quantity': 'Quantity',
+        'product.description': 'Description',
+        'product.noDescription': 'No description available.',
+        'product.enterQuantity': 'Please enter a quantity of at least 1.',
+        'product.cartNotSaved': 'Your cart couldn\'t be saved.',
+        'product.addedQuantity': 'Added {quantity} to your cart.',
+        'product.notEnoughStockInCart': 'Sorry, there isn\'t enough stock. You already have {count} in your cart.',
+        'product.notEnoughStock': 'Sorry, there isn\'t enough stock for that quantity.',
+        'product.related': 'Related Products',
+        'stock.outOfStock': 'Out of stock',
+        'stock.onlyLeft': 'Only {count} left',
+        'rating.noReviews': 'No reviews yet',
+        'rating.summary': { one: 'Rated {average} out of 5 from {count} review', other: 'Rated {average} out of 5 from {count} reviews' },
+        'rating.stars': 'Rated {average} out of 5',
+        'cart.title': 'Shopping Cart',
+        'cart.emptyTitle': 'Your cart is empty',
+        'cart.emptyText': 'Start shopping to add items to your cart!',
+        'cart.onlyLeftInStock': 'Only {count} left in stock',
+        'cart.moveToWishlist': 'Move to wishlist',
+        'cart.moveToWishlistFailed': 'Failed to move "{name}" to your wishlist. {message}',
+        'cart.notEnoughStock': 'Sorry, there isn\'t enough stock for {requested} of "{name}". Quantity set to {saved}.',
+        'cart.removeItem': 'Remove item',
+        'cart.removeItemLabel': 'Remove {name} from cart',
+        'cart.removeConfirm': 'Remove "{name}" from cart?',
+        'cart.removeFailed': 'Failed to remove "{name}" from your cart. {message}',
+        'cart.updateQuantityFailed': 'Failed to change the quantity of "{name}". {message}',
+        'cart.unavailableProduct': 'Unavailable product',
+        'cart.noLongerAvailable': 'No longer available',
+        'cart.quantity': 'Qty: {quantity}',
+        'cart.removeCode': 'Remove code {code}',
+        'cart.clear': 'Clear Cart',
+        'cart.clearTitle': 'Clear cart',
+        'cart.clearConfirm': 'Are you sure you want to clear your entire cart?',
+        'cart.clearFailed': 'Failed to clear your cart. {message}',
+        'cart.checkout': 'Checkout',
+        'cart.checkoutBlocked': 'Some items in your cart are no longer available, or not in the requested quantity',
+        'cart.shipTo': 'Ship to',
+        'cart.shippingMethod': 'Shipping method',
+        'cart.freeOver': '(free over {amount})',
+        'cart.discountCode': 'Discount code',
+        'cart.enterCode': 'Enter code',
+        'cart.apply': 'Apply',
+        'totals.subtotal': 'Subtotal',
+        'totals.shipping': 'Shipping · {name}',
+        'totals.tax': 'Tax · {name}',
+        'totals.total': 'Total',
+        'totals.free': 'Free',
+        'totals.applied': 'Applied',
+        'wishlist.title': 'My Wishlist',
+        'wishlist.emptyTitle': 'Your wishlist is empty',
+        'wishlist.emptyText': 'Tap the heart on any product to save it for later.',
+        'wishlist.moveToCart': 'Move to Cart',
+        'wishlist.noMoreStock': 'Sorry, there\'s no more stock of "{name}" to add to your cart.',
+        'wishlist.moveToCartFailed': 'Failed to move "{name}" to your cart. {message}',
+        'reviews.title': 'Customer Reviews',
+        'reviews.none': 'No reviews yet. Be the first to review this product!',
+        'reviews.write': 'Write a Review',
+        'reviews.yourRating': 'Your Rating *',
+        'reviews.yourName': 'Your Name *',
+        'reviews.yourReview': 'Your Review *',
+        'reviews.placeholder': 'What did you like or dislike?',
+        'reviews.submit': 'Submit Review',
+        'reviews.thanks': 'Thanks for your review! It will appear here once it has been approved.',
+        'reviews.chooseRating': 'Please choose a rating from 1 to 5 stars',
+        'reviews.enterText': 'Please write a few words about the product',
+        'reviews.tooLong': 'Reviews can be at most {max} characters',
+        'form.enterName': 'Please enter your name',
+        'form.nameRequired': 'Full name is required',
+        'form.invalidEmail': 'Please enter a valid email address',
+        'form.invalidPhone': 'Please enter a valid phone number',
+        'form.streetRequired': 'Street address is required',
+        'form.cityRequired': 'City is required',
+        'form.postalCodeRequired': 'Postal code is required',
+        'form.countryRequired': 'Country is required',
+        'address.fullName': 'Full Name *',
+        'address.email': 'Email *',
+        'address.phone': 'Phone *',
+        'address.street': 'Street Address *',
+        'address.city': 'City *',
+        'address.state': 'State / Region',
+        'address.postalCode': 'Postal Code *',
+        'address.country': 'Country *',
+        'checkout.title': 'Checkout',
+        'checkout.stepShipping': '1. Shipping',
+        'checkout.stepReview': '2. Review',
+        'checkout.stepConfirmation': '3. Confirmation',
+        'checkout.savedAddress': 'Ship to a Saved Address',
+        'checkout.newAddress': 'Enter a new address',
+        'checkout.haveAccount': 'Have an account?',
+        'checkout.signInForAddresses': 'Sign in to use your saved addresses.',
+        'checkout.contactDetails': 'Contact Details',
+        'checkout.shippingAddress': 'Shipping Address',
+        'checkout.saveAddress': 'Save this address to my account',
+        'checkout.backToCart': 'Back to Cart',
+        'checkout.continueToReview': 'Continue to Review',
+        'checkout.emptyText': 'Add some products to your cart before checking out.',
+        'checkout.orderItems': 'Order Items',
+        'checkout.shipTo': 'Ship To',
+        'checkout.editShipping': 'Edit Shipping Details',
+        'checkout.placeOrder': 'Place Order',
+        'checkout.placeOrderFailed': 'Failed to place your order. {message}',
+        'checkout.orderNotFinished': 'Your order was placed, but the store couldn\'t finish updating your cart and stock. Please don\'t place it again. {message}',
+        'checkout.thanks': 'Thank you for your order!',
+        'checkout.orderNumberIs': 'Your order number is',
+        'checkout.confirmationSentTo': 'A confirmation will be sent to',
+        'checkout.itemsAndTotal': { one: '{count} item · Total {total}', other: '{count} items · Total {total}' },
+        'checkout.viewOrder': 'View Order',
+        'checkout.continueShopping': 'Continue Shopping',
+        'checkout.emptyCartError': 'Cannot place an order with an empty cart',
+        'checkout.notEnoughStock': 'Not enough stock for: {names}',
+        'orders.title': 'My Orders',
+        'orders.emptyTitle': 'You haven\'t placed any orders yet',
+        'orders.emptyText': 'Orders you place will show up here.',
+        'orders.itemCount': { one: '{count} item', other: '{count} items' },
+        'orders.statusPlaced': 'Placed',
+        'orders.viewDetails': 'View Details',
+        'orders.notFoundTitle': 'Order not found',
+        'orders.notFoundText': 'We couldn\'t find an order with that number.',
+        'orders.backToOrders': 'Back to My Orders',
+        'orders.orderTitle': 'Order {orderNumber}',
+        'orders.placedOn': 'Placed {date} · {status}',
+        'orders.items': 'Items',
+        'orders.shippedTo': 'Shipped To',
+        'account.title': 'My Account',
+        'account.email': 'Email',
+        'account.password': 'Password',
+        'account.createTitle': 'Create an Account',
+        'account.createHint': 'Keep your cart, saved addresses and preferences on any visit. Items in your cart now are kept.',
+        'account.name': 'Name',
+        'account.newPassword': 'Password (at least {min} characters)',
+        'account.createButton': 'Create Account',
+        'account.profile': 'Profile',
+        'account.summary': '{name} · {email} · Member since {date}',
+        'account.savedAddresses': 'Saved Addresses',
+        'account.noAddresses': 'No saved addresses yet. Add one below, or save one at checkout.',
+        'account.defaultAddress': 'Default',
+        'account.makeDefault': 'Make Default',
+        'account.deleteAddressTitle': 'Delete address',
+        'account.deleteAddressConfirm': 'Are you sure you want to delete this address?',
+        'account.addAddress': 'Add an Address',
+        'account.saveAddress': 'Save Address',
+        'account.saveAddressFailed': 'Failed to save the address. {message}',
+        'account.preferences': 'Preferences',
+        'account.shippingRegion': 'Shipping Region',
+        'account.shippingMethod': 'Shipping Method',
+        'account.preferencesHint': 'Used in your cart until you choose something else there.',
+        'account.savePreferences': 'Save Preferences',
+        'account.preferencesSaved': 'Preferences saved.',
+        'account.savePreferencesFailed': 'Failed to save your preferences. {message}',
+        'account.emailTaken': 'An account with this email already exists. Please sign in instead',
+        'account.passwordTooShort': 'Passwords must be at least {min} characters',
+        'account.wrongPassword': 'Incorrect email or password',
+        'account.signInFirst': 'Please sign in to your account first',
+        'account.chooseRegion': 'Please choose a shipping region',
+        'account.chooseShippingMethod': 'Please choose a shipping method',
+        'discount.enterCode': 'Please enter a discount code',
+        'discount.invalid': '{code} is not a valid discount code',
+        'discount.alreadyApplied': 'The code {code} is already applied',
+        'discount.noMatchingItems': 'The code {code} doesn\'t apply to any items in your cart',
+        'discount.expired': 'The code {code} has expired',
+        'discount.unavailable': 'The code {code} is no longer available',
+        'discount.percentOff': '{value}% off',
+        'discount.amountOff': '{amount} off',
+        'discount.freeShipping': 'Free shipping',
+        'discount.buyXGetY': 'Buy {buy} get {get} free',
+        'discount.generic': 'Discount',
+        'discount.forCategory': '{description} ({category})',
+        'region.US-CA': 'United States - California',
+        'region.US-NY': 'United States - New York',
+        'region.US-TX': 'United States - Texas',
+        'region.CA': 'Canada',
+        'region.GB': 'United Kingdom',
+        'region.DE': 'Germany',
+        'shipping.standard': 'Standard (5-7 days)',
+        'shipping.express': 'Express (1-2 days)',
+        'shipping.overnight': 'Overnight',
+        'storage.full': 'Your browser\'s storage is full, so your latest change to the {name} wasn\'t saved. Download a backup, then free up space (for example by deleting old products, images or orders).',
+        'storage.fullError': 'Your browser\'s storage is full, so this change couldn\'t be saved.',
+        'storage.reset': 'The saved data for {name} was damaged and couldn\'t be read, so it has been reset. Download a backup to keep a copy of the original.',
+        'storage.partlyRecovered': { one: 'The saved data for {name} was damaged. {recovered} of {count} entry was recovered. Download a backup to keep a copy of the original.', other: 'The saved data for {name} was damaged. {recovered} of {count} entries were recovered. Download a backup to keep a copy of the original.' },
+        'storage.recovered': 'The saved data for {name} was damaged, but all of it was recovered. Download a backup to keep a copy of the original.',
+        'storage.downloadBackup': 'Download backup',
+        'storage.data.products': 'products',
+        'storage.data.product_trash': 'product trash',
+        'storage.data.cart': 'cart',
+        'storage.data.cart_options': 'cart options',
+        'storage.data.applied_discounts': 'applied discount codes',
+        'storage.data.wishlist': 'wishlist',
+        'storage.data.orders': 'orders',
+        'storage.data.customers': 'accounts',
+        'storage.data.reviews': 'reviews',
+        'storage.data.images': 'images',
+        'storage.data.categories': 'categories',
+        'storage.data.discounts': 'discount codes',
+        'storage.data.currencies': 'currencies',
+        'storage.data.display_currency': 'currency',
+        'storage.data.locale': 'language'
+    },
+    es: {
+        'nav.home': 'Inicio',
+        'nav.orders': 'Mis pedidos',
+        'nav.admin': 'Administración',
+        'nav.signIn': 'Iniciar sesión',
+        'nav.logOut': 'Cerrar sesión',
+        'nav.wishlist': 'Favoritos',
+        'nav.cart': 'Carrito',
+        'nav.language': 'Idioma',
+        'nav.currency': 'Moneda',
+        'footer.copyright': '© 2024 E-Commerce Store. Todos los derechos reservados.',
+        'common.browseProducts': 'Ver productos',
+        'common.cancel': 'Cancelar',
+        'common.remove': 'Quitar',
+        'common.delete': 'Eliminar',
+        'common.dismiss': 'Cerrar notificación',
+        'common.pageFailed': 'No se pudo mostrar esta página. Inténtalo de nuevo.',
+        'listing.title': 'Nuestros productos',
+        'listing.search': 'Buscar productos...',
+        'listing.minPrice': 'Mín.',
+        'listing.maxPrice': 'Máx.',
+        'listing.minPriceLabel': 'Precio mínimo',
+        'listing.maxPriceLabel': 'Precio máximo',
+        'listing.sortLabel': 'Ordenar productos',
+        'listing.sortBestMatch': 'Ordenar: más relevantes',
+        'listing.sortPriceAsc': 'Precio: de menor a mayor',
+        'listing.sortPriceDesc': 'Precio: de mayor a menor',
+        'listing.sortNameAsc': 'Nombre: de la A a la Z',
+        'listing.sortNewest': 'Más recientes',
+        'listing.sortRating': 'Mejor valorados',
+        'listing.ratingLabel': 'Filtrar por valoración',
+        'listing.anyRating': 'Cualquier valoración',
+        'listing.ratingAndUp': '{stars} o más',
+        'listing.clearFilters': 'Borrar filtros',
+        'listing.categories': 'Categorías',
+        'listing.noProducts': 'No se encontraron productos. Prueba a cambiar la búsqueda o los filtros.',
+        'listing.showing': 'Mostrando {start}–{end} de {total} productos',
+        'listing.count': { one: '{count} producto', other: '{count} productos' },
+        'listing.pageSizeLabel': 'Productos por página',
+        'listing.pageSize': '{size} por página',
+        'pagination.label': 'Paginación',
+        'pagination.previous': '‹ Anterior',
+        'pagination.next': 'Siguiente ›',
+        'product.addToCart': 'Añadir al carrito',
+        'product.outOfStockButton': 'Agotado',
+        'product.added': '¡Añadido!',
+        'product.noMoreStock': 'No quedan más',
+        'product.saveToWishlist': 'Guardar en favoritos',
+        'product.removeFromWishlist': 'Quitar de favoritos',
+        'product.wishlistFailed': 'No se pudieron actualizar tus favoritos. {message}',
+        'product.addToCartFailed': 'No se pudo añadir al carrito. {message}',
+        'product.notFoundTitle': 'Producto no encontrado',
+        'product.notFoundText': 'Es posible que este producto se haya retirado de la tienda.',
+        'product.quantity': 'Cantidad',
+        'product.description': 'Descripción',
+        'product.noDescription': 'No hay descripción disponible.',
+        'product.enterQuantity': 'Introduce una cantidad de al menos 1.',
+        'product.cartNotSaved': 'No se pudo guardar tu carrito.',
+        'product.addedQuantity': 'Se añadieron {quantity} a tu carrito.',
+        'product.notEnoughStockInCart': 'Lo sentimos, no hay stock suficiente. Ya tienes {count} en tu carrito.',
+        'product.notEnoughStock': 'Lo sentimos, no hay stock suficiente para esa cantidad.',
+        'product.related': 'Productos relacionados',
+        'stock.outOfStock': 'Agotado',
+        'stock.onlyLeft': 'Solo quedan {count}',
+        'rating.noReviews': 'Aún no hay opiniones',
+        'rating.summary': { one: 'Valorado con {average} de 5 en {count} opinión', other: 'Valorado con {average} de 5 en {count} opiniones' },
+        'rating.stars': 'Valorado con {average} de 5',
+        'cart.title': 'Carrito de compra',
+        'cart.emptyTitle': 'Tu carrito está vacío',
+        'cart.emptyText': '¡Empieza a comprar para añadir artículos a tu carrito!',
+        'cart.onlyLeftInStock': 'Solo quedan {count} en stock',
+        'cart.moveToWishlist': 'Mover a favoritos',
+        'cart.moveToWishlistFailed': 'No se pudo mover "{name}" a tus favoritos. {message}',
+        'cart.notEnoughStock': 'Lo sentimos, no hay stock suficiente para {requested} de "{name}". Cantidad ajustada a {saved}.',
+        'cart.removeItem': 'Quitar artículo',
+        'cart.removeItemLabel': 'Quitar {name} del carrito',
+        'cart.removeConfirm': '¿Quitar "{name}" del carrito?',
+        'cart.removeFailed': 'No se pudo quitar "{name}" del carrito. {message}',
+        'cart.updateQuantityFailed': 'No se pudo cambiar la cantidad de "{name}". {message}',
+        'cart.unavailableProduct': 'Producto no disponible',
+        'cart.noLongerAvailable': 'Ya no está disponible',
+        'cart.quantity': 'Cant.: {quantity}',
+        'cart.removeCode': 'Quitar el código {code}',
+        'cart.clear': 'Vaciar carrito',
+        'cart.clearTitle': 'Vaciar carrito',
+        'cart.clearConfirm': '¿Seguro que quieres vaciar todo el carrito?',
+        'cart.clearFailed': 'No se pudo vaciar el carrito. {message}',
+        'cart.checkout': 'Finalizar compra',
+        'cart.checkoutBlocked': 'Algunos artículos del carrito ya no están disponibles o no en la cantidad pedida',
+        'cart.shipTo': 'Enviar a',
+        'cart.shippingMethod': 'Método de envío',
+        'cart.freeOver': '(gratis a partir de {amount})',
+        'cart.discountCode': 'Código de descuento',
+        'cart.enterCode': 'Introduce el código',
+        'cart.apply': 'Aplicar',
+        'totals.subtotal': 'Subtotal',
+        'totals.shipping': 'Envío · {name}',
+        'totals.tax': 'Impuestos · {name}',
+        'totals.total': 'Total',
+        'totals.free': 'Gratis',
+        'totals.applied': 'Aplicado',
+        'wishlist.title': 'Mis favoritos',
+        'wishlist.emptyTitle': 'No tienes favoritos',
+        'wishlist.emptyText': 'Pulsa el corazón de cualquier producto para guardarlo para más tarde.',
+        'wishlist.moveToCart': 'Mover al carrito',
+        'wishlist.noMoreStock': 'Lo sentimos, no queda más stock de "{name}" para añadir a tu carrito.',
+        'wishlist.moveToCartFailed': 'No se pudo mover "{name}" a tu carrito. {message}',
+        'reviews.title': 'Opiniones de clientes',
+        'reviews.none': 'Aún no hay opiniones. ¡Sé el primero en opinar sobre este producto!',
+        'reviews.write': 'Escribir una opinión',
+        'reviews.yourRating': 'Tu valoración *',
+        'reviews.yourName': 'Tu nombre *',
+        'reviews.yourReview': 'Tu opinión *',
+        'reviews.placeholder': '¿Qué te gustó o qué no?',
+        'reviews.submit': 'Enviar opinión',
+        'reviews.thanks': '¡Gracias por tu opinión! Aparecerá aquí cuando se apruebe.',
+        'reviews.chooseRating': 'Elige una valoración de 1 a 5 estrellas',
+        'reviews.enterText': 'Escribe unas palabras sobre el producto',
+        'reviews.tooLong': 'Las opiniones pueden tener como máximo {max} caracteres',
+        'form.enterName': 'Introduce tu nombre',
+        'form.nameRequired': 'El nombre completo es obligatorio',
+        'form.invalidEmail': 'Introduce un correo electrónico válido',
+        'form.invalidPhone': 'Introduce un número de teléfono válido',
+        'form.streetRequired': 'La dirección es obligatoria',
+        'form.cityRequired': 'La ciudad es obligatoria',
+        'form.postalCodeRequired': 'El código postal es obligatorio',
+        'form.countryRequired': 'El país es obligatorio',
+        'address.fullName': 'Nombre completo *',
+        'address.email': 'Correo electrónico *',
+        'address.phone': 'Teléfono *',
+        'address.street': 'Dirección *',
+        'address.city': 'Ciudad *',
+        'address.state': 'Provincia / Región',
+        'address.postalCode': 'Código postal *',
+        'address.country': 'País *',
+        'checkout.title': 'Finalizar compra',
+        'checkout.stepShipping': '1. Envío',
+        'checkout.stepReview': '2. Revisión',
+        'checkout.stepConfirmation': '3. Confirmación',
+        'checkout.savedAddress': 'Enviar a una dirección guardada',
+        'checkout.newAddress': 'Introducir una dirección nueva',
+        'checkout.haveAccount': '¿Tienes una cuenta?',
+        'checkout.signInForAddresses': 'Inicia sesión para usar tus direcciones guardadas.',
+        'checkout.contactDetails': 'Datos de contacto',
+        'checkout.shippingAddress': 'Dirección de envío',
+        'checkout.saveAddress': 'Guardar esta dirección en mi cuenta',
+        'checkout.backToCart': 'Volver al carrito',
+        'checkout.continueToReview': 'Continuar a la revisión',
+        'checkout.emptyText': 'Añade algunos productos a tu carrito antes de finalizar la compra.',
+        'checkout.orderItems': 'Artículos del pedido',
+        'checkout.shipTo': 'Enviar a',
+        'checkout.editShipping': 'Editar datos de envío',
+        'checkout.placeOrder': 'Realizar pedido',
+        'checkout.placeOrderFailed': 'No se pudo realizar tu pedido. {message}',
+        'checkout.orderNotFinished': 'Tu pedido se ha realizado, pero la tienda no pudo terminar de actualizar tu carrito y el stock. No lo vuelvas a realizar. {message}',
+        'checkout.thanks': '¡Gracias por tu pedido!',
+        'checkout.orderNumberIs': 'Tu número de pedido es',
+        'checkout.confirmationSentTo': 'Enviaremos una confirmación a',
+        'checkout.itemsAndTotal': { one: '{count} artículo · Total {total}', other: '{count} artículos · Total {total}' },
+        'checkout.viewOrder': 'Ver pedido',
+        'checkout.continueShopping': 'Seguir comprando',
+        'checkout.emptyCartError': 'No se puede realizar un pedido con el carrito vacío',
+        'checkout.notEnoughStock': 'No hay stock suficiente de: {names}',
+        'orders.title': 'Mis pedidos',
+        'orders.emptyTitle': 'Aún no has realizado ningún pedido',
+        'orders.emptyText': 'Los pedidos que realices aparecerán aquí.',
+        'orders.itemCount': { one: '{count} artículo', other: '{count} artículos' },
+        'orders.statusPlaced': 'Realizado',
+        'orders.viewDetails': 'Ver detalles',
+        'orders.notFoundTitle': 'Pedido no encontrado',
+        'orders.notFoundText': 'No encontramos ningún pedido con ese número.',
+        'orders.backToOrders': 'Volver a mis pedidos',
+        'orders.orderTitle': 'Pedido {orderNumber}',
+        'orders.placedOn': 'Realizado el {date} · {status}',
+        'orders.items': 'Artículos',
+        'orders.shippedTo': 'Enviado a',
+        'account.title': 'Mi cuenta',
+        'account.email': 'Correo electrónico',
+        'account.password': 'Contraseña',
+        'account.createTitle': 'Crear una cuenta',
+        'account.createHint': 'Conserva tu carrito, tus direcciones y tus preferencias en cada visita. Los artículos que ya tienes en el carrito se mantienen.',
+        'account.name': 'Nombre',
+        'account.newPassword': 'Contraseña (al menos {min} caracteres)',
+        'account.createButton': 'Crear cuenta',
+        'account.profile': 'Perfil',
+        'account.summary': '{name} · {email} · Cliente desde {date}',
+        'account.savedAddresses': 'Direcciones guardadas',
+        'account.noAddresses': 'Aún no tienes direcciones guardadas. Añade una abajo o guárdala al finalizar la compra.',
+        'account.defaultAddress': 'Predeterminada',
+        'account.makeDefault': 'Usar como predeterminada',
+        'account.deleteAddressTitle': 'Eliminar dirección',
+        'account.deleteAddressConfirm': '¿Seguro que quieres eliminar esta dirección?',
+        'account.addAddress': 'Añadir una dirección',
+        'account.saveAddress': 'Guardar dirección',
+        'account.saveAddressFailed': 'No se pudo guardar la dirección. {message}',
+        'account.preferences': 'Preferencias',
+        'account.shippingRegion': 'Región de envío',
+        'account.shippingMethod': 'Método de envío',
+        'account.preferencesHint': 'Se usan en tu carrito hasta que elijas otra cosa allí.',
+        'account.savePreferences': 'Guardar preferencias',
+        'account.preferencesSaved': 'Preferencias guardadas.',
+        'account.savePreferencesFailed': 'No se pudieron guardar tus preferencias. {message}',
+        'account.emailTaken': 'Ya existe una cuenta con este correo electrónico. Inicia sesión',
+        'account.passwordTooShort': 'La contraseña debe tener al menos {min} caracteres',
+        'account.wrongPassword': 'Correo electrónico o contraseña incorrectos',
+        'account.signInFirst': 'Primero inicia sesión en tu cuenta',
+        'account.chooseRegion': 'Elige una región de envío',
+        'account.chooseShippingMethod': 'Elige un método de envío',
+        'discount.enterCode': 'Introduce un código de descuento',
+        'discount.invalid': '{code} no es un código de descuento válido',
+        'discount.alreadyApplied': 'El código {code} ya está aplicado',
+        'discount.noMatchingItems': 'El código {code} no se aplica a ningún artículo de tu carrito',
+        'discount.expired': 'El código {code} ha caducado',
+        'discount.unavailable': 'El código {code} ya no está disponible',
+        'discount.percentOff': '{value} % de descuento',
+        'discount.amountOff': '{amount} de descuento',
+        'discount.freeShipping': 'Envío gratis',
+        'discount.buyXGetY': 'Compra {buy} y llévate {get} gratis',
+        'discount.generic': 'Descuento',
+        'discount.forCategory': '{description} ({category})',
+        'region.US-CA': 'Estados Unidos - California',
+        'region.US-NY': 'Estados Unidos - Nueva York',
+        'region.US-TX': 'Estados Unidos - Texas',
+        'region.CA': 'Canadá',
+        'region.GB': 'Reino Unido',
+        'region.DE': 'Alemania',
+        'shipping.standard': 'Estándar (5-7 días)',
+        'shipping.express': 'Exprés (1-2 días)',
+        'shipping.overnight': 'En 24 horas',
+        'storage.full': 'El almacenamiento del navegador está lleno, así que no se guardó tu último cambio ({name}). Descarga una copia de seguridad y libera espacio (por ejemplo, eliminando productos, imágenes o pedidos antiguos).',
+        'storage.fullError': 'El almacenamiento del navegador está lleno, así que no se pudo guardar este cambio.',
+        'storage.reset': 'Los datos guardados ({name}) estaban dañados y no se pudieron leer, así que se han restablecido. Descarga una copia de seguridad para conservar el original.',
+        'storage.partlyRecovered': { one: 'Los datos guardados ({name}) estaban dañados. Se recuperó {recovered} de {count} entrada. Descarga una copia de seguridad para conservar el original.', other: 'Los datos guardados ({name}) estaban dañados. Se recuperaron {recovered} de {count} entradas. Descarga una copia de seguridad para conservar el original.' },
+        'storage.recovered': 'Los datos guardados ({name}) estaban dañados, pero se recuperaron por completo. Descarga una copia de seguridad para conservar el original.',
+        'storage.downloadBackup': 'Descargar copia',
+        'storage.data.products': 'productos',
+        'storage.data.product_trash': 'papelera de productos',
+        'storage.data.cart': 'carrito',
+        'storage.data.cart_options': 'opciones del carrito',
+        'storage.data.applied_discounts': 'códigos de descuento aplicados',
+        'storage.data.wishlist': 'lista de deseos',
+        'storage.data.orders': 'pedidos',
+        'storage.data.customers': 'cuentas',
+        'storage.data.reviews': 'reseñas',
+        'storage.data.images': 'imágenes',
+        'storage.data.categories': 'categorías',
+        'storage.data.discounts': 'códigos de descuento',
+        'storage.data.currencies': 'monedas',
+        'storage.data.display_currency': 'moneda',
+        'storage.data.locale': 'idioma'
+    },
+    de: {
+        'nav.home': 'Startseite',
+        'nav.orders': 'Meine Bestellungen',
+        'nav.admin': 'Verwaltung',
+        'nav.signIn': 'Anmelden',
+        'nav.logOut': 'Abmelden',
+        'nav.wishlist': 'Wunschliste',
+        'nav.cart': 'Warenkorb',
+        'nav.language': 'Sprache',
+        'nav.currency': 'Währung',
+        'footer.copyright': '© 2024 E-Commerce Store. Alle Rechte vorbehalten.',
+        'common.browseProducts': 'Produkte ansehen',
+        'common.cancel': 'Abbrechen',
+        'common.remove': 'Entfernen',
+        'common.delete': 'Löschen',
+        'common.dismiss': 'Hinweis schließen',
+        'common.pageFailed': 'Diese Seite konnte nicht angezeigt werden. Bitte versuche es erneut.',
+        'listing.title': 'Unsere Produkte',
+        'listing.search': 'Produkte suchen...',
+        'listing.minPrice': 'Min.',
+        'listing.maxPrice': 'Max.',
+        'listing.minPriceLabel': 'Mindestpreis',
+        'listing.maxPriceLabel': 'Höchstpreis',
+        'listing.sortLabel': 'Produkte sortieren',
+        'listing.sortBestMatch': 'Sortieren: Beste Treffer',
+        'listing.sortPriceAsc': 'Preis: aufsteigend',
+        'listing.sortPriceDesc': 'Preis: absteigend',
+        'listing.sortNameAsc': 'Name: A bis Z',
+        'listing.sortNewest': 'Neueste',
+        'listing.sortRating': 'Am besten bewertet',
+        'listing.ratingLabel': 'Nach Bewertung filtern',
+        'listing.anyRating': 'Alle Bewertungen',
+        'listing.ratingAndUp': '{stars} & mehr',
+        'listing.clearFilters': 'Filter zurücksetzen',
+        'listing.categories': 'Kategorien',
+        'listing.noProducts': 'Keine Produkte gefunden. Ändere die Suche oder die Filter.',
+        'listing.showing': '{start}–{end} von {total} Produkten',
+        'listing.count': { one: '{count} Produkt', other: '{count} Produkte' },
+        'listing.pageSizeLabel': 'Produkte pro Seite',
+        'listing.pageSize': '{size} pro Seite',
+        'pagination.label': 'Seitennavigation',
+        'pagination.previous': '‹ Zurück',
+        'pagination.next': 'Weiter ›',
+        'product.addToCart': 'In den Warenkorb',
+        'product.outOfStockButton': 'Ausverkauft',
+        'product.added': 'Hinzugefügt!',
+        'product.noMoreStock': 'Nicht mehr vorrätig',
+        'product.saveToWishlist': 'Auf die Wunschliste',
+        'product.removeFromWishlist': 'Von der Wunschliste entfernen',
+        'product.wishlistFailed': 'Die Wunschliste konnte nicht aktualisiert werden. {message}',
+        'product.addToCartFailed': 'Konnte nicht in den Warenkorb gelegt werden. {message}',
+        'product.notFoundTitle': 'Produkt nicht gefunden',
+        'product.notFoundText': 'Dieses Produkt wurde möglicherweise aus dem Shop entfernt.',
+        'product.quantity': 'Menge',
+        'product.description': 'Beschreibung',
+        'product.noDescription': 'Keine Beschreibung verfügbar.',
+        'product.enterQuantity': 'Bitte gib eine Menge von mindestens 1 ein.',
+        'product.cartNotSaved': 'Dein Warenkorb konnte nicht gespeichert werden.',
+        'product.addedQuantity': '{quantity} in den Warenkorb gelegt.',
+        'product.notEnoughStockInCart': 'Leider ist nicht genug vorrätig. Du hast bereits {count} im Warenkorb.',
+        'product.notEnoughStock': 'Leider ist für diese Menge nicht genug vorrätig.',
+        'product.related': 'Ähnliche Produkte',
+        'stock.outOfStock': 'Ausverkauft',
+        'stock.onlyLeft': 'Nur noch {count} verfügbar',
+        'rating.noReviews': 'Noch keine Bewertungen',
+        'rating.summary': { one: 'Mit {average} von 5 bewertet ({count} Bewertung)', other: 'Mit {average} von 5 bewertet ({count} Bewertungen)' },
+        'rating.stars': 'Mit {average} von 5 bewertet',
+        'cart.title': 'Warenkorb',
+        'cart.emptyTitle': 'Dein Warenkorb ist leer',
+        'cart.emptyText': 'Stöbere in unseren Produkten und lege etwas in den Warenkorb!',
+        'cart.onlyLeftInStock': 'Nur noch {count} auf Lager',
+        'cart.moveToWishlist': 'Auf die Wunschliste',
+        'cart.moveToWishlistFailed': '"{name}" konnte nicht auf die Wunschliste verschoben werden. {message}',
+        'cart.notEnoughStock': 'Leider sind nicht genug "{name}" für {requested} Stück vorrätig. Die Menge wurde auf {saved} gesetzt.',
+        'cart.removeItem': 'Artikel entfernen',
+        'cart.removeItemLabel': '{name} aus dem Warenkorb entfernen',
+        'cart.removeConfirm': '"{name}" aus dem Warenkorb entfernen?',
+        'cart.removeFailed': '"{name}" konnte nicht aus dem Warenkorb entfernt werden. {message}',
+        'cart.updateQuantityFailed': 'Die Menge von "{name}" konnte nicht geändert werden. {message}',
+        'cart.unavailableProduct': 'Nicht verfügbares Produkt',
+        'cart.noLongerAvailable': 'Nicht mehr erhältlich',
+        'cart.quantity': 'Menge: {quantity}',
+        'cart.removeCode': 'Code {code} entfernen',
+        'cart.clear': 'Warenkorb leeren',
+        'cart.clearTitle': 'Warenkorb leeren',
+        'cart.clearConfirm': 'Möchtest du wirklich den ganzen Warenkorb leeren?',
+        'cart.clearFailed': 'Der Warenkorb konnte nicht geleert werden. {message}',
+        'cart.checkout': 'Zur Kasse',
+        'cart.checkoutBlocked': 'Einige Artikel im Warenkorb sind nicht mehr oder nicht in der gewünschten Menge erhältlich',
+        'cart.shipTo': 'Lieferung nach',
+        'cart.shippingMethod': 'Versandart',
+        'cart.freeOver': '(kostenlos ab {amount})',
+        'cart.discountCode': 'Rabattcode',
+        'cart.enterCode': 'Code eingeben',
+        'cart.apply': 'Einlösen',
+        'totals.subtotal': 'Zwischensumme',
+        'totals.shipping': 'Versand · {name}',
+        'totals.tax': 'Steuer · {name}',
+        'totals.total': 'Gesamt',
+        'totals.free': 'Kostenlos',
+        'totals.applied': 'Angewendet',
+        'wishlist.title': 'Meine Wunschliste',
+        'wishlist.emptyTitle': 'Deine Wunschliste ist leer',
+        'wishlist.emptyText': 'Tippe bei einem Produkt auf das Herz, um es für später zu merken.',
+        'wishlist.moveToCart': 'In den Warenkorb',
+        'wishlist.noMoreStock': 'Leider ist "{name}" nicht mehr vorrätig.',
+        'wishlist.moveToCartFailed': '"{name}" konnte nicht in den Warenkorb verschoben werden. {message}',
+        'reviews.title': 'Kundenbewertungen',
+        'reviews.none': 'Noch keine Bewertungen. Schreib die erste Bewertung zu diesem Produkt!',
+        'reviews.write': 'Bewertung schreiben',
+        'reviews.yourRating': 'Deine Bewertung *',
+        'reviews.yourName': 'Dein Name *',
+        'reviews.yourReview': 'Dein Text *',
+        'reviews.placeholder': 'Was hat dir gefallen oder nicht gefallen?',
+        'reviews.submit': 'Bewertung absenden',
+        'reviews.thanks': 'Danke für deine Bewertung! Sie erscheint hier, sobald sie freigegeben wurde.',
+        'reviews.chooseRating': 'Bitte wähle eine Bewertung von 1 bis 5 Sternen',
+        'reviews.enterText': 'Bitte schreib ein paar Worte zum Produkt',
+        'reviews.tooLong': 'Bewertungen dürfen höchstens {max} Zeichen lang sein',
+        'form.enterName': 'Bitte gib deinen Namen ein',
+        'form.nameRequired': 'Der vollständige Name ist erforderlich',
+        'form.invalidEmail': 'Bitte gib eine gültige E-Mail-Adresse ein',
+        'form.invalidPhone': 'Bitte gib eine gültige Telefonnummer ein',
+        'form.streetRequired': 'Die Straße ist erforderlich',
+        'form.cityRequired': 'Der Ort ist erforderlich',
+        'form.postalCodeRequired': 'Die Postleitzahl ist erforderlich',
+        'form.countryRequired': 'Das Land ist erforderlich',
+        'address.fullName': 'Vollständiger Name *',
+        'address.email': 'E-Mail *',
+        'address.phone': 'Telefon *',
+        'address.street': 'Straße und Hausnummer *',
+        'address.city': 'Ort *',
+        'address.state': 'Bundesland / Region',
+        'address.postalCode': 'Postleitzahl *',
+        'address.country': 'Land *',
+        'checkout.title': 'Kasse',
+        'checkout.stepShipping': '1. Versand',
+        'checkout.stepReview': '2. Prüfen',
+        'checkout.stepConfirmation': '3. Bestätigung',
+        'checkout.savedAddress': 'An eine gespeicherte Adresse liefern',
+        'checkout.newAddress': 'Neue Adresse eingeben',
+        'checkout.haveAccount': 'Du hast ein Konto?',
+        'checkout.signInForAddresses': 'Melde dich an, um deine gespeicherten Adressen zu nutzen.',
+        'checkout.contactDetails': 'Kontaktdaten',
+        'checkout.shippingAddress': 'Lieferadresse',
+        'checkout.saveAddress': 'Diese Adresse in meinem Konto speichern',
+        'checkout.backToCart': 'Zurück zum Warenkorb',
+        'checkout.continueToReview': 'Weiter zur Prüfung',
+        'checkout.emptyText': 'Lege Produkte in den Warenkorb, bevor du zur Kasse gehst.',
+        'checkout.orderItems': 'Bestellte Artikel',
+        'checkout.shipTo': 'Lieferung an',
+        'checkout.editShipping': 'Versanddaten bearbeiten',
+        'checkout.placeOrder': 'Bestellung aufgeben',
+        'checkout.placeOrderFailed': 'Deine Bestellung konnte nicht aufgegeben werden. {message}',
+        'checkout.orderNotFinished': 'Deine Bestellung wurde aufgegeben, aber Warenkorb und Bestand konnten nicht vollständig aktualisiert werden. Bitte gib sie nicht noch einmal auf. {message}',
+        'checkout.thanks': 'Vielen Dank für deine Bestellung!',
+        'checkout.orderNumberIs': 'Deine Bestellnummer lautet',
+        'checkout.confirmationSentTo': 'Wir senden eine Bestätigung an',
+        'checkout.itemsAndTotal': { one: '{count} Artikel · Gesamt {total}', other: '{count} Artikel · Gesamt {total}' },
+        'checkout.viewOrder': 'Bestellung ansehen',
+        'checkout.continueShopping': 'Weiter einkaufen',
+        'checkout.emptyCartError': 'Mit einem leeren Warenkorb kann keine Bestellung aufgegeben werden',
+        'checkout.notEnoughStock': 'Nicht genug vorrätig: {names}',
+        'orders.title': 'Meine Bestellungen',
+        'orders.emptyTitle': 'Du hast noch keine Bestellungen aufgegeben',
+        'orders.emptyText': 'Deine Bestellungen erscheinen hier.',
+        'orders.itemCount': { one: '{count} Artikel', other: '{count} Artikel' },
+        'orders.statusPlaced': 'Aufgegeben',
+        'orders.viewDetails': 'Details ansehen',
+        'orders.notFoundTitle': 'Bestellung nicht gefunden',
+        'orders.notFoundText': 'Wir konnten keine Bestellung mit dieser Nummer finden.',
+        'orders.backToOrders': 'Zurück zu meinen Bestellungen',
+        'orders.orderTitle': 'Bestellung {orderNumber}',
+        'orders.placedOn': 'Aufgegeben am {date} · {status}',
+        'orders.items': 'Artikel',
+        'orders.shippedTo': 'Geliefert an',
+        'account.title': 'Mein Konto',
+        'account.email': 'E-Mail',
+        'account.password': 'Passwort',
+        'account.createTitle': 'Konto erstellen',
+        'account.createHint': 'Behalte Warenkorb, gespeicherte Adressen und Einstellungen bei jedem Besuch. Artikel, die jetzt im Warenkorb liegen, bleiben erhalten.',
+        'account.name': 'Name',
+        'account.newPassword': 'Passwort (mindestens {min} Zeichen)',
+        'account.createButton': 'Konto erstellen',
+        'account.profile': 'Profil',
+        'account.summary': '{name} · {email} · Dabei seit {date}',
+        'account.savedAddresses': 'Gespeicherte Adressen',
+        'account.noAddresses': 'Noch keine gespeicherten Adressen. Füge unten eine hinzu oder speichere sie an der Kasse.',
+        'account.defaultAddress': 'Standard',
+        'account.makeDefault': 'Als Standard festlegen',
+        'account.deleteAddressTitle': 'Adresse löschen',
+        'account.deleteAddressConfirm': 'Möchtest du diese Adresse wirklich löschen?',
+        'account.addAddress': 'Adresse hinzufügen',
+        'account.saveAddress': 'Adresse speichern',
+        'account.saveAddressFailed': 'Die Adresse konnte nicht gespeichert werden. {message}',
+        'account.preferences': 'Einstellungen',
+        'account.shippingRegion': 'Lieferregion',
+        'account.shippingMethod': 'Versandart',
+        'account.preferencesHint': 'Wird im Warenkorb verwendet, bis du dort etwas anderes wählst.',
+        'account.savePreferences': 'Einstellungen speichern',
+        'account.preferencesSaved': 'Einstellungen gespeichert.',
+        'account.savePreferencesFailed': 'Deine Einstellungen konnten nicht gespeichert werden. {message}',
+        'account.emailTaken': 'Es gibt bereits ein Konto mit dieser E-Mail-Adresse. Bitte melde dich an',
+        'account.passwordTooShort': 'Passwörter müssen mindestens {min} Zeichen lang sein',
+        'account.wrongPassword': 'E-Mail-Adresse oder Passwort ist falsch',
+        'account.signInFirst': 'Bitte melde dich zuerst an',
+        'account.chooseRegion': 'Bitte wähle eine Lieferregion',
+        'account.chooseShippingMethod': 'Bitte wähle eine Versandart',
+        'discount.enterCode': 'Bitte gib einen Rabattcode ein',
+        'discount.invalid': '{code} ist kein gültiger Rabattcode',
+        'discount.alreadyApplied': 'Der Code {code} ist bereits eingelöst',
+        'discount.noMatchingItems': 'Der Code {code} gilt für keinen Artikel in deinem Warenkorb',
+        'discount.expired': 'Der Code {code} ist abgelaufen',
+        'discount.unavailable': 'Der Code {code} ist nicht mehr verfügbar',
+        'discount.percentOff': '{value} % Rabatt',
+        'discount.amountOff': '{amount} Rabatt',
+        'discount.freeShipping': 'Kostenloser Versand',
+        'discount.buyXGetY': 'Kaufe {buy}, erhalte {get} gratis',
+        'discount.generic': 'Rabatt',
+        'discount.forCategory': '{description} ({category})',
+        'region.US-CA': 'Vereinigte Staaten - Kalifornien',
+        'region.US-NY': 'Vereinigte Staaten - New York',
+        'region.US-TX': 'Vereinigte Staaten - Texas',
+        'region.CA': 'Kanada',
+        'region.GB': 'Vereinigtes Königreich',
+        'region.DE': 'Deutschland',
+        'shipping.standard': 'Standard (5-7 Tage)',
+        'shipping.express': 'Express (1-2 Tage)',
+        'shipping.overnight': 'Über Nacht',
+        'storage.full': 'Der Speicher deines Browsers ist voll, daher wurde deine letzte Änderung ({name}) nicht gespeichert. Lade eine Sicherung herunter und schaffe dann Platz (zum Beispiel, indem du alte Produkte, Bilder oder Bestellungen löschst).',
+        'storage.fullError': 'Der Speicher deines Browsers ist voll, daher konnte diese Änderung nicht gespeichert werden.',
+        'storage.reset': 'Die gespeicherten Daten ({name}) waren beschädigt und konnten nicht gelesen werden, daher wurden sie zurückgesetzt. Lade eine Sicherung herunter, um eine Kopie des Originals zu behalten.',
+        'storage.partlyRecovered': { one: 'Die gespeicherten Daten ({name}) waren beschädigt. {recovered} von {count} Eintrag wurde wiederhergestellt. Lade eine Sicherung herunter, um eine Kopie des Originals zu behalten.', other: 'Die gespeicherten Daten ({name}) waren beschädigt. {recovered} von {count} Einträgen wurden wiederhergestellt. Lade eine Sicherung herunter, um eine Kopie des Originals zu behalten.' },
+        'storage.recovered': 'Die gespeicherten Daten ({name}) waren beschädigt, wurden aber vollständig wiederhergestellt. Lade eine Sicherung herunter, um eine Kopie des Originals zu behalten.',
+        'storage.downloadBackup': 'Sicherung herunterladen',
+        'storage.data.products': 'Produkte',
+        'storage.data.product_trash': 'Produkt-Papierkorb',
+        'storage.data.cart': 'Warenkorb',
+        'storage.data.cart_options': 'Warenkorb-Optionen',
+        'storage.data.applied_discounts': 'eingelöste Rabattcodes',
+        'storage.data.wishlist': 'Wunschliste',
+        'storage.data.orders': 'Bestellungen',
+        'storage.data.customers': 'Konten',
+        'storage.data.reviews': 'Bewertungen',
+        'storage.data.images': 'Bilder',
+        'storage.data.categories': 'Kategorien',
+        'storage.data.discounts': 'Rabattcodes',
+        'storage.data.currencies': 'Währungen',
+        'storage.data.display_currency': 'Währung',
+        'storage.data.locale': 'Sprache'
+    }
+};
+
+// Language of this page (read once, see getLocale())
+let currentLocale = null;
+
+/**
+ * Get the shopper's language
+ * Uses the language they chose, then the browser's language if it's offered, then English
+ * @returns {string} Language code (e.g. "en")
+ */
+function getLocale() {
+    if (currentLocale) {
+        return currentLocale;
+    }
+    
+    const isSupported = code => SUPPORTED_LOCALES.some(locale => locale.code === code);
+    let stored = null;
+    
+    try {
+        stored = localStorage.getItem(LOCALE_STORAGE_KEY);
+    } catch (error) {
+        console.error('Error getting language:', error);
+    }
+    
+    const browserLanguage = typeof navigator !== 'undefined' && navigator.language
+        ? navigator.language.split('-')[0]
+        : null;
+    
+    if (isSupported(stored)) {
+        currentLocale = stored;
+    } else if (isSupported(browserLanguage)) {
+        currentLocale = browserLanguage;
+    } else {
+        currentLocale = DEFAULT_LOCALE;
+    }
+    
+    return currentLocale;
+}
+
+/**
+ * Choose the shopper's language (takes effect when the page is loaded again)
+ * @param {string} code - Language code (one of SUPPORTED_LOCALES)
+ */
+function setLocale(code) {
+    if (!SUPPORTED_LOCALES.some(locale => locale.code === code)) {
+        throw new Error(`The language "${code}" is not offered`);
+    }
+    
+    writeLocalStorage(LOCALE_STORAGE_KEY, code);
+    currentLocale = code;
+}
+
+/**
+ * Translate a text into the shopper's language
+ * @param {string} key - Catalog key (e.g. "cart.title")
+ * @param {Object} params - Values for the "{name}" placeholders; "count" also picks the plural form (optional)
+ * @returns {string} The translated text (the English text if the key isn't translated, or the key if it's unknown)
+ */
+function t(key, params = {}) {
+    const catalog = TRANSLATIONS[getLocale()] || {};
+    let message = key in catalog ? catalog[key] : TRANSLATIONS[DEFAULT_LOCALE][key];
+    
+    if (message === undefined) {
+        console.error(`Missing translation: ${key}`);
+        return key;
+    }
+    
+    // Pick the plural form for the count, e.g. "1 product" / "2 products"
+    if (typeof message === 'object') {
+        const form = new Intl.PluralRules(getLocale()).select(params.count);
+        message = message[form] || message.other;
+    }
+    
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) => (name in params ? String(params[name]) : placeholder));
+}
+
+/**
+ * Check whether a catalog key exists
+ * @param {string} key - Catalog key (e.g. "storage.data.cart")
+ * @returns {boolean} True if t() has a text for the key
+ */
+function hasTranslation(key) {
+    return key in TRANSLATIONS[DEFAULT_LOCALE];
+}
+
+/**
+ * Translate the text in the page markup
+ * data-i18n sets the text, data-i18n-placeholder the placeholder and data-i18n-label the
+ * aria-label. The element's other data attributes are passed as parameters (e.g. data-stars)
+ * @param {HTMLElement|Document} root - Where to look (defaults to the whole page)
+ */
+function applyTranslations(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+        element.textContent = t(element.dataset.i18n, element.dataset);
+    });
+    root.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+        element.placeholder = t(element.dataset.i18nPlaceholder, element.dataset);
+    });
+    root.querySelectorAll('[data-i18n-label]').forEach(element => {
+        element.setAttribute('aria-label', t(element.dataset.i18nLabel, element.dataset));
+    });
+}
+
+/**
+ * Create a labelled dropdown for the navigation
+ * @param {string} id - Dropdown ID
+ * @param {string} label - Accessible label
+ * @param {Array} options - Array of {value, text}
+ * @param {string} value - The selected value
+ * @param {Function} onChange - Called with the new value
+ * @returns {HTMLElement} The dropdown
+ */
+function createLocaleSelect(id, label, options, value, onChange) {
+    const select = document.createElement('select');
+    select.id = id;
+    select.className = 'locale-select';
+    select.setAttribute('aria-label', label);
+    
+    options.forEach(option => {
+        const optionElement = document.createElement('option');
+        optionElement.value = option.value;
+        optionElement.textContent = option.text;
+        select.appendChild(optionElement);
+    });
+    
+    select.value = value;
+    select.addEventListener('change', function() {
+        onChange(select.value);
+    });
+    
+    return select;
+}
+
+/**
+ * Update the language and currency pickers in the navigation
+ * Choosing another language or currency reloads the page so everything is shown in it
+ */
+function updateLocaleNav() {
+    const localeNav = document.getElementById('locale-nav');
+    if (!localeNav) {
+        return;
+    }
+    
+    localeNav.innerHTML = '';
+    
+    /**
+     * Save a choice and show the page again with it
+     * @param {Function} save - Saves the choice
+     */
+    function saveAndReload(save) {
+        try {
+            save();
+            window.location.reload();
+        } catch (error) {
+            console.error('Error saving language or currency:', error);
+            showToast(error.message, 'error');
+        }
+    }
+    
+    localeNav.appendChild(createLocaleSelect(
+        'locale-select',
+        t('nav.language'),
+        SUPPORTED_LOCALES.map(locale => ({ value: locale.code, text: locale.name })),
+        getLocale(),
+        code => saveAndReload(() => setLocale(code))
+    ));
+    
+    localeNav.appendChild(createLocaleSelect(
+        'currency-select',
+        t('nav.currency'),
+        getCurrencies().map(currency => ({ value: currency.code, text: currency.code })),
+        getDisplayCurrency().code,
+        code => saveAndReload(() => setDisplayCurrency(code))
+    ));
+}
+
+/**
+ * Show the page in the shopper's language: translate the markup and fill in the language and currency pickers
+ * Called once when the store starts (see app.js), before anything else is shown
+ */
+function initializeLocale() {
+    document.documentElement.lang = getLocale();
+    applyTranslations();
+    updateLocaleNav();
+}
@@ -0,0 +1,242 @@
+/**
+ * Product Images Module
+ * Handles uploaded product images: resizing them in the browser, storing them in IndexedDB
+ * and showing them (or the bundled placeholder) in image elements
+ *
+ * Products refer to uploaded images like to any other image, with an "idb:<image ID>" URL.
+ * Each upload is stored twice: a thumbnail (cards, cart, lists) and a full-size version
+ * (the product page gallery).
+ */
+
+// Shown when a product has no image or its image can't be loaded
+const PLACEHOLDER_IMAGE = 'images/placeholder.svg';
+
+// IndexedDB database and object store for uploaded images (separate from the storage adapter's)
+const IMAGES_DB_NAME = 'ecommerce_images';
+const IMAGES_DB_STORE = 'images';
+
+// Prefix of the URLs that refer to uploaded images
+const UPLOADED_IMAGE_PREFIX = 'idb:';
+
+// Longest side (in pixels) of each stored version of an uploaded image
+const IMAGE_SIZES = {
+    thumbnail: 400,
+    full: 1200
+};
+
+// Largest file accepted for upload (before resizing)
+const MAX_IMAGE_UPLOAD_BYTES = 15 * 1024 * 1024;
+
+// Quality of resized JPEG images (0 to 1)
+const RESIZED_IMAGE_QUALITY = 0.85;
+
+// Database opened by openImagesDatabase() (one per page)
+let imagesDatabasePromise = null;
+
+// Object URLs of uploaded images already read from IndexedDB, by "<reference>|<size>"
+const uploadedImageUrls = new Map();
+
+/**
+ * Open the images database (once), creating the object store on first use
+ * @returns {Promise<IDBDatabase>} The open database
+ */
+function openImagesDatabase() {
+    if (!imagesDatabasePromise) {
+        const request = indexedDB.open(IMAGES_DB_NAME, 1);
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(IMAGES_DB_STORE, { keyPath: 'id' });
+        };
+        imagesDatabasePromise = promisifyRequest(request);
+    }
+    
+    return imagesDatabasePromise;
+}
+
+/**
+ * Run a single request against the images object store
+ * @param {string} mode - "readonly" or "readwrite"
+ * @param {Function} createRequest - Called with the object store, returns an IDBRequest
+ * @returns {Promise} Resolves with the request result
+ */
+async function runImagesRequest(mode, createRequest) {
+    const database = await openImagesDatabase();
+    const store = database.transaction(IMAGES_DB_STORE, mode).objectStore(IMAGES_DB_STORE);
+    return promisifyRequest(createRequest(store));
+}
+
+/**
+ * Check whether an image URL refers to an uploaded image
+ * @param {string} src - Image URL
+ * @returns {boolean} True for "idb:" URLs
+ */
+function isUploadedImage(src) {
+    return typeof src === 'string' && src.startsWith(UPLOADED_IMAGE_PREFIX);
+}
+
+/**
+ * Read an image file into an image element
+ * @param {File} file - The image file
+ * @returns {Promise<HTMLImageElement>} The loaded image
+ */
+function loadImageFile(file) {
+    return new Promise((resolve, reject) => {
+        const url = URL.createObjectURL(file);
+        const image = new Image();
+        
+        image.onload = () => {
+            URL.revokeObjectURL(url);
+            resolve(image);
+        };
+        image.onerror = () => {
+            URL.revokeObjectURL(url);
+            reject(new Error(`"${file.name}" could not be read as an image`));
+        };
+        image.src = url;
+    });
+}
+
+/**
+ * Scale an image down so its longest side fits a size
+ * PNGs stay PNGs (to keep transparency), everything else becomes a JPEG
+ * @param {HTMLImageElement} image - The loaded image
+ * @param {File} file - The original file
+ * @param {number} maxSize - Longest side in pixels
+ * @returns {Promise<Blob>} The resized image (the original file if it already fits)
+ */
+function resizeImage(image, file, maxSize) {
+    const scale = Math.min(1, maxSize / Math.max(image.naturalWidth, image.naturalHeight));
+    
+    // Small images and SVGs (which scale by themselves) are stored as they are
+    if (scale === 1 || file.type === 'image/svg+xml') {
+        return Promise.resolve(file);
+    }
+    
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(image.naturalWidth * scale);
+    canvas.height = Math.round(image.naturalHeight * scale);
+    canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+    
+    const type = file.type === 'image/png' ? 'image/png' : 'image/jpeg';
+    
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => {
+            if (blob) {
+                resolve(blob);
+            } else {
+                reject(new Error(`"${file.name}" could not be resized`));
+            }
+        }, type, RESIZED_IMAGE_QUALITY);
+    });
+}
+
+/**
+ * Resize an image file and store its thumbnail and full-size versions
+ * @param {File} file - Image file picked or dropped by the user
+ * @returns {Promise<string>} URL to store on the product ("idb:<image ID>")
+ * @throws {Error} With a message to show if the file isn't an image or is too large
+ */
+async function saveUploadedImage(file) {
+    if (!file.type.startsWith('image/')) {
+        throw new Error(`"${file.name}" is not an image`);
+    }
+    if (file.size > MAX_IMAGE_UPLOAD_BYTES) {
+        throw new Error(`"${file.name}" is larger than ${MAX_IMAGE_UPLOAD_BYTES / (1024 * 1024)} MB`);
+    }
+    
+    try {
+        const image = await loadImageFile(file);
+        const record = {
+            id: bytesToHex(crypto.getRandomValues(new Uint8Array(8))),
+            name: file.name,
+            width: image.naturalWidth,
+            height: image.naturalHeight,
+            thumbnail: await resizeImage(image, file, IMAGE_SIZES.thumbnail),
+            full: await resizeImage(image, file, IMAGE_SIZES.full),
+            createdAt: new Date().toISOString()
+        };
+        
+        await runImagesRequest('readwrite', store => store.put(record));
+        
+        return UPLOADED_IMAGE_PREFIX + record.id;
+    } catch (error) {
+        console.error('Error saving uploaded image:', error);
+        throw error;
+    }
+}
+
+/**
+ * Delete an uploaded image
+ * @param {string} src - The image's "idb:" URL (other URLs are ignored)
+ * @returns {Promise} Resolves once the image is deleted
+ */
+async function deleteUploadedImage(src) {
+    if (!isUploadedImage(src)) {
+        return;
+    }
+    
+    try {
+        await runImagesRequest('readwrite', store => store.delete(src.slice(UPLOADED_IMAGE_PREFIX.length)));
+        
+        // Forget the object URLs of the deleted image
+        Object.keys(IMAGE_SIZES).forEach(size => {
+            const cacheKey = `${src}|${size}`;
+            if (uploadedImageUrls.has(cacheKey)) {
+                uploadedImageUrls.get(cacheKey).then(url => url && URL.revokeObjectURL(url));
+                uploadedImageUrls.delete(cacheKey);
+            }
+        });
+    } catch (error) {
+        console.error('Error deleting uploaded image:', error);
+        throw error;
+    }
+}
+
+/**
+ * Get an object URL for one version of an uploaded image
+ * @param {string} src - The image's "idb:" URL
+ * @param {string} size - "thumbnail" or "full"
+ * @returns {Promise<string|null>} Object URL, or null if the image doesn't exist (or IndexedDB isn't available)
+ */
+function getUploadedImageUrl(src, size) {
+    const cacheKey = `${src}|${size}`;
+    
+    if (!uploadedImageUrls.has(cacheKey)) {
+        const urlPromise = runImagesRequest('readonly', store => store.get(src.slice(UPLOADED_IMAGE_PREFIX.length)))
+            .then(record => record ? URL.createObjectURL(record[size] || record.full) : null)
+            .catch(error => {
+                console.error('Error loading uploaded image:', error);
+                return null;
+            });
+        uploadedImageUrls.set(cacheKey, urlPromise);
+    }
+    
+    return uploadedImageUrls.get(cacheKey);
+}
+
+/**
+ * Show an image in an image element, falling back to the placeholder
+ * Uploaded ("idb:") images are read from IndexedDB first, so they appear a moment later
+ * @param {HTMLImageElement} image - The image element
+ * @param {string} src - Image URL (empty to show the placeholder)
+ * @param {string} size - Version of uploaded images to show: "thumbnail" (default) or "full"
+ */
+function setImageSource(image, src, size = 'thumbnail') {
+    // If the image fails to load, use the placeholder
+    image.onerror = function() {
+        this.onerror = null;
+        this.src = PLACEHOLDER_IMAGE;
+    };
+    image.dataset.imageSrc = src || '';
+    
+    if (!isUploadedImage(src)) {
+        image.src = src || PLACEHOLDER_IMAGE;
+        return;
+    }
+    
+    getUploadedImageUrl(src, size).then(url => {
+        // Another image may have been shown in the meantime (e.g. a different variant was picked)
+        if (image.dataset.imageSrc === src) {
+            image.src = url || PLACEHOLDER_IMAGE;
+        }
+    });
+}
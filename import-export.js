@@ -0,0 +1,446 @@
+/**
+ * Product Import / Export Module
+ * Handles reading and writing the catalog as CSV or JSON files
+ */
+
+// Product fields a file column can be mapped to, with the column names recognised automatically
+const PRODUCT_IMPORT_FIELDS = [
+    { field: 'sku', label: 'SKU', aliases: ['sku', 'productsku', 'code', 'productcode'] },
+    { field: 'name', label: 'Name', aliases: ['name', 'productname', 'title'] },
+    { field: 'price', label: 'Price', aliases: ['price', 'unitprice'] },
+    { field: 'stock', label: 'Stock', aliases: ['stock', 'stockquantity', 'quantity', 'qty', 'inventory'] },
+    { field: 'weight', label: 'Weight (kg)', aliases: ['weight', 'weightkg'] },
+    { field: 'category', label: 'Category', aliases: ['category', 'productcategory'] },
+    { field: 'image', label: 'Image URL', aliases: ['image', 'imageurl', 'img', 'photo'] },
+    { field: 'description', label: 'Description', aliases: ['description', 'desc', 'details'] },
+    { field: 'options', label: 'Variant Options', aliases: ['options', 'variantoptions'] },
+    { field: 'variants', label: 'Variants (JSON only)', aliases: ['variants'] }
+];
+
+// Columns written to CSV exports, in order
+const CSV_EXPORT_FIELDS = ['sku', 'name', 'price', 'stock', 'weight', 'category', 'image', 'description', 'options'];
+
+/**
+ * Parse CSV text into rows of values
+ * Supports quoted values containing commas, quotes ("") and line breaks
+ * @param {string} text - CSV text
+ * @returns {Array} Array of rows, each an array of strings
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let value = '';
+    let inQuotes = false;
+    
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                // Escaped quote inside a quoted value
+                value += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                value += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(value);
+            value = '';
+        } else if (char === '\n' || char === '\r') {
+            // Treat \r\n as a single line break
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            row.push(value);
+            rows.push(row);
+            row = [];
+            value = '';
+        } else {
+            value += char;
+        }
+    }
+    
+    // Add the last row if the file doesn't end with a line break
+    if (value !== '' || row.length > 0) {
+        row.push(value);
+        rows.push(row);
+    }
+    
+    return rows;
+}
+
+/**
+ * Format a single value for a CSV file, quoting it when needed
+ * @param {*} value - Value to format
+ * @returns {string} CSV-safe value
+ */
+function formatCsvValue(value) {
+    const text = value === undefined || value === null ? '' : String(value);
+    
+    if (/[",\r\n]/.test(text) || text !== text.trim()) {
+        return `"${text.replace(/"/g, '""')}"`;
+    }
+    
+    return text;
+}
+
+/**
+ * Format variant options as text, e.g. "Size: S, M, L; Color: White, Black"
+ * @param {Array} options - Option definitions [{name, values}]
+ * @returns {string} Options text (empty if there are no options)
+ */
+function formatOptionsText(options) {
+    return (options || [])
+        .map(option => `${option.name}: ${option.values.join(', ')}`)
+        .join('; ');
+}
+
+/**
+ * Parse variant options from text written by formatOptionsText()
+ * @param {string} text - Options text, e.g. "Size: S, M, L; Color: White, Black"
+ * @returns {Array} Option definitions [{name, values}]
+ */
+function parseOptionsText(text) {
+    return (text || '')
+        .split(';')
+        .map(part => part.trim())
+        .filter(part => part)
+        .map(part => {
+            const separatorIndex = part.indexOf(':');
+            const name = separatorIndex === -1 ? part : part.slice(0, separatorIndex);
+            const values = separatorIndex === -1 ? '' : part.slice(separatorIndex + 1);
+            
+            return {
+                name: name.trim(),
+                values: values.split(',').map(value => value.trim()).filter(value => value)
+            };
+        });
+}
+
+/**
+ * Read the records from an uploaded CSV or JSON file
+ * @param {string} fileName - Name of the file (its extension decides the format)
+ * @param {string} text - File contents
+ * @returns {Object} Parsed file {columns, records: [{rowNumber, values}]}
+ * @throws {Error} If the file can't be read as a list of products
+ */
+function parseImportFile(fileName, text) {
+    // Remove the byte order mark some spreadsheet programs add
+    const content = text.replace(/^\uFEFF/, '');
+    
+    if (/\.json$/i.test(fileName)) {
+        let data;
+        try {
+            data = JSON.parse(content);
+        } catch (error) {
+            throw new Error('The file is not valid JSON.');
+        }
+        
+        // Accept a plain array or an object with a "products" array
+        const items = Array.isArray(data) ? data : data && data.products;
+        if (!Array.isArray(items)) {
+            throw new Error('The JSON file must contain an array of products.');
+        }
+        
+        const columns = [];
+        items.forEach(item => {
+            Object.keys(item || {}).forEach(key => {
+                if (!columns.includes(key)) {
+                    columns.push(key);
+                }
+            });
+        });
+        
+        return {
+            columns: columns,
+            records: items.map((item, index) => ({ rowNumber: index + 1, values: item || {} }))
+        };
+    }
+    
+    const rows = parseCsv(content);
+    if (rows.length < 2) {
+        throw new Error('The CSV file needs a header row and at least one product.');
+    }
+    
+    const columns = rows[0].map(column => column.trim());
+    const records = [];
+    
+    rows.slice(1).forEach((row, index) => {
+        // Skip blank lines
+        if (row.every(value => value.trim() === '')) {
+            return;
+        }
+        
+        const values = {};
+        columns.forEach((column, columnIndex) => {
+            values[column] = row[columnIndex] || '';
+        });
+        
+        // Row numbers match the line in the file (the header is line 1)
+        records.push({ rowNumber: index + 2, values: values });
+    });
+    
+    return {
+        columns: columns,
+        records: records
+    };
+}
+
+/**
+ * Guess which product field each file column holds
+ * @param {Array} columns - Column names from the file
+ * @returns {Object} Map of column name to product field ('' for columns that are ignored)
+ */
+function guessColumnMapping(columns) {
+    const mapping = {};
+    const usedFields = new Set();
+    
+    columns.forEach(column => {
+        const normalizedColumn = column.toLowerCase().replace(/[^a-z0-9]/g, '');
+        const match = PRODUCT_IMPORT_FIELDS.find(field =>
+            !usedFields.has(field.field) && field.aliases.includes(normalizedColumn)
+        );
+        
+        mapping[column] = match ? match.field : '';
+        if (match) {
+            usedFields.add(match.field);
+        }
+    });
+    
+    return mapping;
+}
+
+/**
+ * Get the editable fields of an existing product as raw values
+ * @param {Object} product - Product object
+ * @returns {Object} Raw field values {sku, name, price, stock, weight, category, image, description}
+ */
+function getProductFieldValues(product) {
+    return {
+        sku: product.sku || '',
+        name: product.name,
+        price: String(product.price),
+        stock: typeof product.stock === 'number' ? String(product.stock) : '',
+        weight: typeof product.weight === 'number' ? String(product.weight) : '',
+        category: product.category,
+        image: product.image,
+        description: product.description || ''
+    };
+}
+
+/**
+ * Validate one imported record and build the product it describes
+ * @param {Object} record - Record from parseImportFile()
+ * @param {Object} mapping - Map of column name to product field
+ * @param {string} mode - "upsert" (update products with the same SKU) or "append" (always add)
+ * @param {Array} products - The current catalog (to match SKUs against)
+ * @returns {Object} Preview row {rowNumber, action, existingId, product, errors}
+ */
+function buildImportRow(record, mapping, mode, products) {
+    // Collect the mapped values from the record
+    const mapped = {};
+    Object.keys(mapping).forEach(column => {
+        if (mapping[column]) {
+            mapped[mapping[column]] = record.values[column];
+        }
+    });
+    
+    const sku = mapped.sku === undefined || mapped.sku === null ? '' : String(mapped.sku).trim();
+    const existing = mode === 'upsert' ? findProductBySku(products, sku) : null;
+    
+    // Updates start from the existing product, so columns left out of the file keep their values
+    const fields = existing ? getProductFieldValues(existing) : {
+        sku: '', name: '', price: '', stock: '', weight: '', category: '', image: '', description: ''
+    };
+    
+    Object.keys(fields).forEach(field => {
+        if (mapped[field] !== undefined && mapped[field] !== null) {
+            fields[field] = String(mapped[field]).trim();
+        }
+    });
+    
+    // Validate with the same rules as the product form
+    const errorsByField = validateProductFields(fields, existing ? existing.id : null, products);
+    const errors = Object.values(errorsByField);
+    
+    // Options can be an array (JSON) or text like "Size: S, M; Color: Red" (CSV)
+    let options = existing && existing.options ? existing.options : [];
+    if (mapped.options !== undefined && mapped.options !== null) {
+        options = Array.isArray(mapped.options)
+            ? mapped.options.map(option => ({
+                name: String((option && option.name) || '').trim(),
+                values: Array.isArray(option && option.values) ? option.values.map(value => String(value).trim()) : []
+            }))
+            : parseOptionsText(String(mapped.options));
+    }
+    
+    const optionsError = validateVariantOptions(options);
+    if (optionsError) {
+        errors.push(optionsError);
+    }
+    
+    // Per-variant overrides come from a JSON "variants" array, otherwise from the existing product
+    let variantOverrides = existing && existing.variants ? existing.variants : [];
+    if (Array.isArray(mapped.variants)) {
+        variantOverrides = mapped.variants.filter(variant => variant && typeof variant.id === 'string');
+        
+        const variantsError = validateVariantRows(variantOverrides.map(variant => ({
+            id: variant.id,
+            price: variant.price === undefined ? '' : String(variant.price),
+            image: variant.image || '',
+            stock: variant.stock === undefined ? '' : String(variant.stock)
+        })));
+        if (variantsError) {
+            errors.push(variantsError);
+        }
+    }
+    
+    const product = {
+        ...(existing || {}),
+        sku: fields.sku,
+        name: fields.name,
+        price: Number(fields.price),
+        stock: Number(fields.stock),
+        weight: Number(fields.weight),
+        category: fields.category,
+        image: fields.image,
+        description: fields.description
+    };
+    
+    // Only products with options get variants
+    delete product.options;
+    delete product.variants;
+    if (options.length > 0 && !optionsError) {
+        product.options = options;
+        product.variants = generateVariants(options, variantOverrides);
+    }
+    
+    // Products don't need empty SKU or weight fields
+    if (!product.sku) {
+        delete product.sku;
+    }
+    if (!fields.weight) {
+        delete product.weight;
+    }
+    
+    return {
+        rowNumber: record.rowNumber,
+        action: existing ? 'update' : 'create',
+        existingId: existing ? existing.id : null,
+        product: product,
+        errors: errors
+    };
+}
+
+/**
+ * Validate every imported record
+ * @param {Array} records - Records from parseImportFile()
+ * @param {Object} mapping - Map of column name to product field
+ * @param {string} mode - "upsert" or "append"
+ * @param {Array} products - The current catalog (to match SKUs against)
+ * @returns {Array} Preview rows (see buildImportRow())
+ */
+function buildImportPreview(records, mapping, mode, products) {
+    const seenSkus = new Set();
+    
+    return records.map(record => {
+        const row = buildImportRow(record, mapping, mode, products);
+        const sku = (row.product.sku || '').toLowerCase();
+        
+        // A SKU may only appear once per file
+        if (sku && seenSkus.has(sku)) {
+            row.errors.push('SKU appears more than once in the file');
+        }
+        if (sku) {
+            seenSkus.add(sku);
+        }
+        
+        return row;
+    });
+}
+
+/**
+ * Save the valid rows of an import preview
+ * Rows with errors are skipped
+ * @param {Array} previewRows - Rows from buildImportPreview()
+ * @returns {Promise<Object>} Counts {added, updated, skipped}
+ */
+async function applyImport(previewRows) {
+    const validRows = previewRows.filter(row => row.errors.length === 0);
+    
+    const newProducts = validRows
+        .filter(row => row.action === 'create')
+        .map(row => row.product);
+    
+    const updates = validRows
+        .filter(row => row.action === 'update')
+        .map(row => ({ id: row.existingId, product: row.product }));
+    
+    const counts = await saveImportedProducts(newProducts, updates);
+    
+    return {
+        added: counts.added,
+        updated: counts.updated,
+        skipped: previewRows.length - validRows.length
+    };
+}
+
+/**
+ * Convert products to CSV text (one row per product)
+ * Per-variant overrides aren't included; export JSON to keep them
+ * @param {Array} products - Products to convert
+ * @returns {string} CSV text with a header row
+ */
+function productsToCsv(products) {
+    const rows = [CSV_EXPORT_FIELDS];
+    
+    products.forEach(product => {
+        rows.push(CSV_EXPORT_FIELDS.map(field =>
+            field === 'options' ? formatOptionsText(product.options) : product[field]
+        ));
+    });
+    
+    return rows
+        .map(row => row.map(formatCsvValue).join(','))
+        .join('\r\n');
+}
+
+/**
+ * Start a browser download of a text file
+ * @param {string} fileName - Name of the downloaded file
+ * @param {string} content - File contents
+ * @param {string} mimeType - MIME type of the file
+ */
+function downloadFile(fileName, content, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Download the whole catalog as a CSV or JSON file
+ * @param {string} format - "csv" or "json"
+ * @returns {Promise} Resolves once the download has started
+ */
+async function exportProducts(format) {
+    const products = await getAllProducts();
+    const date = new Date().toISOString().slice(0, 10);
+    
+    if (format === 'json') {
+        downloadFile(`products-${date}.json`, JSON.stringify(products, null, 2), 'application/json');
+    } else {
+        downloadFile(`products-${date}.csv`, productsToCsv(products), 'text/csv');
+    }
+}
@@ -1,211 +1,512 @@
-/**
- * Main Product Listing Page Logic
- * Handles displaying products, search, filter, and add to cart functionality
- */
-
-// Initialize products when page loads
-document.addEventListener('DOMContentLoaded', function() {
-    // Initialize sample products if LocalStorage is empty
-    initializeProducts();
-    
-    // Load and display products
-    loadAndDisplayProducts();
-    
-    // Load categories into filter dropdown
-    loadCategories();
-    
-    // Update cart badge
-    updateCartBadge();
-    
-    // Set up event listeners
-    setupEventListeners();
-});
-
-/**
- * Load all products and display them on the page
- */
-function loadAndDisplayProducts() {
-    const products = getAllProducts();
-    displayProducts(products);
-}
-
-/**
- * Display products in a grid layout
- * @param {Array} products - Array of product objects to display
- */
-function displayProducts(products) {
-    const productsGrid = document.getElementById('products-grid');
-    const noProductsMessage = document.getElementById('no-products');
-    
-    // Clear existing products
-    productsGrid.innerHTML = '';
-    
-    // If no products, show empty message
-    if (products.length === 0) {
-        productsGrid.style.display = 'none';
-        noProductsMessage.style.display = 'block';
-        return;
-    }
-    
-    // Hide empty message and show grid
-    noProductsMessage.style.display = 'none';
-    productsGrid.style.display = 'grid';
-    
-    // Create and append product cards
-    products.forEach(product => {
-        const productCard = createProductCard(product);
-        productsGrid.appendChild(productCard);
-    });
-}
-
-/**
- * Create a product card element
- * @param {Object} product - Product object
- * @returns {HTMLElement} Product card element
- */
-function createProductCard(product) {
-    // Create card container
-    const card = document.createElement('div');
-    card.className = 'product-card';
-    
-    // Create product image
-    const image = document.createElement('img');
-    image.src = product.image || 'https://via.placeholder.com/400';
-    image.alt = product.name;
-    image.className = 'product-image';
-    image.onerror = function() {
-        // If image fails to load, use placeholder
-        this.src = 'https://via.placeholder.com/400';
-    };
-    
-    // Create product info container
-    const info = document.createElement('div');
-    info.className = 'product-info';
-    
-    // Create product name
-    const name = document.createElement('h3');
-    name.className = 'product-name';
-    name.textContent = product.name;
-    
-    // Create product category
-    const category = document.createElement('p');
-    category.className = 'product-category';
-    category.textContent = product.category;
-    
-    // Create product price
-    const price = document.createElement('div');
-    price.className = 'product-price';
-    price.textContent = `$${product.price.toFixed(2)}`;
-    
-    // Create "Add to Cart" button
-    const addToCartBtn = document.createElement('button');
-    addToCartBtn.className = 'btn btn-primary add-to-cart-btn';
-    addToCartBtn.textContent = 'Add to Cart';
-    addToCartBtn.onclick = function() {
-        // Call the addToCart function from cart.js
-        addToCart(product.id);
-        // Update cart badge
-        updateCartBadge();
-        // Show visual feedback
-        addToCartBtn.textContent = 'Added!';
-        addToCartBtn.style.backgroundColor = '#27ae60';
-        setTimeout(() => {
-            addToCartBtn.textContent = 'Add to Cart';
-            addToCartBtn.style.backgroundColor = '';
-        }, 1000);
-    };
-    
-    // Assemble the card
-    info.appendChild(name);
-    info.appendChild(category);
-    info.appendChild(price);
-    info.appendChild(addToCartBtn);
-    
-    card.appendChild(image);
-    card.appendChild(info);
-    
-    return card;
-}
-
-/**
- * Load all unique categories and populate the filter dropdown
- */
-function loadCategories() {
-    const categories = getAllCategories();
-    const categoryFilter = document.getElementById('category-filter');
-    
-    // Clear existing options (except "All")
-    categoryFilter.innerHTML = '<option value="All">All Categories</option>';
-    
-    // Add each category as an option
-    categories.forEach(category => {
-        const option = document.createElement('option');
-        option.value = category;
-        option.textContent = category;
-        categoryFilter.appendChild(option);
-    });
-}
-
-/**
- * Handle search functionality
- * Filters products as user types
- */
-function handleSearch() {
-    const searchInput = document.getElementById('search-input');
-    const categoryFilter = document.getElementById('category-filter');
-    const searchQuery = searchInput.value.trim();
-    const selectedCategory = categoryFilter.value;
-    
-    let filteredProducts = getAllProducts();
-    
-    // Apply search filter
-    if (searchQuery) {
-        filteredProducts = searchProducts(searchQuery);
-    }
-    
-    // Apply category filter
-    if (selectedCategory && selectedCategory !== 'All') {
-        filteredProducts = filteredProducts.filter(
-            product => product.category === selectedCategory
-        );
-    }
-    
-    // Display filtered products
-    displayProducts(filteredProducts);
-}
-
-/**
- * Handle category filter change
- */
-function handleCategoryFilter() {
-    // Re-run search to apply both filters
-    handleSearch();
-}
-
-/**
- * Clear all search and filter inputs
- */
-function clearFilters() {
-    document.getElementById('search-input').value = '';
-    document.getElementById('category-filter').value = 'All';
-    loadAndDisplayProducts();
-}
-
-
-/**
- * Set up all event listeners for the page
- */
-function setupEventListeners() {
-    // Search input - filter products as user types
-    const searchInput = document.getElementById('search-input');
-    searchInput.addEventListener('input', handleSearch);
-    
-    // Category filter dropdown
-    const categoryFilter = document.getElementById('category-filter');
-    categoryFilter.addEventListener('change', handleCategoryFilter);
-    
-    // Clear filters button
-    const clearFiltersBtn = document.getElementById('clear-filters');
-    clearFiltersBtn.addEventListener('click', clearFilters);
-}
-
+/**
+ * Product Listing View Logic
+ * Handles displaying products, search, filter, and add to cart functionality
+ */
+
+(function() {
+    // Current page of the product grid and how many products each page shows
+    let currentPage = 1;
+    let pageSize = DEFAULT_PAGE_SIZE;
+    
+    // Incremented on every render so a slow, older render doesn't overwrite a newer one
+    let renderRequestId = 0;
+    
+    // Stops re-rendering the grid on changes from other tabs (see onDataChanged())
+    let stopDataSync = null;
+    
+    registerView('/', {
+        template: 'catalog-view',
+        title: 'Products',
+        
+        /**
+         * Show the product grid with the search, filters, sort order and page from the URL
+         * @param {URLSearchParams} params - Route parameters
+         * @returns {Promise} Resolves once the products are shown
+         */
+        mount: async function(params) {
+            // Re-render the grid when products, categories, ratings or the wishlist change in another tab
+            stopDataSync = onDataChanged(handleCatalogDataChanged);
+            
+            // Load categories into the category facets
+            await loadCategories();
+            
+            // Restore search, filters, sort order and page from the URL
+            applyFiltersFromUrl(params);
+            
+            // Load and display products matching the filters
+            await renderProducts();
+            
+            // Set up event listeners
+            setupEventListeners();
+        },
+        
+        /**
+         * Stop re-rendering the grid once another view is shown
+         */
+        unmount: function() {
+            stopDataSync();
+            
+            // Drop renders still loading
+            renderRequestId++;
+        }
+    });
+    
+    /**
+     * Display products in a grid layout
+     * @param {Array} products - Array of product objects to display
+     * @param {Array} highlightTerms - Search terms to highlight in the cards (optional)
+     * @param {Array} wishlist - Wishlist items, to show which products are saved (optional)
+     */
+    function displayProducts(products, highlightTerms = [], wishlist = []) {
+        const productsGrid = document.getElementById('products-grid');
+        const noProductsMessage = document.getElementById('no-products');
+        
+        // Clear existing products
+        productsGrid.innerHTML = '';
+        
+        // If no products, show empty message
+        if (products.length === 0) {
+            productsGrid.style.display = 'none';
+            noProductsMessage.style.display = 'block';
+            return;
+        }
+        
+        // Hide empty message and show grid
+        noProductsMessage.style.display = 'none';
+        productsGrid.style.display = 'grid';
+        
+        // Create product cards off-screen, then add them in one go
+        const fragment = document.createDocumentFragment();
+        products.forEach(product => {
+            const productCard = createProductCard(product, highlightTerms, wishlist);
+            fragment.appendChild(productCard);
+        });
+        productsGrid.appendChild(fragment);
+    }
+    
+    /**
+     * Show the page controls under the product grid
+     * @param {Object} pageInfo - Page from paginate()
+     */
+    function displayPagination(pageInfo) {
+        const paginationContainer = document.getElementById('pagination-container');
+        
+        paginationContainer.innerHTML = '';
+        paginationContainer.appendChild(
+            createPaginationControls(pageInfo.page, pageInfo.totalPages, handlePageChange)
+        );
+    }
+    
+    /**
+     * Load the store's categories and populate the category facets (one checkbox each)
+     * Subcategories follow their parents and are marked with an arrow
+     * @returns {Promise} Resolves once the facets are shown
+     */
+    async function loadCategories() {
+        const categories = getCategoryTree();
+        const categoryFilter = document.getElementById('category-filter');
+        
+        // Clear existing options (keep the legend)
+        categoryFilter.querySelectorAll('.category-facet').forEach(facet => facet.remove());
+        
+        // Add each category as a checkbox with a product count
+        categories.forEach(category => {
+            const label = document.createElement('label');
+            label.className = category.depth > 0 ? 'category-facet category-facet-sub' : 'category-facet';
+            label.title = category.description || '';
+            
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = category.name;
+            
+            const name = document.createElement('span');
+            name.textContent = category.name;
+            
+            const count = document.createElement('span');
+            count.className = 'facet-count';
+            
+            label.appendChild(checkbox);
+            label.appendChild(name);
+            label.appendChild(count);
+            categoryFilter.appendChild(label);
+        });
+    }
+    
+    /**
+     * Read the current search, filter and sort values from the page inputs
+     * @returns {Object} Filters {query, categories, minPrice, maxPrice, minRating, sort}
+     */
+    function getFiltersFromInputs() {
+        const checkedCategories = document.querySelectorAll('#category-filter input:checked');
+        
+        return {
+            query: document.getElementById('search-input').value.trim(),
+            categories: Array.from(checkedCategories).map(checkbox => checkbox.value),
+            minPrice: parseFloat(document.getElementById('min-price').value),
+            maxPrice: parseFloat(document.getElementById('max-price').value),
+            minRating: Number(document.getElementById('rating-filter').value) || 0,
+            sort: document.getElementById('sort-select').value
+        };
+    }
+    
+    /**
+     * Set the page inputs from the URL query string
+     * e.g. index.html#/?q=shirt&category=clothing&category=books&min=10&max=50&rating=4&sort=price-asc&page=2&size=24
+     * @param {URLSearchParams} params - Route parameters
+     */
+    function applyFiltersFromUrl(params) {
+        
+        // Categories are linked by slug; names from older links still work
+        const categories = params.getAll('category').map(value => {
+            const category = getCategoryBySlug(value) || getCategoryByName(value);
+            return category ? category.name : value;
+        });
+        
+        currentPage = getPositiveIntParam(params, 'page', 1);
+        pageSize = getPageSizeParam(params);
+        populatePageSizeSelect(document.getElementById('page-size'), pageSize);
+        
+        document.getElementById('search-input').value = params.get('q') || '';
+        document.getElementById('min-price').value = params.get('min') || '';
+        document.getElementById('max-price').value = params.get('max') || '';
+        
+        // Ignore sort and rating values that aren't in the dropdowns
+        const sortSelect = document.getElementById('sort-select');
+        sortSelect.value = params.get('sort') || '';
+        if (sortSelect.selectedIndex === -1) {
+            sortSelect.value = '';
+        }
+        
+        const ratingFilter = document.getElementById('rating-filter');
+        ratingFilter.value = params.get('rating') || '';
+        if (ratingFilter.selectedIndex === -1) {
+            ratingFilter.value = '';
+        }
+        
+        document.querySelectorAll('#category-filter input').forEach(checkbox => {
+            checkbox.checked = categories.includes(checkbox.value);
+        });
+    }
+    
+    /**
+     * Save the active filters in the URL so the view can be bookmarked and shared
+     * @param {Object} filters - Filters {query, categories, minPrice, maxPrice, minRating, sort}
+     */
+    function updateUrlFromFilters(filters) {
+        const params = new URLSearchParams();
+        
+        if (filters.query) {
+            params.set('q', filters.query);
+        }
+        filters.categories.forEach(name => {
+            const category = getCategoryByName(name);
+            params.append('category', category ? category.slug : name);
+        });
+        if (!isNaN(filters.minPrice)) {
+            params.set('min', filters.minPrice);
+        }
+        if (!isNaN(filters.maxPrice)) {
+            params.set('max', filters.maxPrice);
+        }
+        if (filters.minRating) {
+            params.set('rating', filters.minRating);
+        }
+        if (filters.sort) {
+            params.set('sort', filters.sort);
+        }
+        if (currentPage > 1) {
+            params.set('page', currentPage);
+        }
+        if (pageSize !== DEFAULT_PAGE_SIZE) {
+            params.set('size', pageSize);
+        }
+        
+        // Replace (not push) so typing in the search box doesn't flood the history
+        replaceRouteParams(params);
+    }
+    
+    /**
+     * Update the product count shown next to each category
+     * Counts reflect the search, price and rating filters, but not the category selection itself
+     * A category's count includes the products of its subcategories
+     * @param {Array} products - All products
+     * @param {Object} filters - Filters {query, categories, minPrice, maxPrice, minRating, sort}
+     */
+    function updateCategoryCounts(products, filters) {
+        const counts = getCategoryCounts(filterProducts(products, { ...filters, categories: [] }));
+        
+        document.querySelectorAll('#category-filter .category-facet').forEach(facet => {
+            const category = facet.querySelector('input').value;
+            const count = includeSubcategories([category])
+                .reduce((total, name) => total + (counts[name] || 0), 0);
+            
+            facet.querySelector('.facet-count').textContent = `(${count})`;
+            facet.classList.toggle('facet-empty', count === 0);
+        });
+    }
+    
+    /**
+     * Filter, sort and display the current page of products
+     * @returns {Promise} Resolves once the products are shown
+     */
+    async function renderProducts() {
+        const requestId = ++renderRequestId;
+        const filters = getFiltersFromInputs();
+        const [products, wishlist] = await Promise.all([getAllProducts(), getWishlist()]);
+        
+        // A newer render started while the products were loading
+        if (requestId !== renderRequestId) {
+            return;
+        }
+        
+        // Apply search, category and price filters, then sort
+        // ("Best Match" keeps the relevance order from the search)
+        // A ticked category also shows the products of its subcategories
+        const productFilters = { ...filters, categories: includeSubcategories(filters.categories) };
+        const filteredProducts = sortProducts(filterProducts(products, productFilters), filters.sort);
+        
+        // Only render the current page of results
+        const pageInfo = paginate(filteredProducts, currentPage, pageSize);
+        currentPage = pageInfo.page;
+        
+        // Words that matched the search (including typo matches) get highlighted
+        const highlightTerms = filters.query ? searchCatalog(filters.query, products).terms : [];
+        
+        // Keep the URL and facet counts in sync with the filters
+        updateUrlFromFilters(filters);
+        updateCategoryCounts(products, filters);
+        
+        // Show how many products match
+        const resultsCount = document.getElementById('results-count');
+        if (pageInfo.totalPages > 1) {
+            resultsCount.textContent = t('listing.showing', { start: pageInfo.start + 1, end: pageInfo.end, total: pageInfo.totalItems });
+        } else {
+            resultsCount.textContent = t('listing.count', { count: pageInfo.totalItems });
+        }
+        
+        // Display filtered products and page controls
+        displayProducts(pageInfo.items, highlightTerms, wishlist);
+        displayPagination(pageInfo);
+    }
+    
+    /**
+     * Handle search functionality
+     * Filters and sorts products as user types or changes a filter
+     */
+    function handleSearch() {
+        // New filters start again from the first page
+        currentPage = 1;
+        renderProducts();
+    }
+    
+    /**
+     * Handle a click on a page button
+     * @param {number} page - The page to show
+     */
+    async function handlePageChange(page) {
+        currentPage = page;
+        await renderProducts();
+        
+        // Bring the top of the grid into view
+        document.getElementById('results-count').scrollIntoView({ behavior: 'smooth' });
+    }
+    
+    /**
+     * Handle a change of the "per page" dropdown
+     */
+    function handlePageSizeChange() {
+        pageSize = parseInt(document.getElementById('page-size').value) || DEFAULT_PAGE_SIZE;
+        currentPage = 1;
+        renderProducts();
+    }
+    
+    /**
+     * Show autocomplete suggestions under the search box
+     * @returns {Promise} Resolves once the suggestions are shown
+     */
+    async function showSearchSuggestions() {
+        const searchInput = document.getElementById('search-input');
+        const suggestionsList = document.getElementById('search-suggestions');
+        const query = searchInput.value.trim();
+        const products = query ? await getAllProducts() : [];
+        
+        // The query changed while the products were loading
+        if (searchInput.value.trim() !== query) {
+            return;
+        }
+        
+        // Clear existing suggestions
+        suggestionsList.innerHTML = '';
+        
+        const suggestions = query ? getSearchSuggestions(query, products) : [];
+        if (suggestions.length === 0) {
+            hideSearchSuggestions();
+            return;
+        }
+        
+        const terms = searchCatalog(query, products).terms;
+        
+        suggestions.forEach((product, index) => {
+            const item = document.createElement('li');
+            item.className = 'search-suggestion';
+            item.id = `search-suggestion-${index}`;
+            item.setAttribute('role', 'option');
+            item.dataset.value = product.name;
+            item.appendChild(highlightText(product.name, terms));
+            
+            // Use mousedown so the suggestion is picked before the input loses focus
+            item.addEventListener('mousedown', function(event) {
+                event.preventDefault();
+                selectSearchSuggestion(product.name);
+            });
+            
+            suggestionsList.appendChild(item);
+        });
+        
+        suggestionsList.style.display = 'block';
+        searchInput.setAttribute('aria-expanded', 'true');
+    }
+    
+    /**
+     * Hide the autocomplete suggestions
+     */
+    function hideSearchSuggestions() {
+        const searchInput = document.getElementById('search-input');
+        const suggestionsList = document.getElementById('search-suggestions');
+        
+        suggestionsList.style.display = 'none';
+        searchInput.setAttribute('aria-expanded', 'false');
+        searchInput.removeAttribute('aria-activedescendant');
+    }
+    
+    /**
+     * Put a suggestion into the search box and search for it
+     * @param {string} value - The suggested product name
+     */
+    function selectSearchSuggestion(value) {
+        document.getElementById('search-input').value = value;
+        hideSearchSuggestions();
+        handleSearch();
+    }
+    
+    /**
+     * Handle keyboard navigation of the suggestions (arrows, Enter, Escape)
+     * @param {KeyboardEvent} event - Keydown event from the search input
+     */
+    function handleSearchKeydown(event) {
+        const searchInput = document.getElementById('search-input');
+        const items = Array.from(document.querySelectorAll('#search-suggestions .search-suggestion'));
+        const activeIndex = items.findIndex(item => item.classList.contains('active'));
+        
+        if (items.length === 0 || document.getElementById('search-suggestions').style.display === 'none') {
+            return;
+        }
+        
+        let nextIndex = activeIndex;
+        
+        if (event.key === 'ArrowDown') {
+            nextIndex = (activeIndex + 1) % items.length;
+        } else if (event.key === 'ArrowUp') {
+            nextIndex = activeIndex <= 0 ? items.length - 1 : activeIndex - 1;
+        } else if (event.key === 'Enter' && activeIndex !== -1) {
+            event.preventDefault();
+            selectSearchSuggestion(items[activeIndex].dataset.value);
+            return;
+        } else if (event.key === 'Escape') {
+            hideSearchSuggestions();
+            return;
+        } else {
+            return;
+        }
+        
+        // Move the highlight to the next suggestion
+        event.preventDefault();
+        items.forEach((item, index) => {
+            item.classList.toggle('active', index === nextIndex);
+            item.setAttribute('aria-selected', index === nextIndex ? 'true' : 'false');
+        });
+        searchInput.setAttribute('aria-activedescendant', items[nextIndex].id);
+    }
+    
+    /**
+     * Re-render the product grid when data it shows changes in another tab
+     * Search, filters, sort order and page are kept as they are
+     * @param {Set} changedKeys - Storage keys that changed (see onDataChanged())
+     * @returns {Promise} Resolves once the grid is re-rendered
+     */
+    async function handleCatalogDataChanged(changedKeys) {
+        // Categories may have been added, renamed or reordered; keep the ticked ones ticked
+        if (wasDataChanged(changedKeys, CATEGORIES_STORAGE_KEY)) {
+            const checkedCategories = getFiltersFromInputs().categories;
+            await loadCategories();
+            document.querySelectorAll('#category-filter input').forEach(checkbox => {
+                checkbox.checked = checkedCategories.includes(checkbox.value);
+            });
+        }
+        
+        if (wasDataChanged(changedKeys, PRODUCTS_STORAGE_KEY, CATEGORIES_STORAGE_KEY, REVIEWS_STORAGE_KEY, getWishlistStorageKey(), CUSTOMER_SESSION_STORAGE_KEY, CURRENCIES_STORAGE_KEY)) {
+            await renderProducts();
+        }
+    }
+    
+    /**
+     * Handle category filter change
+     */
+    function handleCategoryFilter() {
+        // Re-run search to apply all filters
+        handleSearch();
+    }
+    
+    /**
+     * Clear all search and filter inputs
+     */
+    function clearFilters() {
+        document.getElementById('search-input').value = '';
+        document.getElementById('min-price').value = '';
+        document.getElementById('max-price').value = '';
+        document.getElementById('sort-select').value = '';
+        document.getElementById('rating-filter').value = '';
+        document.querySelectorAll('#category-filter input').forEach(checkbox => {
+            checkbox.checked = false;
+        });
+        handleSearch();
+    }
+    
+    /**
+     * Set up all event listeners for the page
+     */
+    function setupEventListeners() {
+        // Search input - filter products and suggest matches as user types
+        const searchInput = document.getElementById('search-input');
+        searchInput.addEventListener('input', handleSearch);
+        searchInput.addEventListener('input', showSearchSuggestions);
+        searchInput.addEventListener('keydown', handleSearchKeydown);
+        searchInput.addEventListener('blur', hideSearchSuggestions);
+        
+        // Category checkboxes
+        const categoryFilter = document.getElementById('category-filter');
+        categoryFilter.addEventListener('change', handleCategoryFilter);
+        
+        // Price range inputs
+        const minPriceInput = document.getElementById('min-price');
+        minPriceInput.addEventListener('input', handleSearch);
+        const maxPriceInput = document.getElementById('max-price');
+        maxPriceInput.addEventListener('input', handleSearch);
+        
+        // Sort dropdown
+        const sortSelect = document.getElementById('sort-select');
+        sortSelect.addEventListener('change', handleSearch);
+        
+        // Rating filter dropdown
+        const ratingFilter = document.getElementById('rating-filter');
+        ratingFilter.addEventListener('change', handleSearch);
+        
+        // Page size dropdown
+        const pageSizeSelect = document.getElementById('page-size');
+        pageSizeSelect.addEventListener('change', handlePageSizeChange);
+        
+        // Clear filters button
+        const clearFiltersBtn = document.getElementById('clear-filters');
+        clearFiltersBtn.addEventListener('click', clearFilters);
+    }
+})();
@@ -0,0 +1,208 @@
+/**
+ * Mock REST Server
+ * Small Node server for trying the store against the HTTP storage adapter (see storage.js)
+ * Serves the store's pages and a REST API that keeps collections in memory
+ *
+ * Usage: node mock-server.js   (then open http://localhost:3000 and set STORAGE_CONFIG.adapter to "http")
+ *
+ *   GET    /api/:collection  -> 200 with the stored JSON array, or 404 if nothing is stored yet
+ *   PUT    /api/:collection  -> stores the JSON array in the request body
+ *   DELETE /api/:collection  -> deletes the collection
+ *
+ * For local testing only: data is lost when the server stops
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+// Port to listen on (override with PORT=8080 node mock-server.js)
+const PORT = Number(process.env.PORT) || 3000;
+
+// Folder the store's pages are served from
+const STATIC_ROOT = __dirname;
+
+// Collections the API accepts (storage keys without their "ecommerce_" prefix)
+// Signed in customers' carts add the account ID to the name (e.g. "cart_3f9a1c2b7d4e")
+const API_COLLECTIONS = ['products', 'product_trash', 'cart', 'wishlist', 'schema_versions'];
+
+// Largest request body accepted (1 MB)
+const MAX_BODY_BYTES = 1024 * 1024;
+
+// Content types for the files the store uses
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.svg': 'image/svg+xml'
+};
+
+// Stored collections (collection name -> array)
+const collections = new Map();
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} response - The response
+ * @param {number} status - HTTP status code
+ * @param {*} body - Value to send as JSON
+ */
+function sendJson(response, status, body) {
+    response.writeHead(status, { 'Content-Type': CONTENT_TYPES['.json'] });
+    response.end(JSON.stringify(body));
+}
+
+/**
+ * Read and parse a JSON request body
+ * @param {http.IncomingMessage} request - The request
+ * A body that's too large is still read to the end (and discarded), so the client gets the
+ * 413 response instead of a closed connection
+ * @returns {Promise<*>} The parsed body (rejects if it's too large or not valid JSON; the error's status is the HTTP status to send)
+ */
+function readJsonBody(request) {
+    return new Promise((resolve, reject) => {
+        let chunks = [];
+        let size = 0;
+        
+        request.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                chunks = null;
+                return;
+            }
+            chunks.push(chunk);
+        });
+        
+        request.on('end', () => {
+            if (!chunks) {
+                const error = new Error('Request body is too large');
+                error.status = 413; // Shown as "storage full" by the store (see isQuotaExceededError())
+                reject(error);
+                return;
+            }
+            
+            try {
+                resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+            } catch (error) {
+                const invalidError = new Error('Request body is not valid JSON');
+                invalidError.status = 400;
+                reject(invalidError);
+            }
+        });
+        
+        request.on('error', reject);
+    });
+}
+
+/**
+ * Handle a request to the REST API
+ * @param {http.IncomingMessage} request - The request
+ * @param {http.ServerResponse} response - The response
+ * @param {string} collection - Collection name from the URL
+ */
+async function handleApiRequest(request, response, collection) {
+    if (!API_COLLECTIONS.includes(collection.replace(/_[a-f0-9]+$/, ''))) {
+        sendJson(response, 404, { error: `Unknown collection: ${collection}` });
+        return;
+    }
+    
+    switch (request.method) {
+        case 'GET':
+            if (!collections.has(collection)) {
+                sendJson(response, 404, { error: 'Nothing stored yet' });
+                return;
+            }
+            sendJson(response, 200, collections.get(collection));
+            return;
+        case 'PUT': {
+            let items;
+            try {
+                items = await readJsonBody(request);
+            } catch (error) {
+                sendJson(response, error.status || 400, { error: error.message });
+                return;
+            }
+            
+            if (!Array.isArray(items)) {
+                sendJson(response, 400, { error: 'Request body must be a JSON array' });
+                return;
+            }
+            
+            collections.set(collection, items);
+            sendJson(response, 200, items);
+            return;
+        }
+        case 'DELETE':
+            collections.delete(collection);
+            response.writeHead(204);
+            response.end();
+            return;
+        default:
+            response.writeHead(405, { Allow: 'GET, PUT, DELETE' });
+            response.end();
+    }
+}
+
+/**
+ * Serve one of the store's files
+ * Pages load their files from js/, css/ and images/; if those folders don't exist the
+ * file is looked up by name in the project folder instead
+ * @param {http.ServerResponse} response - The response
+ * @param {string} pathname - URL path (e.g. "/js/main.js")
+ */
+function serveStaticFile(response, pathname) {
+    const relativePath = pathname === '/' ? 'index.html' : decodeURIComponent(pathname).replace(/^\/+/, '');
+    const filePath = path.resolve(STATIC_ROOT, relativePath);
+    
+    // Never serve files outside the project folder
+    if (filePath !== STATIC_ROOT && !filePath.startsWith(STATIC_ROOT + path.sep)) {
+        response.writeHead(403);
+        response.end();
+        return;
+    }
+    
+    const candidates = [filePath, path.join(STATIC_ROOT, path.basename(filePath))];
+    const existingPath = candidates.find(candidate => fs.existsSync(candidate) && fs.statSync(candidate).isFile());
+    
+    if (!existingPath) {
+        response.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+        response.end('Not found');
+        return;
+    }
+    
+    const contentType = CONTENT_TYPES[path.extname(existingPath)] || 'application/octet-stream';
+    response.writeHead(200, { 'Content-Type': contentType });
+    fs.createReadStream(existingPath).pipe(response);
+}
+
+const server = http.createServer((request, response) => {
+    const url = new URL(request.url, `http://${request.headers.host || 'localhost'}`);
+    
+    // Allow pages opened from another origin (or from file://) to use the API
+    response.setHeader('Access-Control-Allow-Origin', '*');
+    response.setHeader('Access-Control-Allow-Methods', 'GET, PUT, DELETE, OPTIONS');
+    response.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    
+    if (request.method === 'OPTIONS') {
+        response.writeHead(204);
+        response.end();
+        return;
+    }
+    
+    const apiMatch = url.pathname.match(/^\/api\/([a-z0-9_-]+)\/?$/);
+    if (apiMatch) {
+        handleApiRequest(request, response, apiMatch[1]).catch(error => {
+            console.error('Error handling API request:', error);
+            sendJson(response, 500, { error: 'Internal server error' });
+        });
+        return;
+    }
+    
+    serveStaticFile(response, url.pathname);
+});
+
+server.listen(PORT, () => {
+    console.log(`Mock server running at http://localhost:${PORT}`);
+});
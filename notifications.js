@@ -0,0 +1,321 @@
+/**
+ * Notifications Module
+ * Toasts (short messages that hide themselves) and confirm dialogs, used instead of the browser's
+ * alert() and confirm(), plus the focus handling shared by every dialog and modal
+ *
+ * Toasts stack in the corner of the page and are announced by screen readers. Dialogs keep
+ * keyboard focus inside them while open, close with Escape and give focus back to whatever
+ * had it before they opened.
+ */
+
+// How long toasts stay, in milliseconds (0 keeps a toast until it's dismissed)
+const TOAST_DURATIONS_MS = {
+    success: 4000,
+    info: 5000,
+    error: 8000
+};
+
+// Most toasts shown at once (the oldest is dismissed to make room)
+const MAX_TOASTS = 4;
+
+// How long the "Undo" toast stays up after a change
+const UNDO_TOAST_DURATION_MS = 10000;
+
+// Elements that can take keyboard focus
+const FOCUSABLE_SELECTOR = 'a[href], button:not([disabled]), input:not([disabled]):not([type="hidden"]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+// Dialogs and modals that are open, the top one last: {element, onEscape, returnFocus}
+const openDialogs = [];
+
+// Counter for the IDs of confirm dialog titles and messages
+let dialogCount = 0;
+
+// The "Undo" toast shown, or null
+let undoToast = null;
+
+/**
+ * Get the container toasts are shown in (created on first use)
+ * @returns {HTMLElement} The container
+ */
+function getToastContainer() {
+    let container = document.getElementById('toast-container');
+    
+    if (!container) {
+        container = document.createElement('div');
+        container.className = 'toast-container';
+        container.id = 'toast-container';
+        container.setAttribute('aria-label', 'Notifications');
+        document.body.appendChild(container);
+    }
+    
+    return container;
+}
+
+/**
+ * Show a toast
+ * @param {string} message - Text to show
+ * @param {string} type - "success", "error" or "info" (default)
+ * @param {Object} options - {duration: milliseconds (0 to keep it until dismissed), actionLabel, onAction: called when the action button is clicked (may be async)} (optional)
+ * @returns {Object} {dismiss()} to hide the toast early
+ */
+function showToast(message, type = 'info', options = {}) {
+    const container = getToastContainer();
+    const duration = options.duration === undefined ? TOAST_DURATIONS_MS[type] : options.duration;
+    let timer = null;
+    
+    const toast = document.createElement('div');
+    toast.className = `toast toast-${type}`;
+    
+    // Errors interrupt screen readers, everything else waits its turn
+    toast.setAttribute('role', type === 'error' ? 'alert' : 'status');
+    
+    const text = document.createElement('p');
+    text.className = 'toast-message';
+    text.textContent = message;
+    toast.appendChild(text);
+    
+    /**
+     * Remove the toast
+     */
+    function dismiss() {
+        clearTimeout(timer);
+        toast.remove();
+    }
+    
+    /**
+     * Hide the toast after its duration (restarted when the pointer or focus leaves it)
+     */
+    function startTimer() {
+        clearTimeout(timer);
+        if (duration > 0) {
+            timer = setTimeout(dismiss, duration);
+        }
+    }
+    
+    if (options.actionLabel) {
+        const actionBtn = document.createElement('button');
+        actionBtn.type = 'button';
+        actionBtn.className = 'btn btn-small toast-action';
+        actionBtn.textContent = options.actionLabel;
+        actionBtn.onclick = function() {
+            dismiss();
+            options.onAction();
+        };
+        toast.appendChild(actionBtn);
+    }
+    
+    const closeBtn = document.createElement('button');
+    closeBtn.type = 'button';
+    closeBtn.className = 'toast-close';
+    closeBtn.setAttribute('aria-label', t('common.dismiss'));
+    closeBtn.innerHTML = '&times;';
+    closeBtn.onclick = dismiss;
+    toast.appendChild(closeBtn);
+    
+    // Don't hide a toast while it's being read or used
+    toast.addEventListener('mouseenter', () => clearTimeout(timer));
+    toast.addEventListener('mouseleave', startTimer);
+    toast.addEventListener('focusin', () => clearTimeout(timer));
+    toast.addEventListener('focusout', startTimer);
+    
+    // Make room for the new toast
+    while (container.children.length >= MAX_TOASTS) {
+        container.firstElementChild.remove();
+    }
+    
+    container.appendChild(toast);
+    startTimer();
+    
+    return { dismiss };
+}
+
+/**
+ * Show a toast with an "Undo" button after a change (replaces any "Undo" toast already shown)
+ * The toast hides itself after UNDO_TOAST_DURATION_MS
+ * @param {string} message - What was changed
+ * @param {Function} undo - Reverts the change and reloads the affected list (may be async)
+ */
+function showUndoToast(message, undo) {
+    hideUndoToast();
+    
+    undoToast = showToast(message, 'success', {
+        duration: UNDO_TOAST_DURATION_MS,
+        actionLabel: 'Undo',
+        onAction: async function() {
+            undoToast = null;
+            
+            try {
+                await undo();
+            } catch (error) {
+                console.error('Error undoing change:', error);
+                showToast(`Failed to undo. ${error.message}`, 'error');
+            }
+        }
+    });
+}
+
+/**
+ * Hide the "Undo" toast
+ */
+function hideUndoToast() {
+    if (undoToast) {
+        undoToast.dismiss();
+        undoToast = null;
+    }
+}
+
+/**
+ * Keep keyboard focus inside a dialog or modal while it's open
+ * Tab and Shift+Tab cycle through its controls, Escape calls onEscape, and focus goes
+ * back to the element that had it once releaseDialogFocus() is called
+ * @param {HTMLElement} element - The dialog (or the modal's overlay)
+ * @param {Function} onEscape - Closes the dialog
+ * @param {HTMLElement} initialFocus - Element to focus first (defaults to the first control)
+ */
+function trapDialogFocus(element, onEscape, initialFocus) {
+    releaseDialogFocus(element, false);
+    openDialogs.push({
+        element: element,
+        onEscape: onEscape,
+        returnFocus: document.activeElement
+    });
+    
+    const firstControl = initialFocus || element.querySelector(FOCUSABLE_SELECTOR);
+    if (firstControl) {
+        firstControl.focus();
+    }
+}
+
+/**
+ * Stop keeping focus inside a dialog or modal (call when it closes)
+ * @param {HTMLElement} element - The dialog passed to trapDialogFocus()
+ * @param {boolean} restoreFocus - Give focus back to the element that had it before (default true)
+ */
+function releaseDialogFocus(element, restoreFocus = true) {
+    const index = openDialogs.findIndex(dialog => dialog.element === element);
+    if (index === -1) {
+        return;
+    }
+    
+    const [dialog] = openDialogs.splice(index, 1);
+    if (restoreFocus && dialog.returnFocus && document.contains(dialog.returnFocus)) {
+        dialog.returnFocus.focus();
+    }
+}
+
+/**
+ * Handle Tab and Escape for the dialog on top
+ * @param {KeyboardEvent} event - Keydown event
+ */
+function handleDialogKeydown(event) {
+    const dialog = openDialogs[openDialogs.length - 1];
+    if (!dialog) {
+        return;
+    }
+    
+    if (event.key === 'Escape') {
+        event.preventDefault();
+        dialog.onEscape();
+        return;
+    }
+    
+    if (event.key !== 'Tab') {
+        return;
+    }
+    
+    const controls = Array.from(dialog.element.querySelectorAll(FOCUSABLE_SELECTOR))
+        .filter(control => control.offsetParent !== null);
+    if (controls.length === 0) {
+        event.preventDefault();
+        return;
+    }
+    
+    // Wrap around at either end (or pull focus back in if it got out)
+    const first = controls[0];
+    const last = controls[controls.length - 1];
+    const focusInside = dialog.element.contains(document.activeElement);
+    
+    if (event.shiftKey && (document.activeElement === first || !focusInside)) {
+        event.preventDefault();
+        last.focus();
+    } else if (!event.shiftKey && (document.activeElement === last || !focusInside)) {
+        event.preventDefault();
+        first.focus();
+    }
+}
+
+/**
+ * Ask the user to confirm something in a dialog
+ * @param {string} message - The question
+ * @param {Object} options - {title, confirmLabel, cancelLabel, danger: true for destructive actions} (optional)
+ * @returns {Promise<boolean>} True if confirmed, false if cancelled (Cancel, Escape or a click outside)
+ */
+function showConfirmDialog(message, options = {}) {
+    const id = `confirm-dialog-${++dialogCount}`;
+    
+    const backdrop = document.createElement('div');
+    backdrop.className = 'dialog-backdrop';
+    
+    const dialog = document.createElement('div');
+    dialog.className = 'dialog';
+    dialog.setAttribute('role', 'alertdialog');
+    dialog.setAttribute('aria-modal', 'true');
+    dialog.setAttribute('aria-labelledby', `${id}-title`);
+    dialog.setAttribute('aria-describedby', `${id}-message`);
+    
+    const title = document.createElement('h2');
+    title.className = 'dialog-title';
+    title.id = `${id}-title`;
+    title.textContent = options.title || 'Please confirm';
+    
+    const text = document.createElement('p');
+    text.className = 'dialog-message';
+    text.id = `${id}-message`;
+    text.textContent = message;
+    
+    const actions = document.createElement('div');
+    actions.className = 'dialog-actions';
+    
+    const cancelBtn = document.createElement('button');
+    cancelBtn.type = 'button';
+    cancelBtn.className = 'btn';
+    cancelBtn.textContent = options.cancelLabel || t('common.cancel');
+    
+    const confirmBtn = document.createElement('button');
+    confirmBtn.type = 'button';
+    confirmBtn.className = options.danger ? 'btn btn-danger' : 'btn btn-primary';
+    confirmBtn.textContent = options.confirmLabel || 'OK';
+    
+    actions.appendChild(cancelBtn);
+    actions.appendChild(confirmBtn);
+    dialog.appendChild(title);
+    dialog.appendChild(text);
+    dialog.appendChild(actions);
+    backdrop.appendChild(dialog);
+    document.body.appendChild(backdrop);
+    
+    return new Promise(resolve => {
+        /**
+         * Close the dialog with the user's answer
+         * @param {boolean} confirmed - The answer
+         */
+        function close(confirmed) {
+            releaseDialogFocus(dialog);
+            backdrop.remove();
+            resolve(confirmed);
+        }
+        
+        cancelBtn.onclick = () => close(false);
+        confirmBtn.onclick = () => close(true);
+        backdrop.addEventListener('click', function(event) {
+            if (event.target === backdrop) {
+                close(false);
+            }
+        });
+        
+        // Destructive actions start on "Cancel", so Enter alone can't delete anything
+        trapDialogFocus(dialog, () => close(false), options.danger ? cancelBtn : confirmBtn);
+    });
+}
+
+document.addEventListener('keydown', handleDialogKeydown);
@@ -0,0 +1,223 @@
+/**
+ * Order History View Logic
+ * Handles listing past orders and showing the details of a single order
+ */
+
+(function() {
+    // Stops reloading the orders on changes from other tabs (see onDataChanged())
+    let stopDataSync = null;
+    
+    registerView('/orders', {
+        template: 'orders-view',
+        title: 'My Orders',
+        
+        /**
+         * Show a single order if one is requested in the URL, otherwise the list
+         * @param {URLSearchParams} params - Route parameters ({order}, optional)
+         */
+        mount: function(params) {
+            const orderNumber = params.get('order');
+            
+            // Show the other shopper's orders when someone signs in or out in another tab
+            stopDataSync = onDataChanged(changedKeys => {
+                if (wasDataChanged(changedKeys, ORDERS_STORAGE_KEY, CUSTOMER_SESSION_STORAGE_KEY)) {
+                    showOrders(orderNumber);
+                }
+            });
+            
+            showOrders(orderNumber);
+        },
+        
+        /**
+         * Stop reloading the orders once another view is shown
+         */
+        unmount: function() {
+            stopDataSync();
+        }
+    });
+    
+    /**
+     * Show a single order, or the list when no order number is given
+     * @param {string|null} orderNumber - The order number to show
+     */
+    function showOrders(orderNumber) {
+        if (orderNumber) {
+            loadOrderDetails(orderNumber);
+        } else {
+            loadOrders();
+        }
+    }
+    
+    /**
+     * Format an ISO date string for display
+     * @param {string} isoDate - ISO date string
+     * @returns {string} Human-readable date and time
+     */
+    function formatOrderDate(isoDate) {
+        return new Date(isoDate).toLocaleString(getLocale(), {
+            year: 'numeric',
+            month: 'short',
+            day: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+    }
+    
+    /**
+     * Get the status of an order in the shopper's language
+     * @param {string} status - Stored status (e.g. "Placed")
+     * @returns {string} Status to display
+     */
+    function formatOrderStatus(status) {
+        return status === 'Placed' ? t('orders.statusPlaced') : status;
+    }
+    
+    /**
+     * Load and display the shopper's past orders
+     */
+    function loadOrders() {
+        const orders = getCustomerOrders();
+        const ordersContainer = document.getElementById('orders-container');
+        
+        // Clear existing content
+        ordersContainer.innerHTML = '';
+        
+        // If there are no orders, show empty message
+        if (orders.length === 0) {
+            ordersContainer.innerHTML = `
+                <div class="empty-cart">
+                    <div class="empty-cart-icon">📦</div>
+                    <h2>${t('orders.emptyTitle')}</h2>
+                    <p>${t('orders.emptyText')}</p>
+                    <a href="index.html" class="btn btn-primary" style="margin-top: 1rem; display: inline-block;">${t('common.browseProducts')}</a>
+                </div>
+            `;
+            return;
+        }
+        
+        // Create and append a row for each order
+        orders.forEach(order => {
+            const orderRow = createOrderRow(order);
+            ordersContainer.appendChild(orderRow);
+        });
+    }
+    
+    /**
+     * Create an order row element for the order list
+     * @param {Object} order - Order object
+     * @returns {HTMLElement} Order row element
+     */
+    function createOrderRow(order) {
+        const row = document.createElement('div');
+        row.className = 'order-row';
+        
+        // Create order number and date
+        const summary = document.createElement('div');
+        
+        const number = document.createElement('div');
+        number.className = 'order-number';
+        number.textContent = order.orderNumber;
+        
+        const date = document.createElement('div');
+        date.className = 'order-date';
+        date.textContent = formatOrderDate(order.createdAt);
+        
+        summary.appendChild(number);
+        summary.appendChild(date);
+        
+        // Create item count
+        const itemCount = document.createElement('div');
+        itemCount.className = 'order-item-count';
+        itemCount.textContent = t('orders.itemCount', { count: order.itemCount });
+        
+        // Create status
+        const status = document.createElement('div');
+        status.className = 'order-status';
+        status.textContent = formatOrderStatus(order.status);
+        
+        // Create total
+        const total = document.createElement('div');
+        total.className = 'order-row-total';
+        total.textContent = formatMoney(getOrderTotals(order).total, getOrderCurrency(order).code);
+        
+        // Create link to order details
+        const detailsLink = document.createElement('a');
+        detailsLink.className = 'btn btn-primary btn-small';
+        detailsLink.href = `orders.html?order=${encodeURIComponent(order.orderNumber)}`;
+        detailsLink.textContent = t('orders.viewDetails');
+        
+        // Assemble the row
+        row.appendChild(summary);
+        row.appendChild(itemCount);
+        row.appendChild(status);
+        row.appendChild(total);
+        row.appendChild(detailsLink);
+        
+        return row;
+    }
+    
+    /**
+     * Load and display the details of a single order
+     * @param {string} orderNumber - The order number to show
+     */
+    function loadOrderDetails(orderNumber) {
+        const order = getCustomerOrderByNumber(orderNumber);
+        const ordersContainer = document.getElementById('orders-container');
+        
+        // Clear existing content
+        ordersContainer.innerHTML = '';
+        
+        // If the order doesn't exist, show a not found message
+        if (!order) {
+            ordersContainer.innerHTML = `
+                <div class="empty-cart">
+                    <h2>${t('orders.notFoundTitle')}</h2>
+                    <p>${t('orders.notFoundText')}</p>
+                    <a href="orders.html" class="btn btn-primary" style="margin-top: 1rem; display: inline-block;">${t('orders.backToOrders')}</a>
+                </div>
+            `;
+            return;
+        }
+        
+        document.getElementById('orders-title').textContent = t('orders.orderTitle', { orderNumber: order.orderNumber });
+        
+        // Create back link
+        const backLink = document.createElement('a');
+        backLink.href = 'orders.html';
+        backLink.className = 'back-link';
+        backLink.textContent = `← ${t('orders.backToOrders')}`;
+        
+        // Create order meta information
+        const meta = document.createElement('div');
+        meta.className = 'order-meta';
+        meta.textContent = t('orders.placedOn', { date: formatOrderDate(order.createdAt), status: formatOrderStatus(order.status) });
+        
+        // Create items list
+        const itemsTitle = document.createElement('h2');
+        itemsTitle.className = 'checkout-section-title';
+        itemsTitle.textContent = t('orders.items');
+        
+        const itemsList = createOrderItemsList(order.items, getOrderCurrency(order));
+        
+        // Create shipping details
+        const shippingTitle = document.createElement('h2');
+        shippingTitle.className = 'checkout-section-title';
+        shippingTitle.textContent = t('orders.shippedTo');
+        
+        const shippingDetails = createAddressBlock(order.customer, order.shippingAddress);
+        
+        // Create subtotal, discounts and total display
+        const totalContainer = document.createElement('div');
+        totalContainer.className = 'order-total-row';
+        totalContainer.appendChild(createTotalsBreakdown(getOrderTotals(order)));
+        
+        // Assemble details view
+        ordersContainer.appendChild(backLink);
+        ordersContainer.appendChild(meta);
+        ordersContainer.appendChild(itemsTitle);
+        ordersContainer.appendChild(itemsList);
+        ordersContainer.appendChild(shippingTitle);
+        ordersContainer.appendChild(shippingDetails);
+        ordersContainer.appendChild(totalContainer);
+    }
+})();
@@ -0,0 +1,315 @@
+/**
+ * Order Management Module
+ * Handles placing orders and reading order history using LocalStorage
+ */
+
+// LocalStorage key for storing placed orders
+const ORDERS_STORAGE_KEY = 'ecommerce_orders';
+
+/**
+ * Get all placed orders from LocalStorage
+ * @returns {Array} Array of order objects (newest first)
+ */
+function getAllOrders() {
+    try {
+        const ordersJson = localStorage.getItem(ORDERS_STORAGE_KEY);
+        
+        if (!ordersJson) {
+            return [];
+        }
+        
+        return parseStoredJson(ORDERS_STORAGE_KEY, ordersJson) || [];
+    } catch (error) {
+        console.error('Error getting orders:', error);
+        return [];
+    }
+}
+
+/**
+ * Get a single order by its order number
+ * @param {string} orderNumber - The order number (e.g. "ORD-20240101-1234")
+ * @returns {Object|null} The order object or null if not found
+ */
+function getOrderByNumber(orderNumber) {
+    const orders = getAllOrders();
+    return orders.find(order => order.orderNumber === orderNumber) || null;
+}
+
+/**
+ * Get the orders placed by the current shopper
+ * Signed in customers see the orders placed from their account, guests the orders placed as a guest
+ * (orders placed before accounts existed count as guest orders)
+ * @returns {Array} Array of order objects (newest first)
+ */
+function getCustomerOrders() {
+    const customerId = getCurrentCustomerId();
+    return getAllOrders().filter(order => (order.customerId || null) === customerId);
+}
+
+/**
+ * Get a single order placed by the current shopper
+ * @param {string} orderNumber - The order number (e.g. "ORD-20240101-1234")
+ * @returns {Object|null} The order object or null if not found (or placed by someone else)
+ */
+function getCustomerOrderByNumber(orderNumber) {
+    const orders = getCustomerOrders();
+    return orders.find(order => order.orderNumber === orderNumber) || null;
+}
+
+/**
+ * Generate a human-readable order number
+ * Format: ORD-YYYYMMDD-XXXX where XXXX is a random 4 digit suffix
+ * @returns {string} A new order number not used by any existing order
+ */
+function generateOrderNumber() {
+    const now = new Date();
+    const datePart = now.getFullYear().toString() +
+        String(now.getMonth() + 1).padStart(2, '0') +
+        String(now.getDate()).padStart(2, '0');
+    
+    let orderNumber;
+    
+    // Keep generating until we find a number that hasn't been used yet
+    do {
+        const randomPart = String(Math.floor(Math.random() * 10000)).padStart(4, '0');
+        orderNumber = `ORD-${datePart}-${randomPart}`;
+    } while (getOrderByNumber(orderNumber));
+    
+    return orderNumber;
+}
+
+/**
+ * Build a snapshot of the current cart for an order
+ * Prices and names are copied so later product edits don't change past orders
+ * @returns {Promise<Array>} Array of line items {productId, variantId, variantLabel, name, category, image, price, quantity, subtotal}
+ */
+async function createOrderItemsFromCart() {
+    const { cart, products } = await getCartWithProducts();
+    const items = [];
+    
+    cart.forEach(cartItem => {
+        const product = products.get(cartItem.productId);
+        
+        // Skip if product not found (product might have been deleted)
+        if (!product) {
+            return;
+        }
+        
+        // Variant price and image override the product's own values
+        const details = getVariantDetails(product, cartItem.variantId);
+        
+        items.push({
+            productId: product.id,
+            variantId: details.variantId,
+            variantLabel: details.label,
+            name: product.name,
+            category: product.category,
+            image: details.image,
+            price: details.price,
+            quantity: cartItem.quantity,
+            subtotal: details.price * cartItem.quantity
+        });
+    });
+    
+    return items;
+}
+
+/**
+ * Place an order for everything currently in the cart
+ * Saves the order (with the discounts, shipping and tax shown in the cart), clears the cart and returns the new order record
+ * The order belongs to the signed in customer, or to guests when nobody is signed in (see getCustomerOrders())
+ * Amounts are stored in the base currency, along with the currency and exchange rate the shopper saw (see getOrderTotals())
+ * @param {Object} customer - Contact details {fullName, email, phone}
+ * @param {Object} shippingAddress - Address {address, city, state, postalCode, country}
+ * @returns {Promise<Object>} The placed order
+ * @throws {Error} If the order can't be placed. If it was placed but updating the stock, discount codes or
+ * cart afterwards failed, the error's order property holds the placed order (it must not be placed again)
+ */
+async function placeOrder(customer, shippingAddress) {
+    const items = await createOrderItemsFromCart();
+    
+    // An order must contain at least one item
+    if (items.length === 0) {
+        throw new Error(t('checkout.emptyCartError'));
+    }
+    
+    // Every item must still be available in the requested quantity
+    const stockIssues = await getCartStockIssues();
+    if (stockIssues.length > 0) {
+        const names = stockIssues.map(issue => issue.name).join(', ');
+        throw new Error(t('checkout.notEnoughStock', { names: names }));
+    }
+    
+    let order;
+    let totals;
+    
+    try {
+        const orders = getAllOrders();
+        totals = await calculateCartTotals();
+        
+        order = {
+            orderNumber: generateOrderNumber(),
+            createdAt: new Date().toISOString(),
+            status: 'Placed',
+            customerId: getCurrentCustomerId(),
+            customer: { ...customer },
+            shippingAddress: { ...shippingAddress },
+            items: items,
+            itemCount: items.reduce((count, item) => count + item.quantity, 0),
+            subtotal: totals.subtotal,
+            discounts: totals.discounts,
+            shipping: totals.shipping,
+            tax: totals.tax,
+            total: totals.total,
+            currency: { ...getDisplayCurrency() }
+        };
+        
+        // Newest orders are kept at the front of the list
+        orders.unshift(order);
+        writeLocalStorage(ORDERS_STORAGE_KEY, JSON.stringify(orders));
+    } catch (error) {
+        console.error('Error placing order:', error);
+        throw error;
+    }
+    
+    // Order is saved, so take the items out of stock, count the discount codes as used
+    // and empty the cart. A step that fails doesn't stop the others
+    const followUps = [
+        () => decrementStock(items),
+        () => recordDiscountUsage(totals.discounts.map(line => line.code)),
+        () => clearAppliedDiscountCodes(),
+        () => clearCart()
+    ];
+    let followUpError = null;
+    
+    for (const followUp of followUps) {
+        try {
+            await followUp();
+        } catch (error) {
+            console.error('Error finishing order:', error);
+            followUpError = followUpError || error;
+        }
+    }
+    
+    if (followUpError) {
+        const error = new Error(t('checkout.orderNotFinished', { message: followUpError.message }));
+        error.order = order;
+        throw error;
+    }
+    
+    return order;
+}
+
+/**
+ * Get the currency an order was placed in
+ * Orders placed before currencies existed were placed in the base currency
+ * @param {Object} order - The order
+ * @returns {Object} The currency {code, rate} with the exchange rate at the time of the order
+ */
+function getOrderCurrency(order) {
+    return order.currency || { code: BASE_CURRENCY, rate: 1 };
+}
+
+/**
+ * Get the totals of an order in the currency it was placed in
+ * Uses the exchange rate at the time of the order, so later rate changes don't change past orders
+ * @param {Object} order - The order
+ * @returns {Object} Converted totals (see convertOrderTotals())
+ */
+function getOrderTotals(order) {
+    return convertOrderTotals(order, order.items, getOrderCurrency(order));
+}
+
+/**
+ * Create a list element showing the line items of an order
+ * Shared by the checkout review step and the order details view
+ * @param {Array} items - Order line items
+ * @param {Object} currency - Currency to show prices in {code, rate} (defaults to the display currency)
+ * @returns {HTMLElement} Order items list element
+ */
+function createOrderItemsList(items, currency = getDisplayCurrency()) {
+    const list = document.createElement('div');
+    list.className = 'order-items';
+    
+    items.forEach(item => {
+        const row = document.createElement('div');
+        row.className = 'order-item';
+        
+        // Create product image
+        const image = document.createElement('img');
+        setImageSource(image, item.image);
+        image.alt = item.name;
+        image.className = 'order-item-image';
+        
+        // Create product name and quantity
+        const details = document.createElement('div');
+        details.className = 'order-item-details';
+        
+        const name = document.createElement('div');
+        name.className = 'cart-item-name';
+        name.textContent = item.name;
+        
+        const quantity = document.createElement('div');
+        quantity.className = 'order-item-quantity';
+        quantity.textContent = `${item.quantity} × ${formatMoney(convertAmount(item.price, currency), currency.code)}`;
+        
+        details.appendChild(name);
+        
+        // Show which variant was ordered (e.g. "M / Black")
+        if (item.variantLabel) {
+            const variant = document.createElement('div');
+            variant.className = 'cart-item-variant';
+            variant.textContent = item.variantLabel;
+            details.appendChild(variant);
+        }
+        
+        details.appendChild(quantity);
+        
+        // Create line subtotal
+        const subtotal = document.createElement('div');
+        subtotal.className = 'cart-item-subtotal';
+        subtotal.style.fontWeight = 'bold';
+        subtotal.textContent = formatMoney(convertLineSubtotal(item.price, item.quantity, currency), currency.code);
+        
+        row.appendChild(image);
+        row.appendChild(details);
+        row.appendChild(subtotal);
+        
+        list.appendChild(row);
+    });
+    
+    return list;
+}
+
+/**
+ * Create an element showing contact details and shipping address
+ * @param {Object} customer - Contact details {fullName, email, phone}
+ * @param {Object} shippingAddress - Address {address, city, state, postalCode, country}
+ * @returns {HTMLElement} Address block element
+ */
+function createAddressBlock(customer, shippingAddress) {
+    const block = document.createElement('address');
+    block.className = 'order-address';
+    
+    // Build address lines, skipping optional parts that were left empty
+    const cityLine = [shippingAddress.city, shippingAddress.state, shippingAddress.postalCode]
+        .filter(part => part)
+        .join(', ');
+    
+    const lines = [
+        customer.fullName,
+        shippingAddress.address,
+        cityLine,
+        shippingAddress.country,
+        customer.email,
+        customer.phone
+    ];
+    
+    lines.forEach(text => {
+        const line = document.createElement('div');
+        line.textContent = text;
+        block.appendChild(line);
+    });
+    
+    return block;
+}
@@ -0,0 +1,159 @@
+/**
+ * Pagination Module
+ * Shared helpers for paged lists (storefront grid and admin product list)
+ */
+
+// Page sizes offered in the "per page" dropdowns
+const PAGE_SIZE_OPTIONS = [12, 24, 48, 96];
+
+// Page size used when none is chosen
+const DEFAULT_PAGE_SIZE = 12;
+
+/**
+ * Get one page of items
+ * Out-of-range page numbers are moved to the nearest valid page
+ * @param {Array} items - All items
+ * @param {number} page - Requested page (1-based)
+ * @param {number} pageSize - Items per page
+ * @returns {Object} Page {items, page, totalPages, totalItems, start, end}
+ */
+function paginate(items, page, pageSize) {
+    const totalItems = items.length;
+    const totalPages = Math.max(1, Math.ceil(totalItems / pageSize));
+    const currentPage = Math.min(Math.max(1, page || 1), totalPages);
+    const start = (currentPage - 1) * pageSize;
+    const end = Math.min(start + pageSize, totalItems);
+    
+    return {
+        items: items.slice(start, end),
+        page: currentPage,
+        totalPages: totalPages,
+        totalItems: totalItems,
+        start: start,
+        end: end
+    };
+}
+
+/**
+ * Read a positive whole number from a URL parameter
+ * @param {URLSearchParams} params - URL parameters
+ * @param {string} name - Parameter name
+ * @param {number} fallback - Value to use when the parameter is missing or invalid
+ * @returns {number} The parameter value or the fallback
+ */
+function getPositiveIntParam(params, name, fallback) {
+    const value = parseInt(params.get(name));
+    return value >= 1 ? value : fallback;
+}
+
+/**
+ * Get the page size from the URL, limited to the offered options
+ * @param {URLSearchParams} params - URL parameters
+ * @returns {number} Page size
+ */
+function getPageSizeParam(params) {
+    const size = getPositiveIntParam(params, 'size', DEFAULT_PAGE_SIZE);
+    return PAGE_SIZE_OPTIONS.includes(size) ? size : DEFAULT_PAGE_SIZE;
+}
+
+/**
+ * Get the page numbers to show, with "…" for skipped ranges
+ * e.g. page 6 of 20 gives [1, '…', 5, 6, 7, '…', 20]
+ * @param {number} currentPage - Current page
+ * @param {number} totalPages - Number of pages
+ * @returns {Array} Page numbers and '…' markers
+ */
+function getPageNumbers(currentPage, totalPages) {
+    const pages = [];
+    
+    for (let page = 1; page <= totalPages; page++) {
+        const isEdge = page === 1 || page === totalPages;
+        const isNearCurrent = Math.abs(page - currentPage) <= 1;
+        
+        if (isEdge || isNearCurrent) {
+            pages.push(page);
+        } else if (pages[pages.length - 1] !== '…') {
+            pages.push('…');
+        }
+    }
+    
+    return pages;
+}
+
+/**
+ * Create page controls (Previous, page numbers, Next)
+ * @param {number} currentPage - Current page
+ * @param {number} totalPages - Number of pages
+ * @param {Function} onPageChange - Called with the new page number
+ * @returns {HTMLElement} Pagination element (empty if there is only one page)
+ */
+function createPaginationControls(currentPage, totalPages, onPageChange) {
+    const nav = document.createElement('nav');
+    nav.className = 'pagination';
+    nav.setAttribute('aria-label', t('pagination.label'));
+    
+    // No controls needed for a single page
+    if (totalPages <= 1) {
+        return nav;
+    }
+    
+    /**
+     * Create a single page button
+     * @param {string} label - Button text
+     * @param {number} page - Page the button goes to
+     * @param {boolean} disabled - Whether the button is disabled
+     * @returns {HTMLElement} Button element
+     */
+    function createPageButton(label, page, disabled) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'pagination-btn';
+        button.textContent = label;
+        button.disabled = disabled;
+        button.onclick = function() {
+            onPageChange(page);
+        };
+        return button;
+    }
+    
+    nav.appendChild(createPageButton(t('pagination.previous'), currentPage - 1, currentPage === 1));
+    
+    getPageNumbers(currentPage, totalPages).forEach(page => {
+        if (page === '…') {
+            const ellipsis = document.createElement('span');
+            ellipsis.className = 'pagination-ellipsis';
+            ellipsis.textContent = '…';
+            nav.appendChild(ellipsis);
+            return;
+        }
+        
+        const button = createPageButton(String(page), page, false);
+        if (page === currentPage) {
+            button.classList.add('active');
+            button.setAttribute('aria-current', 'page');
+        }
+        nav.appendChild(button);
+    });
+    
+    nav.appendChild(createPageButton(t('pagination.next'), currentPage + 1, currentPage === totalPages));
+    
+    return nav;
+}
+
+/**
+ * Fill a "per page" dropdown with the offered page sizes
+ * @param {HTMLSelectElement} select - The dropdown element
+ * @param {number} selectedSize - Page size to select
+ */
+function populatePageSizeSelect(select, selectedSize) {
+    select.innerHTML = '';
+    
+    PAGE_SIZE_OPTIONS.forEach(size => {
+        const option = document.createElement('option');
+        option.value = size;
+        option.textContent = t('listing.pageSize', { size: size });
+        select.appendChild(option);
+    });
+    
+    select.value = selectedSize;
+}
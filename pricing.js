@@ -0,0 +1,219 @@
+/**
+ * Pricing Module
+ * Handles tax rules, shipping methods and the order total calculation
+ * (subtotal, discounts, shipping, tax) shared by the cart, checkout and order records
+ */
+
+// LocalStorage key for the shipping region and method chosen in the cart (per account, see getAccountStorageKey())
+const CART_OPTIONS_STORAGE_KEY = 'ecommerce_cart_options';
+
+// Weight (kg) used for products that don't have one
+const DEFAULT_PRODUCT_WEIGHT = 0.5;
+
+// Tax rules per shipping region. categoryRates override the region's rate for a product category
+// They're keyed by category ID, so a renamed category keeps its rate (the default categories are
+// numbered in DEFAULT_CATEGORIES order: 2 is Clothing, 3 is Books)
+const TAX_REGIONS = [
+    { id: 'US-CA', name: 'United States - California', rate: 0.0725, categoryRates: {} },
+    { id: 'US-NY', name: 'United States - New York', rate: 0.04, categoryRates: { 2: 0 } },
+    { id: 'US-TX', name: 'United States - Texas', rate: 0.0625, categoryRates: {} },
+    { id: 'CA', name: 'Canada', rate: 0.05, categoryRates: {} },
+    { id: 'GB', name: 'United Kingdom', rate: 0.2, categoryRates: { 3: 0 } },
+    { id: 'DE', name: 'Germany', rate: 0.19, categoryRates: { 3: 0.07 } }
+];
+
+// Shipping methods offered in the cart
+// type "flat": fixed rate, "weight": base rate plus a rate per kg, "free-over": free from a threshold
+const SHIPPING_METHODS = [
+    { id: 'standard', name: 'Standard (5-7 days)', type: 'free-over', rate: 5.99, threshold: 50 },
+    { id: 'express', name: 'Express (1-2 days)', type: 'weight', baseRate: 9.99, perKg: 2 },
+    { id: 'overnight', name: 'Overnight', type: 'flat', rate: 24.99 }
+];
+
+/**
+ * Get a tax region by its ID
+ * @param {string} regionId - The region ID (e.g. "US-CA")
+ * @returns {Object} The region (the first region if the ID is unknown)
+ */
+function getTaxRegion(regionId) {
+    return TAX_REGIONS.find(region => region.id === regionId) || TAX_REGIONS[0];
+}
+
+/**
+ * Get a shipping method by its ID
+ * @param {string} methodId - The shipping method ID (e.g. "standard")
+ * @returns {Object} The shipping method (the first method if the ID is unknown)
+ */
+function getShippingMethod(methodId) {
+    return SHIPPING_METHODS.find(method => method.id === methodId) || SHIPPING_METHODS[0];
+}
+
+/**
+ * Get the name of a tax region in the shopper's language
+ * @param {Object} region - Tax region, or the tax line of a total ({regionId, name})
+ * @returns {string} Region name (the saved name for regions that are no longer offered)
+ */
+function getTaxRegionName(region) {
+    const regionId = region.regionId || region.id;
+    return TAX_REGIONS.some(known => known.id === regionId) ? t(`region.${regionId}`) : region.name;
+}
+
+/**
+ * Get the name of a shipping method in the shopper's language
+ * @param {Object} method - Shipping method, or the shipping line of a total ({methodId, name})
+ * @returns {string} Method name (the saved name for methods that are no longer offered)
+ */
+function getShippingMethodName(method) {
+    const methodId = method.methodId || method.id;
+    return SHIPPING_METHODS.some(known => known.id === methodId) ? t(`shipping.${methodId}`) : method.name;
+}
+
+/**
+ * Get the tax rate for a product category in a region
+ * @param {Object} region - Tax region
+ * @param {string} category - Product category name
+ * @returns {number} Tax rate (e.g. 0.2 for 20%)
+ */
+function getTaxRate(region, category) {
+    const storedCategory = getCategoryByName(category);
+    const categoryRate = storedCategory ? region.categoryRates[storedCategory.id] : undefined;
+    return typeof categoryRate === 'number' ? categoryRate : region.rate;
+}
+
+/**
+ * Get the weight of a product
+ * @param {Object} product - Product object
+ * @returns {number} Weight in kg
+ */
+function getProductWeight(product) {
+    return typeof product.weight === 'number' ? product.weight : DEFAULT_PRODUCT_WEIGHT;
+}
+
+/**
+ * Calculate the shipping cost for a shipping method
+ * @param {Object} method - Shipping method
+ * @param {Array} items - Priced items {weight, quantity, ...}
+ * @param {number} merchandiseTotal - Item total after discounts (for "free over" thresholds)
+ * @returns {number} Shipping cost
+ */
+function calculateShipping(method, items, merchandiseTotal) {
+    // Nothing to ship
+    if (items.length === 0) {
+        return 0;
+    }
+    
+    switch (method.type) {
+        case 'weight': {
+            const totalWeight = items.reduce((total, item) => total + item.weight * item.quantity, 0);
+            return roundToCents(method.baseRate + method.perKg * totalWeight);
+        }
+        case 'free-over':
+            return merchandiseTotal >= method.threshold ? 0 : method.rate;
+        default:
+            return method.rate;
+    }
+}
+
+/**
+ * Calculate the tax on a list of items
+ * Discounts reduce the taxable amount of every item proportionally. Shipping isn't taxed
+ * @param {Object} region - Tax region
+ * @param {Array} items - Priced items {category, subtotal, ...}
+ * @param {number} discountTotal - Total discount on the items
+ * @returns {number} Tax amount
+ */
+function calculateTax(region, items, discountTotal) {
+    const subtotal = items.reduce((total, item) => total + item.subtotal, 0);
+    
+    if (subtotal === 0) {
+        return 0;
+    }
+    
+    const discountRatio = Math.max(0, subtotal - discountTotal) / subtotal;
+    const tax = items.reduce(
+        (total, item) => total + item.subtotal * discountRatio * getTaxRate(region, item.category),
+        0
+    );
+    
+    return roundToCents(tax);
+}
+
+/**
+ * Calculate the full totals for a list of items
+ * Pure calculation: used for the cart, and reusable for checkout and order records
+ * @param {Array} items - Priced items {category, price, quantity, subtotal, weight}
+ * @param {Object} options - {discounts: result of calculateDiscounts(), regionId, shippingMethodId}
+ * @returns {Object} Totals {subtotal, discounts, discountTotal, freeShipping, shipping: {methodId, name, amount}, tax: {regionId, name, amount}, total}
+ */
+function calculateOrderTotals(items, options) {
+    const discounts = options.discounts || { lines: [], freeShipping: false };
+    const region = getTaxRegion(options.regionId);
+    const method = getShippingMethod(options.shippingMethodId);
+    
+    const subtotal = roundToCents(items.reduce((total, item) => total + item.subtotal, 0));
+    const discountTotal = roundToCents(discounts.lines.reduce((total, line) => total + line.amount, 0));
+    const merchandiseTotal = roundToCents(Math.max(0, subtotal - discountTotal));
+    
+    // Free shipping codes waive the cost of any method
+    const shippingAmount = discounts.freeShipping ? 0 : calculateShipping(method, items, merchandiseTotal);
+    const taxAmount = calculateTax(region, items, discountTotal);
+    
+    return {
+        subtotal: subtotal,
+        discounts: discounts.lines,
+        discountTotal: discountTotal,
+        freeShipping: discounts.freeShipping,
+        shipping: {
+            methodId: method.id,
+            name: method.name,
+            amount: shippingAmount
+        },
+        tax: {
+            regionId: region.id,
+            name: region.name,
+            amount: taxAmount
+        },
+        total: roundToCents(merchandiseTotal + shippingAmount + taxAmount)
+    };
+}
+
+/**
+ * Get the shipping region and method chosen in the cart
+ * Until one is chosen, a signed in customer's preferred region and method are used
+ * @returns {Object} Options {regionId, shippingMethodId}
+ */
+function getCartOptions() {
+    const defaults = {
+        regionId: TAX_REGIONS[0].id,
+        shippingMethodId: SHIPPING_METHODS[0].id,
+        ...getCustomerPreferences()
+    };
+    
+    try {
+        const optionsKey = getAccountStorageKey(CART_OPTIONS_STORAGE_KEY);
+        const optionsJson = localStorage.getItem(optionsKey);
+        
+        if (!optionsJson) {
+            return defaults;
+        }
+        
+        return { ...defaults, ...parseStoredJson(optionsKey, optionsJson) };
+    } catch (error) {
+        console.error('Error getting cart options:', error);
+        return defaults;
+    }
+}
+
+/**
+ * Save the shipping region and method chosen in the cart
+ * @param {Object} options - Options to change {regionId, shippingMethodId}
+ */
+function saveCartOptions(options) {
+    try {
+        const cartOptions = { ...getCartOptions(), ...options };
+        writeLocalStorage(getAccountStorageKey(CART_OPTIONS_STORAGE_KEY), JSON.stringify(cartOptions));
+    } catch (error) {
+        console.error('Error saving cart options:', error);
+        throw error;
+    }
+}
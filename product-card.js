@@ -0,0 +1,263 @@
+/**
+ * Product Card Module
+ * Builds product cards and variant pickers shared by the listing and product detail pages
+ */
+
+/**
+ * Create a product card element
+ * @param {Object} product - Product object
+ * @param {Array} highlightTerms - Search terms to highlight in the card (optional)
+ * @param {Array} wishlist - Wishlist items, to show whether the product is saved (optional)
+ * @returns {HTMLElement} Product card element
+ */
+function createProductCard(product, highlightTerms = [], wishlist = []) {
+    // Create card container
+    const card = document.createElement('div');
+    card.className = 'product-card';
+    
+    // Create product image (source is set by the selected variant below)
+    const image = document.createElement('img');
+    image.alt = product.name;
+    image.className = 'product-image';
+    
+    // Create product info container
+    const info = document.createElement('div');
+    info.className = 'product-info';
+    
+    // Link image to the product detail page
+    const imageLink = document.createElement('a');
+    imageLink.href = getProductUrl(product.id);
+    imageLink.className = 'product-image-link';
+    imageLink.appendChild(image);
+    
+    // Create product name (links to the product detail page)
+    const name = document.createElement('h3');
+    name.className = 'product-name';
+    
+    const nameLink = document.createElement('a');
+    nameLink.href = getProductUrl(product.id);
+    nameLink.appendChild(highlightText(product.name, highlightTerms));
+    name.appendChild(nameLink);
+    
+    // Create product category
+    const category = document.createElement('p');
+    category.className = 'product-category';
+    category.appendChild(highlightText(product.category, highlightTerms));
+    
+    // Create average rating and review count (see reviews.js)
+    const ratingSummary = getRatingSummary(product.id);
+    const rating = createStarRating(ratingSummary.average, ratingSummary.count);
+    rating.classList.add('product-card-rating');
+    
+    // When the search matched the description, show it so shoppers can see why
+    const description = document.createElement('p');
+    description.className = 'product-card-description';
+    if (containsSearchTerm(product.description, highlightTerms)) {
+        description.appendChild(highlightText(product.description, highlightTerms));
+    }
+    
+    // Create product price
+    const price = document.createElement('div');
+    price.className = 'product-price';
+    
+    // Create stock status ("Out of stock" / "Only N left")
+    const stockStatus = document.createElement('p');
+    stockStatus.className = 'product-stock';
+    
+    // Create "Add to Cart" button
+    const addToCartBtn = document.createElement('button');
+    addToCartBtn.className = 'btn btn-primary add-to-cart-btn';
+    
+    // Create wishlist heart toggle
+    const wishlistBtn = document.createElement('button');
+    wishlistBtn.type = 'button';
+    wishlistBtn.className = 'wishlist-toggle-btn';
+    
+    // Currently selected variant (null for products without variants)
+    let selectedVariantId = getDefaultVariantId(product);
+    
+    // Wishlist items this card knows about (kept up to date when the heart is clicked)
+    let wishlistItems = wishlist.slice();
+    
+    /**
+     * Show whether the selected variant is in the wishlist
+     */
+    function showWishlistState() {
+        const saved = hasWishlistItem(wishlistItems, product.id, selectedVariantId);
+        wishlistBtn.textContent = saved ? '♥' : '♡';
+        wishlistBtn.classList.toggle('saved', saved);
+        wishlistBtn.setAttribute('aria-pressed', String(saved));
+        wishlistBtn.title = saved ? t('product.removeFromWishlist') : t('product.saveToWishlist');
+        wishlistBtn.setAttribute('aria-label', `${wishlistBtn.title}: ${product.name}`);
+    }
+    
+    /**
+     * Update price, image, stock status and button for the selected variant
+     */
+    function showSelectedVariant() {
+        const details = getVariantDetails(product, selectedVariantId);
+        
+        setImageSource(image, details.image);
+        price.textContent = formatPrice(details.price);
+        
+        showStockStatus(stockStatus, product, selectedVariantId);
+        
+        // Out of stock products can't be added to the cart
+        addToCartBtn.disabled = isOutOfStock(product, selectedVariantId);
+        addToCartBtn.textContent = addToCartBtn.disabled ? t('product.outOfStockButton') : t('product.addToCart');
+        
+        showWishlistState();
+    }
+    
+    wishlistBtn.onclick = async function() {
+        wishlistBtn.disabled = true;
+        try {
+            // toggleWishlist() also updates the wishlist badge
+            const saved = await toggleWishlist(product.id, selectedVariantId);
+            wishlistItems = wishlistItems.filter(item => !isSameCartLine(item, product.id, selectedVariantId));
+            if (saved) {
+                wishlistItems.push({ productId: product.id, variantId: selectedVariantId });
+            }
+            showWishlistState();
+        } catch (error) {
+            // A full storage is already shown in a notice (with a backup download)
+            if (!isQuotaExceededError(error)) {
+                showToast(t('product.wishlistFailed', { message: error.message }), 'error');
+            }
+        } finally {
+            wishlistBtn.disabled = false;
+        }
+    };
+    
+    addToCartBtn.onclick = async function() {
+        // Call the addToCart function from cart.js (it also updates the cart badge)
+        let added;
+        try {
+            added = await addToCart(product.id, selectedVariantId);
+        } catch (error) {
+            // e.g. storage is full (shown in a notice with a backup download)
+            console.error('Error adding to cart:', error);
+            if (!isQuotaExceededError(error)) {
+                showToast(t('product.addToCartFailed', { message: error.message }), 'error');
+            }
+            return;
+        }
+        
+        // Show visual feedback
+        if (added) {
+            addToCartBtn.textContent = t('product.added');
+            addToCartBtn.style.backgroundColor = '#27ae60';
+        } else {
+            addToCartBtn.textContent = t('product.noMoreStock');
+            addToCartBtn.style.backgroundColor = '#e74c3c';
+        }
+        setTimeout(() => {
+            addToCartBtn.textContent = t('product.addToCart');
+            addToCartBtn.style.backgroundColor = '';
+        }, 1000);
+    };
+    
+    // Assemble the card
+    info.appendChild(name);
+    info.appendChild(category);
+    info.appendChild(rating);
+    if (description.hasChildNodes()) {
+        info.appendChild(description);
+    }
+    info.appendChild(price);
+    
+    // Add size/color pickers for products with variants
+    if (hasVariants(product)) {
+        const pickers = createVariantPickers(product, selectedVariantId, function(variantId) {
+            selectedVariantId = variantId;
+            showSelectedVariant();
+        });
+        info.appendChild(pickers);
+    }
+    
+    info.appendChild(stockStatus);
+    info.appendChild(addToCartBtn);
+    
+    card.appendChild(imageLink);
+    card.appendChild(wishlistBtn);
+    card.appendChild(info);
+    
+    showSelectedVariant();
+    
+    return card;
+}
+
+/**
+ * Create a dropdown for each product option (e.g. Size, Color)
+ * @param {Object} product - Product object with options and variants
+ * @param {string} selectedVariantId - The variant selected initially
+ * @param {Function} onChange - Called with the new variant ID when the selection changes
+ * @returns {HTMLElement} Variant pickers element
+ */
+function createVariantPickers(product, selectedVariantId, onChange) {
+    const pickers = document.createElement('div');
+    pickers.className = 'variant-pickers';
+    
+    // Start from the option values of the initially selected variant
+    const selectedVariant = getProductVariant(product, selectedVariantId);
+    const selectedValues = selectedVariant ? { ...selectedVariant.options } : {};
+    
+    product.options.forEach(option => {
+        const label = document.createElement('label');
+        label.className = 'variant-picker';
+        
+        const labelText = document.createElement('span');
+        labelText.textContent = option.name;
+        
+        const select = document.createElement('select');
+        option.values.forEach(value => {
+            const valueOption = document.createElement('option');
+            valueOption.value = value;
+            valueOption.textContent = value;
+            select.appendChild(valueOption);
+        });
+        select.value = selectedValues[option.name];
+        
+        select.addEventListener('change', function() {
+            selectedValues[option.name] = select.value;
+            onChange(buildVariantId(product.options, selectedValues));
+        });
+        
+        label.appendChild(labelText);
+        label.appendChild(select);
+        pickers.appendChild(label);
+    });
+    
+    return pickers;
+}
+
+/**
+ * Show "Out of stock" / "Only N left" in a stock status element
+ * The element is hidden when stock is plentiful
+ * @param {HTMLElement} element - The stock status element
+ * @param {Object} product - Product object
+ * @param {string|null} variantId - The selected variant ID (optional)
+ */
+function showStockStatus(element, product, variantId) {
+    element.className = 'product-stock';
+    element.textContent = '';
+    
+    if (isOutOfStock(product, variantId)) {
+        element.textContent = t('stock.outOfStock');
+        element.classList.add('out-of-stock');
+    } else if (isLowStock(product, variantId)) {
+        element.textContent = t('stock.onlyLeft', { count: getProductStock(product, variantId) });
+        element.classList.add('low-stock');
+    }
+    
+    element.style.display = element.textContent ? 'block' : 'none';
+}
+
+/**
+ * Get the shareable URL of a product's detail page
+ * @param {number} productId - The product ID
+ * @returns {string} Product detail page URL
+ */
+function getProductUrl(productId) {
+    return `product.html?id=${encodeURIComponent(productId)}`;
+}
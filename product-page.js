@@ -0,0 +1,433 @@
+/**
+ * Product Detail View Logic
+ * Handles showing a single product (index.html#/product?id=...) with gallery, variants, reviews and related products
+ */
+
+(function() {
+    // Number of products shown in the "Related Products" strip
+    const RELATED_PRODUCTS_LIMIT = 4;
+    
+    registerView('/product', {
+        template: 'product-view',
+        title: 'Product',
+        
+        /**
+         * Show the product requested in the URL
+         * @param {URLSearchParams} params - Route parameters ({id})
+         * @returns {Promise} Resolves once the product and related products are shown
+         */
+        mount: async function(params) {
+            const product = await getProductById(Number(params.get('id')));
+            
+            if (!product) {
+                showProductNotFound();
+                return;
+            }
+            
+            document.title = `E-Commerce Store - ${product.name}`;
+            
+            renderBreadcrumbs(product);
+            renderProductDetail(product);
+            renderReviews(product);
+            setupReviewForm(product);
+            await renderRelatedProducts(product);
+        }
+    });
+    
+    /**
+     * Show a message when the product in the URL doesn't exist
+     */
+    function showProductNotFound() {
+        document.getElementById('product-detail').innerHTML = `
+            <div class="no-products">
+                <h2>${t('product.notFoundTitle')}</h2>
+                <p>${t('product.notFoundText')}</p>
+                <a href="index.html" class="btn btn-primary" style="margin-top: 1rem; display: inline-block;">${t('common.browseProducts')}</a>
+            </div>
+        `;
+    }
+    
+    /**
+     * Render breadcrumbs: Home / Category / Subcategory / Product
+     * @param {Object} product - Product object
+     */
+    function renderBreadcrumbs(product) {
+        const breadcrumbs = document.getElementById('breadcrumbs');
+        
+        const homeLink = document.createElement('a');
+        homeLink.href = 'index.html';
+        homeLink.textContent = t('nav.home');
+        
+        const current = document.createElement('span');
+        current.setAttribute('aria-current', 'page');
+        current.textContent = product.name;
+        
+        breadcrumbs.appendChild(homeLink);
+        breadcrumbs.appendChild(createBreadcrumbSeparator());
+        
+        // Category links open the listing filtered to that category (parent categories first)
+        const categoryPath = getCategoryPath(product.category);
+        const categoryNames = categoryPath.length > 0
+            ? categoryPath.map(category => category.name)
+            : [product.category];
+        
+        categoryNames.forEach(name => {
+            const categoryLink = document.createElement('a');
+            categoryLink.href = getCategoryUrl(name);
+            categoryLink.textContent = name;
+            breadcrumbs.appendChild(categoryLink);
+            breadcrumbs.appendChild(createBreadcrumbSeparator());
+        });
+        
+        breadcrumbs.appendChild(current);
+    }
+    
+    /**
+     * Create a separator between breadcrumb links
+     * @returns {HTMLElement} Separator element
+     */
+    function createBreadcrumbSeparator() {
+        const separator = document.createElement('span');
+        separator.className = 'breadcrumb-separator';
+        separator.textContent = '/';
+        return separator;
+    }
+    
+    /**
+     * Get all distinct images of a product (primary image first, then its other images and variant images)
+     * @param {Object} product - Product object
+     * @returns {Array} Array of image URLs
+     */
+    function getProductGalleryImages(product) {
+        const images = getProductImages(product);
+        
+        if (hasVariants(product)) {
+            product.variants.forEach(variant => {
+                if (variant.image) {
+                    images.push(variant.image);
+                }
+            });
+        }
+        
+        // Remove empty entries and duplicates
+        return [...new Set(images.filter(image => image))];
+    }
+    
+    /**
+     * Render the product details: gallery, price, variants, quantity and description
+     * @param {Object} product - Product object
+     */
+    function renderProductDetail(product) {
+        const productDetail = document.getElementById('product-detail');
+        
+        // Create gallery (large image with thumbnails)
+        const gallery = document.createElement('div');
+        gallery.className = 'product-gallery';
+        
+        const mainImage = document.createElement('img');
+        mainImage.className = 'product-gallery-main';
+        mainImage.alt = product.name;
+        
+        const thumbnails = document.createElement('div');
+        thumbnails.className = 'product-gallery-thumbnails';
+        
+        /**
+         * Show an image in the large gallery view and highlight its thumbnail
+         * @param {string} src - Image URL
+         */
+        function showGalleryImage(src) {
+            setImageSource(mainImage, src, 'full');
+            thumbnails.querySelectorAll('img').forEach(thumbnail => {
+                thumbnail.classList.toggle('active', thumbnail.dataset.src === src);
+            });
+        }
+        
+        const galleryImages = getProductGalleryImages(product);
+        
+        // Only show thumbnails when there is more than one image
+        if (galleryImages.length > 1) {
+            galleryImages.forEach(src => {
+                const thumbnail = document.createElement('img');
+                setImageSource(thumbnail, src);
+                thumbnail.dataset.src = src;
+                thumbnail.alt = product.name;
+                thumbnail.onclick = function() {
+                    showGalleryImage(src);
+                };
+                thumbnails.appendChild(thumbnail);
+            });
+        }
+        
+        gallery.appendChild(mainImage);
+        gallery.appendChild(thumbnails);
+        
+        // Create product info container
+        const info = document.createElement('div');
+        info.className = 'product-detail-info';
+        
+        const name = document.createElement('h1');
+        name.className = 'page-title product-detail-name';
+        name.textContent = product.name;
+        
+        const category = document.createElement('p');
+        category.className = 'product-category';
+        category.textContent = product.category;
+        
+        // Average rating links down to the reviews
+        const ratingSummary = getRatingSummary(product.id);
+        const ratingLink = document.createElement('a');
+        ratingLink.href = '#product-reviews';
+        ratingLink.className = 'product-detail-rating';
+        ratingLink.appendChild(createStarRating(ratingSummary.average, ratingSummary.count));
+        
+        const price = document.createElement('div');
+        price.className = 'product-price';
+        
+        const stockStatus = document.createElement('p');
+        stockStatus.className = 'product-stock';
+        
+        // Create quantity selector and "Add to Cart" button
+        const purchase = document.createElement('div');
+        purchase.className = 'product-detail-purchase';
+        
+        const quantityLabel = document.createElement('label');
+        quantityLabel.htmlFor = 'detail-quantity';
+        quantityLabel.textContent = t('product.quantity');
+        
+        const quantityInput = document.createElement('input');
+        quantityInput.type = 'number';
+        quantityInput.id = 'detail-quantity';
+        quantityInput.className = 'quantity-input';
+        quantityInput.min = '1';
+        quantityInput.value = '1';
+        
+        const addToCartBtn = document.createElement('button');
+        addToCartBtn.className = 'btn btn-primary';
+        addToCartBtn.textContent = t('product.addToCart');
+        
+        const feedback = document.createElement('p');
+        feedback.className = 'product-detail-feedback';
+        feedback.setAttribute('role', 'status');
+        
+        purchase.appendChild(quantityLabel);
+        purchase.appendChild(quantityInput);
+        purchase.appendChild(addToCartBtn);
+        
+        // Create full description
+        const descriptionTitle = document.createElement('h2');
+        descriptionTitle.className = 'checkout-section-title';
+        descriptionTitle.textContent = t('product.description');
+        
+        const description = document.createElement('p');
+        description.className = 'product-description';
+        description.textContent = product.description || t('product.noDescription');
+        
+        // Currently selected variant (null for products without variants)
+        let selectedVariantId = getDefaultVariantId(product);
+        
+        /**
+         * Update price, image, stock status and quantity limit for the selected variant
+         */
+        function showSelectedVariant() {
+            const details = getVariantDetails(product, selectedVariantId);
+            const stock = getProductStock(product, selectedVariantId);
+            
+            showGalleryImage(details.image);
+            price.textContent = formatPrice(details.price);
+            showStockStatus(stockStatus, product, selectedVariantId);
+            
+            quantityInput.max = stock === Infinity ? '' : String(Math.max(1, stock));
+            addToCartBtn.disabled = isOutOfStock(product, selectedVariantId);
+            addToCartBtn.textContent = addToCartBtn.disabled ? t('product.outOfStockButton') : t('product.addToCart');
+            feedback.textContent = '';
+        }
+        
+        addToCartBtn.onclick = async function() {
+            const quantity = parseInt(quantityInput.value);
+            
+            if (!(quantity >= 1)) {
+                feedback.textContent = t('product.enterQuantity');
+                return;
+            }
+            
+            // addToCart() also updates the cart badge
+            let added;
+            try {
+                added = await addToCart(product.id, selectedVariantId, quantity);
+            } catch (error) {
+                // e.g. storage is full (shown in a notice with a backup download)
+                console.error('Error adding to cart:', error);
+                feedback.textContent = isQuotaExceededError(error)
+                    ? t('product.cartNotSaved')
+                    : t('product.addToCartFailed', { message: error.message });
+                return;
+            }
+            
+            if (added) {
+                feedback.textContent = t('product.addedQuantity', { quantity: quantity });
+                quantityInput.value = '1';
+            } else {
+                const inCart = await getCartQuantity(product.id, selectedVariantId);
+                feedback.textContent = inCart > 0
+                    ? t('product.notEnoughStockInCart', { count: inCart })
+                    : t('product.notEnoughStock');
+            }
+        };
+        
+        // Assemble product info
+        info.appendChild(name);
+        info.appendChild(category);
+        info.appendChild(ratingLink);
+        info.appendChild(price);
+        
+        // Add size/color pickers for products with variants
+        if (hasVariants(product)) {
+            info.appendChild(createVariantPickers(product, selectedVariantId, function(variantId) {
+                selectedVariantId = variantId;
+                showSelectedVariant();
+            }));
+        }
+        
+        info.appendChild(stockStatus);
+        info.appendChild(purchase);
+        info.appendChild(feedback);
+        info.appendChild(descriptionTitle);
+        info.appendChild(description);
+        
+        productDetail.appendChild(gallery);
+        productDetail.appendChild(info);
+        
+        showSelectedVariant();
+    }
+    
+    /**
+     * Render the approved reviews of a product and its average rating
+     * @param {Object} product - Product object
+     */
+    function renderReviews(product) {
+        const reviews = getProductReviews(product.id);
+        const ratingSummary = getRatingSummary(product.id);
+        const summaryContainer = document.getElementById('product-rating-summary');
+        const reviewsList = document.getElementById('product-reviews-list');
+        
+        document.getElementById('product-reviews').style.display = 'block';
+        summaryContainer.innerHTML = '';
+        summaryContainer.appendChild(createStarRating(ratingSummary.average, ratingSummary.count));
+        
+        // Clear existing content
+        reviewsList.innerHTML = '';
+        
+        if (reviews.length === 0) {
+            const emptyMessage = document.createElement('p');
+            emptyMessage.className = 'form-hint';
+            emptyMessage.textContent = t('reviews.none');
+            reviewsList.appendChild(emptyMessage);
+            return;
+        }
+        
+        reviews.forEach(review => {
+            reviewsList.appendChild(createReviewElement(review));
+        });
+    }
+    
+    /**
+     * Create a review element (stars, author, date and text)
+     * @param {Object} review - Review object
+     * @returns {HTMLElement} Review element
+     */
+    function createReviewElement(review) {
+        const item = document.createElement('article');
+        item.className = 'review-item';
+        
+        const header = document.createElement('div');
+        header.className = 'review-header';
+        header.appendChild(createStarRating(review.rating));
+        
+        const author = document.createElement('span');
+        author.className = 'review-author';
+        author.textContent = review.author;
+        header.appendChild(author);
+        
+        const date = document.createElement('span');
+        date.className = 'review-date';
+        date.textContent = new Date(review.createdAt).toLocaleDateString(getLocale());
+        header.appendChild(date);
+        
+        const text = document.createElement('p');
+        text.className = 'review-text';
+        text.textContent = review.text;
+        
+        item.appendChild(header);
+        item.appendChild(text);
+        
+        return item;
+    }
+    
+    /**
+     * Set up the "Write a Review" form for a product
+     * @param {Object} product - Product object
+     */
+    function setupReviewForm(product) {
+        const form = document.getElementById('review-form');
+        const customer = getCurrentCustomer();
+        
+        // Signed in customers review under their account name
+        if (customer) {
+            document.getElementById('review-author').value = customer.name;
+        }
+        
+        form.addEventListener('submit', function(event) {
+            event.preventDefault();
+            
+            const checkedRating = form.querySelector('input[name="review-rating"]:checked');
+            document.getElementById('review-error').textContent = '';
+            
+            try {
+                addReview({
+                    productId: product.id,
+                    rating: checkedRating ? checkedRating.value : null,
+                    author: document.getElementById('review-author').value,
+                    text: document.getElementById('review-text').value
+                });
+            } catch (error) {
+                // Show why the review can't be submitted (no rating, empty text, ...)
+                document.getElementById('review-error').textContent = error.message;
+                return;
+            }
+            
+            // Reviews are shown once staff approve them
+            form.reset();
+            if (customer) {
+                document.getElementById('review-author').value = customer.name;
+            }
+            document.getElementById('review-message').textContent = t('reviews.thanks');
+        });
+    }
+    
+    /**
+     * Render other products from the same category
+     * @param {Object} product - Product object
+     * @returns {Promise} Resolves once the related products are shown
+     */
+    async function renderRelatedProducts(product) {
+        const [categoryProducts, wishlist] = await Promise.all([
+            getProductsByCategory(product.category),
+            getWishlist()
+        ]);
+        const relatedProducts = categoryProducts
+            .filter(related => related.id !== product.id)
+            .slice(0, RELATED_PRODUCTS_LIMIT);
+        
+        // Hide the strip if there is nothing related to show
+        if (relatedProducts.length === 0) {
+            return;
+        }
+        
+        const relatedGrid = document.getElementById('related-products');
+        relatedProducts.forEach(related => {
+            relatedGrid.appendChild(createProductCard(related, [], wishlist));
+        });
+        
+        document.getElementById('related-products-section').style.display = 'block';
+    }
+})();
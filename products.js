@@ -1,274 +1,1049 @@
-/**
- * Product Data Management Module
- * Handles all LocalStorage operations for products
- */
-
-// LocalStorage key for storing products
-const PRODUCTS_STORAGE_KEY = 'ecommerce_products';
-
-/**
- * Initialize products with sample data if LocalStorage is empty
- * This ensures the app has some products to display on first load
- */
-function initializeProducts() {
-    // Check if products already exist in LocalStorage
-    const existingProducts = getAllProducts();
-    
-    // If no products exist, add sample products
-    if (existingProducts.length === 0) {
-        const sampleProducts = [
-            {
-                id: Date.now(),
-                name: 'Wireless Mouse',
-                price: 29.99,
-                category: 'Electronics',
-                image: 'https://images.unsplash.com/photo-1527814050087-3793815479db?w=400',
-                description: 'Ergonomic wireless mouse with high precision sensor'
-            },
-            {
-                id: Date.now() + 1,
-                name: 'Cotton T-Shirt',
-                price: 19.99,
-                category: 'Clothing',
-                image: 'https://images.unsplash.com/photo-1521572163474-6864f9cf17ab?w=400',
-                description: 'Comfortable 100% cotton t-shirt in various colors'
-            },
-            {
-                id: Date.now() + 2,
-                name: 'JavaScript Guide Book',
-                price: 39.99,
-                category: 'Books',
-                image: 'https://images.unsplash.com/photo-1544947950-fa07a98d237f?w=400',
-                description: 'Complete guide to modern JavaScript programming'
-            },
-            {
-                id: Date.now() + 3,
-                name: 'Laptop Stand',
-                price: 49.99,
-                category: 'Electronics',
-                image: 'https://images.unsplash.com/photo-1593642632823-8f785ba67e45?w=400',
-                description: 'Adjustable aluminum laptop stand for better ergonomics'
-            },
-            {
-                id: Date.now() + 4,
-                name: 'Denim Jeans',
-                price: 59.99,
-                category: 'Clothing',
-                image: 'https://images.unsplash.com/photo-1542272604-787c3835535d?w=400',
-                description: 'Classic fit denim jeans made from premium denim'
-            },
-            {
-                id: Date.now() + 5,
-                name: 'Python Programming',
-                price: 44.99,
-                category: 'Books',
-                image: 'https://images.unsplash.com/photo-1481627834876-b7833e8f5570?w=400',
-                description: 'Learn Python programming from beginner to advanced'
-            },
-            {
-                id: Date.now() + 6,
-                name: 'Wireless Headphones',
-                price: 79.99,
-                category: 'Electronics',
-                image: 'https://images.unsplash.com/photo-1505740420928-5e560c06d30e?w=400',
-                description: 'Premium wireless headphones with noise cancellation'
-            },
-            {
-                id: Date.now() + 7,
-                name: 'Running Shoes',
-                price: 89.99,
-                category: 'Clothing',
-                image: 'https://images.unsplash.com/photo-1542291026-7eec264c27ff?w=400',
-                description: 'Comfortable running shoes with excellent cushioning'
-            }
-        ];
-        
-        // Save sample products to LocalStorage
-        try {
-            localStorage.setItem(PRODUCTS_STORAGE_KEY, JSON.stringify(sampleProducts));
-            return sampleProducts;
-        } catch (error) {
-            console.error('Error initializing products:', error);
-            return [];
-        }
-    }
-    
-    return existingProducts;
-}
-
-/**
- * Get all products from LocalStorage
- * @returns {Array} Array of all product objects
- */
-function getAllProducts() {
-    try {
-        // Get products from LocalStorage
-        const productsJson = localStorage.getItem(PRODUCTS_STORAGE_KEY);
-        
-        // If no products exist, return empty array
-        if (!productsJson) {
-            return [];
-        }
-        
-        // Parse JSON string to JavaScript array
-        return JSON.parse(productsJson);
-    } catch (error) {
-        console.error('Error getting products:', error);
-        return [];
-    }
-}
-
-/**
- * Get a single product by its ID
- * @param {number} id - The product ID
- * @returns {Object|null} The product object or null if not found
- */
-function getProductById(id) {
-    const products = getAllProducts();
-    
-    // Find product with matching ID
-    return products.find(product => product.id === id) || null;
-}
-
-/**
- * Add a new product to LocalStorage
- * @param {Object} product - Product object (without id, will be auto-generated)
- * @returns {Object} The added product with generated ID
- */
-function addProduct(product) {
-    try {
-        const products = getAllProducts();
-        
-        // Generate unique ID using timestamp
-        const newProduct = {
-            ...product,
-            id: Date.now()
-        };
-        
-        // Add new product to array
-        products.push(newProduct);
-        
-        // Save updated array back to LocalStorage
-        localStorage.setItem(PRODUCTS_STORAGE_KEY, JSON.stringify(products));
-        
-        return newProduct;
-    } catch (error) {
-        console.error('Error adding product:', error);
-        throw error;
-    }
-}
-
-/**
- * Update an existing product in LocalStorage
- * @param {number} id - The product ID to update
- * @param {Object} updatedProduct - Updated product data (without id)
- * @returns {Object|null} The updated product or null if not found
- */
-function updateProduct(id, updatedProduct) {
-    try {
-        const products = getAllProducts();
-        
-        // Find index of product with matching ID
-        const productIndex = products.findIndex(product => product.id === id);
-        
-        // If product not found, return null
-        if (productIndex === -1) {
-            return null;
-        }
-        
-        // Update product (keep original ID)
-        products[productIndex] = {
-            ...updatedProduct,
-            id: id
-        };
-        
-        // Save updated array back to LocalStorage
-        localStorage.setItem(PRODUCTS_STORAGE_KEY, JSON.stringify(products));
-        
-        return products[productIndex];
-    } catch (error) {
-        console.error('Error updating product:', error);
-        throw error;
-    }
-}
-
-/**
- * Delete a product from LocalStorage
- * @param {number} id - The product ID to delete
- * @returns {boolean} True if product was deleted, false if not found
- */
-function deleteProduct(id) {
-    try {
-        const products = getAllProducts();
-        
-        // Filter out the product with matching ID
-        const filteredProducts = products.filter(product => product.id !== id);
-        
-        // If no product was removed, return false
-        if (filteredProducts.length === products.length) {
-            return false;
-        }
-        
-        // Save filtered array back to LocalStorage
-        localStorage.setItem(PRODUCTS_STORAGE_KEY, JSON.stringify(filteredProducts));
-        
-        return true;
-    } catch (error) {
-        console.error('Error deleting product:', error);
-        throw error;
-    }
-}
-
-/**
- * Get products filtered by category
- * @param {string} category - The category to filter by
- * @returns {Array} Array of products in the specified category
- */
-function getProductsByCategory(category) {
-    const products = getAllProducts();
-    
-    // If "All" category is selected, return all products
-    if (category === 'All' || !category) {
-        return products;
-    }
-    
-    // Filter products by category
-    return products.filter(product => product.category === category);
-}
-
-/**
- * Search products by name (case-insensitive)
- * @param {string} query - The search query
- * @returns {Array} Array of products matching the search query
- */
-function searchProducts(query) {
-    const products = getAllProducts();
-    
-    // If query is empty, return all products
-    if (!query || query.trim() === '') {
-        return products;
-    }
-    
-    // Convert query to lowercase for case-insensitive search
-    const searchQuery = query.toLowerCase().trim();
-    
-    // Filter products whose name contains the search query
-    return products.filter(product => 
-        product.name.toLowerCase().includes(searchQuery)
-    );
-}
-
-/**
- * Get all unique categories from products
- * @returns {Array} Array of unique category names
- */
-function getAllCategories() {
-    const products = getAllProducts();
-    
-    // Extract categories and remove duplicates using Set
-    const categories = [...new Set(products.map(product => product.category))];
-    
-    // Sort categories alphabetically
-    return categories.sort();
-}
-
+/**
+ * Product Data Management Module
+ * Handles all storage operations for products
+ * Reading and writing products is async and goes through the storage adapter (see storage.js)
+ * Every read and write is checked against the product schema (see schema.js)
+ * Changes made in the admin panel are recorded in the audit log (see audit-log.js)
+ */
+
+// Storage key for storing products
+const PRODUCTS_STORAGE_KEY = 'ecommerce_products';
+
+// Storage key for deleted products (the trash bin), kept until an admin restores or purges them
+const PRODUCT_TRASH_STORAGE_KEY = 'ecommerce_product_trash';
+
+// Stock level at or below which a product is shown as "Only N left"
+const LOW_STOCK_THRESHOLD = 5;
+
+/**
+ * Initialize products with sample data if storage is empty
+ * This ensures the app has some products to display on first load
+ * @returns {Promise<Array>} The stored products
+ */
+async function initializeProducts() {
+    // Check if products already exist in storage
+    // (if storage can't be read, don't risk overwriting it with the samples)
+    let existingProducts;
+    try {
+        existingProducts = await loadProductsForUpdate();
+    } catch (error) {
+        console.error('Error loading products:', error);
+        return [];
+    }
+    
+    // If no products exist, add sample products
+    if (existingProducts.length === 0) {
+        const sampleProducts = [
+            {
+                id: generateUniqueId(),
+                sku: 'ELE-1001',
+                name: 'Wireless Mouse',
+                price: 29.99,
+                category: 'Electronics',
+                stock: 25,
+                weight: 0.1,
+                image: 'https://images.unsplash.com/photo-1527814050087-3793815479db?w=400',
+                description: 'Ergonomic wireless mouse with high precision sensor'
+            },
+            {
+                id: generateUniqueId(),
+                sku: 'CLO-1002',
+                name: 'Cotton T-Shirt',
+                price: 19.99,
+                category: 'Clothing',
+                stock: 40,
+                weight: 0.2,
+                image: 'https://images.unsplash.com/photo-1521572163474-6864f9cf17ab?w=400',
+                description: 'Comfortable 100% cotton t-shirt in various colors',
+                options: [
+                    { name: 'Size', values: ['S', 'M', 'L', 'XL'] },
+                    { name: 'Color', values: ['White', 'Black', 'Navy'] }
+                ]
+            },
+            {
+                id: generateUniqueId(),
+                sku: 'BOO-1003',
+                name: 'JavaScript Guide Book',
+                price: 39.99,
+                category: 'Books',
+                stock: 15,
+                weight: 0.8,
+                image: 'https://images.unsplash.com/photo-1544947950-fa07a98d237f?w=400',
+                description: 'Complete guide to modern JavaScript programming'
+            },
+            {
+                id: generateUniqueId(),
+                sku: 'ELE-1004',
+                name: 'Laptop Stand',
+                price: 49.99,
+                category: 'Electronics',
+                stock: 3,
+                weight: 1.5,
+                image: 'https://images.unsplash.com/photo-1593642632823-8f785ba67e45?w=400',
+                description: 'Adjustable aluminum laptop stand for better ergonomics'
+            },
+            {
+                id: generateUniqueId(),
+                sku: 'CLO-1005',
+                name: 'Denim Jeans',
+                price: 59.99,
+                category: 'Clothing',
+                stock: 18,
+                weight: 0.6,
+                image: 'https://images.unsplash.com/photo-1542272604-787c3835535d?w=400',
+                description: 'Classic fit denim jeans made from premium denim',
+                options: [
+                    { name: 'Waist', values: ['30', '32', '34', '36'] }
+                ]
+            },
+            {
+                id: generateUniqueId(),
+                sku: 'BOO-1006',
+                name: 'Python Programming',
+                price: 44.99,
+                category: 'Books',
+                stock: 0,
+                weight: 0.9,
+                image: 'https://images.unsplash.com/photo-1481627834876-b7833e8f5570?w=400',
+                description: 'Learn Python programming from beginner to advanced'
+            },
+            {
+                id: generateUniqueId(),
+                sku: 'ELE-1007',
+                name: 'Wireless Headphones',
+                price: 79.99,
+                category: 'Electronics',
+                stock: 8,
+                weight: 0.3,
+                image: 'https://images.unsplash.com/photo-1505740420928-5e560c06d30e?w=400',
+                description: 'Premium wireless headphones with noise cancellation'
+            },
+            {
+                id: generateUniqueId(),
+                sku: 'CLO-1008',
+                name: 'Running Shoes',
+                price: 89.99,
+                category: 'Clothing',
+                stock: 20,
+                weight: 0.9,
+                image: 'https://images.unsplash.com/photo-1542291026-7eec264c27ff?w=400',
+                description: 'Comfortable running shoes with excellent cushioning',
+                options: [
+                    { name: 'Size', values: ['8', '9', '10', '11'] },
+                    { name: 'Color', values: ['Black', 'White'] }
+                ]
+            }
+        ];
+        
+        // Build variants for sample products that have options
+        sampleProducts.forEach(product => {
+            if (product.options) {
+                product.variants = generateVariants(product.options);
+            }
+        });
+        
+        // Save sample products to storage
+        try {
+            await saveAllProducts(sampleProducts);
+            return sampleProducts;
+        } catch (error) {
+            console.error('Error initializing products:', error);
+            return [];
+        }
+    }
+    
+    return existingProducts;
+}
+
+/**
+ * Get all products from storage
+ * @returns {Promise<Array>} Array of all product objects
+ */
+async function getAllProducts() {
+    try {
+        // Malformed products are left out (and quarantined); if no products exist, this is an empty array
+        return await loadRecords(PRODUCTS_STORAGE_KEY, 'products');
+    } catch (error) {
+        console.error('Error getting products:', error);
+        return [];
+    }
+}
+
+/**
+ * Load all products for a change that saves them back
+ * Unlike getAllProducts(), read errors are thrown so a failed read never overwrites the stored catalog
+ * @returns {Promise<Array>} Array of all product objects
+ */
+async function loadProductsForUpdate() {
+    return loadRecords(PRODUCTS_STORAGE_KEY, 'products');
+}
+
+/**
+ * Replace all stored products
+ * @param {Array} products - Array of all product objects
+ * @returns {Promise} Resolves once the products are saved
+ * @throws {Error} If a product is malformed (nothing is saved)
+ */
+async function saveAllProducts(products) {
+    await saveRecords(PRODUCTS_STORAGE_KEY, 'products', products);
+}
+
+/**
+ * Generate an ID for a new product
+ * Trashed products keep their IDs, so they're taken into account too
+ * @param {Array} products - All stored products (plus any added in the same change)
+ * @returns {Promise<number>} An ID no product uses
+ */
+async function generateProductId(products) {
+    const trash = await loadProductTrashForUpdate();
+    return generateUniqueId([...products, ...trash].map(product => product.id));
+}
+
+/**
+ * Get a single product by its ID
+ * @param {number} id - The product ID
+ * @returns {Promise<Object|null>} The product object or null if not found
+ */
+async function getProductById(id) {
+    const products = await getAllProducts();
+    
+    // Find product with matching ID
+    return products.find(product => product.id === id) || null;
+}
+
+/**
+ * Find a product by its SKU (case-insensitive) in a list of products
+ * @param {Array} products - Products to search
+ * @param {string} sku - The stock keeping unit
+ * @returns {Object|null} The product object or null if not found
+ */
+function findProductBySku(products, sku) {
+    const normalizedSku = (sku || '').trim().toLowerCase();
+    
+    if (!normalizedSku) {
+        return null;
+    }
+    
+    return products.find(product => (product.sku || '').toLowerCase() === normalizedSku) || null;
+}
+
+/**
+ * Get a single product by its SKU (case-insensitive)
+ * @param {string} sku - The stock keeping unit
+ * @returns {Promise<Object|null>} The product object or null if not found
+ */
+async function getProductBySku(sku) {
+    return findProductBySku(await getAllProducts(), sku);
+}
+
+/**
+ * Validate the basic product fields
+ * Shared by the product form and the bulk import, so both apply the same rules
+ * @param {Object} fields - Raw field values {sku, name, price, stock, weight, category, image}
+ * @param {number|null} productId - ID of the product being updated (its own SKU isn't a duplicate)
+ * @param {Array} products - The current catalog (to check the SKU is unique)
+ * @returns {Object} Error message per invalid field (empty if all fields are valid)
+ */
+function validateProductFields(fields, productId, products) {
+    const errors = {};
+    const price = Number(fields.price);
+    const stock = Number(fields.stock);
+    const weight = Number(fields.weight);
+    
+    if (!fields.name) {
+        errors.name = 'Product name is required';
+    }
+    
+    if (fields.sku) {
+        const existing = findProductBySku(products, fields.sku);
+        if (existing && existing.id !== productId) {
+            errors.sku = `SKU is already used by "${existing.name}"`;
+        }
+    }
+    
+    if (fields.price === '' || isNaN(price) || price <= 0) {
+        errors.price = 'Please enter a valid price greater than 0';
+    }
+    
+    if (fields.stock === '' || !Number.isInteger(stock) || stock < 0) {
+        errors.stock = 'Please enter a whole number of 0 or more';
+    }
+    
+    if (fields.weight && (isNaN(weight) || weight < 0)) {
+        errors.weight = 'Please enter a weight of 0 or more, or leave empty';
+    }
+    
+    if (!fields.category) {
+        errors.category = 'Please select a category';
+    } else if (!getCategoryNames().includes(fields.category)) {
+        errors.category = `"${fields.category}" is not a store category`;
+    }
+    
+    if (!fields.image) {
+        errors.image = 'At least one image is required';
+    }
+    
+    return errors;
+}
+
+/**
+ * Add a new product to storage
+ * Requires the "editor" role (see admin-auth.js)
+ * @param {Object} product - Product object (without id, will be auto-generated)
+ * @returns {Promise<Object>} The added product with generated ID
+ */
+async function addProduct(product) {
+    requireAdminRole('editor', 'add products');
+    
+    try {
+        const products = await loadProductsForUpdate();
+        
+        // Generate an ID no other product (or trashed product) uses
+        const newProduct = {
+            ...product,
+            id: await generateProductId(products),
+            createdAt: new Date().toISOString()
+        };
+        
+        // Add new product to array
+        products.push(newProduct);
+        
+        // Save updated array back to storage
+        await saveAllProducts(products);
+        recordProductChange('create', newProduct);
+        
+        return newProduct;
+    } catch (error) {
+        console.error('Error adding product:', error);
+        throw error;
+    }
+}
+
+/**
+ * Update an existing product in storage
+ * Requires the "editor" role (see admin-auth.js)
+ * @param {number} id - The product ID to update
+ * @param {Object} updatedProduct - Updated product data (without id)
+ * @returns {Promise<Object|null>} The updated product or null if not found
+ */
+async function updateProduct(id, updatedProduct) {
+    requireAdminRole('editor', 'edit products');
+    
+    try {
+        const products = await loadProductsForUpdate();
+        
+        // Find index of product with matching ID
+        const productIndex = products.findIndex(product => product.id === id);
+        
+        // If product not found, return null
+        if (productIndex === -1) {
+            return null;
+        }
+        
+        // Update product (keep original ID and creation date)
+        const previousProduct = products[productIndex];
+        products[productIndex] = {
+            ...updatedProduct,
+            id: id,
+            createdAt: previousProduct.createdAt
+        };
+        
+        // Save updated array back to storage
+        await saveAllProducts(products);
+        recordProductChange('update', products[productIndex], previousProduct);
+        
+        return products[productIndex];
+    } catch (error) {
+        console.error('Error updating product:', error);
+        throw error;
+    }
+}
+
+/**
+ * Put a product back the way it was before a logged change (see audit-log.js)
+ * Requires the "admin" role (see admin-auth.js)
+ * @param {number} entryId - ID of the "update" or "revert" entry in the audit log
+ * @returns {Promise<Object>} The reverted product
+ * @throws {Error} If the change can't be reverted (e.g. the product is in the trash)
+ */
+async function revertProduct(entryId) {
+    requireAdminRole('admin', 'revert products');
+    
+    const entry = getAuditEntry(entryId);
+    if (!entry || !['update', 'revert'].includes(entry.action)) {
+        throw new Error('This change has no earlier version to go back to');
+    }
+    
+    try {
+        const products = await loadProductsForUpdate();
+        const productIndex = products.findIndex(product => product.id === entry.productId);
+        
+        if (productIndex === -1) {
+            throw new Error(`"${entry.productName}" isn't in the catalog. Restore it from the trash first.`);
+        }
+        
+        const previousProduct = products[productIndex];
+        const version = getProductVersionBefore(entry);
+        
+        // Another product may have taken the old SKU since
+        const skuOwner = version.sku ? findProductBySku(products, version.sku) : null;
+        if (skuOwner && skuOwner.id !== entry.productId) {
+            throw new Error(`Another product now uses the SKU "${version.sku}"`);
+        }
+        
+        products[productIndex] = {
+            ...version,
+            id: previousProduct.id,
+            createdAt: previousProduct.createdAt
+        };
+        
+        await saveAllProducts(products);
+        recordProductChange('revert', products[productIndex], previousProduct, { revertedEntryId: entry.id });
+        
+        return products[productIndex];
+    } catch (error) {
+        console.error('Error reverting product:', error);
+        throw error;
+    }
+}
+
+/**
+ * Move every product in a category to a renamed category (see updateCategory() in categories.js)
+ * Requires the "editor" role (see admin-auth.js)
+ * @param {string} oldName - The category's old name
+ * @param {string} newName - The category's new name
+ * @returns {Promise<number>} Number of products changed
+ */
+async function renameProductCategory(oldName, newName) {
+    requireAdminRole('editor', 'edit products');
+    
+    try {
+        const products = await loadProductsForUpdate();
+        const categoryProducts = products.filter(product => product.category === oldName);
+        
+        // Nothing to save if no product is in the category (products in the trash may still be)
+        if (categoryProducts.length > 0) {
+            const entries = categoryProducts.map(product => {
+                const previousProduct = { ...product };
+                product.category = newName;
+                return createAuditEntry('update', product, previousProduct, { source: 'category-rename' });
+            });
+            await saveAllProducts(products);
+            appendAuditEntries(entries);
+        }
+        
+        // Products in the trash follow too, so they come back in the renamed category
+        const trash = await loadProductTrashForUpdate();
+        const trashedProducts = trash.filter(product => product.category === oldName);
+        if (trashedProducts.length > 0) {
+            trashedProducts.forEach(product => {
+                product.category = newName;
+            });
+            await saveProductTrash(trash);
+        }
+        
+        return categoryProducts.length;
+    } catch (error) {
+        console.error('Error renaming product category:', error);
+        throw error;
+    }
+}
+
+/**
+ * Get all products in the trash, most recently deleted first
+ * @returns {Promise<Array>} Array of trashed products (product fields plus deletedAt and deletedBy)
+ */
+async function getTrashedProducts() {
+    try {
+        const trash = await loadRecords(PRODUCT_TRASH_STORAGE_KEY, 'product_trash');
+        
+        return trash.sort((a, b) => Date.parse(b.deletedAt) - Date.parse(a.deletedAt));
+    } catch (error) {
+        console.error('Error getting trashed products:', error);
+        return [];
+    }
+}
+
+/**
+ * Load the trash for a change that saves it back (read errors are thrown, like loadProductsForUpdate())
+ * @returns {Promise<Array>} Array of trashed products
+ */
+async function loadProductTrashForUpdate() {
+    return loadRecords(PRODUCT_TRASH_STORAGE_KEY, 'product_trash');
+}
+
+/**
+ * Replace all trashed products
+ * @param {Array} trash - Array of trashed products
+ * @returns {Promise} Resolves once the trash is saved
+ * @throws {Error} If a trashed product is malformed (nothing is saved)
+ */
+async function saveProductTrash(trash) {
+    await saveRecords(PRODUCT_TRASH_STORAGE_KEY, 'product_trash', trash);
+}
+
+/**
+ * Delete a product by moving it to the trash
+ * Trashed products leave the shop and the admin list but keep their reviews until they are purged
+ * Requires the "admin" role (see admin-auth.js)
+ * @param {number} id - The product ID to delete
+ * @returns {Promise<boolean>} True if product was moved to the trash, false if not found
+ */
+async function deleteProduct(id) {
+    requireAdminRole('admin', 'delete products');
+    
+    try {
+        const [products, trash] = await Promise.all([loadProductsForUpdate(), loadProductTrashForUpdate()]);
+        const product = products.find(product => product.id === id);
+        
+        // If product not found, return false
+        if (!product) {
+            return false;
+        }
+        
+        const session = getAdminSession();
+        trash.push({
+            ...product,
+            deletedAt: new Date().toISOString(),
+            deletedBy: session ? session.username : null
+        });
+        
+        // Save the trash first, so a failed write never loses the product
+        await saveProductTrash(trash);
+        await saveAllProducts(products.filter(product => product.id !== id));
+        recordProductChange('delete', product);
+        
+        return true;
+    } catch (error) {
+        console.error('Error deleting product:', error);
+        throw error;
+    }
+}
+
+/**
+ * Move a product from the trash back into the catalog
+ * Requires the "admin" role (see admin-auth.js)
+ * @param {number} id - The ID of the trashed product
+ * @returns {Promise<Object|null>} The restored product or null if it isn't in the trash
+ * @throws {Error} If another product has taken the product's SKU in the meantime
+ */
+async function restoreProduct(id) {
+    requireAdminRole('admin', 'restore products');
+    
+    try {
+        const [products, trash] = await Promise.all([loadProductsForUpdate(), loadProductTrashForUpdate()]);
+        const trashedProduct = trash.find(product => product.id === id);
+        
+        if (!trashedProduct) {
+            return null;
+        }
+        
+        if (trashedProduct.sku && findProductBySku(products, trashedProduct.sku)) {
+            throw new Error(`Another product now uses the SKU "${trashedProduct.sku}". Change its SKU first.`);
+        }
+        
+        const { deletedAt, deletedBy, ...product } = trashedProduct;
+        products.push(product);
+        
+        // Save the catalog first, so a failed write never loses the product
+        await saveAllProducts(products);
+        await saveProductTrash(trash.filter(product => product.id !== id));
+        recordProductChange('restore', product);
+        
+        return product;
+    } catch (error) {
+        console.error('Error restoring product:', error);
+        throw error;
+    }
+}
+
+/**
+ * Permanently delete products from the trash, along with their reviews
+ * Requires the "admin" role (see admin-auth.js)
+ * @param {Array|null} ids - IDs of the trashed products to purge (null empties the whole trash)
+ * @returns {Promise<number>} Number of products purged
+ */
+async function purgeProducts(ids) {
+    requireAdminRole('admin', 'purge products');
+    
+    try {
+        const trash = await loadProductTrashForUpdate();
+        const purged = trash.filter(product => ids === null || ids.includes(product.id));
+        
+        if (purged.length === 0) {
+            return 0;
+        }
+        
+        await saveProductTrash(trash.filter(product => !purged.includes(product)));
+        appendAuditEntries(purged.map(product => createAuditEntry('purge', product, null)));
+        
+        // Reviews of a purged product have nothing to show on
+        purged.forEach(product => deleteProductReviews(product.id));
+        
+        return purged.length;
+    } catch (error) {
+        console.error('Error purging products:', error);
+        throw error;
+    }
+}
+
+/**
+ * Save a batch of imported products in a single write
+ * New products get consecutive timestamp IDs so a batch never reuses an ID
+ * Requires the "editor" role (see admin-auth.js)
+ * @param {Array} newProducts - Products to add (without id)
+ * @param {Array} updates - Array of {id, product} with the full updated product data
+ * @returns {Promise<Object>} Counts {added, updated}
+ */
+async function saveImportedProducts(newProducts, updates) {
+    requireAdminRole('editor', 'import products');
+    
+    try {
+        const products = await loadProductsForUpdate();
+        const trash = await loadProductTrashForUpdate();
+        const usedIds = [...products, ...trash].map(product => product.id);
+        const createdAt = new Date().toISOString();
+        const entries = [];
+        let updated = 0;
+        
+        // Replace updated products (keep original ID and creation date)
+        updates.forEach(update => {
+            const productIndex = products.findIndex(product => product.id === update.id);
+            
+            if (productIndex !== -1) {
+                const previousProduct = products[productIndex];
+                products[productIndex] = {
+                    ...update.product,
+                    id: update.id,
+                    createdAt: previousProduct.createdAt
+                };
+                entries.push(createAuditEntry('update', products[productIndex], previousProduct, { source: 'import' }));
+                updated++;
+            }
+        });
+        
+        // Add new products
+        newProducts.forEach(product => {
+            const newProduct = {
+                ...product,
+                id: generateUniqueId(usedIds),
+                createdAt: createdAt
+            };
+            products.push(newProduct);
+            entries.push(createAuditEntry('create', newProduct, null, { source: 'import' }));
+        });
+        
+        await saveAllProducts(products);
+        appendAuditEntries(entries);
+        
+        return {
+            added: newProducts.length,
+            updated: updated
+        };
+    } catch (error) {
+        console.error('Error importing products:', error);
+        throw error;
+    }
+}
+
+/**
+ * Get products filtered by category
+ * @param {string} category - The category to filter by
+ * @returns {Promise<Array>} Array of products in the specified category
+ */
+async function getProductsByCategory(category) {
+    const products = await getAllProducts();
+    
+    // If "All" category is selected, return all products
+    if (category === 'All' || !category) {
+        return products;
+    }
+    
+    // Filter products by category
+    return products.filter(product => product.category === category);
+}
+
+/**
+ * Search products by name, description and category
+ * Results are ranked by relevance and tolerate small typos (see search.js)
+ * @param {string} query - The search query
+ * @returns {Promise<Array>} Array of products matching the search query, best match first
+ */
+async function searchProducts(query) {
+    const products = await getAllProducts();
+    
+    // If query is empty, return all products
+    if (!query || query.trim() === '') {
+        return products;
+    }
+    
+    return searchCatalog(query, products).results.map(result => result.product);
+}
+
+/**
+ * Filter products by search query, categories, price range and rating
+ * Empty filter values are ignored. With a search query, results are in relevance order
+ * @param {Array} products - Products to filter
+ * @param {Object} filters - Filters {query, categories, minPrice, maxPrice, minRating} (prices in the display currency, see currency.js)
+ * @returns {Array} Products matching every filter
+ */
+function filterProducts(products, filters) {
+    const categories = filters.categories || [];
+    const hasMinPrice = typeof filters.minPrice === 'number' && !isNaN(filters.minPrice);
+    const hasMaxPrice = typeof filters.maxPrice === 'number' && !isNaN(filters.maxPrice);
+    const currency = getDisplayCurrency();
+    
+    // Average ratings are only needed when filtering by rating (see reviews.js)
+    const ratings = filters.minRating > 0 ? getRatingSummaries() : null;
+    
+    // Search first so results keep their relevance order
+    const results = filters.query
+        ? searchCatalog(filters.query, products).results.map(result => result.product)
+        : products;
+    
+    return results.filter(product => {
+        if (categories.length > 0 && !categories.includes(product.category)) {
+            return false;
+        }
+        
+        // Compare the price the shopper sees
+        const price = convertAmount(product.price, currency);
+        
+        if (hasMinPrice && price < filters.minPrice) {
+            return false;
+        }
+        
+        if (hasMaxPrice && price > filters.maxPrice) {
+            return false;
+        }
+        
+        if (ratings && !((ratings.get(product.id) || { average: 0 }).average >= filters.minRating)) {
+            return false;
+        }
+        
+        return true;
+    });
+}
+
+/**
+ * Get the time a product was added, for "newest" sorting
+ * Products without a creation date fall back to their timestamp-based ID
+ * @param {Object} product - Product object
+ * @returns {number} Milliseconds since epoch
+ */
+function getProductCreatedTime(product) {
+    return Date.parse(product.createdAt) || product.id;
+}
+
+/**
+ * Sort products without changing the original array
+ * @param {Array} products - Products to sort
+ * @param {string} sortKey - "price-asc", "price-desc", "name-asc", "newest", "rating-desc" (anything else keeps the current order)
+ * @returns {Array} Sorted copy of the products
+ */
+function sortProducts(products, sortKey) {
+    const sorted = [...products];
+    
+    switch (sortKey) {
+        case 'price-asc':
+            return sorted.sort((a, b) => a.price - b.price);
+        case 'price-desc':
+            return sorted.sort((a, b) => b.price - a.price);
+        case 'name-asc':
+            return sorted.sort((a, b) => a.name.localeCompare(b.name));
+        case 'newest':
+            return sorted.sort((a, b) => getProductCreatedTime(b) - getProductCreatedTime(a));
+        case 'rating-desc': {
+            // Best average first; more reviews win a tie, unreviewed products go last
+            const ratings = getRatingSummaries();
+            const noRating = { average: 0, count: 0 };
+            return sorted.sort((a, b) => {
+                const ratingA = ratings.get(a.id) || noRating;
+                const ratingB = ratings.get(b.id) || noRating;
+                return ratingB.average - ratingA.average || ratingB.count - ratingA.count;
+            });
+        }
+        default:
+            return sorted;
+    }
+}
+
+/**
+ * Count products per category
+ * @param {Array} products - Products to count
+ * @returns {Object} Map of category name to number of products
+ */
+function getCategoryCounts(products) {
+    const counts = {};
+    
+    products.forEach(product => {
+        counts[product.category] = (counts[product.category] || 0) + 1;
+    });
+    
+    return counts;
+}
+
+/**
+ * Get all unique categories used by products
+ * The store's own category list, with categories that have no products yet, is in categories.js
+ * @returns {Promise<Array>} Array of unique category names
+ */
+async function getAllCategories() {
+    const products = await getAllProducts();
+    
+    // Extract categories and remove duplicates using Set
+    const categories = [...new Set(products.map(product => product.category))];
+    
+    // Sort categories alphabetically
+    return categories.sort();
+}
+
+/**
+ * Check whether a product has variants (e.g. sizes or colors)
+ * @param {Object} product - Product object
+ * @returns {boolean} True if the product has at least one variant
+ */
+function hasVariants(product) {
+    return !!product && Array.isArray(product.variants) && product.variants.length > 0;
+}
+
+/**
+ * Build a variant ID from selected option values
+ * The ID doubles as a readable label, e.g. "M / Black"
+ * @param {Array} options - Product option definitions [{name, values}]
+ * @param {Object} selectedValues - Selected value per option name, e.g. {Size: 'M', Color: 'Black'}
+ * @returns {string} The variant ID
+ */
+function buildVariantId(options, selectedValues) {
+    return options.map(option => selectedValues[option.name]).join(' / ');
+}
+
+/**
+ * Generate one variant for every combination of option values
+ * Overrides (price, image, stock) of variants that already exist are kept
+ * @param {Array} options - Product option definitions [{name, values}]
+ * @param {Array} existingVariants - Variants to keep overrides from (optional)
+ * @returns {Array} Array of variants {id, options, price?, image?, stock?}
+ */
+function generateVariants(options, existingVariants = []) {
+    if (!options || options.length === 0) {
+        return [];
+    }
+    
+    // Build every combination of option values
+    let combinations = [{}];
+    options.forEach(option => {
+        const nextCombinations = [];
+        combinations.forEach(combination => {
+            option.values.forEach(value => {
+                nextCombinations.push({ ...combination, [option.name]: value });
+            });
+        });
+        combinations = nextCombinations;
+    });
+    
+    return combinations.map(combination => {
+        const id = buildVariantId(options, combination);
+        const existing = existingVariants.find(variant => variant.id === id);
+        
+        return {
+            ...existing,
+            id: id,
+            options: combination
+        };
+    });
+}
+
+/**
+ * Validate option definitions
+ * @param {Array} options - Option definitions [{name, values}]
+ * @returns {string} Error message, or an empty string if valid
+ */
+function validateVariantOptions(options) {
+    const names = options.map(option => option.name.toLowerCase());
+    
+    if (options.some(option => !option.name)) {
+        return 'Every option needs a name';
+    }
+    
+    if (new Set(names).size !== names.length) {
+        return 'Option names must be unique';
+    }
+    
+    if (options.some(option => option.values.length === 0)) {
+        return 'Every option needs at least one value';
+    }
+    
+    if (options.some(option => new Set(option.values).size !== option.values.length)) {
+        return 'Option values must be unique within an option';
+    }
+    
+    return '';
+}
+
+/**
+ * Validate variant overrides (empty fields are allowed)
+ * @param {Array} rows - Overrides {id, price, image, stock} as entered (strings)
+ * @returns {string} Error message, or an empty string if valid
+ */
+function validateVariantRows(rows) {
+    for (const row of rows) {
+        const price = Number(row.price);
+        const stock = Number(row.stock);
+        
+        if (row.price !== '' && (isNaN(price) || price <= 0)) {
+            return `Price for "${row.id}" must be greater than 0`;
+        }
+        
+        if (row.stock !== '' && (!Number.isInteger(stock) || stock < 0)) {
+            return `Stock for "${row.id}" must be a whole number of 0 or more`;
+        }
+    }
+    
+    return '';
+}
+
+/**
+ * Get a variant of a product by its ID
+ * @param {Object} product - Product object
+ * @param {string} variantId - The variant ID
+ * @returns {Object|null} The variant or null if not found
+ */
+function getProductVariant(product, variantId) {
+    if (!hasVariants(product) || !variantId) {
+        return null;
+    }
+    
+    return product.variants.find(variant => variant.id === variantId) || null;
+}
+
+/**
+ * Get the variant selected by default (the first one that is in stock)
+ * @param {Object} product - Product object
+ * @returns {string|null} Variant ID, or null if the product has no variants
+ */
+function getDefaultVariantId(product) {
+    if (!hasVariants(product)) {
+        return null;
+    }
+    
+    const available = product.variants.find(variant => getProductStock(product, variant.id) > 0);
+    return (available || product.variants[0]).id;
+}
+
+/**
+ * Get all images of a product, primary image first
+ * "image" is the primary image; "images" (optional) lists every image in the order they were added
+ * @param {Object} product - Product object
+ * @returns {Array} Array of image URLs
+ */
+function getProductImages(product) {
+    const images = [product.image, ...(product.images || [])];
+    
+    // Remove empty entries and duplicates
+    return [...new Set(images.filter(image => image))];
+}
+
+/**
+ * Get the price, image and label for a product or one of its variants
+ * Variant values override the product's own price and image when set
+ * @param {Object} product - Product object
+ * @param {string|null} variantId - The variant ID (optional)
+ * @returns {Object} Details {variantId, label, price, image}
+ */
+function getVariantDetails(product, variantId) {
+    const variant = getProductVariant(product, variantId);
+    
+    return {
+        variantId: variant ? variant.id : null,
+        label: variant ? variant.id : '',
+        price: variant && typeof variant.price === 'number' ? variant.price : product.price,
+        image: variant && variant.image ? variant.image : product.image
+    };
+}
+
+/**
+ * Check whether a variant keeps its own stock count
+ * Variants without their own stock share the product's stock
+ * @param {Object} product - Product object
+ * @param {string|null} variantId - The variant ID
+ * @returns {boolean} True if the variant overrides the product's stock
+ */
+function variantHasOwnStock(product, variantId) {
+    const variant = getProductVariant(product, variantId);
+    return !!variant && typeof variant.stock === 'number';
+}
+
+/**
+ * Get the available stock for a product or one of its variants
+ * Products saved before stock tracking existed have no stock field and are treated as unlimited
+ * @param {Object} product - Product object
+ * @param {string|null} variantId - The variant ID (optional)
+ * @returns {number} Units in stock (Infinity if the product doesn't track stock)
+ */
+function getProductStock(product, variantId) {
+    if (variantHasOwnStock(product, variantId)) {
+        return Math.max(0, getProductVariant(product, variantId).stock);
+    }
+    
+    if (!product || typeof product.stock !== 'number') {
+        return Infinity;
+    }
+    
+    return Math.max(0, product.stock);
+}
+
+/**
+ * Check whether a product (or variant) is out of stock
+ * @param {Object} product - Product object
+ * @param {string|null} variantId - The variant ID (optional)
+ * @returns {boolean} True if no units are available
+ */
+function isOutOfStock(product, variantId) {
+    return getProductStock(product, variantId) === 0;
+}
+
+/**
+ * Check whether a product (or variant) is running low on stock
+ * @param {Object} product - Product object
+ * @param {string|null} variantId - The variant ID (optional)
+ * @returns {boolean} True if stock is above 0 but at or below LOW_STOCK_THRESHOLD
+ */
+function isLowStock(product, variantId) {
+    const stock = getProductStock(product, variantId);
+    return stock > 0 && stock <= LOW_STOCK_THRESHOLD;
+}
+
+/**
+ * Decrease the stock of several products in a single save
+ * Used when an order is placed
+ * @param {Array} items - Array of {productId, variantId, quantity}
+ * @returns {Promise} Resolves once the stock is saved
+ */
+async function decrementStock(items) {
+    try {
+        const products = await loadProductsForUpdate();
+        
+        items.forEach(item => {
+            const product = products.find(product => product.id === item.productId);
+            
+            if (!product) {
+                return;
+            }
+            
+            // Variants with their own stock are decremented directly,
+            // everything else comes out of the product's stock
+            if (variantHasOwnStock(product, item.variantId)) {
+                const variant = getProductVariant(product, item.variantId);
+                variant.stock = Math.max(0, variant.stock - item.quantity);
+            } else if (typeof product.stock === 'number') {
+                product.stock = Math.max(0, product.stock - item.quantity);
+            }
+        });
+        
+        await saveAllProducts(products);
+    } catch (error) {
+        console.error('Error updating stock:', error);
+        throw error;
+    }
+}
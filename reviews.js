@@ -0,0 +1,279 @@
+/**
+ * Product Reviews Module
+ * Handles customer star ratings and reviews, moderation and rating summaries
+ *
+ * New reviews wait in the moderation queue ("pending") until staff approve them.
+ * Only approved reviews are shown and count towards a product's rating.
+ */
+
+// LocalStorage key for storing reviews
+const REVIEWS_STORAGE_KEY = 'ecommerce_reviews';
+
+// Review statuses: waiting for moderation, shown on the product, or hidden by staff
+const REVIEW_STATUSES = ['pending', 'approved', 'hidden'];
+
+// Longest review text accepted
+const MAX_REVIEW_LENGTH = 2000;
+
+/**
+ * Get all reviews from LocalStorage (every status)
+ * @returns {Array} Array of reviews {id, productId, rating, text, author, customerId, status, createdAt}
+ */
+function getAllReviews() {
+    try {
+        const reviewsJson = localStorage.getItem(REVIEWS_STORAGE_KEY);
+        
+        if (!reviewsJson) {
+            return [];
+        }
+        
+        return parseStoredJson(REVIEWS_STORAGE_KEY, reviewsJson) || [];
+    } catch (error) {
+        console.error('Error getting reviews:', error);
+        return [];
+    }
+}
+
+/**
+ * Save all reviews to LocalStorage
+ * @param {Array} reviews - Array of reviews
+ */
+function saveReviews(reviews) {
+    writeLocalStorage(REVIEWS_STORAGE_KEY, JSON.stringify(reviews));
+}
+
+/**
+ * Get the approved reviews of a product, newest first
+ * @param {number} productId - The ID of the product
+ * @returns {Array} Array of reviews
+ */
+function getProductReviews(productId) {
+    return getAllReviews()
+        .filter(review => review.productId === productId && review.status === 'approved')
+        .sort((a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt));
+}
+
+/**
+ * Get reviews with a status, oldest first (the order they should be moderated in)
+ * @param {string} status - "pending", "approved" or "hidden" (anything else returns every review)
+ * @returns {Array} Array of reviews
+ */
+function getReviewsByStatus(status) {
+    return getAllReviews()
+        .filter(review => !REVIEW_STATUSES.includes(status) || review.status === status)
+        .sort((a, b) => Date.parse(a.createdAt) - Date.parse(b.createdAt));
+}
+
+/**
+ * Add a review to the moderation queue
+ * Signed in customers are linked to their account (see accounts.js)
+ * @param {Object} review - Review {productId, rating, text, author}
+ * @returns {Object} The new review (status "pending")
+ * @throws {Error} With a message to show if the review isn't valid
+ */
+function addReview(review) {
+    const rating = Number(review.rating);
+    const text = (review.text || '').trim();
+    const author = (review.author || '').trim();
+    
+    if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+        throw new Error(t('reviews.chooseRating'));
+    }
+    if (!text) {
+        throw new Error(t('reviews.enterText'));
+    }
+    if (text.length > MAX_REVIEW_LENGTH) {
+        throw new Error(t('reviews.tooLong', { max: MAX_REVIEW_LENGTH }));
+    }
+    if (!author) {
+        throw new Error(t('form.enterName'));
+    }
+    
+    try {
+        const customer = getCurrentCustomer();
+        const newReview = {
+            id: Date.now(),
+            productId: review.productId,
+            rating: rating,
+            text: text,
+            author: author,
+            customerId: customer ? customer.id : null,
+            status: 'pending',
+            createdAt: new Date().toISOString()
+        };
+        
+        const reviews = getAllReviews();
+        
+        // Keep IDs unique when two reviews are added in the same millisecond
+        while (reviews.some(existing => existing.id === newReview.id)) {
+            newReview.id++;
+        }
+        
+        reviews.push(newReview);
+        saveReviews(reviews);
+        
+        return newReview;
+    } catch (error) {
+        console.error('Error adding review:', error);
+        throw error;
+    }
+}
+
+/**
+ * Change the moderation status of a review
+ * Requires the "editor" role (see admin-auth.js)
+ * @param {number} id - The ID of the review
+ * @param {string} status - "pending", "approved" or "hidden"
+ * @returns {Object|null} Updated review or null if not found
+ */
+function setReviewStatus(id, status) {
+    requireAdminRole('editor', 'moderate reviews');
+    
+    if (!REVIEW_STATUSES.includes(status)) {
+        throw new Error(`Unknown review status: ${status}`);
+    }
+    
+    try {
+        const reviews = getAllReviews();
+        const review = reviews.find(review => review.id === id);
+        
+        if (!review) {
+            return null;
+        }
+        
+        review.status = status;
+        saveReviews(reviews);
+        
+        return review;
+    } catch (error) {
+        console.error('Error updating review status:', error);
+        throw error;
+    }
+}
+
+/**
+ * Delete a review
+ * Requires the "admin" role (see admin-auth.js)
+ * @param {number} id - The ID of the review to delete
+ * @returns {boolean} True if deleted, false if not found
+ */
+function deleteReview(id) {
+    requireAdminRole('admin', 'delete reviews');
+    
+    try {
+        const reviews = getAllReviews();
+        const filteredReviews = reviews.filter(review => review.id !== id);
+        
+        if (filteredReviews.length === reviews.length) {
+            return false;
+        }
+        
+        saveReviews(filteredReviews);
+        return true;
+    } catch (error) {
+        console.error('Error deleting review:', error);
+        throw error;
+    }
+}
+
+/**
+ * Put back a deleted review as it was (used to undo a delete in the admin panel)
+ * Requires the "admin" role (see admin-auth.js)
+ * @param {Object} review - The deleted review
+ */
+function restoreReview(review) {
+    requireAdminRole('admin', 'restore reviews');
+    
+    try {
+        const reviews = getAllReviews();
+        
+        if (!reviews.some(existing => existing.id === review.id)) {
+            reviews.push(review);
+            saveReviews(reviews);
+        }
+    } catch (error) {
+        console.error('Error restoring review:', error);
+        throw error;
+    }
+}
+
+/**
+ * Delete every review of a product (called when the product is purged from the trash)
+ * @param {number} productId - The ID of the product
+ */
+function deleteProductReviews(productId) {
+    try {
+        saveReviews(getAllReviews().filter(review => review.productId !== productId));
+    } catch (error) {
+        console.error('Error deleting product reviews:', error);
+        throw error;
+    }
+}
+
+/**
+ * Calculate the average rating and review count of every reviewed product
+ * Only approved reviews count
+ * @returns {Map} Map of product ID to {average, count}
+ */
+function getRatingSummaries() {
+    const summaries = new Map();
+    
+    getAllReviews()
+        .filter(review => review.status === 'approved')
+        .forEach(review => {
+            const summary = summaries.get(review.productId) || { total: 0, count: 0 };
+            summary.total += review.rating;
+            summary.count++;
+            summaries.set(review.productId, summary);
+        });
+        
+    summaries.forEach((summary, productId) => {
+        summaries.set(productId, {
+            average: Math.round((summary.total / summary.count) * 10) / 10,
+            count: summary.count
+        });
+    });
+    
+    return summaries;
+}
+
+/**
+ * Get the average rating and review count of a product
+ * @param {number} productId - The ID of the product
+ * @returns {Object} Summary {average, count} (average is 0 when there are no reviews)
+ */
+function getRatingSummary(productId) {
+    return getRatingSummaries().get(productId) || { average: 0, count: 0 };
+}
+
+/**
+ * Create a star rating element (e.g. "★★★★☆ 4.2 (12)")
+ * @param {number} average - Average rating from 0 to 5
+ * @param {number} count - Number of reviews (optional; leave out to show only the stars)
+ * @returns {HTMLElement} Star rating element
+ */
+function createStarRating(average, count) {
+    const rating = document.createElement('div');
+    rating.className = 'star-rating';
+    
+    const stars = document.createElement('span');
+    stars.className = 'stars';
+    const fullStars = Math.round(average);
+    stars.textContent = '★'.repeat(fullStars) + '☆'.repeat(5 - fullStars);
+    stars.setAttribute('aria-hidden', 'true');
+    rating.appendChild(stars);
+    
+    if (typeof count === 'number') {
+        const summary = document.createElement('span');
+        summary.className = 'rating-summary';
+        summary.textContent = count > 0 ? `${average.toFixed(1)} (${count})` : t('rating.noReviews');
+        rating.appendChild(summary);
+        rating.setAttribute('aria-label', count > 0
+            ? t('rating.summary', { average: average.toFixed(1), count: count })
+            : t('rating.noReviews'));
+    } else {
+        rating.setAttribute('aria-label', t('rating.stars', { average: average }));
+    }
+    
+    return rating;
+}
@@ -0,0 +1,312 @@
+/**
+ * Router Module
+ * Shows the store's views (catalog, product, cart, checkout, ...) in one page, index.html,
+ * switching between them without reloading the page
+ *
+ * The route is kept in the URL hash (e.g. index.html#/product?id=3), so the store still works
+ * when opened straight from disk. Links to the store's pages (e.g. product.html?id=3) are opened
+ * as views, and those pages still work as addresses: they redirect to the view (see redirectToShell()).
+ * Each view's markup is a <template> in index.html, and its script registers it with registerView().
+ */
+
+// Route path of each page of the store (the page's address still opens the view)
+const PAGE_ROUTES = {
+    'index.html': '/',
+    'product.html': '/product',
+    'cart.html': '/cart',
+    'checkout.html': '/checkout',
+    'orders.html': '/orders',
+    'wishlist.html': '/wishlist',
+    'account.html': '/account',
+    'admin.html': '/admin'
+};
+
+// Scroll position is saved this many milliseconds after scrolling stops
+const SCROLL_SAVE_DELAY_MS = 100;
+
+// Views by route path: {template, title, mount(params), unmount()}
+const views = {};
+
+// The view shown, or null before the first route is shown
+let currentView = null;
+
+// Incremented on every route change so a slow, older view doesn't restore its scroll position
+let routeRenderId = 0;
+
+// Timer for saving the scroll position
+let scrollSaveTimer = null;
+
+/**
+ * Register a view
+ * @param {string} path - Route path (see PAGE_ROUTES)
+ * @param {Object} view - {template: ID of its <template>, title, mount(params): shows it (may be async), unmount(): cleans up (optional)}
+ * @returns {Object} The view
+ */
+function registerView(path, view) {
+    views[path] = view;
+    return view;
+}
+
+/**
+ * Get a registered view, e.g. to call functions it shares with the rest of its page
+ * @param {string} path - Route path (see PAGE_ROUTES)
+ * @returns {Object|null} The view or null if none is registered
+ */
+function getView(path) {
+    return views[path] || null;
+}
+
+/**
+ * Get the file name of a page from its path (e.g. "/shop/cart.html" -> "cart.html")
+ * @param {string} pathname - URL path
+ * @returns {string} File name ("index.html" for a folder)
+ */
+function getPageName(pathname) {
+    return pathname.substring(pathname.lastIndexOf('/') + 1) || 'index.html';
+}
+
+/**
+ * Read the route from the URL hash
+ * @param {string} hash - URL hash (e.g. "#/product?id=3")
+ * @returns {Object} {path, params: URLSearchParams}
+ */
+function parseRoute(hash) {
+    const route = hash.replace(/^#/, '') || '/';
+    const queryStart = route.indexOf('?');
+    
+    if (queryStart === -1) {
+        return { path: route, params: new URLSearchParams() };
+    }
+    
+    return {
+        path: route.substring(0, queryStart),
+        params: new URLSearchParams(route.substring(queryStart + 1))
+    };
+}
+
+/**
+ * Build the shell URL of a route
+ * @param {string} path - Route path
+ * @param {URLSearchParams|string} params - Query parameters
+ * @returns {string} URL (e.g. "/index.html#/product?id=3")
+ */
+function buildRouteUrl(path, params) {
+    const queryString = params.toString();
+    return `${window.location.pathname}#${path}${queryString ? `?${queryString}` : ''}`;
+}
+
+/**
+ * Get the route a link to one of the store's pages opens
+ * @param {string} href - Link address (e.g. "product.html?id=3")
+ * @returns {Object|null} {path, params}, or null if it isn't a page of the store
+ */
+function getRouteForHref(href) {
+    let url;
+    try {
+        url = new URL(href, window.location.href);
+    } catch (error) {
+        return null;
+    }
+    
+    // Only pages next to this one (other sites and downloads are left alone)
+    const folder = window.location.pathname.substring(0, window.location.pathname.lastIndexOf('/') + 1);
+    if (url.origin !== window.location.origin || !url.pathname.startsWith(folder)) {
+        return null;
+    }
+    
+    const path = PAGE_ROUTES[url.pathname.substring(folder.length) || 'index.html'];
+    if (!path) {
+        return null;
+    }
+    
+    return { path: path, params: url.searchParams };
+}
+
+/**
+ * Get the query parameters of the route shown
+ * @returns {URLSearchParams} The parameters
+ */
+function getRouteParams() {
+    return parseRoute(window.location.hash).params;
+}
+
+/**
+ * Change the query parameters of the route shown without showing it again or adding to the history
+ * Used to keep a view's state (filters, page, ...) in the URL so it can be bookmarked and shared
+ * @param {URLSearchParams} params - The new parameters
+ */
+function replaceRouteParams(params) {
+    const { path } = parseRoute(window.location.hash);
+    window.history.replaceState(window.history.state, '', buildRouteUrl(path, params));
+}
+
+/**
+ * Remember the scroll position in the current history entry, so back and forward can return to it
+ */
+function saveScrollPosition() {
+    clearTimeout(scrollSaveTimer);
+    window.history.replaceState({ ...window.history.state, scrollY: window.scrollY }, '');
+}
+
+/**
+ * Show another view
+ * @param {string} href - Address of one of the store's pages (e.g. "product.html?id=3")
+ * @param {Object} options - {replace: true to replace the current history entry instead of adding one} (optional)
+ * @returns {Promise} Resolves once the view is shown
+ */
+function navigateTo(href, options = {}) {
+    const route = getRouteForHref(href);
+    
+    // Not a view (e.g. another site), so leave the store
+    if (!route) {
+        window.location.assign(href);
+        return Promise.resolve();
+    }
+    
+    const url = buildRouteUrl(route.path, route.params);
+    const current = parseRoute(window.location.hash);
+    
+    // Opening the view shown again doesn't add to the history
+    if (options.replace || url === buildRouteUrl(current.path, current.params)) {
+        window.history.replaceState(null, '', url);
+    } else {
+        saveScrollPosition();
+        window.history.pushState(null, '', url);
+    }
+    
+    return renderRoute(true);
+}
+
+/**
+ * Show the view shown again (e.g. after logging in)
+ * @returns {Promise} Resolves once the view is shown
+ */
+function refreshView() {
+    return renderRoute(false);
+}
+
+/**
+ * Show the view for the URL hash, restoring the scroll position saved for this history entry
+ * @param {boolean} moveFocus - Move keyboard focus to the new view (when the shopper went to another view)
+ * @returns {Promise} Resolves once the view is shown
+ */
+async function renderRoute(moveFocus) {
+    const { path, params } = parseRoute(window.location.hash);
+    const view = views[path];
+    
+    // Unknown routes show the catalog
+    if (!view) {
+        return navigateTo('index.html', { replace: true });
+    }
+    
+    const renderId = ++routeRenderId;
+    const app = document.getElementById('app');
+    
+    if (currentView && currentView.unmount) {
+        currentView.unmount();
+    }
+    currentView = view;
+    
+    // Modals left open in the old view no longer keep focus
+    app.querySelectorAll('[aria-modal="true"]').forEach(dialog => {
+        releaseDialogFocus(dialog, false);
+    });
+    
+    // Show the view's markup in the shopper's language
+    app.innerHTML = '';
+    app.appendChild(document.getElementById(view.template).content.cloneNode(true));
+    applyTranslations(app);
+    document.title = `E-Commerce Store - ${view.title}`;
+    
+    if (moveFocus) {
+        app.focus({ preventScroll: true });
+    }
+    
+    try {
+        await view.mount(params);
+    } catch (error) {
+        // A view that's no longer shown may fail to find its markup
+        if (renderId === routeRenderId) {
+            console.error(`Error showing ${path}:`, error);
+            showToast(t('common.pageFailed'), 'error');
+        }
+    }
+    
+    // Another view was opened while this one loaded
+    if (renderId !== routeRenderId) {
+        return;
+    }
+    
+    const state = window.history.state;
+    window.scrollTo(0, state && state.scrollY ? state.scrollY : 0);
+}
+
+/**
+ * Open links to the store's pages as views, and scroll to the target of in-page links
+ * @param {MouseEvent} event - Click event
+ */
+function handleLinkClick(event) {
+    // Leave new tabs, downloads and other modified clicks to the browser
+    if (event.defaultPrevented || event.button !== 0 || event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) {
+        return;
+    }
+    
+    const link = event.target.closest('a[href]');
+    if (!link || link.target || link.hasAttribute('download')) {
+        return;
+    }
+    
+    const href = link.getAttribute('href');
+    
+    // In-page links (e.g. "#product-reviews") would replace the route in the hash, so scroll to their target instead
+    if (href.startsWith('#') && !href.startsWith('#/')) {
+        event.preventDefault();
+        const target = document.getElementById(decodeURIComponent(href.substring(1)));
+        if (target) {
+            target.scrollIntoView();
+        }
+        return;
+    }
+    
+    if (!getRouteForHref(href)) {
+        return;
+    }
+    
+    event.preventDefault();
+    navigateTo(href);
+}
+
+/**
+ * Start showing views (called once by app.js, after the data is ready)
+ * @returns {Promise} Resolves once the first view is shown
+ */
+function startRouter() {
+    // Scroll positions are restored by renderRoute(), once the view is shown
+    window.history.scrollRestoration = 'manual';
+    
+    // Older links like index.html?category=books open the catalog with those filters
+    if (!window.location.hash) {
+        window.history.replaceState(null, '', buildRouteUrl('/', window.location.search.substring(1)));
+    }
+    
+    document.addEventListener('click', handleLinkClick);
+    window.addEventListener('popstate', function() {
+        renderRoute(true);
+    });
+    window.addEventListener('scroll', function() {
+        clearTimeout(scrollSaveTimer);
+        scrollSaveTimer = setTimeout(saveScrollPosition, SCROLL_SAVE_DELAY_MS);
+    });
+    
+    return renderRoute(false);
+}
+
+/**
+ * Open the view of the page being shown in index.html (used by the pages other than index.html)
+ * Keeps the query string, so e.g. product.html?id=3 opens index.html#/product?id=3
+ */
+function redirectToShell() {
+    const path = PAGE_ROUTES[getPageName(window.location.pathname)] || '/';
+    const queryString = window.location.search;
+    window.location.replace(`index.html#${path}${queryString}`);
+}
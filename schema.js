@@ -0,0 +1,466 @@
+/**
+ * Data Schema Module
+ * Checks every product, trashed product, cart line and wishlist item read from or written to the
+ * storage adapter (see storage.js), generates collision-free IDs and upgrades stored data
+ *
+ * Reads drop malformed records from their collection and keep them in a quarantine (LocalStorage),
+ * so one bad record can't break a page. Writes refuse malformed records.
+ *
+ * Each stored collection has a schema version. Collections saved by an older version of the store
+ * are upgraded by the migrations in SCHEMA_MIGRATIONS the first time a page reads them. To change
+ * the data model, add a migration with the next version number; never edit one that has shipped.
+ */
+
+// Storage key for the schema version of each collection (stored through the adapter next to the data)
+const SCHEMA_VERSIONS_STORAGE_KEY = 'ecommerce_schema_versions';
+
+// LocalStorage key for records taken out of their collection because they're malformed
+const QUARANTINE_STORAGE_KEY = 'ecommerce_quarantine';
+
+// Upgrades of stored data, oldest first
+// collections: which kinds of collection a migration applies to (see RECORD_SCHEMAS)
+// migrate(items): gets the stored array and returns the upgraded one
+const SCHEMA_MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Store numbers saved as text (e.g. "19.99") as numbers',
+        collections: ['products', 'product_trash'],
+        migrate(products) {
+            return products.map(product => {
+                // Records that aren't objects are left for the quarantine
+                if (!isPlainObject(product)) {
+                    return product;
+                }
+                
+                const upgraded = { ...product };
+                ['id', 'price', 'stock', 'weight'].forEach(field => {
+                    upgraded[field] = toNumberIfNumeric(upgraded[field]);
+                });
+                
+                if (Array.isArray(upgraded.variants)) {
+                    upgraded.variants = upgraded.variants.map(variant => isPlainObject(variant)
+                        ? removeUndefinedFields({
+                            ...variant,
+                            price: toNumberIfNumeric(variant.price),
+                            stock: toNumberIfNumeric(variant.stock)
+                        })
+                        : variant);
+                }
+                
+                return removeUndefinedFields(upgraded);
+            });
+        }
+    },
+    {
+        version: 2,
+        description: 'Give cart lines and wishlist items saved before variants existed a variantId of null',
+        collections: ['cart', 'wishlist'],
+        migrate(items) {
+            return items.map(item => {
+                if (!isPlainObject(item)) {
+                    return item;
+                }
+                
+                return removeUndefinedFields({
+                    ...item,
+                    productId: toNumberIfNumeric(item.productId),
+                    quantity: toNumberIfNumeric(item.quantity),
+                    variantId: item.variantId === undefined ? null : item.variantId
+                });
+            });
+        }
+    }
+];
+
+// Schema version of data saved by this version of the store
+const CURRENT_SCHEMA_VERSION = SCHEMA_MIGRATIONS.reduce((version, migration) => Math.max(version, migration.version), 0);
+
+// How each kind of collection is checked
+// label: what a record is called in error messages, validate(record): returns a list of problems
+const RECORD_SCHEMAS = {
+    products: { label: 'product', validate: validateProductRecord },
+    product_trash: { label: 'trashed product', validate: validateTrashedProductRecord },
+    cart: { label: 'cart item', validate: validateCartItemRecord },
+    wishlist: { label: 'wishlist item', validate: validateWishlistItemRecord }
+};
+
+// Last ID handed out by generateUniqueId() on this page
+let lastGeneratedId = 0;
+
+// Collections already upgraded on this page (storage key -> Promise), and the queue migrations run in
+const migratedCollections = new Map();
+let migrationQueue = Promise.resolve();
+
+/**
+ * Turn numbers saved as text into numbers (anything else is returned as it is)
+ * @param {*} value - Stored value
+ * @returns {*} The number, or the value unchanged
+ */
+function toNumberIfNumeric(value) {
+    if (typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value))) {
+        return Number(value);
+    }
+    
+    return value;
+}
+
+/**
+ * Drop the fields of an object whose value is undefined
+ * @param {Object} record - The object
+ * @returns {Object} The same object
+ */
+function removeUndefinedFields(record) {
+    Object.keys(record).forEach(field => {
+        if (record[field] === undefined) {
+            delete record[field];
+        }
+    });
+    
+    return record;
+}
+
+/**
+ * Generate a numeric ID that no stored record uses
+ * IDs are based on the current time, and always increase on a page, so records created in the
+ * same millisecond (e.g. in a bulk import) still get different IDs
+ * @param {Iterable<number>} usedIds - IDs already taken (optional)
+ * @returns {number} The new ID
+ */
+function generateUniqueId(usedIds = []) {
+    const taken = new Set(usedIds);
+    let id = Math.max(Date.now(), lastGeneratedId + 1);
+    
+    while (taken.has(id)) {
+        id++;
+    }
+    
+    lastGeneratedId = id;
+    return id;
+}
+
+/**
+ * Check whether a value is a plain object (not null or an array)
+ * @param {*} value - Value to check
+ * @returns {boolean} True for objects
+ */
+function isPlainObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Check whether a value is a number of zero or more
+ * @param {*} value - Value to check
+ * @returns {boolean} True for finite numbers >= 0
+ */
+function isNonNegativeNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+/**
+ * Check a product read from or written to storage
+ * @param {*} product - The stored product
+ * @returns {Array} Problems found (empty if the product is valid)
+ */
+function validateProductRecord(product) {
+    if (!isPlainObject(product)) {
+        return ['is not an object'];
+    }
+    
+    const errors = [];
+    
+    // Required fields
+    if (!Number.isSafeInteger(product.id) || product.id <= 0) {
+        errors.push('id must be a positive whole number');
+    }
+    if (typeof product.name !== 'string' || !product.name.trim()) {
+        errors.push('name is required');
+    }
+    if (!isNonNegativeNumber(product.price)) {
+        errors.push('price must be a number of 0 or more');
+    }
+    if (typeof product.category !== 'string') {
+        errors.push('category must be text');
+    }
+    
+    // Optional fields
+    ['sku', 'image', 'description', 'createdAt'].forEach(field => {
+        if (product[field] !== undefined && typeof product[field] !== 'string') {
+            errors.push(`${field} must be text`);
+        }
+    });
+    if (product.stock !== undefined && !(Number.isInteger(product.stock) && product.stock >= 0)) {
+        errors.push('stock must be a whole number of 0 or more');
+    }
+    if (product.weight !== undefined && !isNonNegativeNumber(product.weight)) {
+        errors.push('weight must be a number of 0 or more');
+    }
+    if (product.images !== undefined && !(Array.isArray(product.images) && product.images.every(image => typeof image === 'string'))) {
+        errors.push('images must be a list of image URLs');
+    }
+    
+    // Variant options and variants
+    if (product.options !== undefined) {
+        const validOptions = Array.isArray(product.options) && product.options.every(option =>
+            isPlainObject(option) &&
+            typeof option.name === 'string' &&
+            Array.isArray(option.values) &&
+            option.values.every(value => typeof value === 'string'));
+        
+        if (!validOptions) {
+            errors.push('options must be a list of {name, values}');
+        }
+    }
+    if (product.variants !== undefined) {
+        const validVariants = Array.isArray(product.variants) && product.variants.every(variant =>
+            isPlainObject(variant) &&
+            typeof variant.id === 'string' &&
+            isPlainObject(variant.options) &&
+            (variant.price === undefined || isNonNegativeNumber(variant.price)) &&
+            (variant.stock === undefined || (Number.isInteger(variant.stock) && variant.stock >= 0)) &&
+            (variant.image === undefined || typeof variant.image === 'string'));
+        
+        if (!validVariants) {
+            errors.push('variants must be a list of {id, options} with valid price, stock and image overrides');
+        }
+    }
+    
+    return errors;
+}
+
+/**
+ * Check a product in the trash (a product plus when it was deleted)
+ * @param {*} product - The stored product
+ * @returns {Array} Problems found (empty if the product is valid)
+ */
+function validateTrashedProductRecord(product) {
+    const errors = validateProductRecord(product);
+    
+    if (isPlainObject(product) && typeof product.deletedAt !== 'string') {
+        errors.push('deletedAt must be a date');
+    }
+    
+    return errors;
+}
+
+/**
+ * Check the product and variant fields shared by cart lines and wishlist items
+ * @param {Object} item - The stored item
+ * @returns {Array} Problems found
+ */
+function validateProductReference(item) {
+    const errors = [];
+    
+    if (!Number.isSafeInteger(item.productId) || item.productId <= 0) {
+        errors.push('productId must be a positive whole number');
+    }
+    if (item.variantId !== null && typeof item.variantId !== 'string') {
+        errors.push('variantId must be text or null');
+    }
+    
+    return errors;
+}
+
+/**
+ * Check a cart line read from or written to storage
+ * @param {*} item - The stored cart line
+ * @returns {Array} Problems found (empty if the line is valid)
+ */
+function validateCartItemRecord(item) {
+    if (!isPlainObject(item)) {
+        return ['is not an object'];
+    }
+    
+    const errors = validateProductReference(item);
+    
+    if (!Number.isInteger(item.quantity) || item.quantity < 1) {
+        errors.push('quantity must be a whole number of 1 or more');
+    }
+    
+    return errors;
+}
+
+/**
+ * Check a wishlist item read from or written to storage
+ * @param {*} item - The stored wishlist item
+ * @returns {Array} Problems found (empty if the item is valid)
+ */
+function validateWishlistItemRecord(item) {
+    if (!isPlainObject(item)) {
+        return ['is not an object'];
+    }
+    
+    const errors = validateProductReference(item);
+    
+    if (item.addedAt !== undefined && typeof item.addedAt !== 'string') {
+        errors.push('addedAt must be a date');
+    }
+    
+    return errors;
+}
+
+/**
+ * Get the records taken out of their collections, oldest first
+ * @returns {Array} Array of {key, record, errors, quarantinedAt}
+ */
+function getQuarantinedRecords() {
+    try {
+        const quarantineJson = localStorage.getItem(QUARANTINE_STORAGE_KEY);
+        return parseStoredJson(QUARANTINE_STORAGE_KEY, quarantineJson) || [];
+    } catch (error) {
+        console.error('Error getting quarantined records:', error);
+        return [];
+    }
+}
+
+/**
+ * Keep malformed records in the quarantine
+ * @param {string} key - Storage key of the collection they were in
+ * @param {Array} rejected - Array of {record, errors}
+ */
+function quarantineRecords(key, rejected) {
+    const quarantinedAt = new Date().toISOString();
+    
+    rejected.forEach(({ record, errors }) => {
+        console.warn(`Quarantined a malformed record from ${key}: ${errors.join(', ')}`, record);
+    });
+    
+    try {
+        const quarantine = getQuarantinedRecords();
+        rejected.forEach(({ record, errors }) => {
+            quarantine.push({ key, record, errors, quarantinedAt });
+        });
+        writeLocalStorage(QUARANTINE_STORAGE_KEY, JSON.stringify(quarantine));
+    } catch (error) {
+        console.error('Error quarantining records:', error);
+    }
+}
+
+/**
+ * Load the schema version of every stored collection
+ * @returns {Promise<Array>} Array of {key, version, migratedAt}
+ */
+async function loadSchemaVersions() {
+    return await getStorage().load(SCHEMA_VERSIONS_STORAGE_KEY) || [];
+}
+
+/**
+ * Upgrade a stored collection to CURRENT_SCHEMA_VERSION, running every migration it hasn't had yet
+ * @param {string} key - Storage key of the collection
+ * @param {string} collection - Kind of collection (a key of RECORD_SCHEMAS)
+ * @returns {Promise} Resolves once the collection is up to date
+ */
+async function migrateCollection(key, collection) {
+    const versions = await loadSchemaVersions();
+    const versionEntry = versions.find(entry => entry.key === key);
+    const version = versionEntry ? versionEntry.version : 0;
+    
+    if (version >= CURRENT_SCHEMA_VERSION) {
+        return;
+    }
+    
+    const pendingMigrations = SCHEMA_MIGRATIONS
+        .filter(migration => migration.version > version && migration.collections.includes(collection))
+        .sort((a, b) => a.version - b.version);
+    
+    // Collections that aren't stored yet (or aren't a list) have nothing to upgrade
+    const items = await getStorage().load(key);
+    if (Array.isArray(items) && pendingMigrations.length > 0) {
+        const upgradedItems = pendingMigrations.reduce((current, migration) => migration.migrate(current), items);
+        await getStorage().save(key, upgradedItems);
+    }
+    
+    // Record the new version (loaded again, in case another collection was upgraded meanwhile)
+    const latestVersions = (await loadSchemaVersions()).filter(entry => entry.key !== key);
+    latestVersions.push({ key, version: CURRENT_SCHEMA_VERSION, migratedAt: new Date().toISOString() });
+    await getStorage().save(SCHEMA_VERSIONS_STORAGE_KEY, latestVersions);
+}
+
+/**
+ * Make sure a collection is upgraded before it's read (at most once per page)
+ * Migrations run one at a time, so they never overwrite each other's version records
+ * @param {string} key - Storage key of the collection
+ * @param {string} collection - Kind of collection (a key of RECORD_SCHEMAS)
+ * @returns {Promise} Resolves once the collection is up to date
+ */
+function ensureCollectionMigrated(key, collection) {
+    if (!migratedCollections.has(key)) {
+        const migration = migrationQueue.then(() => migrateCollection(key, collection));
+        
+        // A failed migration is tried again on the next read
+        migration.catch(error => {
+            console.error(`Error migrating ${key}:`, error);
+            migratedCollections.delete(key);
+        });
+        
+        migratedCollections.set(key, migration);
+        migrationQueue = migration.catch(() => {});
+    }
+    
+    return migratedCollections.get(key);
+}
+
+/**
+ * Load a collection through the storage adapter, upgraded and checked
+ * Malformed records are moved to the quarantine and the rest is saved back without them
+ * @param {string} key - Storage key of the collection
+ * @param {string} collection - Kind of collection (a key of RECORD_SCHEMAS)
+ * @returns {Promise<Array>} The valid records (empty if nothing is stored yet)
+ * @throws {Error} If the collection can't be read
+ */
+async function loadRecords(key, collection) {
+    await ensureCollectionMigrated(key, collection);
+    
+    const stored = await getStorage().load(key);
+    if (stored === null) {
+        return [];
+    }
+    
+    // Something that isn't a list can't be used at all
+    if (!Array.isArray(stored)) {
+        quarantineRecords(key, [{ record: stored, errors: ['collection is not a list'] }]);
+        await getStorage().save(key, []);
+        return [];
+    }
+    
+    const schema = RECORD_SCHEMAS[collection];
+    const valid = [];
+    const rejected = [];
+    
+    stored.forEach(record => {
+        const errors = schema.validate(record);
+        if (errors.length === 0) {
+            valid.push(record);
+        } else {
+            rejected.push({ record, errors });
+        }
+    });
+    
+    if (rejected.length > 0) {
+        quarantineRecords(key, rejected);
+        await getStorage().save(key, valid);
+    }
+    
+    return valid;
+}
+
+/**
+ * Save a collection through the storage adapter, refusing malformed records
+ * @param {string} key - Storage key of the collection
+ * @param {string} collection - Kind of collection (a key of RECORD_SCHEMAS)
+ * @param {Array} records - The records to store
+ * @returns {Promise} Resolves once the collection is saved
+ * @throws {Error} If a record is malformed (nothing is saved)
+ */
+async function saveRecords(key, collection, records) {
+    const schema = RECORD_SCHEMAS[collection];
+    
+    records.forEach(record => {
+        const errors = schema.validate(record);
+        if (errors.length > 0) {
+            const name = isPlainObject(record) && record.name ? ` "${record.name}"` : '';
+            throw new Error(`Invalid ${schema.label}${name}: ${errors.join(', ')}`);
+        }
+    });
+    
+    await getStorage().save(key, records);
+}
@@ -0,0 +1,257 @@
+/**
+ * Product Search Module
+ * Client-side full-text index over product name, description and category,
+ * with relevance ranking, typo tolerance and highlighting helpers
+ */
+
+// How much a match in each field counts towards a product's relevance
+const SEARCH_FIELD_WEIGHTS = {
+    name: 3,
+    category: 2,
+    description: 1
+};
+
+// How much each kind of term match counts (exact > prefix > typo)
+const SEARCH_MATCH_SCORES = {
+    exact: 1,
+    prefix: 0.7,
+    fuzzy: 0.5
+};
+
+// Cached index and the products JSON it was built from
+let searchIndexCache = null;
+let searchIndexSource = null;
+
+/**
+ * Split text into lowercase search terms
+ * @param {string} text - Text to split
+ * @returns {Array} Array of terms (letters and digits only)
+ */
+function tokenize(text) {
+    return (text || '')
+        .toLowerCase()
+        .split(/[^a-z0-9]+/)
+        .filter(term => term);
+}
+
+/**
+ * Build a search index for a list of products
+ * @param {Array} products - Products to index
+ * @returns {Object} Index {products, postings} where postings maps term -> {productId: weight}
+ */
+function buildSearchIndex(products) {
+    const postings = {};
+    
+    products.forEach(product => {
+        Object.keys(SEARCH_FIELD_WEIGHTS).forEach(field => {
+            tokenize(product[field]).forEach(term => {
+                if (!postings[term]) {
+                    postings[term] = {};
+                }
+                
+                // Keep the best field weight for each product (a name match beats a description match)
+                const current = postings[term][product.id] || 0;
+                postings[term][product.id] = Math.max(current, SEARCH_FIELD_WEIGHTS[field]);
+            });
+        });
+    });
+    
+    return {
+        products: products,
+        postings: postings
+    };
+}
+
+/**
+ * Get the search index for a catalog
+ * The index is rebuilt only when the products change
+ * @param {Array} products - Products to search (usually from getAllProducts())
+ * @returns {Object} Search index
+ */
+function getSearchIndex(products) {
+    const source = JSON.stringify(products);
+    
+    if (!searchIndexCache || source !== searchIndexSource) {
+        searchIndexCache = buildSearchIndex(products);
+        searchIndexSource = source;
+    }
+    
+    return searchIndexCache;
+}
+
+/**
+ * Calculate the edit distance between two terms (Levenshtein)
+ * Stops early once the distance is known to be more than maxDistance
+ * @param {string} a - First term
+ * @param {string} b - Second term
+ * @param {number} maxDistance - Largest distance we care about
+ * @returns {number} Edit distance (maxDistance + 1 if it's larger than maxDistance)
+ */
+function getEditDistance(a, b, maxDistance) {
+    if (Math.abs(a.length - b.length) > maxDistance) {
+        return maxDistance + 1;
+    }
+    
+    let previousRow = Array.from({ length: b.length + 1 }, (value, index) => index);
+    
+    for (let i = 1; i <= a.length; i++) {
+        const currentRow = [i];
+        let rowMinimum = i;
+        
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            currentRow[j] = Math.min(
+                previousRow[j] + 1,
+                currentRow[j - 1] + 1,
+                previousRow[j - 1] + cost
+            );
+            rowMinimum = Math.min(rowMinimum, currentRow[j]);
+        }
+        
+        // Every path through this row is already too far away
+        if (rowMinimum > maxDistance) {
+            return maxDistance + 1;
+        }
+        
+        previousRow = currentRow;
+    }
+    
+    return previousRow[b.length];
+}
+
+/**
+ * Get how many typos are tolerated for a query term
+ * Short terms must match exactly, longer terms allow one or two typos
+ * @param {string} term - Query term
+ * @returns {number} Allowed edit distance
+ */
+function getAllowedTypos(term) {
+    if (term.length >= 8) {
+        return 2;
+    }
+    if (term.length >= 4) {
+        return 1;
+    }
+    return 0;
+}
+
+/**
+ * Find index terms that match a query term (exactly, as a prefix, or with a typo)
+ * @param {Object} index - Search index
+ * @param {string} queryTerm - A single query term
+ * @returns {Array} Array of {term, score}
+ */
+function findMatchingTerms(index, queryTerm) {
+    const allowedTypos = getAllowedTypos(queryTerm);
+    const matches = [];
+    
+    Object.keys(index.postings).forEach(term => {
+        if (term === queryTerm) {
+            matches.push({ term: term, score: SEARCH_MATCH_SCORES.exact });
+        } else if (term.startsWith(queryTerm)) {
+            matches.push({ term: term, score: SEARCH_MATCH_SCORES.prefix });
+        } else if (allowedTypos > 0 && getEditDistance(queryTerm, term, allowedTypos) <= allowedTypos) {
+            matches.push({ term: term, score: SEARCH_MATCH_SCORES.fuzzy });
+        }
+    });
+    
+    return matches;
+}
+
+/**
+ * Search the catalog, ranking products by relevance
+ * Every word in the query must match (in any order) for a product to be included
+ * @param {string} query - The search query
+ * @param {Array} products - Products to search
+ * @returns {Object} Results {results: [{product, score}], terms: matched index terms}
+ */
+function searchCatalog(query, products) {
+    const index = getSearchIndex(products);
+    const queryTerms = [...new Set(tokenize(query))];
+    const matchedTerms = new Set();
+    
+    if (queryTerms.length === 0) {
+        return { results: [], terms: [] };
+    }
+    
+    // Score per product, and how many query terms each product matched
+    const scores = {};
+    const termCounts = {};
+    
+    queryTerms.forEach(queryTerm => {
+        // Best score this query term gives each product
+        const bestScores = {};
+        
+        findMatchingTerms(index, queryTerm).forEach(match => {
+            matchedTerms.add(match.term);
+            
+            Object.entries(index.postings[match.term]).forEach(([productId, weight]) => {
+                const score = weight * match.score;
+                bestScores[productId] = Math.max(bestScores[productId] || 0, score);
+            });
+        });
+        
+        Object.entries(bestScores).forEach(([productId, score]) => {
+            scores[productId] = (scores[productId] || 0) + score;
+            termCounts[productId] = (termCounts[productId] || 0) + 1;
+        });
+    });
+    
+    const results = index.products
+        .filter(product => termCounts[product.id] === queryTerms.length)
+        .map(product => ({ product: product, score: scores[product.id] }))
+        .sort((a, b) => b.score - a.score);
+    
+    return {
+        results: results,
+        terms: [...matchedTerms]
+    };
+}
+
+/**
+ * Get autocomplete suggestions for a partly typed query
+ * @param {string} query - The search query
+ * @param {Array} products - Products to search
+ * @param {number} limit - Maximum number of suggestions (defaults to 5)
+ * @returns {Array} Array of the best matching products
+ */
+function getSearchSuggestions(query, products, limit = 5) {
+    return searchCatalog(query, products).results
+        .slice(0, limit)
+        .map(result => result.product);
+}
+
+/**
+ * Create text with matched search terms wrapped in <mark> elements
+ * @param {string} text - Text to display
+ * @param {Array} terms - Matched index terms (lowercase)
+ * @returns {DocumentFragment} Fragment with highlighted text
+ */
+function highlightText(text, terms) {
+    const fragment = document.createDocumentFragment();
+    const termSet = new Set(terms || []);
+    
+    // Split into words and the separators between them, keeping both
+    (text || '').split(/([^A-Za-z0-9]+)/).forEach(part => {
+        if (part && termSet.has(part.toLowerCase())) {
+            const mark = document.createElement('mark');
+            mark.textContent = part;
+            fragment.appendChild(mark);
+        } else if (part) {
+            fragment.appendChild(document.createTextNode(part));
+        }
+    });
+    
+    return fragment;
+}
+
+/**
+ * Check whether any matched search term appears in a piece of text
+ * @param {string} text - Text to check
+ * @param {Array} terms - Matched index terms (lowercase)
+ * @returns {boolean} True if the text contains a matched term
+ */
+function containsSearchTerm(text, terms) {
+    const termSet = new Set(terms || []);
+    return tokenize(text).some(term => termSet.has(term));
+}
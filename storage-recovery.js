@@ -0,0 +1,300 @@
+/**
+ * Storage Recovery Module
+ * Handles the two ways saved data can fail: the browser's storage being full (or unavailable,
+ * e.g. in some private modes) and saved data that is no longer valid JSON
+ *
+ * Damaged data is not thrown away: every record that can still be read is kept, and the
+ * original text is kept for the backup. Either problem is shown in a toast that stays until
+ * it's dismissed (it doesn't block the page) with a button to download a backup of the saved data.
+ */
+
+// LocalStorage key for the original text of damaged data (one entry per storage key, latest only)
+const DAMAGED_DATA_STORAGE_KEY = 'ecommerce_damaged_data';
+
+// Damaged data found on this page, kept in memory too in case it can't be stored
+const damagedDataFound = [];
+
+// The storage notice currently shown (a toast handle, or null)
+let storageNotice = null;
+
+/**
+ * Check whether an error means the browser's storage is full
+ * Covers LocalStorage and IndexedDB in every major browser, and "413 Payload Too Large" from the REST API
+ * @param {Error} error - The error
+ * @returns {boolean} True if the data didn't fit
+ */
+function isQuotaExceededError(error) {
+    return Boolean(error) && (
+        error.name === 'QuotaExceededError' ||
+        error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+        error.code === 22 ||
+        error.code === 1014 ||
+        error.status === 413
+    );
+}
+
+/**
+ * Turn a failed write into the error to show, telling the user when their storage is full
+ * @param {Error} error - The error thrown by the write
+ * @param {string} key - Storage key that was being written
+ * @returns {Error} A "storage is full" error (with the original as its cause), or the original error
+ */
+function handleStorageWriteError(error, key) {
+    if (!isQuotaExceededError(error)) {
+        return error;
+    }
+    
+    console.error(`Storage is full, could not save ${key}:`, error);
+    showStorageNotice(t('storage.full', { name: describeStorageKey(key) }));
+    
+    const quotaError = new Error(t('storage.fullError'), { cause: error });
+    quotaError.name = 'QuotaExceededError';
+    return quotaError;
+}
+
+/**
+ * Write a value to LocalStorage, telling the user if their storage is full
+ * @param {string} key - Storage key
+ * @param {string} value - Value to store
+ * @throws {Error} If the value can't be stored (see handleStorageWriteError())
+ */
+function writeLocalStorage(key, value) {
+    try {
+        localStorage.setItem(key, value);
+    } catch (error) {
+        throw handleStorageWriteError(error, key);
+    }
+}
+
+/**
+ * Get a readable name for what a storage key holds (e.g. "product trash")
+ * @param {string} key - Storage key (e.g. "ecommerce_product_trash" or "ecommerce_cart_3f9a1c2b")
+ * @returns {string} Name for messages, in the shopper's language
+ */
+function describeStorageKey(key) {
+    const name = key
+        .replace(/^ecommerce_/, '')
+        .replace(/_[a-f0-9]{8,}$/, '');
+    
+    return hasTranslation(`storage.data.${name}`) ? t(`storage.data.${name}`) : name.replace(/_/g, ' ');
+}
+
+/**
+ * Read every item that is still valid JSON from a damaged JSON array
+ * Walks the top level of the array and parses each item on its own, so a damaged or
+ * cut off item only loses that item
+ * @param {string} text - The damaged JSON text
+ * @returns {Object|null} {items, lost}: the readable items and how many couldn't be read, or null if the text isn't an array
+ */
+function recoverJsonArray(text) {
+    const start = text.search(/\S/);
+    if (start === -1 || text[start] !== '[') {
+        return null;
+    }
+    
+    const items = [];
+    let lost = 0;
+    let depth = 0;
+    let inString = false;
+    let escaped = false;
+    let itemStart = null;
+    
+    /**
+     * Parse one item of the array (counting it as lost if it can't be read)
+     * @param {number} end - Index just after the item
+     */
+    function readItem(end) {
+        try {
+            items.push(JSON.parse(text.slice(itemStart, end)));
+        } catch (error) {
+            lost++;
+        }
+        itemStart = null;
+    }
+    
+    for (let index = start + 1; index < text.length; index++) {
+        const char = text[index];
+        
+        // Skip over strings (they may contain brackets and commas)
+        if (inString) {
+            if (escaped) {
+                escaped = false;
+            } else if (char === '\\') {
+                escaped = true;
+            } else if (char === '"') {
+                inString = false;
+            }
+            continue;
+        }
+        
+        if (char === '"') {
+            inString = true;
+            if (depth === 0 && itemStart === null) {
+                itemStart = index;
+            }
+        } else if (char === '{' || char === '[') {
+            if (depth === 0) {
+                itemStart = index;
+            }
+            depth++;
+        } else if (char === '}' || char === ']') {
+            // The closing bracket of the array itself
+            if (depth === 0) {
+                break;
+            }
+            depth--;
+            if (depth === 0) {
+                readItem(index + 1);
+            }
+        } else if (depth === 0) {
+            if (char === ',') {
+                if (itemStart !== null) {
+                    readItem(index);
+                }
+            } else if (itemStart === null && !/\s/.test(char)) {
+                itemStart = index;
+            }
+        }
+    }
+    
+    // An item cut off at the end of the text
+    if (itemStart !== null) {
+        readItem(text.length);
+    }
+    
+    return { items, lost };
+}
+
+/**
+ * Keep the original text of damaged data for the backup
+ * @param {string} key - Storage key it was stored under
+ * @param {string} text - The damaged text
+ */
+function keepDamagedData(key, text) {
+    const entry = { key, text, foundAt: new Date().toISOString() };
+    damagedDataFound.push(entry);
+    
+    try {
+        const stored = JSON.parse(localStorage.getItem(DAMAGED_DATA_STORAGE_KEY) || '[]');
+        const others = Array.isArray(stored) ? stored.filter(item => item.key !== key) : [];
+        localStorage.setItem(DAMAGED_DATA_STORAGE_KEY, JSON.stringify([...others, entry]));
+    } catch (error) {
+        // e.g. storage is full; it's still in memory for the backup
+        console.error('Error keeping damaged data:', error);
+    }
+}
+
+/**
+ * Parse JSON read from LocalStorage, recovering what it can if the JSON is damaged
+ * Damaged data is replaced by the readable part (the original is kept for the backup)
+ * and the user is told what happened
+ * @param {string} key - Storage key the JSON was read from
+ * @param {string|null} json - The stored JSON (null if nothing is stored)
+ * @returns {*} The parsed value; for damaged arrays, the readable items; otherwise null
+ */
+function parseStoredJson(key, json) {
+    if (json === null) {
+        return null;
+    }
+    
+    try {
+        return JSON.parse(json);
+    } catch (error) {
+        console.error(`Damaged data in ${key}:`, error);
+        
+        const recovery = recoverJsonArray(json);
+        keepDamagedData(key, json);
+        
+        // Store the readable part so the damage is only reported once
+        try {
+            if (recovery) {
+                localStorage.setItem(key, JSON.stringify(recovery.items));
+            } else {
+                localStorage.removeItem(key);
+            }
+        } catch (writeError) {
+            console.error(`Error storing the recovered ${key}:`, writeError);
+        }
+        
+        const name = describeStorageKey(key);
+        if (!recovery) {
+            showStorageNotice(t('storage.reset', { name: name }));
+        } else if (recovery.lost > 0) {
+            showStorageNotice(t('storage.partlyRecovered', { name: name, recovered: recovery.items.length, count: recovery.items.length + recovery.lost }));
+        } else {
+            showStorageNotice(t('storage.recovered', { name: name }));
+        }
+        
+        return recovery ? recovery.items : null;
+    }
+}
+
+/**
+ * Download a backup of all of the store's saved data as a JSON file
+ * Holds every "ecommerce_" LocalStorage entry as it is stored, the collections kept through
+ * another storage adapter (if one is used) and the original text of any damaged data
+ * @returns {Promise} Resolves once the download has started
+ */
+async function downloadStorageBackup() {
+    const backup = {
+        exportedAt: new Date().toISOString(),
+        localStorage: {},
+        collections: {},
+        damagedData: damagedDataFound
+    };
+    
+    for (let index = 0; index < localStorage.length; index++) {
+        const key = localStorage.key(index);
+        if (key.startsWith('ecommerce_')) {
+            backup.localStorage[key] = localStorage.getItem(key);
+        }
+    }
+    
+    // Products, the cart and the wishlist live elsewhere with the IndexedDB or REST adapters
+    if (getStorage().name !== 'localStorage') {
+        const keys = [
+            'ecommerce_products',
+            'ecommerce_product_trash',
+            getAccountStorageKey('ecommerce_cart'),
+            getAccountStorageKey('ecommerce_wishlist')
+        ];
+        for (const key of keys) {
+            try {
+                backup.collections[key] = await getStorage().load(key);
+            } catch (error) {
+                console.error(`Error backing up ${key}:`, error);
+            }
+        }
+    }
+    
+    const blob = new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `store-backup-${new Date().toISOString().slice(0, 10)}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Show a storage problem in an error toast with a "Download backup" button
+ * The toast stays until it's dismissed; a newer problem replaces the one shown
+ * @param {string} message - What happened
+ */
+function showStorageNotice(message) {
+    if (storageNotice) {
+        storageNotice.dismiss();
+    }
+    
+    storageNotice = showToast(message, 'error', {
+        duration: 0,
+        actionLabel: t('storage.downloadBackup'),
+        onAction: function() {
+            downloadStorageBackup().catch(error => {
+                console.error('Error downloading backup:', error);
+            });
+        }
+    });
+}
@@ -0,0 +1,249 @@
+/**
+ * Storage Adapter Module
+ * Async storage layer for products, the cart and the wishlist, so the same UI can keep its
+ * data in LocalStorage, IndexedDB or behind a REST API
+ *
+ * Every adapter stores whole collections (a JSON array per key) and implements:
+ *   load(key)         -> Promise resolving to the stored array, or null if nothing is stored yet
+ *   save(key, items)  -> Promise resolving once the array is stored
+ *   remove(key)       -> Promise resolving once the collection is deleted
+ *
+ * Saves and removes are announced to other open tabs (see sync.js)
+ * Full storage and damaged data are reported to the user (see storage-recovery.js)
+ */
+
+// Which adapter to use and where the REST API lives
+// adapter: "localStorage", "indexedDB" or "http"
+// apiBaseUrl: used by the HTTP adapter ("/api" when the pages are served by mock-server.js)
+const STORAGE_CONFIG = {
+    adapter: 'localStorage',
+    apiBaseUrl: '/api'
+};
+
+// IndexedDB database and object store used by the IndexedDB adapter
+const INDEXED_DB_NAME = 'ecommerce';
+const INDEXED_DB_STORE = 'collections';
+
+// Adapter created by getStorage() (one per page)
+let storageAdapter = null;
+
+/**
+ * Create an adapter that keeps collections in LocalStorage
+ * This is the default and keeps the data where earlier versions of the store saved it
+ * @returns {Object} Storage adapter
+ */
+function createLocalStorageAdapter() {
+    return {
+        name: 'localStorage',
+        
+        async load(key) {
+            // Damaged JSON is replaced by the readable part of it
+            return parseStoredJson(key, localStorage.getItem(key));
+        },
+        
+        async save(key, items) {
+            localStorage.setItem(key, JSON.stringify(items));
+        },
+        
+        async remove(key) {
+            localStorage.removeItem(key);
+        }
+    };
+}
+
+/**
+ * Wrap an IndexedDB request in a promise
+ * @param {IDBRequest} request - The request
+ * @returns {Promise} Resolves with the request result, rejects with its error
+ */
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Create an adapter that keeps collections in IndexedDB
+ * Each collection is one record in a single object store, keyed by the storage key
+ * @returns {Object} Storage adapter
+ */
+function createIndexedDBAdapter() {
+    let databasePromise = null;
+    
+    /**
+     * Open the database (once), creating the object store on first use
+     * @returns {Promise<IDBDatabase>} The open database
+     */
+    function openDatabase() {
+        if (!databasePromise) {
+            const request = indexedDB.open(INDEXED_DB_NAME, 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(INDEXED_DB_STORE);
+            };
+            databasePromise = promisifyRequest(request);
+        }
+        
+        return databasePromise;
+    }
+    
+    /**
+     * Run a single request against the object store
+     * @param {string} mode - "readonly" or "readwrite"
+     * @param {Function} createRequest - Called with the object store, returns an IDBRequest
+     * @returns {Promise} Resolves with the request result
+     */
+    async function runRequest(mode, createRequest) {
+        const database = await openDatabase();
+        const store = database.transaction(INDEXED_DB_STORE, mode).objectStore(INDEXED_DB_STORE);
+        return promisifyRequest(createRequest(store));
+    }
+    
+    return {
+        name: 'indexedDB',
+        
+        async load(key) {
+            const items = await runRequest('readonly', store => store.get(key));
+            return items === undefined ? null : items;
+        },
+        
+        async save(key, items) {
+            await runRequest('readwrite', store => store.put(items, key));
+        },
+        
+        async remove(key) {
+            await runRequest('readwrite', store => store.delete(key));
+        }
+    };
+}
+
+/**
+ * Create an adapter that keeps collections behind a REST API
+ * Storage keys map to resources without their "ecommerce_" prefix:
+ *   GET    {baseUrl}/products  -> 200 with a JSON array, or 404 if nothing is stored yet
+ *   PUT    {baseUrl}/products  -> stores the JSON array in the request body
+ *   DELETE {baseUrl}/products  -> deletes the collection
+ * @param {string} baseUrl - Base URL of the API (e.g. "http://localhost:3000/api")
+ * @returns {Object} Storage adapter
+ */
+function createHttpAdapter(baseUrl) {
+    /**
+     * Get the URL of the resource for a storage key
+     * @param {string} key - Storage key (e.g. "ecommerce_products")
+     * @returns {string} Resource URL
+     */
+    function getResourceUrl(key) {
+        return `${baseUrl.replace(/\/$/, '')}/${key.replace(/^ecommerce_/, '')}`;
+    }
+    
+    /**
+     * Send a request and fail on any unexpected status
+     * @param {string} method - HTTP method
+     * @param {string} key - Storage key
+     * @param {Array} body - JSON body (optional)
+     * @returns {Promise<Response>} The response (200-299, or 404 for a GET)
+     */
+    async function sendRequest(method, key, body) {
+        const url = getResourceUrl(key);
+        const response = await fetch(url, {
+            method: method,
+            headers: body === undefined ? {} : { 'Content-Type': 'application/json' },
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+        
+        // A GET for a collection that was never saved is the only expected 404
+        if (!response.ok && !(method === 'GET' && response.status === 404)) {
+            const error = new Error(`${method} ${url} failed with status ${response.status}`);
+            error.status = response.status; // 413 means the collection is too large to store
+            throw error;
+        }
+        
+        return response;
+    }
+    
+    return {
+        name: 'http',
+        
+        async load(key) {
+            const response = await sendRequest('GET', key);
+            return response.status === 404 ? null : response.json();
+        },
+        
+        async save(key, items) {
+            await sendRequest('PUT', key, items);
+        },
+        
+        async remove(key) {
+            await sendRequest('DELETE', key);
+        }
+    };
+}
+
+/**
+ * Create the adapter named in a storage configuration
+ * @param {Object} config - Configuration {adapter, apiBaseUrl}
+ * @returns {Object} Storage adapter
+ */
+function createStorageAdapter(config) {
+    switch (config.adapter) {
+        case 'indexedDB':
+            return createIndexedDBAdapter();
+        case 'http':
+            return createHttpAdapter(config.apiBaseUrl);
+        case 'localStorage':
+            return createLocalStorageAdapter();
+        default:
+            throw new Error(`Unknown storage adapter: ${config.adapter}`);
+    }
+}
+
+/**
+ * Wrap an adapter so other tabs hear about every save and remove (see notifyDataChanged() in sync.js)
+ * Saves that fail because storage is full are reported to the user (see handleStorageWriteError())
+ * @param {Object} adapter - Storage adapter
+ * @returns {Object} Storage adapter that announces its changes
+ */
+function withChangeNotifications(adapter) {
+    return {
+        name: adapter.name,
+        
+        load(key) {
+            return adapter.load(key);
+        },
+        
+        async save(key, items) {
+            try {
+                await adapter.save(key, items);
+            } catch (error) {
+                throw handleStorageWriteError(error, key);
+            }
+            notifyDataChanged(key);
+        },
+        
+        async remove(key) {
+            await adapter.remove(key);
+            notifyDataChanged(key);
+        }
+    };
+}
+
+/**
+ * Get the storage adapter for this page (created from STORAGE_CONFIG on first use)
+ * @returns {Object} Storage adapter
+ */
+function getStorage() {
+    if (!storageAdapter) {
+        storageAdapter = withChangeNotifications(createStorageAdapter(STORAGE_CONFIG));
+    }
+    
+    return storageAdapter;
+}
+
+/**
+ * Use a different storage adapter for this page
+ * Useful for tests or to switch backends without editing STORAGE_CONFIG
+ * @param {Object} adapter - Storage adapter (see the top of this file)
+ */
+function setStorage(adapter) {
+    storageAdapter = withChangeNotifications(adapter);
+}
@@ -0,0 +1,147 @@
+/**
+ * Cross-Tab Sync Module
+ * Lets open pages re-render when the store's data changes in another tab or window
+ *
+ * Changes saved through the storage adapter (see storage.js) are announced on a BroadcastChannel,
+ * because IndexedDB and the REST API don't fire "storage" events. Data kept directly in
+ * LocalStorage (discount codes, reviews, accounts, ...) is picked up from the "storage" event.
+ */
+
+// Name of the BroadcastChannel shared by every page of the store
+const SYNC_CHANNEL_NAME = 'ecommerce_sync';
+
+// Changes arriving within this many milliseconds are handled together (one re-render)
+const SYNC_DELAY_MS = 50;
+
+// Channel used to tell other tabs about changes (null until first used, or if not supported)
+let syncChannel = null;
+
+// Functions called with the changed keys, and the keys waiting to be passed to them
+const dataChangeListeners = [];
+let pendingChangedKeys = new Set();
+let syncTimer = null;
+
+// Whether the page listens for changes yet (see onDataChanged())
+let syncStarted = false;
+
+/**
+ * Get the channel shared with other tabs (opened on first use)
+ * @returns {BroadcastChannel|null} The channel, or null if the browser doesn't support BroadcastChannel
+ */
+function getSyncChannel() {
+    if (!syncChannel && typeof BroadcastChannel !== 'undefined') {
+        syncChannel = new BroadcastChannel(SYNC_CHANNEL_NAME);
+        syncChannel.onmessage = function(event) {
+            queueDataChange(event.data.key);
+        };
+    }
+    
+    return syncChannel;
+}
+
+/**
+ * Tell other tabs that the data under a storage key changed
+ * Called by the storage adapter after every save and remove (see getStorage())
+ * @param {string} key - Storage key (e.g. "ecommerce_products")
+ */
+function notifyDataChanged(key) {
+    const channel = getSyncChannel();
+    if (channel) {
+        channel.postMessage({ key: key });
+    }
+}
+
+/**
+ * Remember a change from another tab and pass it to the listeners shortly after
+ * @param {string|null} key - Storage key that changed (null when all of LocalStorage was cleared)
+ */
+function queueDataChange(key) {
+    pendingChangedKeys.add(key);
+    
+    if (!syncTimer) {
+        syncTimer = setTimeout(flushDataChanges, SYNC_DELAY_MS);
+    }
+}
+
+/**
+ * Pass the changes collected by queueDataChange() to every listener
+ */
+function flushDataChanges() {
+    const changedKeys = pendingChangedKeys;
+    pendingChangedKeys = new Set();
+    syncTimer = null;
+    
+    // Listeners may be async; one failing doesn't stop the others
+    dataChangeListeners.forEach(listener => {
+        Promise.resolve()
+            .then(() => listener(changedKeys))
+            .catch(error => {
+                console.error('Error syncing data from another tab:', error);
+            });
+    });
+}
+
+/**
+ * Call a function whenever data changes in another tab
+ * @param {Function} listener - Called with a Set of the storage keys that changed (check them with wasDataChanged())
+ * @returns {Function} Stops calling the listener (e.g. when its view is closed)
+ */
+function onDataChanged(listener) {
+    // Start listening the first time a page asks
+    if (!syncStarted) {
+        syncStarted = true;
+        getSyncChannel();
+        window.addEventListener('storage', function(event) {
+            queueDataChange(event.key);
+        });
+    }
+    
+    dataChangeListeners.push(listener);
+    
+    return function() {
+        const index = dataChangeListeners.indexOf(listener);
+        if (index !== -1) {
+            dataChangeListeners.splice(index, 1);
+        }
+    };
+}
+
+/**
+ * Check whether any of some storage keys are among the changed keys
+ * @param {Set} changedKeys - Keys passed to an onDataChanged() listener
+ * @param {...string} keys - Storage keys to look for
+ * @returns {boolean} True if one of them changed (or all of LocalStorage was cleared)
+ */
+function wasDataChanged(changedKeys, ...keys) {
+    return changedKeys.has(null) || keys.some(key => changedKeys.has(key));
+}
+
+/**
+ * Keep the navigation (cart and wishlist badges, account link, language and currency) in step with other tabs
+ * Called once when the store starts (see app.js)
+ */
+function syncNavigation() {
+    onDataChanged(changedKeys => {
+        // Another language or currency changes every text and price, so show the page again
+        if (wasDataChanged(changedKeys, LOCALE_STORAGE_KEY, DISPLAY_CURRENCY_STORAGE_KEY)) {
+            window.location.reload();
+            return;
+        }
+        if (wasDataChanged(changedKeys, CURRENCIES_STORAGE_KEY)) {
+            updateLocaleNav();
+        }
+        
+        // Signing in or out in another tab switches to another cart and wishlist too
+        const sessionChanged = wasDataChanged(changedKeys, CUSTOMER_SESSION_STORAGE_KEY, CUSTOMERS_STORAGE_KEY);
+        
+        if (sessionChanged) {
+            updateAccountNav();
+        }
+        if (sessionChanged || wasDataChanged(changedKeys, getCartStorageKey())) {
+            updateCartBadge();
+        }
+        if (sessionChanged || wasDataChanged(changedKeys, getWishlistStorageKey())) {
+            updateWishlistBadge();
+        }
+    });
+}
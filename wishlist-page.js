@@ -0,0 +1,171 @@
+/**
+ * Wishlist View Logic
+ * Handles displaying saved items and moving them to the cart
+ */
+
+(function() {
+    // Stops reloading the wishlist on changes from other tabs (see onDataChanged())
+    let stopDataSync = null;
+    
+    registerView('/wishlist', {
+        template: 'wishlist-view',
+        title: 'Wishlist',
+        
+        /**
+         * Show the wishlist
+         * @returns {Promise} Resolves once the wishlist is shown
+         */
+        mount: async function() {
+            // Reload the wishlist when it (or a saved product) changes in another tab
+            stopDataSync = onDataChanged(changedKeys => {
+                if (wasDataChanged(changedKeys, getWishlistStorageKey(), PRODUCTS_STORAGE_KEY, CUSTOMER_SESSION_STORAGE_KEY, CURRENCIES_STORAGE_KEY)) {
+                    loadWishlist();
+                }
+            });
+            
+            // Load and display wishlist items
+            await loadWishlist();
+        },
+        
+        /**
+         * Stop reloading the wishlist once another view is shown
+         */
+        unmount: function() {
+            stopDataSync();
+        }
+    });
+    
+    /**
+     * Load and display all items in the wishlist
+     * @returns {Promise} Resolves once the wishlist is shown
+     */
+    async function loadWishlist() {
+        const [wishlist, allProducts] = await Promise.all([getWishlist(), getAllProducts()]);
+        const products = new Map(allProducts.map(product => [product.id, product]));
+        const wishlistContainer = document.getElementById('wishlist-container');
+        
+        // Skip items whose product was deleted
+        const items = wishlist.filter(item => products.has(item.productId));
+        
+        // Clear existing content
+        wishlistContainer.innerHTML = '';
+        
+        // If the wishlist is empty, show empty message
+        if (items.length === 0) {
+            wishlistContainer.innerHTML = `
+                <div class="empty-cart">
+                    <div class="empty-cart-icon">♡</div>
+                    <h2>${t('wishlist.emptyTitle')}</h2>
+                    <p>${t('wishlist.emptyText')}</p>
+                    <a href="index.html" class="btn btn-primary" style="margin-top: 1rem; display: inline-block;">${t('common.browseProducts')}</a>
+                </div>
+            `;
+            return;
+        }
+        
+        // Create and append each wishlist item, most recently saved first
+        items
+            .slice()
+            .reverse()
+            .forEach(item => {
+                wishlistContainer.appendChild(createWishlistItemElement(item, products.get(item.productId)));
+            });
+    }
+    
+    /**
+     * Create a wishlist item element
+     * @param {Object} wishlistItem - Wishlist item {productId, variantId, addedAt}
+     * @param {Object} product - Product object
+     * @returns {HTMLElement} Wishlist item element
+     */
+    function createWishlistItemElement(wishlistItem, product) {
+        // Create container
+        const item = document.createElement('div');
+        item.className = 'wishlist-item';
+        
+        // Variant price and image override the product's own values
+        const details = getVariantDetails(product, wishlistItem.variantId);
+        
+        // Create product image (links to the product detail page)
+        const imageLink = document.createElement('a');
+        imageLink.href = getProductUrl(product.id);
+        
+        const image = document.createElement('img');
+        setImageSource(image, details.image);
+        image.alt = product.name;
+        image.className = 'cart-item-image';
+        imageLink.appendChild(image);
+        
+        // Create product name, variant and stock status
+        const nameContainer = document.createElement('div');
+        nameContainer.className = 'cart-item-details';
+        
+        const name = document.createElement('a');
+        name.className = 'cart-item-name';
+        name.href = getProductUrl(product.id);
+        name.textContent = product.name;
+        nameContainer.appendChild(name);
+        
+        // Show the saved variant (e.g. "M / Black")
+        if (details.label) {
+            const variant = document.createElement('div');
+            variant.className = 'cart-item-variant';
+            variant.textContent = details.label;
+            nameContainer.appendChild(variant);
+        }
+        
+        const stockStatus = document.createElement('p');
+        showStockStatus(stockStatus, product, wishlistItem.variantId);
+        nameContainer.appendChild(stockStatus);
+        
+        // Create product price
+        const price = document.createElement('div');
+        price.className = 'cart-item-price';
+        price.textContent = formatPrice(details.price);
+        
+        // Create actions container
+        const actions = document.createElement('div');
+        actions.className = 'wishlist-actions';
+        
+        const moveToCartBtn = document.createElement('button');
+        moveToCartBtn.className = 'btn btn-primary btn-small';
+        moveToCartBtn.textContent = t('wishlist.moveToCart');
+        moveToCartBtn.disabled = isOutOfStock(product, wishlistItem.variantId);
+        moveToCartBtn.onclick = async function() {
+            moveToCartBtn.disabled = true;
+            try {
+                // Also updates the cart and wishlist badges
+                const moved = await moveWishlistItemToCart(wishlistItem.productId, wishlistItem.variantId);
+                if (!moved) {
+                    showToast(t('wishlist.noMoreStock', { name: product.name }), 'info');
+                }
+            } catch (error) {
+                console.error('Error moving item to cart:', error);
+                showToast(t('wishlist.moveToCartFailed', { name: product.name, message: error.message }), 'error');
+            }
+            loadWishlist(); // Reload wishlist after the move
+        };
+        
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'remove-item-btn';
+        removeBtn.textContent = '×';
+        removeBtn.title = t('product.removeFromWishlist');
+        removeBtn.setAttribute('aria-label', `${removeBtn.title}: ${product.name}`);
+        removeBtn.onclick = async function() {
+            // removeFromWishlist() also updates the wishlist badge
+            await removeFromWishlist(wishlistItem.productId, wishlistItem.variantId);
+            loadWishlist(); // Reload wishlist after removal
+        };
+        
+        actions.appendChild(moveToCartBtn);
+        actions.appendChild(removeBtn);
+        
+        // Assemble the item
+        item.appendChild(imageLink);
+        item.appendChild(nameContainer);
+        item.appendChild(price);
+        item.appendChild(actions);
+        
+        return item;
+    }
+})();
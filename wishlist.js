@@ -0,0 +1,200 @@
+/**
+ * Wishlist Module
+ * Handles saving products for later, separately from the cart
+ * Like the cart, the wishlist goes through the storage adapter (see storage.js) and
+ * signed in customers have their own (see accounts.js)
+ * Every read and write is checked against the wishlist item schema (see schema.js)
+ */
+
+// Storage key for storing wishlist items (the guest wishlist)
+const WISHLIST_STORAGE_KEY = 'ecommerce_wishlist';
+
+/**
+ * Get the storage key of the current shopper's wishlist
+ * @returns {string} The guest wishlist key, or the signed in customer's wishlist key
+ */
+function getWishlistStorageKey() {
+    return getAccountStorageKey(WISHLIST_STORAGE_KEY);
+}
+
+/**
+ * Get all items in the wishlist
+ * @returns {Promise<Array>} Array of wishlist items {productId, variantId, addedAt}
+ */
+async function getWishlist() {
+    try {
+        return await loadRecords(getWishlistStorageKey(), 'wishlist');
+    } catch (error) {
+        console.error('Error getting wishlist:', error);
+        return [];
+    }
+}
+
+/**
+ * Load the wishlist for a change that saves it back
+ * Unlike getWishlist(), read errors are thrown so a failed read never empties the stored wishlist
+ * @returns {Promise<Array>} Array of wishlist items
+ */
+async function loadWishlistForUpdate() {
+    return loadRecords(getWishlistStorageKey(), 'wishlist');
+}
+
+/**
+ * Replace all wishlist items
+ * @param {Array} wishlist - Array of wishlist items
+ * @returns {Promise} Resolves once the wishlist is saved
+ */
+async function saveWishlist(wishlist) {
+    await saveRecords(getWishlistStorageKey(), 'wishlist', wishlist);
+}
+
+/**
+ * Check whether a product (or variant) is in a list of wishlist items
+ * Wishlist items are keyed like cart lines, by product ID plus variant ID
+ * @param {Array} wishlist - Wishlist items
+ * @param {number} productId - The ID of the product
+ * @param {string|null} variantId - The variant ID (optional)
+ * @returns {boolean} True if it's in the wishlist
+ */
+function hasWishlistItem(wishlist, productId, variantId) {
+    return wishlist.some(item => isSameCartLine(item, productId, variantId));
+}
+
+/**
+ * Add a product (or variant) to the wishlist
+ * Nothing changes if it's already there
+ * @param {number} productId - The ID of the product
+ * @param {string|null} variantId - The variant ID (optional)
+ * @returns {Promise} Resolves once the wishlist is saved
+ */
+async function addToWishlist(productId, variantId) {
+    try {
+        const wishlist = await loadWishlistForUpdate();
+        
+        if (!hasWishlistItem(wishlist, productId, variantId)) {
+            wishlist.push({
+                productId: productId,
+                variantId: variantId || null,
+                addedAt: new Date().toISOString()
+            });
+            await saveWishlist(wishlist);
+        }
+        
+        await updateWishlistBadge();
+    } catch (error) {
+        console.error('Error adding to wishlist:', error);
+        throw error;
+    }
+}
+
+/**
+ * Remove a product (or variant) from the wishlist
+ * @param {number} productId - The ID of the product
+ * @param {string|null} variantId - The variant ID (optional)
+ * @returns {Promise} Resolves once the wishlist is saved
+ */
+async function removeFromWishlist(productId, variantId) {
+    try {
+        const wishlist = await loadWishlistForUpdate();
+        await saveWishlist(wishlist.filter(item => !isSameCartLine(item, productId, variantId)));
+        await updateWishlistBadge();
+    } catch (error) {
+        console.error('Error removing from wishlist:', error);
+        throw error;
+    }
+}
+
+/**
+ * Add a product (or variant) to the wishlist, or remove it if it's already there
+ * @param {number} productId - The ID of the product
+ * @param {string|null} variantId - The variant ID (optional)
+ * @returns {Promise<boolean>} True if it's now in the wishlist
+ */
+async function toggleWishlist(productId, variantId) {
+    const wishlist = await loadWishlistForUpdate();
+    
+    if (hasWishlistItem(wishlist, productId, variantId)) {
+        await removeFromWishlist(productId, variantId);
+        return false;
+    }
+    
+    await addToWishlist(productId, variantId);
+    return true;
+}
+
+/**
+ * Move a cart line to the wishlist
+ * The item is saved to the wishlist before it's taken out of the cart
+ * @param {number} productId - The ID of the product
+ * @param {string|null} variantId - The variant ID (optional)
+ * @returns {Promise} Resolves once both are saved
+ */
+async function moveCartItemToWishlist(productId, variantId) {
+    await addToWishlist(productId, variantId);
+    await removeFromCart(productId, variantId);
+}
+
+/**
+ * Move a wishlist item to the cart (one of it)
+ * The item stays in the wishlist if there isn't enough stock to add it
+ * @param {number} productId - The ID of the product
+ * @param {string|null} variantId - The variant ID (optional)
+ * @returns {Promise<boolean>} True if it was added to the cart
+ */
+async function moveWishlistItemToCart(productId, variantId) {
+    const added = await addToCart(productId, variantId);
+    
+    if (added) {
+        await removeFromWishlist(productId, variantId);
+    }
+    
+    return added;
+}
+
+/**
+ * Move the guest wishlist into the signed in customer's wishlist
+ * Called after signing in; items already in the account's wishlist aren't added twice
+ * @returns {Promise} Resolves once the guest wishlist is merged and emptied
+ */
+async function mergeGuestWishlist() {
+    if (getWishlistStorageKey() === WISHLIST_STORAGE_KEY) {
+        return;
+    }
+    
+    try {
+        const guestWishlist = await loadRecords(WISHLIST_STORAGE_KEY, 'wishlist');
+        if (guestWishlist.length === 0) {
+            return;
+        }
+        
+        const wishlist = await loadWishlistForUpdate();
+        guestWishlist.forEach(guestItem => {
+            if (!hasWishlistItem(wishlist, guestItem.productId, guestItem.variantId)) {
+                wishlist.push(guestItem);
+            }
+        });
+        
+        // Save the merged wishlist before emptying the guest wishlist so nothing is lost if saving fails
+        await saveWishlist(wishlist);
+        await getStorage().remove(WISHLIST_STORAGE_KEY);
+    } catch (error) {
+        console.error('Error merging guest wishlist:', error);
+        throw error;
+    }
+}
+
+/**
+ * Update the wishlist badge in navigation
+ * Shows the number of saved items
+ * @returns {Promise} Resolves once the badge is updated
+ */
+async function updateWishlistBadge() {
+    const wishlistBadge = document.getElementById('wishlist-badge');
+    if (wishlistBadge) {
+        const itemCount = (await getWishlist()).length;
+        wishlistBadge.textContent = itemCount;
+        
+        // Hide badge if the wishlist is empty
+        wishlistBadge.style.display = itemCount === 0 ? 'none' : 'inline-flex';
+    }
+}